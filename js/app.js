@@ -26,6 +26,8 @@ const CONSTANTS = {
   MAX_TAG_LENGTH: 50,
   MAX_IMPORT_ITEMS: 1000,
   TOP3_LIMIT: 3,
+  TIMELINE_PX_PER_MINUTE: 1.2,
+  TIMELINE_MIN_BLOCK_PX: 28,
   UNDO_TIMEOUT_MS: 5000,
   SEARCH_DEBOUNCE_MS: 300,
   DEFAULT_SWIPE_THRESHOLD: 0.45,
@@ -36,29 +38,82 @@ const CONSTANTS = {
   TIME_PRESSURE_MIN_INTERVAL_MS: 5 * 60 * 1000,   // 5 minutes when critical
   STORAGE_WARNING_PERCENT: 80,
   VALID_STATUSES: ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done'],
-  VALID_TAGS: ['Home', 'Army', 'Business', 'Other'],
   VALID_CONFIDENCES: ['high', 'medium', 'low'],
   VALID_RECURRENCES: ['', 'daily', 'weekly', 'monthly']
 };
 
+// Weekly review wizard, in order. Queue steps list items from db.getWeeklyReview()
+// with one-tap actions; `actions` are [action, label] pairs.
+const REVIEW_STEPS = [
+  {
+    key: 'inbox', title: 'Empty the Inbox', empty: 'Inbox is empty.',
+    hint: 'Decide where each captured item goes.',
+    actions: [['today', 'Today'], ['next', 'Next'], ['someday', 'Someday'], ['done', 'Done']]
+  },
+  {
+    key: 'waiting', title: 'Waiting For', empty: 'Not waiting on anyone.',
+    hint: 'Check in with each person. Move it on if it came through.',
+    actions: [['next', 'Got it'], ['keep', 'Still waiting'], ['done', 'Done']]
+  },
+  {
+    key: 'someday', title: 'Stale Someday', empty: 'No stale Someday items.',
+    hint: 'Untouched for a month or more. Promote it, keep it, or let it go.',
+    actions: [['next', 'Next'], ['keep', 'Keep'], ['delete', 'Delete']]
+  },
+  {
+    key: 'overdue', title: 'Overdue', empty: 'Nothing overdue.',
+    hint: 'Past their scheduled date. Pick a new day or close them out.',
+    actions: [['today', 'Today'], ['tomorrow', 'Tomorrow'], ['done', 'Done']]
+  },
+  {
+    key: 'unrated', title: 'Unrated Today Items', empty: 'Every Today item is rated.',
+    hint: 'Rate these so Auto Schedule and Top 3 can use them.',
+    actions: [['rate', 'Rate'], ['next', 'Later']]
+  },
+  { key: 'week', title: "Next Week's Capacity", hint: 'Usable minutes per day against what is already scheduled.' },
+  { key: 'summary', title: 'Review Summary', hint: 'Finish to record this review.' }
+];
+
+// Perspective options (keys match PERSPECTIVE_SORTS / PERSPECTIVE_GROUPS in db.js)
+const PERSPECTIVE_SORT_LABELS = {
+  priority: 'By priority', due: 'By due date', created: 'Newest first', estimate: 'Shortest first'
+};
+const PERSPECTIVE_GROUP_LABELS = { none: 'No grouping', tag: 'Group by tag', due_week: 'Group by due week' };
+
+// Shown in place of a saved API key
+const AI_KEY_MASK = '••••••••••••••••';
+
 class BattlePlanApp {
   constructor() {
     this.currentPage = 'inbox';
     this.selectedItemId = null;
     this.editingItemId = null;
     this.editingRoutineId = null;
+    this.editingProjectId = null;
+    this.breakdown = null;
+    this.ratingSuggestions = null;
+    this.draggedSubtaskId = null;
+    this.showDoneProjects = false;
+    this.projectNames = new Map();
+    this.aiQueue = new Map();        // id -> AI parse queue entry (db AI PARSE QUEUE), refreshed each render
+    this.aiQueueRunning = false;
     this.focusTimer = null;
-    this.focusTimeRemaining = 0;
-    this.focusPaused = false;
+    this.focusSession = null;
+    this.focusCycle = null;
+    this.focusBreak = null;
+    this.focusSound = false;
     this.timerDefault = CONSTANTS.DEFAULT_TIMER_MINUTES;
     this.searchQuery = '';
     this.searchTimeout = null;
+    this.savedSearches = [];
+    this.todayView = localStorage.getItem('battlePlanTodayView') === 'timeline' ? 'timeline' : 'list';
+    this.waitingView = localStorage.getItem('battlePlanWaitingView') === 'people' ? 'people' : 'list';
 
     // Edit modal state
     this.editState = {
       A: null, C: null, E: null,
       L: null, M: null, T: null,
-      tag: null,
+      tags: [],
       estimate_bucket: null,
       confidence: null
     };
@@ -83,14 +138,14 @@ class BattlePlanApp {
     this.isListening = false;
     this.voiceSupported = !!(window.SpeechRecognition || window.webkitSpeechRecognition);
     this.voiceStartLock = false;
+    this.voiceRepliesEnabled = true; // read voice replies aloud (Speech Synthesis)
 
     // Wake word state
     this.wakeWordEnabled = false;
     this.wakeWordRecognition = null;
     this.wakeWordActive = false;
 
-    // Undo state
-    this.lastAction = null; // { type, itemId, previousState, description }
+    // Undo toast state (the history itself lives in the IndexedDB undo journal)
     this.undoTimeout = null;
     this.undoCountdownInterval = null;
 
@@ -123,33 +178,45 @@ class BattlePlanApp {
   async _refreshUI() {
     await this.render();
     await this.updateHUD();
+    if (this.review) await this.renderReviewStep();
   }
 
   /** Apply AI/regex-parsed metadata (date, recurrence, tag, estimate) to a newly created task */
-  async _applyParsedData(itemId, data) {
+  /** `scope` is db, or a journalGroup scope when the write belongs to a larger undo step */
+  async _applyParsedData(itemId, data, scope = db) {
     const updates = {};
-    if (data.scheduled_date) {
-      updates.scheduled_for_date = data.scheduled_date;
+    const rule = recurrenceRules.normalize(data.recurrence, data.recurrence_day);
+    let scheduledDate = dayClock.isDateStr(data.scheduled_date) ? data.scheduled_date : null;
+    const startTime = dayClock.parseTime(data.start_time) ? data.start_time : null;
+    // "Dentist at 3pm" with no date means today
+    if (startTime && !scheduledDate && !rule) scheduledDate = db.getToday();
+    if (rule && !rule.from_completion) {
+      // Fixed schedules start on their first real occurrence and keep that as the anchor
+      if (!scheduledDate) scheduledDate = recurrenceRules.firstOnOrAfter(rule, db.getToday());
+      rule.start = scheduledDate;
+    }
+    if (scheduledDate) {
+      updates.scheduled_for_date = scheduledDate;
       const today = db.getToday();
       const tomorrow = db.getTomorrow();
-      if (data.scheduled_date === today) updates.status = 'today';
-      else if (data.scheduled_date === tomorrow) updates.status = 'tomorrow';
+      if (scheduledDate === today) updates.status = 'today';
+      else if (scheduledDate === tomorrow) updates.status = 'tomorrow';
       else updates.status = 'next';
     }
-    if (data.due_date) updates.dueDate = data.due_date;
-    if (data.estimate_minutes) {
+    if (dayClock.isDateStr(data.due_date)) updates.dueDate = data.due_date;
+    if (startTime) updates.start_time = startTime;
+    const duration = parseInt(data.duration_minutes);
+    if (duration > 0 && duration <= 1440) updates.duration_minutes = duration;
+    if (ESTIMATE_BUCKETS.includes(data.estimate_minutes)) {
       updates.estimate_bucket = data.estimate_minutes;
       updates.confidence = 'medium';
     }
-    if (data.recurrence) {
-      updates.recurrence = data.recurrence;
-      if (data.recurrence_day != null) updates.recurrence_day = data.recurrence_day;
-    }
-    if (data.tag && CONSTANTS.VALID_TAGS.includes(data.tag)) {
-      updates.tag = data.tag;
-    }
+    if (rule) updates.recurrence = rule;
+    // AI replies use `tags`; older prompts and routines may still send a single `tag`
+    const tags = db.resolveTags(Array.isArray(data.tags) ? data.tags : [data.tag]);
+    if (tags.length > 0) updates.tags = tags;
     if (Object.keys(updates).length > 0) {
-      await db.updateItem(itemId, updates);
+      await scope.updateItem(itemId, updates);
     }
   }
 
@@ -158,14 +225,18 @@ class BattlePlanApp {
 
     // Run smart rollover on app load
     const rolloverResult = await db.runRollover();
+    this.currentDay = db.getToday();
     if (rolloverResult.deferredCount > 0) {
       setTimeout(() => {
         this.showToast(`${rolloverResult.rolledCount} task${rolloverResult.rolledCount !== 1 ? 's' : ''} moved to Today, ${rolloverResult.deferredCount} deferred (over capacity)`, 'warning', 5000);
       }, 500);
+    } else if (rolloverResult.followUpCount > 0) {
+      setTimeout(() => this.announceFollowUps(rolloverResult.followUpCount), 500);
     }
 
     // Load settings
     this.timerDefault = await db.getSetting('timerDefault', 25);
+    this.focusSound = await db.getSetting('focus_sound', false);
     this.swipeEnabled = await db.getSetting('enable_swipe_gestures', true);
     this.swipeThreshold = await db.getSetting('swipe_threshold', 0.45);
 
@@ -177,19 +248,21 @@ class BattlePlanApp {
     // Load theme preference
     this.loadTheme();
 
-    // Load Groq AI settings
-    this.loadGroqSettings();
+    // Load AI provider settings
+    this.loadAISettings();
 
-    // Load wake word setting
+    // Load wake word and spoken reply settings
     this.wakeWordEnabled = await db.getSetting('wake_word_enabled', false);
+    this.voiceRepliesEnabled = await db.getSetting('voice_replies', true);
     if (this.wakeWordEnabled && this.voiceSupported) {
       this.startWakeWord();
     }
 
     // Handle initial page from URL hash (for back button support)
+    await this.renderSavedSearchNav();
     const hash = window.location.hash.slice(1);
-    const validPages = ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done', 'routines', 'analytics', 'settings'];
-    if (hash && validPages.includes(hash)) {
+    const validPages = ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done', 'projects', 'routines', 'analytics', 'settings'];
+    if (hash && (validPages.includes(hash) || (hash.startsWith('search-') && this.savedSearches.some(s => `search-${s.id}` === hash)))) {
       this.navigateTo(hash, false);
     }
     // Set initial history state
@@ -208,11 +281,32 @@ class BattlePlanApp {
     setTimeout(() => this.checkTimePressure(), 5000);
     this.scheduleNextTimePressureCheck();
 
+    // Catch the day boundary when the app is left open or resumed from background
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.checkDayRollover();
+        this.tickFocus(); // timers are throttled in background tabs
+      }
+    });
+
+    // Pick up a focus session that was running before a reload
+    this.resumeFocusSession();
+
     // Offline/online detection
     this.updateOfflineIndicator();
-    window.addEventListener('online', () => this.updateOfflineIndicator());
+    // Re-parsing the AI queue runs in the background: failures are logged, never surfaced
+    const processAIQueue = () => this.processAIQueue().catch(err => debugLog('warn', 'Could not process the AI queue', err));
+    window.addEventListener('online', () => {
+      this.updateOfflineIndicator();
+      processAIQueue();
+    });
     window.addEventListener('offline', () => this.updateOfflineIndicator());
-    window.addEventListener('ai-online', () => this.updateOfflineIndicator(true));
+    window.addEventListener('ai-online', () => {
+      this.updateOfflineIndicator(true);
+      processAIQueue();
+    });
+    // Captures queued in an earlier session get their AI parse now if it's reachable
+    if (navigator.onLine) processAIQueue();
 
     // Check storage quota
     this.checkStorageQuota();
@@ -289,91 +383,230 @@ class BattlePlanApp {
     });
   }
 
-  // ==================== GROQ AI SETTINGS ====================
+  // ==================== AI SETTINGS ====================
+
+  /** Provider picker plus the active provider's URL, model, auth header and (masked) key */
+  loadAISettings() {
+    document.getElementById('setting-ai-enabled').checked = groqAssistant.isEnabled();
+    const select = document.getElementById('setting-ai-provider');
+    select.innerHTML = Object.entries(LLM_PROVIDERS)
+      .map(([id, provider]) => `<option value="${id}">${this.escapeHtml(provider.name)}</option>`).join('');
+    select.value = groqAssistant.getProviderId();
+    this.renderAIProviderFields();
+  }
+
+  renderAIProviderFields() {
+    const config = groqAssistant.getProviderConfig();
+    const defaults = LLM_PROVIDERS[config.id];
+
+    const baseUrlInput = document.getElementById('setting-ai-base-url');
+    baseUrlInput.value = config.baseUrl;
+    baseUrlInput.placeholder = defaults.baseUrl || 'https://192.168.1.20:8000/v1';
+    const modelInput = document.getElementById('setting-ai-model');
+    modelInput.value = config.model;
+    modelInput.placeholder = defaults.model || 'Model name';
+    const headerInput = document.getElementById('setting-ai-auth-header');
+    headerInput.value = config.authHeader === defaults.authHeader ? '' : config.authHeader;
+    headerInput.placeholder = defaults.authHeader;
 
-  loadGroqSettings() {
-    const enabledCheckbox = document.getElementById('setting-groq-enabled');
-    const keyInput = document.getElementById('setting-groq-api-key');
-    const statusSpan = document.getElementById('groq-key-status');
+    const keyInput = document.getElementById('setting-ai-api-key');
+    keyInput.value = config.apiKey ? AI_KEY_MASK : '';
+    if (config.apiKey) keyInput.placeholder = 'Key saved (click to change)';
+    else keyInput.placeholder = config.keyPrefix ? `${config.keyPrefix}...` : 'Optional';
 
-    // Load enabled state
-    enabledCheckbox.checked = groqAssistant.isEnabled();
+    document.getElementById('ai-provider-hint').textContent = config.needsKey
+      ? 'Requests go straight from this device to the provider with your key.'
+      : 'The server has to allow this page in CORS (for Ollama, set OLLAMA_ORIGINS). Plain http works only to localhost; use https for a server elsewhere on the LAN.';
+    this.updateAIStatus();
+  }
 
-    if (groqAssistant.hasApiKey()) {
-      // Show masked key
-      keyInput.value = '••••••••••••••••';
-      keyInput.placeholder = 'Key saved (click to change)';
-      statusSpan.textContent = groqAssistant.isEnabled() ? '✓ Configured' : '(Disabled)';
-      statusSpan.style.color = groqAssistant.isEnabled() ? 'var(--success)' : 'var(--text-muted)';
+  updateAIStatus() {
+    if (groqAssistant.isConfigured()) {
+      this.setAIStatus(groqAssistant.isEnabled() ? '✓ Configured' : '(Disabled)',
+        groqAssistant.isEnabled() ? 'var(--success)' : 'var(--text-muted)');
     } else {
-      keyInput.value = '';
-      statusSpan.textContent = '';
+      this.setAIStatus('', '');
     }
   }
 
-  setGroqEnabled(enabled) {
+  setAIStatus(text, color) {
+    const statusSpan = document.getElementById('ai-connection-status');
+    statusSpan.textContent = text;
+    statusSpan.style.color = color;
+  }
+
+  setAIEnabled(enabled) {
     groqAssistant.setEnabled(enabled);
-    const statusSpan = document.getElementById('groq-key-status');
+    this.updateAIStatus();
+    this.showToast(enabled ? 'AI Assistant enabled' : 'AI Assistant disabled');
+  }
+
+  setAIProvider(id) {
+    groqAssistant.setProvider(id);
+    this.renderAIProviderFields();
+  }
+
+  /** Save the form into the active provider; returns false when something couldn't be saved */
+  saveAISettings({ quiet = false } = {}) {
+    const key = document.getElementById('setting-ai-api-key').value.trim();
+    const updates = {
+      baseUrl: document.getElementById('setting-ai-base-url').value,
+      model: document.getElementById('setting-ai-model').value,
+      authHeader: document.getElementById('setting-ai-auth-header').value
+    };
+    if (key !== AI_KEY_MASK) updates.apiKey = key; // the mask stands for the saved key
 
-    if (groqAssistant.hasApiKey()) {
-      statusSpan.textContent = enabled ? '✓ Configured' : '(Disabled)';
-      statusSpan.style.color = enabled ? 'var(--success)' : 'var(--text-muted)';
+    const result = groqAssistant.updateProviderConfig(groqAssistant.getProviderId(), updates);
+    if (result.error) {
+      this.setAIStatus(result.message, 'var(--danger)');
+      return false;
     }
 
-    this.showToast(enabled ? 'AI Assistant enabled' : 'AI Assistant disabled');
+    const { config } = result;
+    this.renderAIProviderFields();
+    if (config.needsKey && !config.apiKey) {
+      this.setAIStatus('Please enter an API key', 'var(--warning)');
+    } else if (config.keyPrefix && config.apiKey && !config.apiKey.startsWith(config.keyPrefix)) {
+      // Not fatal: proxies and new key formats exist. Test connection says for sure.
+      this.setAIStatus(`Saved (${config.name} keys usually start with ${config.keyPrefix})`, 'var(--warning)');
+    } else if (!quiet) {
+      this.setAIStatus('✓ Saved!', 'var(--success)');
+    }
+    if (!quiet) this.showToast(`${config.name} settings saved`);
+    return true;
   }
 
-  saveGroqApiKey() {
-    const keyInput = document.getElementById('setting-groq-api-key');
-    const statusSpan = document.getElementById('groq-key-status');
-    const key = keyInput.value.trim();
-
-    // Don't save if it's the masked placeholder
-    if (key === '••••••••••••••••' || key === '') {
-      statusSpan.textContent = 'Please enter an API key';
-      statusSpan.style.color = 'var(--warning)';
-      return;
+  async testAIConnection() {
+    if (!this.saveAISettings({ quiet: true })) return;
+    const btn = document.getElementById('test-ai-connection-btn');
+    this.setAIStatus('Testing...', 'var(--text-secondary)');
+    btn.disabled = true;
+    try {
+      const result = await groqAssistant.testConnection();
+      this.setAIStatus(`${result.ok ? '✓' : '✗'} ${result.message}`, result.ok ? 'var(--success)' : 'var(--danger)');
+      if (result.ok) this.showToast(`${groqAssistant.getProviderConfig().name} is ready!`);
+    } finally {
+      btn.disabled = false;
     }
+  }
 
-    if (!key.startsWith('gsk_')) {
-      statusSpan.textContent = 'Invalid key format (should start with gsk_)';
-      statusSpan.style.color = 'var(--danger)';
-      return;
+  /** Settings: how often AI replies passed their schema, and the recent ones that didn't */
+  renderAIReliability() {
+    const { counts, totals, checked, usableRate, recent } = groqAssistant.getValidationStats();
+    const summary = document.getElementById('ai-reliability-summary');
+    if (checked === 0) {
+      summary.textContent = 'No AI replies checked yet';
+    } else {
+      const kinds = Object.entries(counts)
+        .map(([kind, c]) => `${kind} ${c.valid + c.repaired}/${c.valid + c.repaired + c.failed}`).join(', ');
+      summary.textContent = `${Math.round(usableRate * 100)}% usable of ${checked} (${totals.repaired} repaired, ${totals.failed} failed) · ${kinds}`;
     }
+    document.getElementById('clear-ai-log-btn').disabled = checked === 0;
 
-    groqAssistant.setApiKey(key);
-    keyInput.value = '••••••••••••••••';
-    statusSpan.textContent = '✓ Saved!';
-    statusSpan.style.color = 'var(--success)';
-    this.showToast('Groq API key saved');
+    document.getElementById('ai-failure-list').innerHTML = recent.map(entry => `
+      <li class="ai-failure ${entry.outcome}">
+        <div class="ai-failure-head">${entry.outcome === 'repaired' ? 'Repaired' : 'Failed'} ${this.escapeHtml(entry.kind)} &middot; ${new Date(entry.at).toLocaleString()}</div>
+        <div class="ai-failure-input">${this.escapeHtml(entry.input)}</div>
+        <ul class="ai-failure-errors">${entry.errors.map(e => `<li>${this.escapeHtml(e)}</li>`).join('')}</ul>
+      </li>
+    `).join('');
   }
 
-  async testGroqApiKey() {
-    const statusSpan = document.getElementById('groq-key-status');
+  clearAIValidationLog() {
+    groqAssistant.clearValidationLog();
+    this.renderAIReliability();
+    this.showToast('AI reliability log cleared');
+  }
 
-    if (!groqAssistant.hasApiKey()) {
-      statusSpan.textContent = 'No API key configured';
-      statusSpan.style.color = 'var(--warning)';
-      return;
-    }
+  // ==================== AI PARSE QUEUE ====================
 
-    statusSpan.textContent = 'Testing...';
-    statusSpan.style.color = 'var(--text-secondary)';
+  /**
+   * Re-parse captures that missed AI (see db AI PARSE QUEUE) and store what
+   * each parse adds as a suggestion on the item. Runs when AI answers again
+   * (ai-online), when the browser comes back online, and on load; stops at
+   * the first request that fails for lack of a server.
+   */
+  async processAIQueue() {
+    if (this.aiQueueRunning || !groqAssistant.shouldUseAI()) return;
+    const pending = (await db.getAIQueue()).filter(e => !e.suggestion);
+    if (pending.length === 0) return;
 
+    this.aiQueueRunning = true;
+    let offered = 0;
     try {
-      const result = await groqAssistant.parseIntent('hello', {});
-      if (result.error && result.error.includes('API')) {
-        statusSpan.textContent = '✗ Invalid key';
-        statusSpan.style.color = 'var(--danger)';
-      } else {
-        statusSpan.textContent = '✓ Working!';
-        statusSpan.style.color = 'var(--success)';
-        this.showToast('Groq AI is ready!');
+      for (const entry of pending) {
+        const item = await db.getItem(entry.id);
+        if (!item || item.status === 'done') {
+          await db.removeFromAIQueue(entry.id);
+          continue;
+        }
+        const parsed = await groqAssistant.parseTaskInput(entry.input, db.getTags());
+        if (!parsed) {
+          if (groqAssistant.unavailable) break; // still offline: keep the rest for next time
+          await db.removeFromAIQueue(entry.id);
+          continue;
+        }
+        const suggestion = db.aiSuggestionFor(item, parsed);
+        if (suggestion) {
+          await db.setAISuggestion(entry.id, suggestion);
+          offered++;
+        } else {
+          await db.removeFromAIQueue(entry.id);
+        }
       }
-    } catch (err) {
-      statusSpan.textContent = '✗ Connection failed';
-      statusSpan.style.color = 'var(--danger)';
+    } finally {
+      this.aiQueueRunning = false;
     }
+    await this.render();
+    if (offered > 0) {
+      this.showToast(`AI is back: suggestions for ${offered} task${offered === 1 ? '' : 's'} captured offline`, 'info', 4000);
+    }
+  }
+
+  /** "tomorrow · due 2026-03-01 · 15:00 · 30m · every Friday · #Home" */
+  describeAISuggestion(suggestion) {
+    const parts = [];
+    if (suggestion.text) parts.push(`"${suggestion.text}"`);
+    if (suggestion.scheduled_date) {
+      const date = suggestion.scheduled_date;
+      parts.push(date === db.getToday() ? 'today' : date === db.getTomorrow() ? 'tomorrow' : date);
+    }
+    if (suggestion.due_date) parts.push(`due ${suggestion.due_date}`);
+    if (suggestion.start_time) parts.push(suggestion.start_time + (suggestion.duration_minutes ? ` for ${suggestion.duration_minutes}m` : ''));
+    else if (suggestion.duration_minutes) parts.push(`for ${suggestion.duration_minutes}m`);
+    if (suggestion.estimate_minutes) {
+      const minutes = suggestion.estimate_minutes;
+      parts.push(minutes >= 60 ? `~${minutes / 60}h` : `~${minutes}m`);
+    }
+    if (suggestion.recurrence) {
+      parts.push(recurrenceRules.describe(recurrenceRules.normalize(suggestion.recurrence, suggestion.recurrence_day)));
+    }
+    for (const tag of suggestion.tags || []) parts.push(`#${tag}`);
+    return parts.join(' · ');
+  }
+
+  async applyAISuggestion(id) {
+    const entry = (await db.getAIQueueMap()).get(id);
+    const item = await db.getItem(id);
+    if (!entry || !entry.suggestion || !item) return;
+
+    const { suggestion } = entry;
+    // Tags add to the item's own; a time or repeat without a new date keeps the item's date
+    const data = { ...suggestion, tags: [...(item.tags || []), ...(suggestion.tags || [])] };
+    if (!data.scheduled_date && (data.start_time || data.recurrence)) data.scheduled_date = item.scheduled_for_date;
+    await db.journalGroup(`Applied AI suggestion to "${item.text.substring(0, 30)}"`, async scope => {
+      if (suggestion.text) await scope.updateItem(id, { text: suggestion.text });
+      await this._applyParsedData(id, data, scope);
+    });
+    await db.removeFromAIQueue(id);
+    this.invalidateHudCache();
+    await this._refreshUI();
+    this.showUndoToast(`Applied: ${this.describeAISuggestion(suggestion).substring(0, 40)}`);
+  }
+
+  async dismissAISuggestion(id) {
+    await db.removeFromAIQueue(id);
+    await this.render();
   }
 
   // ==================== EVENT BINDING ====================
@@ -395,11 +628,19 @@ class BattlePlanApp {
       if (value.length > CONSTANTS.MAX_SEARCH_LENGTH) {
         e.target.value = this.searchQuery;
       }
+      document.getElementById('save-search-btn').classList.toggle('hidden', !this.searchQuery.trim());
       // Debounce: wait 300ms after typing stops before rendering
       if (this.searchTimeout) clearTimeout(this.searchTimeout);
       this.searchTimeout = setTimeout(() => this.render(), 300);
     });
 
+    document.getElementById('save-search-btn').addEventListener('click', () => this.saveCurrentSearch());
+    document.getElementById('delete-saved-search-btn').addEventListener('click', () => this.deleteCurrentSavedSearch());
+    document.getElementById('add-perspective-btn').addEventListener('click', () => this.createPerspective());
+    document.getElementById('new-perspective-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.createPerspective();
+    });
+
     // Inbox
     document.getElementById('inbox-input').addEventListener('keydown', (e) => this.handleInboxKeydown(e));
     document.getElementById('inbox-add-btn').addEventListener('click', () => this.addInboxItem());
@@ -410,12 +651,19 @@ class BattlePlanApp {
     document.getElementById('rebuild-top3-btn').addEventListener('click', () => this.rebuildTop3());
     document.getElementById('auto-balance-btn').addEventListener('click', () => this.showAutoSchedule());
     document.getElementById('auto-schedule-btn').addEventListener('click', () => this.showAutoSchedule());
+    document.getElementById('plan-week-btn').addEventListener('click', () => this.showWeekPlan());
+    document.getElementById('timeline-toggle-btn').addEventListener('click', () => this.toggleTodayView());
+    document.getElementById('waiting-people-toggle').addEventListener('click', () => this.toggleWaitingView());
     document.getElementById('today-capacity-btn').addEventListener('click', () => this.promptDailyCapacity());
 
     // Auto Schedule modal
     document.getElementById('schedule-apply-btn').addEventListener('click', () => this.applyAutoSchedule());
     document.getElementById('schedule-close-btn').addEventListener('click', () => this.closeAutoScheduleModal());
 
+    // Week planner modal
+    document.getElementById('week-plan-apply-btn').addEventListener('click', () => this.applyWeekPlan());
+    document.getElementById('week-plan-close-btn').addEventListener('click', () => this.closeWeekPlanModal());
+
     // Done page actions
     document.getElementById('archive-old-btn').addEventListener('click', () => this.archiveOldTasks());
     document.getElementById('show-archived').addEventListener('change', (e) => {
@@ -423,6 +671,41 @@ class BattlePlanApp {
       this.renderByStatus('done');
     });
 
+    // Projects
+    document.getElementById('add-project-btn').addEventListener('click', () => this.openProjectModal(null));
+    document.getElementById('show-done-projects').addEventListener('change', (e) => {
+      this.showDoneProjects = e.target.checked;
+      this.renderProjects();
+    });
+    document.getElementById('projects-list').addEventListener('click', (e) => {
+      const card = e.target.closest('.project-card');
+      if (!card) return;
+      if (e.target.closest('.edit-project-btn')) this.openProjectModal(card.dataset.id);
+      else if (e.target.closest('.project-item-add-btn')) this.addProjectItem(card);
+    });
+    document.getElementById('projects-list').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('project-item-input')) {
+        this.addProjectItem(e.target.closest('.project-card'));
+      }
+    });
+    document.getElementById('project-save-btn').addEventListener('click', () => this.saveProject());
+    document.getElementById('project-delete-btn').addEventListener('click', () => this.deleteProject());
+    document.getElementById('project-cancel-btn').addEventListener('click', () => this.closeProjectModal());
+    document.getElementById('schedule-project-filter').addEventListener('change', () => this.showAutoSchedule());
+
+    // Break it down
+    document.getElementById('breakdown-btn').addEventListener('click', () => {
+      if (this.editingItemId) this.openBreakdownModal(this.editingItemId);
+    });
+    document.getElementById('breakdown-add-step-btn').addEventListener('click', () => this.addBreakdownStep());
+    document.getElementById('breakdown-steps').addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.breakdown-remove');
+      if (removeBtn) this.removeBreakdownStep(parseInt(removeBtn.closest('.breakdown-step').dataset.index));
+    });
+    document.getElementById('breakdown-steps').addEventListener('change', () => this.updateBreakdownTotal());
+    document.getElementById('breakdown-save-btn').addEventListener('click', () => this.saveBreakdown());
+    document.getElementById('breakdown-cancel-btn').addEventListener('click', () => this.closeBreakdownModal());
+
     // Routines
     document.getElementById('routine-name-input').addEventListener('keydown', (e) => {
       if (e.key === 'Enter') this.addRoutine();
@@ -433,10 +716,29 @@ class BattlePlanApp {
     document.getElementById('export-btn').addEventListener('click', () => this.exportData());
     document.getElementById('import-btn').addEventListener('click', () => document.getElementById('import-file').click());
     document.getElementById('import-file').addEventListener('change', (e) => this.importData(e));
+    document.getElementById('ics-export-btn').addEventListener('click', () => this.exportIcs());
+    document.getElementById('ics-import-btn').addEventListener('click', () => document.getElementById('ics-import-file').click());
+    document.getElementById('ics-import-file').addEventListener('change', (e) => this.importIcs(e));
     document.querySelectorAll('.timer-preset').forEach(btn => {
       btn.addEventListener('click', () => this.setTimerPreset(btn));
     });
     document.getElementById('custom-timer').addEventListener('change', (e) => this.setCustomTimer(e));
+    const bindBreakSetting = (id, key, fallback, max) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        db.setSetting(key, Math.min(max, Math.max(1, parseInt(e.target.value) || fallback)));
+      });
+    };
+    bindBreakSetting('setting-short-break', 'focus_short_break_minutes', 5, 60);
+    bindBreakSetting('setting-long-break', 'focus_long_break_minutes', 15, 120);
+    bindBreakSetting('setting-long-break-every', 'focus_long_break_every', 4, 12);
+    document.getElementById('setting-focus-auto-advance').addEventListener('change', (e) => {
+      db.setSetting('focus_auto_advance', e.target.checked);
+    });
+    document.getElementById('setting-focus-sound').addEventListener('change', (e) => {
+      this.focusSound = e.target.checked;
+      db.setSetting('focus_sound', e.target.checked);
+      if (this.focusSound) this.playFocusChime();
+    });
 
     // Capacity settings
     document.getElementById('setting-weekday-capacity').addEventListener('change', (e) => {
@@ -451,6 +753,7 @@ class BattlePlanApp {
       db.setSetting('always_plan_slack_percent', parseInt(e.target.value) || 30);
       this.updateHUD();
     });
+    document.getElementById('add-capacity-exception-btn').addEventListener('click', () => this.addCapacityException());
     document.getElementById('setting-workday-start').addEventListener('change', (e) => {
       db.setSetting('workday_start_hour', parseInt(e.target.value) || 8);
     });
@@ -459,6 +762,13 @@ class BattlePlanApp {
       // Re-check time pressure with new end time
       this.checkTimePressure();
     });
+    document.getElementById('setting-day-start').addEventListener('change', async (e) => {
+      await db.setDayStartHour(parseInt(e.target.value) || 0);
+      // Shifting the day boundary can change which day "today" is
+      await this.checkDayRollover();
+      this.invalidateHudCache();
+      await this._refreshUI();
+    });
 
     // Behavior settings
     document.getElementById('setting-top3-clear').addEventListener('change', (e) => {
@@ -473,6 +783,13 @@ class BattlePlanApp {
       db.setSetting('swipe_threshold', this.swipeThreshold);
     });
 
+    // Spoken replies toggle
+    document.getElementById('setting-voice-replies').addEventListener('change', (e) => {
+      this.voiceRepliesEnabled = e.target.checked;
+      db.setSetting('voice_replies', e.target.checked);
+      if (!e.target.checked) window.speechSynthesis?.cancel();
+    });
+
     // Wake word toggle
     document.getElementById('setting-wake-word').addEventListener('change', (e) => {
       this.wakeWordEnabled = e.target.checked;
@@ -501,14 +818,18 @@ class BattlePlanApp {
       this.requestNotificationPermission();
     });
 
-    // Groq AI settings
-    document.getElementById('setting-groq-enabled').addEventListener('change', (e) => {
-      this.setGroqEnabled(e.target.checked);
+    // AI provider settings
+    document.getElementById('setting-ai-enabled').addEventListener('change', (e) => {
+      this.setAIEnabled(e.target.checked);
     });
-    document.getElementById('save-groq-key-btn').addEventListener('click', () => this.saveGroqApiKey());
-    document.getElementById('test-groq-key-btn').addEventListener('click', () => this.testGroqApiKey());
-    document.getElementById('setting-groq-api-key').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this.saveGroqApiKey();
+    document.getElementById('setting-ai-provider').addEventListener('change', (e) => this.setAIProvider(e.target.value));
+    document.getElementById('save-ai-settings-btn').addEventListener('click', () => this.saveAISettings());
+    document.getElementById('test-ai-connection-btn').addEventListener('click', () => this.testAIConnection());
+    document.getElementById('clear-ai-log-btn').addEventListener('click', () => this.clearAIValidationLog());
+    ['setting-ai-base-url', 'setting-ai-model', 'setting-ai-auth-header', 'setting-ai-api-key'].forEach(id => {
+      document.getElementById(id).addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.saveAISettings();
+      });
     });
 
     // Voice input buttons
@@ -532,15 +853,26 @@ class BattlePlanApp {
       if (e.key === 'Enter') this.addSubtask();
     });
 
-    // Edit Modal - Tag buttons
-    document.querySelectorAll('.tag-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.selectTag(btn.dataset.tag));
+    // Edit Modal - Dependencies
+    document.getElementById('add-blocker-btn').addEventListener('click', () => this.addBlocker());
+
+    // Edit Modal - Tag buttons (rendered from the tag registry)
+    document.getElementById('edit-tag-buttons').addEventListener('click', (e) => {
+      const btn = e.target.closest('.tag-btn');
+      if (btn) this.selectTag(btn.dataset.tag);
+    });
+
+    // Settings - Tags
+    document.getElementById('add-tag-btn').addEventListener('click', () => this.createTag());
+    document.getElementById('new-tag-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.createTag();
     });
 
     // Edit Modal - Preset buttons
     document.querySelectorAll('.preset-btn').forEach(btn => {
       btn.addEventListener('click', () => this.applyPreset(btn.dataset.preset));
     });
+    document.getElementById('rate-for-me-btn').addEventListener('click', () => this.rateForMe());
 
     // Edit Modal - Score buttons (ACE + LMT)
     document.querySelectorAll('.score-buttons').forEach(container => {
@@ -560,12 +892,11 @@ class BattlePlanApp {
       btn.addEventListener('click', () => this.selectConfidence(btn.dataset.confidence));
     });
 
-    // Edit Modal - Recurrence select
-    document.getElementById('edit-recurrence').addEventListener('change', (e) => {
-      const daySelect = document.getElementById('edit-recurrence-day');
-      // Show day selector only for weekly recurrence
-      daySelect.classList.toggle('hidden', e.target.value !== 'weekly');
+    // Edit Modal - Recurrence controls (show only the fields the chosen rule uses)
+    ['edit-recurrence', 'edit-recurrence-month-mode', 'edit-recurrence-end'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.updateRecurrenceControls());
     });
+    document.getElementById('edit-recurrence-interval').addEventListener('input', () => this.updateRecurrenceControls());
 
     // Actual Time Modal
     document.querySelectorAll('.actual-bucket-btn').forEach(btn => {
@@ -600,12 +931,32 @@ class BattlePlanApp {
 
     // Overdue Modal
     document.getElementById('hud-overdue').addEventListener('click', () => this.showOverdueModal());
+    document.getElementById('hud-unrated-btn').addEventListener('click', () => this.openRatingModal());
+
+    // Rate for me (bulk)
+    document.getElementById('rating-apply-btn').addEventListener('click', () => this.applySuggestedRatings());
+    document.getElementById('rating-cancel-btn').addEventListener('click', () => this.closeRatingModal());
     document.getElementById('overdue-reschedule-all-btn').addEventListener('click', () => this.rescheduleAllOverdue());
     document.getElementById('overdue-close-btn').addEventListener('click', () => this.closeOverdueModal());
 
+    // Weekly Review
+    document.getElementById('weekly-review-btn').addEventListener('click', () => this.startWeeklyReview());
+    document.getElementById('review-back-btn').addEventListener('click', () => this.moveReviewStep(-1));
+    document.getElementById('review-next-btn').addEventListener('click', () => this.moveReviewStep(1));
+    document.getElementById('review-close-btn').addEventListener('click', () => this.closeWeeklyReview());
+
     // Focus Mode
     document.getElementById('focus-pause-btn').addEventListener('click', () => this.toggleFocusPause());
     document.getElementById('focus-stop-btn').addEventListener('click', () => this.stopFocus());
+    document.getElementById('focus-interrupt-btn').addEventListener('click', () => this.logFocusInterruption());
+    document.getElementById('focus-skip-btn').addEventListener('click', () => this.finishBreak(0));
+    document.getElementById('focus-switch-btn').addEventListener('click', () => this.toggleFocusSwitchList());
+
+    // Activity history (undo/redo journal)
+    document.getElementById('history-btn').addEventListener('click', () => this.openHistoryPanel());
+    document.getElementById('history-undo-btn').addEventListener('click', () => this.undo());
+    document.getElementById('history-redo-btn').addEventListener('click', () => this.redo());
+    document.getElementById('history-close-btn').addEventListener('click', () => this.closeHistoryPanel());
 
     // Global keyboard shortcuts
     document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
@@ -615,12 +966,17 @@ class BattlePlanApp {
       overlay.addEventListener('click', (e) => {
         if (e.target === overlay) {
           overlay.classList.add('hidden');
+          if (overlay.id === 'review-modal') this.review = null;
+          if (overlay.id === 'project-modal') this.editingProjectId = null;
+          if (overlay.id === 'breakdown-modal') this.breakdown = null;
+          if (overlay.id === 'rating-modal') this.ratingSuggestions = null;
         }
       });
     });
 
     // Load capacity settings on init
     this.loadCapacitySettings();
+    this.renderTagSettings();
   }
 
   async loadCapacitySettings() {
@@ -632,12 +988,14 @@ class BattlePlanApp {
     document.getElementById('setting-weekday-capacity').value = weekday;
     document.getElementById('setting-weekend-capacity').value = weekend;
     document.getElementById('setting-slack').value = slack;
+    await this.renderCapacityCalendar();
 
     // Workday hours
     const workdayStart = await db.getSetting('workday_start_hour', 8);
     const workdayEnd = await db.getSetting('workday_end_hour', 18);
     document.getElementById('setting-workday-start').value = workdayStart;
     document.getElementById('setting-workday-end').value = workdayEnd;
+    document.getElementById('setting-day-start').value = dayClock.dayStartHour;
 
     // Behavior settings
     const top3Clear = await db.getSetting('top3_auto_clear_daily', true);
@@ -648,22 +1006,134 @@ class BattlePlanApp {
     document.getElementById('setting-swipe-gestures').checked = swipeEnabled;
     document.getElementById('setting-swipe-threshold').value = swipeThreshold.toString();
 
-    // Wake word setting
+    // Focus cycle settings
+    const cycle = await db.getFocusCycleConfig();
+    document.getElementById('setting-short-break').value = cycle.shortBreak;
+    document.getElementById('setting-long-break').value = cycle.longBreak;
+    document.getElementById('setting-long-break-every').value = cycle.longEvery;
+    document.getElementById('setting-focus-auto-advance').checked = cycle.autoAdvance;
+    document.getElementById('setting-focus-sound').checked = cycle.sound;
+
+    // Wake word and spoken reply settings
     document.getElementById('setting-wake-word').checked = this.wakeWordEnabled;
+    document.getElementById('setting-voice-replies').checked = this.voiceRepliesEnabled;
 
     // Load notification setting
     document.getElementById('setting-notifications').checked = this.notificationsEnabled;
     this.updateNotificationStatus();
   }
 
-  // ==================== NAVIGATION ====================
+  // ==================== CAPACITY CALENDAR ====================
+
+  /** Minutes input for the capacity calendar; blank means "use the default" */
+  _capacityInput(value, label, placeholder, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.max = '1440';
+    input.value = value != null ? value : '';
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', label);
+    input.addEventListener('change', async () => {
+      await onChange(input.value === '' ? null : input.value);
+      await this._refreshCapacity();
+    });
+    return input;
+  }
 
-  navigateTo(page, pushHistory = true) {
-    // Clean up focus timer if leaving Today page
-    if (this.currentPage === 'today' && page !== 'today' && this.focusTimer) {
-      this.stopFocus();
+  async _refreshCapacity() {
+    this.invalidateHudCache();
+    await this.updateHUD();
+    await this.updateTodayCapacityDisplay();
+  }
+
+  async renderCapacityCalendar() {
+    const weekdays = await db.getWeekdayCapacities();
+    const weekdayDefault = await db.getSetting('weekday_capacity_minutes', 180);
+    const weekendDefault = await db.getSetting('weekend_capacity_minutes', 360);
+    const grid = document.getElementById('weekday-capacity-list');
+    grid.innerHTML = '';
+    // Monday first, the way people plan a week
+    for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+      const row = document.createElement('div');
+      row.className = 'setting-row';
+      const label = document.createElement('label');
+      label.textContent = DAY_NAMES[day];
+      const fallback = day === 0 || day === 6 ? weekendDefault : weekdayDefault;
+      row.append(label, this._capacityInput(weekdays[day], `${DAY_NAMES[day]} capacity`, String(fallback),
+        minutes => db.setWeekdayCapacity(day, minutes)));
+      grid.appendChild(row);
+    }
+
+    const exceptions = await db.getCapacityExceptions();
+    const today = db.getToday();
+    const list = document.getElementById('capacity-exception-list');
+    list.innerHTML = '';
+    const dates = Object.keys(exceptions).filter(d => d >= today).sort();
+    if (dates.length === 0) {
+      list.innerHTML = '<li class="subtask-empty">No date exceptions</li>';
+    }
+    for (const date of dates) {
+      const li = document.createElement('li');
+      li.className = 'tag-setting-row';
+      const label = document.createElement('span');
+      label.className = 'capacity-exception-date';
+      label.textContent = `${dayClock.dayName(date).substring(0, 3)} ${date}`;
+      const remove = document.createElement('button');
+      remove.className = 'subtask-delete';
+      remove.innerHTML = '&times;';
+      remove.setAttribute('aria-label', `Remove ${date}`);
+      remove.addEventListener('click', async () => {
+        await db.setCapacityException(date, null);
+        await this.renderCapacityCalendar();
+        await this._refreshCapacity();
+      });
+      li.append(label, this._capacityInput(exceptions[date], `Capacity on ${date}`, 'min',
+        minutes => db.setCapacityException(date, minutes)), remove);
+      list.appendChild(li);
+    }
+
+    await this.renderTagBudgets();
+  }
+
+  async addCapacityException() {
+    const dateInput = document.getElementById('new-capacity-exception-date');
+    const minutesInput = document.getElementById('new-capacity-exception-minutes');
+    const minutes = parseInt(minutesInput.value);
+    if (!dayClock.isDateStr(dateInput.value) || isNaN(minutes) || minutes < 0) {
+      this.showToast('Pick a date and the minutes available that day', 'warning');
+      return;
+    }
+    if (dateInput.value < db.getToday()) {
+      this.showToast('That date has already passed', 'warning');
+      return;
+    }
+    await db.setCapacityException(dateInput.value, minutes);
+    dateInput.value = '';
+    minutesInput.value = '';
+    await this.renderCapacityCalendar();
+    await this._refreshCapacity();
+  }
+
+  /** One budget input per tag; re-rendered whenever the tag registry changes */
+  async renderTagBudgets() {
+    const budgets = await db.getTagBudgets();
+    const list = document.getElementById('tag-budget-list');
+    list.innerHTML = '';
+    for (const tag of db.getTags()) {
+      const row = document.createElement('div');
+      row.className = 'setting-row';
+      const label = document.createElement('label');
+      label.innerHTML = this.renderTagChip(tag.name);
+      row.append(label, this._capacityInput(budgets[tag.name], `${tag.name} budget`, 'no limit',
+        minutes => db.setTagBudget(tag.name, minutes)));
+      list.appendChild(row);
     }
+  }
+
+  // ==================== NAVIGATION ====================
 
+  navigateTo(page, pushHistory = true) {
     this.currentPage = page;
     this.selectedItemId = null;
 
@@ -671,8 +1141,10 @@ class BattlePlanApp {
       btn.classList.toggle('active', btn.dataset.page === page);
     });
 
+    // Every saved search shares one page section
+    const section = page.startsWith('search-') ? 'saved-search' : page;
     document.querySelectorAll('.page').forEach(p => {
-      p.classList.toggle('active', p.id === `page-${page}`);
+      p.classList.toggle('active', p.id === `page-${section}`);
     });
 
     // Show/hide HUD based on page
@@ -701,6 +1173,203 @@ class BattlePlanApp {
     }
   }
 
+  // ==================== SAVED SEARCHES ====================
+
+  /** One nav button per saved search, after Next */
+  async renderSavedSearchNav() {
+    this.savedSearches = await db.getSavedSearches();
+    document.querySelectorAll('.nav-btn.nav-saved-search').forEach(btn => btn.remove());
+    const anchor = document.querySelector('.nav-btn[data-page="next"]');
+    let previous = anchor;
+    for (const search of this.savedSearches) {
+      const btn = document.createElement('button');
+      btn.className = 'nav-btn nav-saved-search';
+      btn.dataset.page = `search-${search.id}`;
+      btn.textContent = search.name;
+      btn.title = search.query;
+      btn.classList.toggle('active', btn.dataset.page === this.currentPage);
+      btn.addEventListener('click', () => this.navigateTo(btn.dataset.page));
+      previous.after(btn);
+      previous = btn;
+    }
+    this.renderPerspectiveSettings();
+  }
+
+  async renderSavedSearch(id) {
+    const search = this.savedSearches.find(s => s.id === id);
+    if (!search) {
+      this.navigateTo('inbox', false);
+      return;
+    }
+    document.getElementById('saved-search-title').textContent = search.name;
+    document.getElementById('saved-search-query').textContent = search.query || 'All open tasks';
+    const arrangement = [PERSPECTIVE_SORT_LABELS[search.sort]];
+    if (search.group !== 'none') arrangement.push(PERSPECTIVE_GROUP_LABELS[search.group]);
+    document.getElementById('saved-search-arrangement').textContent = arrangement.join(' \u00b7 ');
+
+    try {
+      let items = await db.queryItems(search.query);
+      items = await this.getFilteredItems(items, { scoped: true });
+      const list = document.getElementById('saved-search-list');
+      if (items.length === 0) {
+        list.innerHTML = `<li class="empty-state"><p>${this.searchQuery ? 'No matching items' : 'Nothing matches this search right now'}</p></li>`;
+        return;
+      }
+      let html = '';
+      for (const group of db.groupPerspectiveItems(this.sortPerspectiveItems(items, search.sort), search.group)) {
+        if (group.label) {
+          html += `<li class="perspective-group-header">
+            <span class="perspective-group-name">${this.escapeHtml(group.label)}</span>
+            <span class="perspective-group-meta">${group.items.length} item${group.items.length !== 1 ? 's' : ''}</span>
+          </li>`;
+        }
+        html += group.items.map(item => this.renderItem(item, { showPills: true })).join('');
+      }
+      list.innerHTML = html;
+      this.bindItemEvents();
+    } catch (err) {
+      debugLog('error', 'Error rendering saved search', err);
+      this.showToast('Error loading saved search');
+    }
+  }
+
+  sortPerspectiveItems(items, sort) {
+    const newestFirst = (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0);
+    switch (sort) {
+      case 'due':
+        // Soonest deadline first; no due date last
+        return this.sortByPriority(items).sort((a, b) =>
+          (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31'));
+      case 'created':
+        return items.sort(newestFirst);
+      case 'estimate':
+        // Quick wins first; unestimated last
+        return this.sortByPriority(items).sort((a, b) =>
+          (a.estimate_bucket || Infinity) - (b.estimate_bucket || Infinity));
+      default:
+        return this.sortByPriority(items);
+    }
+  }
+
+  renderPerspectiveSettings() {
+    const list = document.getElementById('perspective-settings-list');
+    list.innerHTML = '';
+    if (this.savedSearches.length === 0) {
+      list.innerHTML = '<li class="subtask-empty">No perspectives yet</li>';
+      return;
+    }
+
+    for (const search of this.savedSearches) {
+      const li = document.createElement('li');
+      li.className = 'tag-setting-row';
+
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'tag-setting-name';
+      name.value = search.name;
+      name.maxLength = SAVED_SEARCH_NAME_MAX;
+      name.setAttribute('aria-label', 'Perspective name');
+      name.addEventListener('change', () => this.updatePerspective(search.id, { name: name.value }));
+
+      const sort = this.buildPerspectiveSelect(PERSPECTIVE_SORT_LABELS, search.sort, `${search.name} sort order`);
+      sort.addEventListener('change', () => this.updatePerspective(search.id, { sort: sort.value }));
+      const group = this.buildPerspectiveSelect(PERSPECTIVE_GROUP_LABELS, search.group, `${search.name} grouping`);
+      group.addEventListener('change', () => this.updatePerspective(search.id, { group: group.value }));
+
+      const remove = document.createElement('button');
+      remove.className = 'subtask-delete';
+      remove.innerHTML = '&times;';
+      remove.setAttribute('aria-label', `Delete ${search.name}`);
+      remove.addEventListener('click', () => this.deleteSavedSearch(search.id));
+
+      const query = document.createElement('input');
+      query.type = 'text';
+      query.className = 'tag-setting-keywords';
+      query.value = search.query;
+      query.maxLength = SAVED_SEARCH_QUERY_MAX;
+      query.placeholder = 'Filter, e.g. tag:Home -status:someday (blank = all open tasks)';
+      query.setAttribute('aria-label', `${search.name} filter`);
+      query.addEventListener('change', () => this.updatePerspective(search.id, { query: query.value }));
+
+      li.append(name, sort, group, remove, query);
+      list.appendChild(li);
+    }
+  }
+
+  buildPerspectiveSelect(labels, value, ariaLabel) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', ariaLabel);
+    for (const [key, label] of Object.entries(labels)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.value = value;
+    return select;
+  }
+
+  async createPerspective() {
+    const nameInput = document.getElementById('new-perspective-name');
+    const queryInput = document.getElementById('new-perspective-query');
+    if (!nameInput.value.trim()) return;
+    const result = await db.addSavedSearch(nameInput.value, queryInput.value, {
+      sort: document.getElementById('new-perspective-sort').value,
+      group: document.getElementById('new-perspective-group').value
+    });
+    if (result.error) {
+      this.showToast(result.message, 'warning');
+      return;
+    }
+    nameInput.value = '';
+    queryInput.value = '';
+    await this.renderSavedSearchNav();
+    this.showToast(`Added "${result.name}" to the menu`, 'success');
+  }
+
+  async updatePerspective(id, updates) {
+    const result = await db.updateSavedSearch(id, updates);
+    if (result.error) this.showToast(result.message, 'warning');
+    await this.renderSavedSearchNav();
+    if (this.currentPage === `search-${id}`) await this.render();
+  }
+
+  /** Save what's in the search box as a page in the nav */
+  async saveCurrentSearch() {
+    const query = this.searchQuery.trim();
+    if (!query) return;
+    const name = prompt('Name this search (shows in the menu):', query.substring(0, 40));
+    if (name === null || !name.trim()) return;
+
+    const result = await db.addSavedSearch(name, query);
+    if (result.error) {
+      this.showToast(result.message, 'warning', 4000);
+      return;
+    }
+    const input = document.getElementById('search-input');
+    input.value = '';
+    this.searchQuery = '';
+    document.getElementById('save-search-btn').classList.add('hidden');
+    await this.renderSavedSearchNav();
+    this.navigateTo(`search-${result.id}`);
+    this.showToast(`Saved "${result.name}"`, 'success');
+  }
+
+  async deleteCurrentSavedSearch() {
+    if (!this.currentPage.startsWith('search-')) return;
+    await this.deleteSavedSearch(this.currentPage.slice('search-'.length));
+  }
+
+  async deleteSavedSearch(id) {
+    const search = this.savedSearches.find(s => s.id === id);
+    if (!search) return;
+    const confirmed = await this.showConfirm(`Delete the saved search "${search.name}"? Tasks are not affected.`);
+    if (!confirmed) return;
+    await db.deleteSavedSearch(id);
+    await this.renderSavedSearchNav();
+    if (this.currentPage === `search-${id}`) this.navigateTo('inbox');
+  }
+
   // ==================== HUD ====================
 
   invalidateHudCache() {
@@ -778,6 +1447,7 @@ class BattlePlanApp {
     document.getElementById('hud-monster-count').textContent = monsterCount;
     document.getElementById('hud-rated').textContent = ratedCount;
     document.getElementById('hud-unrated').textContent = unratedCount;
+    document.getElementById('hud-unrated-btn').disabled = unratedCount === 0;
 
     // Monster visibility
     const monsterEl = document.getElementById('hud-monster');
@@ -827,6 +1497,10 @@ class BattlePlanApp {
     // Cache all items for this render cycle to avoid redundant IndexedDB reads
     await db.beginRenderCache();
     try {
+      this.openBlockers = await db.getOpenBlockerMap();
+      this.focusCounts = await db.getFocusCounts();
+      this.projectNames = await db.getProjectNames();
+      this.aiQueue = await db.getAIQueueMap();
       switch (this.currentPage) {
         case 'inbox':
           await this.renderInbox();
@@ -841,28 +1515,49 @@ class BattlePlanApp {
         case 'next':
           await this.renderByStatus('next');
           break;
-        case 'waiting':
-          await this.renderByStatus('waiting');
+        case 'waiting': {
+          const peopleMode = this.waitingView === 'people';
+          const toggleBtn = document.getElementById('waiting-people-toggle');
+          toggleBtn.textContent = peopleMode ? 'List' : 'By Person';
+          toggleBtn.setAttribute('aria-pressed', String(peopleMode));
+          if (peopleMode) await this.renderWaitingByPerson();
+          else await this.renderByStatus('waiting');
           break;
+        }
         case 'someday':
           await this.renderByStatus('someday');
           break;
         case 'done':
           await this.renderByStatus('done');
           break;
+        case 'projects':
+          await this.renderProjects();
+          break;
         case 'routines':
           await this.renderRoutines();
           break;
         case 'analytics':
           await this.renderAnalytics();
           break;
+        case 'settings':
+          this.renderAIReliability();
+          break;
+        default:
+          if (this.currentPage.startsWith('search-')) {
+            await this.renderSavedSearch(this.currentPage.slice('search-'.length));
+          }
       }
     } finally {
       db.endRenderCache();
     }
   }
 
-  async getFilteredItems(items) {
+  /**
+   * Apply the search box. By default a search spans all items, whatever the
+   * page shows; with scoped it only narrows items (a saved search's results,
+   * the Waiting page's people groups).
+   */
+  async getFilteredItems(items, { scoped = false } = {}) {
     const countEl = document.getElementById('search-count');
 
     if (!this.searchQuery.trim()) {
@@ -871,20 +1566,22 @@ class BattlePlanApp {
       return items;
     }
 
-    const query = this.searchQuery.toLowerCase().trim();
-
-    // Always search across all items globally
-    const allItems = await db.getAllItems();
-    const filtered = allItems.filter(item =>
-      item.status !== 'done' &&
-      (item.text.toLowerCase().includes(query) ||
-      (item.next_action && item.next_action.toLowerCase().includes(query)) ||
-      (item.waiting_on && item.waiting_on.toLowerCase().includes(query)))
-    );
+    // See query.js for the filter syntax
+    const query = taskQuery.parse(this.searchQuery);
+    let filtered = await db.queryItems(this.searchQuery, query);
+    if (scoped) {
+      const matches = new Set(filtered.map(item => item.id));
+      filtered = items.filter(item => matches.has(item.id));
+    }
 
-    // Show search result count
+    // Show search result count, plus any terms that couldn't be read
     if (countEl) {
       countEl.textContent = `${filtered.length} found`;
+      countEl.title = '';
+      if (query.errors.length > 0) {
+        countEl.textContent += ` \u00b7 ignored ${query.errors.join(' ')}`;
+        countEl.title = 'Check the value after the colon, e.g. due:<7d, est:>=60, is:monster';
+      }
       countEl.classList.remove('hidden');
     }
 
@@ -922,6 +1619,18 @@ class BattlePlanApp {
       // Update daily capacity display
       await this.updateTodayCapacityDisplay();
 
+      const timelineMode = this.todayView === 'timeline';
+      document.getElementById('top3-section').classList.toggle('hidden', timelineMode);
+      document.getElementById('today-section').classList.toggle('hidden', timelineMode);
+      document.getElementById('timeline-section').classList.toggle('hidden', !timelineMode);
+      const toggleBtn = document.getElementById('timeline-toggle-btn');
+      toggleBtn.textContent = timelineMode ? 'List' : 'Timeline';
+      toggleBtn.setAttribute('aria-pressed', String(timelineMode));
+      if (timelineMode) {
+        await this.renderTimeline();
+        return;
+      }
+
       let items = await db.getTodayItems();
       items = await this.getFilteredItems(items);
 
@@ -1055,11 +1764,7 @@ class BattlePlanApp {
   getDueUrgency(item) {
     if (!item.dueDate || item.status === 'done') return { tier: '', label: '', daysLeft: null };
 
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-    const due = new Date(item.dueDate + 'T00:00:00');
-    const diffMs = due - now;
-    const daysLeft = Math.ceil(diffMs / (1000 * 60 * 60 * 24));
+    const daysLeft = dayClock.diffDays(db.getToday(), item.dueDate);
 
     if (daysLeft < 0) return { tier: 'urgency-overdue', label: `${Math.abs(daysLeft)}d overdue`, daysLeft };
     if (daysLeft === 0) return { tier: 'urgency-critical', label: 'Due today', daysLeft };
@@ -1069,7 +1774,7 @@ class BattlePlanApp {
   }
 
   renderItem(item, options = {}) {
-    const { showPills = false, isTop3 = false, top3Number = null, showTop3Toggle = false, subtaskProgress = null } = options;
+    const { showPills = false, isTop3 = false, top3Number = null, showTop3Toggle = false, subtaskProgress = null, rolledUpEstimate = null } = options;
 
     const statusClass = `status-${item.status}`;
     const selectedClass = item.id === this.selectedItemId ? 'selected' : '';
@@ -1077,6 +1782,8 @@ class BattlePlanApp {
     const overdueClass = isOverdue ? 'overdue' : '';
     const urgency = this.getDueUrgency(item);
     const urgencyClass = urgency.tier;
+    const blockers = (this.openBlockers && this.openBlockers.get(item.id)) || [];
+    const blockedClass = blockers.length > 0 ? 'blocked' : '';
 
     // Handle date display - fallback to created field for older items
     const createdDate = new Date(item.created_at || item.created);
@@ -1087,12 +1794,13 @@ class BattlePlanApp {
     const badges = db.calculateBadges(item);
     const isRated = db.isRated(item);
 
-    // Build badges HTML
+    // Build badges HTML; a MONSTER without sub-tasks gets a Break it down shortcut
     let badgesHtml = '';
     if (badges.length > 0) {
+      const canBreakDown = badges.includes('MONSTER') && !item.parent_id && !subtaskProgress && item.status !== 'done';
       badgesHtml = `<div class="badges">${badges.map(b =>
         `<span class="badge badge-${b.toLowerCase()}">${b}</span>`
-      ).join('')}</div>`;
+      ).join('')}${canBreakDown ? '<button class="breakdown-item-btn" title="Split into smaller sub-tasks">Break it down</button>' : ''}</div>`;
     }
 
     // Build meta HTML
@@ -1108,20 +1816,40 @@ class BattlePlanApp {
         : `${item.estimate_bucket}m`;
       metaHtml += `<span class="item-bucket">${bucketLabel}</span>`;
     }
+    if (rolledUpEstimate && rolledUpEstimate > (item.estimate_bucket || 0)) {
+      const hours = Math.floor(rolledUpEstimate / 60);
+      const minutes = rolledUpEstimate % 60;
+      const label = `${hours ? `${hours}h` : ''}${minutes ? `${minutes}m` : ''}`;
+      metaHtml += `<span class="item-bucket rolled-up-estimate" title="Including sub-tasks">&Sigma; ${label}</span>`;
+    }
+
+    for (const tag of item.tags || []) {
+      metaHtml += this.renderTagChip(tag);
+    }
+
+    const queued = this.aiQueue && item.status !== 'done' ? this.aiQueue.get(item.id) : null;
+    if (queued && !queued.suggestion) {
+      metaHtml += '<span class="ai-pending-chip" title="Captured while AI was unreachable; it will be parsed when AI is back">AI pending</span>';
+    }
 
-    if (item.tag) {
-      metaHtml += `<span class="tag tag-${item.tag}">${item.tag}</span>`;
+    const projectName = item.project_id && this.projectNames.get(item.project_id);
+    if (projectName) {
+      metaHtml += `<span class="project-chip" title="Project">${this.escapeHtml(projectName)}</span>`;
     }
 
     if (item.recurrence) {
-      const recurrenceLabel = item.recurrence === 'daily' ? 'Daily' : item.recurrence === 'weekly' ? 'Weekly' : 'Monthly';
-      metaHtml += `<span class="recurring-badge">${recurrenceLabel}</span>`;
+      metaHtml += `<span class="recurring-badge">${this.escapeHtml(recurrenceRules.describe(item.recurrence))}</span>`;
     }
 
     if (item.notes) {
       metaHtml += `<span class="notes-badge">Notes</span>`;
     }
 
+    const focusCount = (this.focusCounts && this.focusCounts.get(item.id)) || 0;
+    if (focusCount > 0) {
+      metaHtml += `<span class="focus-count" title="Completed focus sessions">${focusCount} session${focusCount !== 1 ? 's' : ''}</span>`;
+    }
+
     if (subtaskProgress) {
       const isComplete = subtaskProgress.completed === subtaskProgress.total;
       metaHtml += `<span class="subtask-progress ${isComplete ? 'complete' : ''}">${subtaskProgress.completed}/${subtaskProgress.total}</span>`;
@@ -1134,6 +1862,10 @@ class BattlePlanApp {
     if (item.scheduled_for_date) {
       metaHtml += `<span class="item-scheduled">Scheduled: ${item.scheduled_for_date}</span>`;
     }
+    if (item.start_time) {
+      const duration = item.duration_minutes ? ` · ${item.duration_minutes}m` : '';
+      metaHtml += `<span class="item-time">${item.start_time}${duration}</span>`;
+    }
     if (item.dueDate) {
       const dueColorClass = urgency.tier ? `due-${urgency.tier.replace('urgency-', '')}` : '';
       const dueLabel = urgency.label ? ` (${urgency.label})` : '';
@@ -1142,8 +1874,37 @@ class BattlePlanApp {
 
     // Waiting on badge
     let waitingOnHtml = '';
-    if (item.status === 'waiting' && item.waiting_on) {
-      waitingOnHtml = `<div class="waiting-on-badge">${this.escapeHtml(item.waiting_on)}</div>`;
+    const waitingDays = db.getWaitingDays(item);
+    if (item.status === 'waiting') {
+      const parts = [];
+      if (item.waiting_on) parts.push(this.escapeHtml(item.waiting_on));
+      if (waitingDays !== null) parts.push(`${waitingDays}d`);
+      if (item.follow_up_date) parts.push(`follow up ${item.follow_up_date.substring(5)}`);
+      if (parts.length > 0) waitingOnHtml = `<div class="waiting-on-badge">${parts.join(' &middot; ')}</div>`;
+    } else if (item.follow_up_date && item.status === 'today') {
+      // Resurfaced by the daily rollover: chase the person, then Done or back to Waiting
+      const who = item.waiting_on ? ` ${this.escapeHtml(item.waiting_on)}` : '';
+      const since = waitingDays !== null ? ` (waiting ${waitingDays}d)` : '';
+      waitingOnHtml = `<div class="waiting-on-badge follow-up-badge">Follow up${who}${since}</div>`;
+    }
+
+    // Blocked-by badge
+    let blockedHtml = '';
+    if (blockers.length > 0) {
+      const names = blockers.map(b => this.escapeHtml(b.text)).join(', ');
+      blockedHtml = `<div class="blocked-badge" title="Can't start until these are done">Blocked by: ${names}</div>`;
+    }
+
+    // A queued AI parse that came back with more than the capture had: offered, never applied silently
+    let suggestionHtml = '';
+    if (queued && queued.suggestion) {
+      suggestionHtml = `
+        <div class="ai-suggestion">
+          <span class="ai-suggestion-text">AI suggests: ${this.escapeHtml(this.describeAISuggestion(queued.suggestion))}</span>
+          <button class="ai-suggestion-apply">Apply</button>
+          <button class="ai-suggestion-dismiss">Dismiss</button>
+        </div>
+      `;
     }
 
     // Next action
@@ -1176,6 +1937,7 @@ class BattlePlanApp {
       actionsHtml = `
         <div class="item-actions">
           <button class="start-work-btn ${startedClass}">${startBtnText}</button>
+          <button class="focus-btn" title="Start a focus session on this task">Focus</button>
           <button class="done-btn">Done</button>
           <button class="tomorrow-btn">→ Tomorrow</button>
           <button class="top3-toggle ${top3BtnClass}">${top3BtnText}</button>
@@ -1195,13 +1957,14 @@ class BattlePlanApp {
       <div class="swipe-tray swipe-tray-left">
         <button class="swipe-action swipe-edit" data-action="edit">Edit</button>
         <button class="swipe-action swipe-tomorrow" data-action="tomorrow">Tomorrow</button>
+        <button class="swipe-action swipe-focus" data-action="focus">Focus</button>
       </div>
     `;
 
     return `
       <li class="item-wrapper" data-id="${item.id}">
         ${swipeLeftTray}
-        <div class="item ${statusClass} ${selectedClass} ${overdueClass} ${urgencyClass}" data-id="${item.id}">
+        <div class="item ${statusClass} ${selectedClass} ${overdueClass} ${urgencyClass} ${blockedClass}" data-id="${item.id}">
           ${top3Number ? `<span class="top3-badge">${top3Number}${item.top3Locked ? '<span class="lock-icon" title="Locked - survives daily reset">🔒</span>' : ''}</span>` : ''}
           <div class="item-header">
             <div class="item-text">${this.highlightSearch(item.text)}</div>
@@ -1210,6 +1973,8 @@ class BattlePlanApp {
           </div>
           ${nextActionHtml}
           ${waitingOnHtml}
+          ${blockedHtml}
+          ${suggestionHtml}
           ${badgesHtml}
           <div class="item-meta">
             ${metaHtml}
@@ -1228,6 +1993,7 @@ class BattlePlanApp {
       const progress = await db.getSubtaskProgress(item.id);
       if (progress) {
         options.subtaskProgress = progress;
+        options.rolledUpEstimate = await db.getEffectiveEstimate(item);
       }
     }
     return this.renderItem(item, options);
@@ -1286,6 +2052,32 @@ class BattlePlanApp {
           return;
         }
 
+        // Queued AI parse: apply or dismiss its suggestion
+        const suggestionBtn = e.target.closest('.ai-suggestion-apply, .ai-suggestion-dismiss');
+        if (suggestionBtn) {
+          e.stopPropagation();
+          const id = suggestionBtn.closest('.item').dataset.id;
+          if (suggestionBtn.classList.contains('ai-suggestion-apply')) this.applyAISuggestion(id);
+          else this.dismissAISuggestion(id);
+          return;
+        }
+
+        // Break it down (MONSTER badge shortcut)
+        const breakdownBtn = e.target.closest('.breakdown-item-btn');
+        if (breakdownBtn) {
+          e.stopPropagation();
+          this.openBreakdownModal(breakdownBtn.closest('.item').dataset.id);
+          return;
+        }
+
+        // Focus button click
+        const focusBtn = e.target.closest('.focus-btn');
+        if (focusBtn) {
+          e.stopPropagation();
+          this.startFocus(null, focusBtn.closest('.item').dataset.id);
+          return;
+        }
+
         // Done button click
         const doneBtn = e.target.closest('.done-btn');
         if (doneBtn) {
@@ -1475,7 +2267,6 @@ class BattlePlanApp {
       } else {
         // Full swipe left = Tomorrow (with undo support)
         this.animateSwipeOut(wrapper, 'left').then(async () => {
-          await this.saveForUndo(itemId, 'Moved to Tomorrow');
           await db.setTomorrow(itemId);
           await this._refreshUI();
           this.showUndoToast('Moved to Tomorrow');
@@ -1576,7 +2367,6 @@ class BattlePlanApp {
         await this.setItemStatus(itemId, 'done');
         break;
       case 'tomorrow':
-        await this.saveForUndo(itemId, 'Moved to Tomorrow');
         await db.setTomorrow(itemId);
         await this._refreshUI();
         this.showUndoToast('Moved to Tomorrow');
@@ -1584,6 +2374,9 @@ class BattlePlanApp {
       case 'edit':
         this.openEditModal(itemId);
         break;
+      case 'focus':
+        await this.startFocus(null, itemId);
+        break;
     }
   }
 
@@ -1629,7 +2422,8 @@ class BattlePlanApp {
     };
   }
 
-  startVoiceInput(targetInputId) {
+  /** Listen for one command; prompt is the listening toast (a follow-up question shows itself) */
+  startVoiceInput(targetInputId, prompt = 'Listening...') {
     if (!this.voiceSupported || !this.speechRecognition) {
       this.showToast('Voice input not supported in this browser');
       return;
@@ -1659,7 +2453,7 @@ class BattlePlanApp {
     }
 
     // Show listening indicator
-    this.showToast('Listening...', 'listening');
+    this.showToast(prompt, 'listening');
 
     try {
       this.speechRecognition.start();
@@ -1825,16 +2619,29 @@ class BattlePlanApp {
   async handleVoiceResult(transcript) {
     const trimmed = transcript.trim();
 
+    // An answer to "Which one...?" re-runs the command it was asked for
+    const answer = voiceConversation.answer(trimmed);
+    if (answer) {
+      this.stopVoiceInput();
+      if (answer.cancel) this.say('OK, never mind');
+      else await this.executeAICommand({ intent: answer.intent, data: { ...answer.data, item_id: answer.choice.id } }, trimmed);
+      return;
+    }
+    // Anything else is a new command and drops the question
+    voiceConversation.clearQuestion();
+
     // Show processing indicator
     this.showToast('Processing...', 'listening');
 
     // Get context for AI
     const context = await this.getVoiceContext();
 
-    // Use Groq to parse the intent
-    const parsed = await groqAssistant.parseIntent(trimmed, context);
+    // Use the AI provider to parse the intent; when it can't be reached the
+    // phrase parser handles the command and a new task is queued for AI later
+    let parsed = await groqAssistant.parseIntent(trimmed, context);
+    if (parsed.error && groqAssistant.unavailable) parsed = { intent: 'offline', data: {} };
 
-    debugLog('log', 'Groq parsed intent:', parsed);
+    debugLog('log', 'AI parsed intent:', parsed);
 
     // Stop voice input BEFORE executing command so response toasts aren't hidden
     this.stopVoiceInput();
@@ -1855,11 +2662,14 @@ class BattlePlanApp {
         todayCount: todayItems.length,
         inboxCount: inboxItems.length,
         top3Count: top3Items.length,
-        routines: routines.map(r => r.name)
+        routines: routines.map(r => r.name),
+        perspectives: this.savedSearches.map(s => s.name),
+        lastTask: voiceConversation.recentItem()?.text || null,
+        tags: db.getTags()
       };
     } catch (err) {
       debugLog('error', 'Error getting voice context', err);
-      return { currentPage: this.currentPage };
+      return { currentPage: this.currentPage, tags: db.getTags() };
     }
   }
 
@@ -1872,13 +2682,17 @@ class BattlePlanApp {
         break;
 
       case 'complete_task':
-        await this.voiceCompleteTask(data.keyword);
+        await this.voiceCompleteTask(data);
         break;
 
       case 'move_task':
         await this.voiceMoveTask(data);
         break;
 
+      case 'update_task':
+        await this.voiceUpdateTask(data);
+        break;
+
       case 'find_task':
         await this.voiceFindTask(data.keyword);
         break;
@@ -1897,22 +2711,34 @@ class BattlePlanApp {
 
       case 'start_focus':
         this.startFocus(data.minutes);
-        this.showToast(`Focus mode started${data.minutes ? ` for ${data.minutes} min` : ''}`);
+        this.say(`Focus mode started${data.minutes ? ` for ${data.minutes} min` : ''}`);
         break;
 
       case 'stop_focus':
         this.stopFocus();
-        this.showToast('Focus mode stopped');
+        this.say('Focus mode stopped');
         break;
 
       case 'help':
-        this.showToast('Try: "add task...", "go to today", "how many tasks today?"');
+        this.say('Try: "add task...", "go to today", "how many tasks today?"');
         break;
 
-      case 'disabled':
+      case 'disabled': {
         // AI is disabled - use simple command parser
-        await this.executeSimpleVoiceCommand(originalText);
+        const added = await this.executeSimpleVoiceCommand(originalText);
+        if (added) voiceConversation.remember(added);
+        break;
+      }
+
+      case 'offline': {
+        // AI unreachable - simple parser now, AI suggestions for a new task once it's back
+        const added = await this.executeSimpleVoiceCommand(originalText);
+        if (added) {
+          voiceConversation.remember(added);
+          await db.queueForAI(added.id, originalText);
+        }
         break;
+      }
 
       case 'unknown':
       default:
@@ -1924,26 +2750,40 @@ class BattlePlanApp {
 
   async voiceAddTask(data) {
     if (!data.text) {
-      this.showToast('What task would you like to add?');
+      this.say('What task would you like to add?');
       return;
     }
 
     const item = await db.addItem(data.text);
     await this._applyParsedData(item.id, data);
+    voiceConversation.remember(item);
     await this._refreshUI();
 
     // Build descriptive toast message
     let msg = `Added: ${data.text.substring(0, 25)}`;
-    if (data.recurrence) msg += ` (${data.recurrence})`;
+    if (data.recurrence) msg += ` (${recurrenceRules.describe(recurrenceRules.normalize(data.recurrence, data.recurrence_day))})`;
     else if (data.scheduled_date) msg += ` (${data.scheduled_date === db.getToday() ? 'today' : data.scheduled_date})`;
-    this.showToast(msg);
+    this.say(msg);
   }
 
+  /** Phrase-based command parser (no AI). Returns the item when the command added a task. */
   async executeSimpleVoiceCommand(text) {
     // Smart command parser (no AI) - understands natural phrases
     const lower = text.toLowerCase().trim();
     const original = text.trim();
 
+    // ===== FOLLOW-UPS ("it" is the task last talked about) =====
+    const priorityMatch = lower.match(/^(?:and\s+)?(?:make|set|mark)\s+(?:it|that)\s+(?:as\s+)?(?:a\s+)?(high|low)(?:\s+priority)?$/);
+    if (priorityMatch) {
+      await this.voiceUpdateTask({ keyword: null, priority: priorityMatch[1] });
+      return;
+    }
+    const markDoneMatch = lower.match(/^(?:and\s+)?mark\s+(?:the\s+)?(.+?)\s+(?:as\s+)?(?:done|complete|completed|finished)$/);
+    if (markDoneMatch) {
+      await this.voiceCompleteTask({ keyword: markDoneMatch[1].trim() });
+      return;
+    }
+
     // ===== COMPLETION PATTERNS =====
     // "I finished...", "finished...", "did...", "completed...", "I did the...", "just finished..."
     const donePatterns = [
@@ -1954,14 +2794,7 @@ class BattlePlanApp {
     for (const pattern of donePatterns) {
       const match = lower.match(pattern);
       if (match) {
-        const keyword = match[1].trim();
-        const item = await this.findItemByKeyword(keyword);
-        if (item) {
-          await this.setItemStatus(item.id, 'done');
-          this.showToast(`Done: ${item.text.substring(0, 25)}...`);
-        } else {
-          this.showToast(`No task found for "${keyword}"`);
-        }
+        await this.voiceCompleteTask({ keyword: match[1].trim() });
         return;
       }
     }
@@ -1973,42 +2806,29 @@ class BattlePlanApp {
       const item = await db.addItem(taskText);
       await db.setTomorrow(item.id);
       await this.render();
-      this.showToast(`Tomorrow: ${taskText.substring(0, 25)}...`);
-      return;
+      this.say(`Tomorrow: ${taskText.substring(0, 25)}...`);
+      return item;
     }
     if (lower.endsWith(' tomorrow')) {
       const taskText = original.slice(0, -9).trim();
       const item = await db.addItem(taskText);
       await db.setTomorrow(item.id);
       await this.render();
-      this.showToast(`Tomorrow: ${taskText.substring(0, 25)}...`);
-      return;
+      this.say(`Tomorrow: ${taskText.substring(0, 25)}...`);
+      return item;
     }
 
     // "move <task> to tomorrow/today"
     const moveMatch = lower.match(/^move\s+(?:the\s+)?(.+?)\s+to\s+(today|tomorrow)$/);
     if (moveMatch) {
-      const keyword = moveMatch[1].trim();
-      const target = moveMatch[2];
-      const item = await this.findItemByKeyword(keyword);
-      if (item) {
-        if (target === 'tomorrow') {
-          await db.setTomorrow(item.id);
-        } else {
-          await db.setToday(item.id);
-        }
-        await this._refreshUI();
-        this.showToast(`${target === 'tomorrow' ? 'Tomorrow' : 'Today'}: ${item.text.substring(0, 20)}...`);
-      } else {
-        this.showToast(`No task found for "${keyword}"`);
-      }
+      await this.voiceMoveTask({ keyword: moveMatch[1].trim(), target_name: moveMatch[2] });
       return;
     }
 
     // ===== NAVIGATION PATTERNS =====
     // "go to...", "show...", "open...", "take me to...", "switch to...", "view..."
     const navPatterns = [
-      /^(?:go to|show|open|take me to|switch to|view)\s+(?:the\s+)?(?:my\s+)?(inbox|today|tomorrow|next|waiting|someday|done|completed|routines?|stats|statistics|analytics|settings?)$/i
+      /^(?:go to|show|open|take me to|switch to|view)\s+(?:the\s+)?(?:my\s+)?(inbox|today|tomorrow|next|waiting|someday|done|completed|projects?|routines?|stats|statistics|analytics|settings?)$/i
     ];
     for (const pattern of navPatterns) {
       const match = lower.match(pattern);
@@ -2017,13 +2837,19 @@ class BattlePlanApp {
         // Normalize page names
         if (page === 'completed') page = 'done';
         if (page === 'routine') page = 'routines';
+        if (page === 'project') page = 'projects';
         if (page === 'setting') page = 'settings';
         if (page === 'stats' || page === 'statistics') page = 'analytics';
         this.navigateTo(page);
-        this.showToast(`Navigated to ${page}`);
+        this.say(`Navigated to ${page}`);
         return;
       }
     }
+    const perspectiveMatch = lower.match(/^(?:go to|show|open|take me to|switch to|view)\s+(?:the\s+)?(?:my\s+)?(.+?)(?:\s+(?:page|list|perspective))?$/i);
+    if (perspectiveMatch && db.findSavedSearch(this.savedSearches, perspectiveMatch[1])) {
+      await this.voiceNavigate(perspectiveMatch[1]);
+      return;
+    }
 
     // ===== STATS / QUESTIONS =====
     // "how many tasks", "what's on my list", "status", "how am I doing"
@@ -2034,7 +2860,7 @@ class BattlePlanApp {
     for (const pattern of statsPatterns) {
       if (pattern.test(lower)) {
         const stats = await this.gatherFullStats();
-        this.showToast(`Today: ${stats.todayCount} tasks, ${stats.top3Count} in Top 3, ${stats.freeTime} min free`, 'info', 5000);
+        this.say(`Today: ${stats.todayCount} tasks, ${stats.top3Count} in Top 3, ${stats.freeTime} min free`, 'info', 5000);
         return;
       }
     }
@@ -2051,12 +2877,12 @@ class BattlePlanApp {
     // ===== FOCUS TIMER =====
     if (/^(?:start\s+)?focus(?:\s+mode)?$/.test(lower) || lower === 'lets focus' || lower === "let's focus") {
       this.startFocus();
-      this.showToast('Focus mode started');
+      this.say('Focus mode started');
       return;
     }
     if (/^(?:stop|end|cancel)\s+(?:focus|timer)$/.test(lower) || lower === 'stop' || lower === "i'm done") {
       this.stopFocus();
-      this.showToast('Focus mode stopped');
+      this.say('Focus mode stopped');
       return;
     }
     // "focus for 30 minutes" / "25 minute focus" / "pomodoro"
@@ -2065,12 +2891,12 @@ class BattlePlanApp {
     if (focusMatch || focusMatch2) {
       const mins = parseInt((focusMatch || focusMatch2)[1]);
       this.startFocus(mins);
-      this.showToast(`Focus: ${mins} minutes`);
+      this.say(`Focus: ${mins} minutes`);
       return;
     }
     if (lower === 'pomodoro') {
       this.startFocus(25);
-      this.showToast('Pomodoro: 25 minutes');
+      this.say('Pomodoro: 25 minutes');
       return;
     }
 
@@ -2084,7 +2910,7 @@ class BattlePlanApp {
 
     // ===== HELP =====
     if (/^(?:help|what can i say|commands|options)$/.test(lower)) {
-      this.showToast('Try: "buy milk", "finished groceries", "tomorrow call mom", "go to today"', 'info', 6000);
+      this.say('Try: "buy milk", "finished groceries", "tomorrow call mom", "go to today"', 'info', 6000);
       return;
     }
 
@@ -2106,64 +2932,95 @@ class BattlePlanApp {
     for (const pattern of addPrefixes) {
       if (pattern.test(lower)) {
         // Use original text to preserve casing
-        await db.addItem(original);
+        const item = await db.addItem(original);
         await this.render();
-        this.showToast(`Added: ${original.substring(0, 30)}...`);
-        return;
+        this.say(`Added: ${original.substring(0, 30)}...`);
+        return item;
       }
     }
 
     // ===== FALLBACK: Add as task =====
     // Anything not matched is added as a new task
-    await db.addItem(original);
+    const item = await db.addItem(original);
     await this._refreshUI();
-    this.showToast(`Added: ${original.substring(0, 30)}...`);
+    this.say(`Added: ${original.substring(0, 30)}...`);
+    return item;
   }
 
-  async voiceCompleteTask(keyword) {
-    if (!keyword) {
-      this.showToast('Which task should I complete?');
-      return;
-    }
+  async voiceCompleteTask(data) {
+    const item = await this.resolveVoiceItem('complete_task', data, 'Which task should I complete?');
+    if (!item) return;
 
-    const item = await this.findItemByKeyword(keyword);
-    if (item) {
-      await this.setItemStatus(item.id, 'done');
-      this.showToast(`Done: ${item.text.substring(0, 25)}...`);
-    } else {
-      this.showToast(`No task found matching "${keyword}"`);
-    }
+    await this.setItemStatus(item.id, 'done');
+    voiceConversation.remember(item);
+    this.say(`Done: ${item.text.substring(0, 25)}...`);
   }
 
   async voiceMoveTask(data) {
-    if (!data.keyword) {
-      this.showToast('Which task should I move?');
-      return;
-    }
-
-    const item = await this.findItemByKeyword(data.keyword);
-    if (!item) {
-      this.showToast(`No task found matching "${data.keyword}"`);
-      return;
-    }
+    const item = await this.resolveVoiceItem('move_task', data, 'Which task should I move?');
+    if (!item) return;
+    voiceConversation.remember(item);
 
     if (data.target_name === 'tomorrow' || data.target_date === db.getTomorrow()) {
       await db.setTomorrow(item.id);
-      this.showToast(`Moved to tomorrow: ${item.text.substring(0, 20)}...`);
+      this.say(`Moved to tomorrow: ${item.text.substring(0, 20)}...`);
     } else if (data.target_name === 'today' || data.target_date === db.getToday()) {
       await db.setToday(item.id);
-      this.showToast(`Moved to today: ${item.text.substring(0, 20)}...`);
+      this.say(`Moved to today: ${item.text.substring(0, 20)}...`);
     } else if (data.target_date) {
       await db.updateItem(item.id, { scheduled_for_date: data.target_date });
-      this.showToast(`Scheduled for ${data.target_date}: ${item.text.substring(0, 20)}...`);
+      this.say(`Scheduled for ${data.target_date}: ${item.text.substring(0, 20)}...`);
+    }
+
+    await this._refreshUI();
+  }
+
+  /** Follow-ups such as "and make it high priority": priority, due date, estimate, tags, Top 3 */
+  async voiceUpdateTask(data) {
+    const item = await this.resolveVoiceItem('update_task', data, 'Which task should I change?');
+    if (!item) return;
+
+    const updates = {};
+    const changes = [];
+    if (data.priority) {
+      Object.assign(updates, VOICE_PRIORITY_RATINGS[data.priority]);
+      changes.push(`${data.priority} priority`);
+    }
+    if (data.due_date) {
+      updates.dueDate = data.due_date;
+      changes.push(`due ${data.due_date}`);
+    }
+    if (data.estimate_minutes) {
+      updates.estimate_bucket = data.estimate_minutes;
+      if (!item.confidence) updates.confidence = 'medium';
+      changes.push(`${data.estimate_minutes} minutes`);
+    }
+    if (data.tags && data.tags.length > 0) {
+      updates.tags = db.resolveTags([...(item.tags || []), ...data.tags]);
+      changes.push(`tagged ${data.tags.join(', ')}`);
     }
 
+    let top3Error = null;
+    await db.journalGroup(`Updated "${item.text.substring(0, 30)}" by voice`, async scope => {
+      if (Object.keys(updates).length > 0) await scope.updateItem(item.id, updates);
+      if (data.top3) {
+        const result = await scope.setTop3(item.id, true);
+        if (result && result.error) top3Error = result.message;
+        else changes.push('in Top 3');
+      }
+    });
+    voiceConversation.remember(item);
+    this.invalidateHudCache();
     await this._refreshUI();
+
+    if (top3Error) this.say(changes.length > 0 ? `${changes.join(', ')}. ${top3Error}` : top3Error, 'warning', 4000);
+    else if (changes.length > 0) this.say(`${item.text.substring(0, 25)}: ${changes.join(', ')}`);
+    else this.say(`Nothing to change on ${item.text.substring(0, 25)}`);
   }
 
   async voiceFindTask(keyword) {
     if (!keyword) {
-      this.showToast('What task are you looking for?');
+      this.say('What task are you looking for?');
       return;
     }
 
@@ -2176,19 +3033,20 @@ class BattlePlanApp {
     );
 
     if (matches.length === 0) {
-      this.showToast(`No tasks found for "${keyword}"`);
+      this.say(`No tasks found for "${keyword}"`);
     } else if (matches.length === 1) {
       const item = matches[0];
+      voiceConversation.remember(item);
       const location = item.status === 'today' ? 'Today' :
                        item.status === 'inbox' ? 'Inbox' :
                        item.status === 'tomorrow' ? 'Tomorrow' : item.status;
-      this.showToast(`Found in ${location}: ${item.text.substring(0, 30)}`);
+      this.say(`Found in ${location}: ${item.text.substring(0, 30)}`);
       // Navigate to the item's location
       if (['inbox', 'today', 'tomorrow'].includes(item.status)) {
         this.navigateTo(item.status);
       }
     } else {
-      this.showToast(`Found ${matches.length} tasks matching "${keyword}"`);
+      this.say(`Found ${matches.length} tasks matching "${keyword}"`);
     }
   }
 
@@ -2202,6 +3060,8 @@ class BattlePlanApp {
       'someday': 'someday',
       'done': 'done',
       'completed': 'done',
+      'projects': 'projects',
+      'project': 'projects',
       'routines': 'routines',
       'routine': 'routines',
       'analytics': 'analytics',
@@ -2213,17 +3073,25 @@ class BattlePlanApp {
 
     const targetPage = pageMap[page?.toLowerCase()] || page;
 
-    if (targetPage && ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done', 'routines', 'analytics', 'settings'].includes(targetPage)) {
+    if (targetPage && ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done', 'projects', 'routines', 'analytics', 'settings'].includes(targetPage)) {
       this.navigateTo(targetPage);
-      this.showToast(`Navigated to ${targetPage}`);
+      this.say(`Navigated to ${targetPage}`);
+      return;
+    }
+
+    // Perspectives are reachable by name ("go to errands")
+    const perspective = db.findSavedSearch(this.savedSearches, page);
+    if (perspective) {
+      this.navigateTo(`search-${perspective.id}`);
+      this.say(`Navigated to ${perspective.name}`);
     } else {
-      this.showToast(`Unknown page: ${page}`);
+      this.say(`Unknown page: ${page}`);
     }
   }
 
   async voiceRunRoutine(routineName) {
     if (!routineName) {
-      this.showToast('Which routine should I run?');
+      this.say('Which routine should I run?');
       return;
     }
 
@@ -2238,18 +3106,18 @@ class BattlePlanApp {
 
     if (!routine) {
       const names = routines.map(r => r.name).join(', ');
-      this.showToast(`Routine not found. Available: ${names || 'none'}`);
+      this.say(`Routine not found. Available: ${names || 'none'}`);
       return;
     }
 
     if (routine.items.length === 0) {
-      this.showToast(`${routine.name} has no items`);
+      this.say(`${routine.name} has no items`);
       return;
     }
 
     await db.runRoutine(routine.id);
     this.navigateTo('today');
-    this.showToast(`Added ${routine.items.length} items from ${routine.name}`);
+    this.say(`Added ${routine.items.length} items from ${routine.name}`);
   }
 
   async voiceGetStats(statType, originalQuery) {
@@ -2259,7 +3127,7 @@ class BattlePlanApp {
     const response = await groqAssistant.generateStatsResponse(stats, originalQuery);
 
     // Show stats with longer duration (6 seconds)
-    this.showToast(response, 'info', 6000);
+    this.say(response, 'info', 6000);
   }
 
   async gatherFullStats() {
@@ -2269,11 +3137,10 @@ class BattlePlanApp {
     const top3Stats = await db.getTop3Stats();
     const allItems = await db.getAllItems();
 
-    const completedToday = allItems.filter(i => {
-      if (i.status !== 'done' || !i.updated_at) return false;
-      const doneDate = i.updated_at.split('T')[0];
-      return doneDate === db.getToday();
-    }).length;
+    const today = db.getToday();
+    const completedToday = allItems.filter(i =>
+      i.status === 'done' && dayClock.isOnDay(i.completed_at || i.updated_at, today)
+    ).length;
 
     const overdueCount = allItems.filter(i => db.isOverdue(i)).length;
 
@@ -2300,47 +3167,107 @@ class BattlePlanApp {
         input.value = text;
       }
       input.focus();
-      this.showToast('Added text to input');
+      this.say('Added text to input');
       return;
     }
 
     // Otherwise, add as a new task
     await db.addItem(text);
     await this.render();
-    this.showToast(`Added task: ${text.substring(0, 25)}...`);
+    this.say(`Added task: ${text.substring(0, 25)}...`);
   }
 
   async findItemByKeyword(keyword) {
-    // Search in current view first, then all items
-    let items;
+    return (await this.findItemsByKeyword(keyword))[0];
+  }
+
+  /** Open tasks whose text or next action contains keyword, current view's first */
+  async findItemsByKeyword(keyword) {
+    const lower = keyword.toLowerCase();
+    const matches = item =>
+      item.status !== 'done' &&
+      (item.text.toLowerCase().includes(lower) ||
+       (item.next_action && item.next_action.toLowerCase().includes(lower)));
+
+    let viewItems = [];
     if (this.currentPage === 'today') {
-      items = await db.getTodayItems();
+      viewItems = await db.getTodayItems();
     } else if (this.currentPage === 'inbox') {
-      items = await db.getInboxItems();
-    } else {
-      items = await db.getAllItems();
+      viewItems = await db.getInboxItems();
     }
+    const found = viewItems.filter(matches);
+    const seen = new Set(found.map(item => item.id));
+    for (const item of await db.getAllItems()) {
+      if (!seen.has(item.id) && matches(item)) found.push(item);
+    }
+    return found;
+  }
 
-    const lower = keyword.toLowerCase();
+  /**
+   * The task a voice command is about: the one picked in answer to a
+   * question (data.item_id), the last task talked about for "it", or the
+   * keyword's only match (or only exact match). Several matches ask "Which
+   * one...?" and listen for the answer; returns null whenever there is no
+   * task yet, having said why.
+   */
+  async resolveVoiceItem(intent, data, missingPrompt) {
+    if (data.item_id) {
+      const chosen = await db.getItem(data.item_id);
+      if (chosen) return chosen;
+    }
+    if (voiceConversation.isBackReference(data.keyword)) {
+      const recent = voiceConversation.recentItem();
+      const item = recent && await db.getItem(recent.id);
+      if (item) return item;
+      this.say(missingPrompt);
+      return null;
+    }
 
-    // First try exact-ish match in current view
-    let found = items.find(item =>
-      item.status !== 'done' &&
-      (item.text.toLowerCase().includes(lower) ||
-       (item.next_action && item.next_action.toLowerCase().includes(lower)))
-    );
+    const matches = await this.findItemsByKeyword(data.keyword);
+    if (matches.length === 0) {
+      this.say(`No task found matching "${data.keyword}"`);
+      return null;
+    }
+    const exact = matches.filter(item => item.text.toLowerCase() === data.keyword.toLowerCase());
+    if (matches.length === 1 || exact.length === 1) return exact[0] || matches[0];
 
-    // If not found in current view, search all items
-    if (!found) {
-      const allItems = await db.getAllItems();
-      found = allItems.find(item =>
-        item.status !== 'done' &&
-        (item.text.toLowerCase().includes(lower) ||
-         (item.next_action && item.next_action.toLowerCase().includes(lower)))
-      );
+    this.askVoiceQuestion(voiceConversation.ask(intent, data, exact.length > 1 ? exact : matches));
+    return null;
+  }
+
+  // ==================== SPOKEN REPLIES ====================
+
+  /** A voice command's reply: shown as a toast and, with spoken replies on, read aloud */
+  say(message, type = 'info', duration = 3000) {
+    this.showToast(message, type, duration);
+    this.speak(message);
+  }
+
+  /** Read text aloud with the Speech Synthesis API; onDone runs when it finishes (or at once if silent) */
+  speak(text, onDone = null) {
+    const synth = window.speechSynthesis;
+    if (!this.voiceRepliesEnabled || !synth || typeof SpeechSynthesisUtterance === 'undefined') {
+      if (onDone) onDone();
+      return;
     }
+    synth.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = 'en-US';
+    if (onDone) {
+      utterance.onend = onDone;
+      utterance.onerror = onDone;
+    }
+    synth.speak(utterance);
+  }
 
-    return found;
+  /** Ask a follow-up question, then listen for the answer once it has been spoken */
+  askVoiceQuestion(question) {
+    this.showToast(question, 'info', 8000);
+    this.speak(question, () => {
+      if (!this.isListening && voiceConversation.pendingQuestion()) {
+        this.startVoiceInput(this.currentVoiceTarget, question);
+      }
+    });
   }
 
   showToast(message, type = 'info', duration = 3000) {
@@ -2402,34 +3329,7 @@ class BattlePlanApp {
     });
   }
 
-  // ==================== UNDO ====================
-
-  async saveForUndo(itemId, description, type = 'move') {
-    const item = await db.getItem(itemId);
-    if (item) {
-      this.lastAction = {
-        type,
-        itemId,
-        previousState: { ...item },
-        description,
-        timestamp: Date.now()
-      };
-    }
-  }
-
-  async saveDeleteForUndo(itemId, description, subtasks = []) {
-    const item = await db.getItem(itemId);
-    if (item) {
-      this.lastAction = {
-        type: 'delete',
-        itemId,
-        previousState: { ...item },
-        deletedSubtasks: subtasks.map(s => ({ ...s })),
-        description,
-        timestamp: Date.now()
-      };
-    }
-  }
+  // ==================== UNDO / REDO ====================
 
   showUndoToast(message) {
     let toast = document.getElementById('toast');
@@ -2469,42 +3369,83 @@ class BattlePlanApp {
       }
     }, 1000);
 
-    // Auto-hide after 5 seconds
+    // Auto-hide after 5 seconds (undo stays available via Ctrl+Z and the history panel)
     this.undoTimeout = setTimeout(() => {
       if (this.undoCountdownInterval) clearInterval(this.undoCountdownInterval);
       this.hideToast();
-      this.lastAction = null;
     }, CONSTANTS.UNDO_TIMEOUT_MS);
   }
 
   async undo() {
     this.invalidateHudCache(); // Data is changing
-    if (!this.lastAction) {
+    const entry = await db.undo();
+    this.hideToast();
+    if (!entry) {
       this.showToast('Nothing to undo');
       return;
     }
+    this.showToast(`Undone: ${entry.description}`);
+    this.renderTagSettings(); // the step may have changed the tag registry
+    await this._refreshUI();
+    await this.refreshHistoryPanel();
+  }
+
+  async redo() {
+    this.invalidateHudCache(); // Data is changing
+    const entry = await db.redo();
+    this.hideToast();
+    if (!entry) {
+      this.showToast('Nothing to redo');
+      return;
+    }
+    this.showToast(`Redone: ${entry.description}`);
+    this.renderTagSettings(); // the step may have changed the tag registry
+    await this._refreshUI();
+    await this.refreshHistoryPanel();
+  }
 
-    const { type, itemId, previousState, deletedSubtasks } = this.lastAction;
+  // ==================== ACTIVITY HISTORY ====================
 
-    if (type === 'delete') {
-      // Restore deleted item
-      await db.restoreItem(previousState);
-      // Restore any deleted subtasks
-      if (deletedSubtasks && deletedSubtasks.length > 0) {
-        for (const subtask of deletedSubtasks) {
-          await db.restoreItem(subtask);
-        }
-      }
+  async openHistoryPanel() {
+    await this.renderHistoryList();
+    document.getElementById('history-modal').classList.remove('hidden');
+  }
+
+  closeHistoryPanel() {
+    document.getElementById('history-modal').classList.add('hidden');
+  }
+
+  /** Re-render the history list only when the panel is open */
+  async refreshHistoryPanel() {
+    const modal = document.getElementById('history-modal');
+    if (modal && !modal.classList.contains('hidden')) await this.renderHistoryList();
+  }
+
+  async renderHistoryList() {
+    const entries = await db.getJournal();
+    const list = document.getElementById('history-list');
+
+    if (entries.length === 0) {
+      list.innerHTML = '<li class="history-empty">No changes recorded yet</li>';
     } else {
-      // Restore the previous state (for moves)
-      await db.updateItem(itemId, previousState);
+      list.innerHTML = entries.map(entry => {
+        const when = new Date(entry.created_at);
+        const time = dayClock.isOnDay(entry.created_at, db.getToday())
+          ? when.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+          : when.toLocaleDateString();
+        const taskOps = entry.ops.filter(op => !op.store || op.store === 'items').length;
+        const count = taskOps > 1 ? `<span class="history-count">${taskOps} tasks</span>` : '';
+        return `<li class="history-entry ${entry.undone ? 'undone' : ''}">
+          <span class="history-desc">${this.escapeHtml(entry.description)}</span>
+          ${count}
+          <span class="history-time">${time}</span>
+        </li>`;
+      }).join('');
     }
 
-    this.hideToast();
-    this.lastAction = null;
-    this.showToast('Undone!');
-
-    await this._refreshUI();
+    const { canUndo, canRedo } = await db.canUndoRedo();
+    document.getElementById('history-undo-btn').disabled = !canUndo;
+    document.getElementById('history-redo-btn').disabled = !canRedo;
   }
 
   // ==================== NOTIFICATIONS ====================
@@ -2558,7 +3499,7 @@ class BattlePlanApp {
       return;
     }
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = db.getToday();
 
     // Only check once per day
     if (this.lastNotificationCheck === today) {
@@ -2587,11 +3528,7 @@ class BattlePlanApp {
 
   getDaysUntilDue(dueDate) {
     if (!dueDate) return null;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const due = new Date(dueDate + 'T00:00:00');
-    const diffTime = due.getTime() - today.getTime();
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    return dayClock.diffDays(db.getToday(), dueDate);
   }
 
   // ==================== TIME PRESSURE ====================
@@ -2614,12 +3551,35 @@ class BattlePlanApp {
       interval = 10 * 60 * 1000; // 10 min
     }
 
-    this.timePressureTimer = setTimeout(() => {
+    this.timePressureTimer = setTimeout(async () => {
+      await this.checkDayRollover();
       this.checkTimePressure();
       this.scheduleNextTimePressureCheck();
     }, interval);
   }
 
+  /**
+   * Run daily maintenance when the duty day changes while the app is open.
+   * Uses the local day model so rollover happens at "day starts at", not UTC midnight.
+   */
+  async checkDayRollover() {
+    const today = db.getToday();
+    if (this.currentDay === today) return;
+    this.currentDay = today;
+
+    const result = await db.runDailyMaintenance();
+    this.invalidateHudCache();
+    await this._refreshUI();
+    if (result.rolledCount > 0) {
+      this.showToast(`New day: ${result.rolledCount} task${result.rolledCount !== 1 ? 's' : ''} moved to Today`);
+    }
+    if (result.followUpCount > 0) setTimeout(() => this.announceFollowUps(result.followUpCount), 3000);
+  }
+
+  announceFollowUps(count) {
+    this.showToast(`${count} waiting item${count !== 1 ? 's' : ''} due for a follow-up — back on Today`, 'warning', 5000);
+  }
+
   /**
    * Proactive time-pressure check. Compares remaining tasks
    * against remaining hours in the day and prompts rerack if needed.
@@ -2748,23 +3708,27 @@ class BattlePlanApp {
 
     try {
       // Try NLP smart-parse if AI is enabled and input looks like natural language
-      const parsed = await this.smartParseTask(text);
+      const { parsed, missedAI } = await this.smartParseTask(text);
 
+      let item;
       if (parsed && parsed.text) {
-        const item = await db.addItem(parsed.text);
+        item = await db.addItem(parsed.text);
         await this._applyParsedData(item.id, parsed);
         input.value = '';
 
         const parts = [parsed.text.substring(0, 25)];
-        if (parsed.recurrence) parts.push(parsed.recurrence);
-        if (parsed.tag) parts.push(parsed.tag);
+        if (parsed.recurrence) parts.push(recurrenceRules.describe(recurrenceRules.normalize(parsed.recurrence, parsed.recurrence_day)));
+        const tags = db.resolveTags(parsed.tags || [parsed.tag]);
+        if (tags.length > 0) parts.push(tags.join(', '));
         if (parsed.scheduled_date && !parsed.recurrence) parts.push(parsed.scheduled_date);
         this.showToast(`Smart add: ${parts.join(' | ')}`);
       } else {
         // No parse or AI disabled — add as plain text
-        await db.addItem(text);
+        item = await db.addItem(text);
         input.value = '';
       }
+      // AI couldn't be reached: keep the text so it gets the AI parse later
+      if (missedAI) await db.queueForAI(item.id, text);
 
       await this.render();
       input.focus();
@@ -2775,61 +3739,42 @@ class BattlePlanApp {
   }
 
   /**
-   * Try to NLP-parse task input. Returns parsed data or null.
+   * Try to NLP-parse task input. Returns { parsed, missedAI }: parsed data or
+   * null, and whether the AI parse was wanted but the provider was offline or
+   * rate-limited (parsed is then the regex parse).
    * Only calls AI if input contains temporal/recurrence keywords.
    */
   async smartParseTask(text) {
     // Only attempt NLP if AI is available
-    if (!groqAssistant.shouldUseAI()) return this.regexParseTask(text);
+    if (!groqAssistant.shouldUseAI()) return { parsed: this.regexParseTask(text), missedAI: false };
 
     // Check if input has keywords worth parsing (avoid API calls for "Buy milk")
-    const nlpKeywords = /\b(every|daily|weekly|monthly|tomorrow|today|next|monday|tuesday|wednesday|thursday|friday|saturday|sunday|at \d|by |due |in \d+ days?|morning|afternoon|evening)\b/i;
-    if (!nlpKeywords.test(text)) return this.regexParseTask(text);
+    const nlpKeywords = /\b(every|daily|weekly|monthly|weekdays?|tomorrow|today|next|monday|tuesday|wednesday|thursday|friday|saturday|sunday|at \d|by |due |in \d+ days?|morning|afternoon|evening)\b/i;
+    if (!nlpKeywords.test(text)) return { parsed: this.regexParseTask(text), missedAI: false };
 
-    // Call Groq for smart parsing
-    return await groqAssistant.parseTaskInput(text);
+    // Call the AI provider for smart parsing
+    const parsed = await groqAssistant.parseTaskInput(text, db.getTags());
+    if (parsed) return { parsed, missedAI: false };
+    return { parsed: this.regexParseTask(text), missedAI: groqAssistant.unavailable };
   }
 
   /**
    * Offline regex-based task parser for common patterns.
-   * Handles: "every [day]", "tomorrow", "daily", "weekly"
+   * Handles: "every [day]", "every other friday", "mon/wed/fri", "weekdays",
+   * "first saturday of the month", "every 15th", "every 3 days",
+   * "3 days after I last mowed", "until YYYY-MM-DD", "10 times", "tomorrow"
    */
   regexParseTask(text) {
     const lower = text.toLowerCase();
     let taskText = text;
     let recurrence = null;
-    let recurrence_day = null;
     let scheduled_date = null;
-    let tag = null;
 
-    const dayMap = { sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6 };
-
-    // "every [dayname]"
-    const everyDayMatch = lower.match(/\bevery\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i);
-    if (everyDayMatch) {
-      recurrence = 'weekly';
-      recurrence_day = dayMap[everyDayMatch[1].toLowerCase()];
-      taskText = text.replace(/\s*every\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\s*/i, ' ').trim();
-      // Calculate next occurrence
-      const today = new Date();
-      let daysUntil = recurrence_day - today.getDay();
-      if (daysUntil <= 0) daysUntil += 7;
-      const next = new Date(today);
-      next.setDate(today.getDate() + daysUntil);
-      scheduled_date = next.toISOString().split('T')[0];
-    }
-
-    // "every day" / "daily"
-    if (!recurrence && /\b(every\s*day|daily)\b/i.test(lower)) {
-      recurrence = 'daily';
-      taskText = text.replace(/\s*(every\s*day|daily)\s*/i, ' ').trim();
-      scheduled_date = db.getToday();
-    }
-
-    // "every month" / "monthly"
-    if (!recurrence && /\b(every\s*month|monthly)\b/i.test(lower)) {
-      recurrence = 'monthly';
-      taskText = text.replace(/\s*(every\s*month|monthly)\s*/i, ' ').trim();
+    const parsedRule = this._regexParseRecurrence(taskText);
+    if (parsedRule) {
+      recurrence = parsedRule.rule;
+      taskText = parsedRule.text;
+      if (!recurrence.from_completion) scheduled_date = recurrenceRules.firstOnOrAfter(recurrence, db.getToday());
     }
 
     // "tomorrow"
@@ -2838,17 +3783,97 @@ class BattlePlanApp {
       taskText = taskText.replace(/\s*tomorrow\s*/i, ' ').trim();
     }
 
-    // Strip time references (not stored yet, but clean the text)
-    taskText = taskText.replace(/\s*at\s+\d{1,2}(?::\d{2})?\s*(?:am|pm)?\s*/i, ' ').trim();
+    // "at 3pm", "at 15:30" -> start time
+    let start_time = null;
+    const timeMatch = taskText.match(/\s*\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b\s*/i);
+    if (timeMatch && (timeMatch[2] || timeMatch[3])) {
+      let hour = parseInt(timeMatch[1]);
+      const meridiem = (timeMatch[3] || '').toLowerCase();
+      if (meridiem === 'pm' && hour < 12) hour += 12;
+      if (meridiem === 'am' && hour === 12) hour = 0;
+      const candidate = `${String(hour).padStart(2, '0')}:${timeMatch[2] || '00'}`;
+      if (dayClock.parseTime(candidate)) start_time = candidate;
+      taskText = taskText.replace(timeMatch[0], ' ').trim();
+    }
+
+    // "for 45 min", "for 2 hours" -> duration
+    let duration_minutes = null;
+    const durationMatch = taskText.match(/\s*\bfor\s+(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)\b\s*/i);
+    if (durationMatch) {
+      const amount = parseFloat(durationMatch[1]);
+      duration_minutes = Math.round(/^h/i.test(durationMatch[2]) ? amount * 60 : amount);
+      taskText = taskText.replace(durationMatch[0], ' ').trim();
+    }
 
-    // Simple tag inference
-    if (/\b(lawn|mow|house|clean|cook|repair|garage|laundry|dishes)\b/i.test(lower)) tag = 'Home';
-    else if (/\b(pt|drill|formation|army|ruck|range)\b/i.test(lower)) tag = 'Army';
-    else if (/\b(client|invoice|business|money|marketing|website|sales)\b/i.test(lower)) tag = 'Business';
+    // Tag inference from each tag's keywords (Settings > Tags)
+    const tags = db.inferTags(lower);
 
     // Only return parsed data if we found something
-    if (recurrence || scheduled_date || tag) {
-      return { text: taskText || text, scheduled_date, recurrence, recurrence_day, tag, due_date: null, estimate_minutes: null };
+    if (recurrence || scheduled_date || tags.length > 0 || start_time || duration_minutes) {
+      return { text: taskText || text, scheduled_date, recurrence, tags, start_time, duration_minutes, due_date: null, estimate_minutes: null };
+    }
+    return null;
+  }
+
+  /** Find a repeat phrase in text; returns { rule, text } with the phrase stripped, or null */
+  _regexParseRecurrence(text) {
+    const DAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)';
+    const dayIndex = name => ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.toLowerCase().substring(0, 3));
+    const ordinals = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+    const unitFreq = { day: 'daily', week: 'weekly', month: 'monthly' };
+    const toInterval = n => (n === 'other' ? 2 : parseInt(n));
+
+    const patterns = [
+      // "3 days after I last mowed", "every 2 weeks after completion"
+      [/\b(?:every\s+)?(\d+)\s+(day|week|month)s?\s+(?:after|from)\s+(?:(?:i|it)\s+)?(?:last\s+)?(?:done|completion|complete[ds]?|finish(?:ed|ing)?|[a-z]+ed)\b/i,
+        m => ({ freq: unitFreq[m[2].toLowerCase()], interval: parseInt(m[1]), from_completion: true })],
+      // "first saturday of the month", "last friday of every month"
+      [new RegExp(`\\b(?:every\\s+|on\\s+)?(?:the\\s+)?(first|1st|second|2nd|third|3rd|fourth|4th|last)\\s+${DAY}\\s+(?:of\\s+)?(?:the|each|every)\\s+month\\b`, 'i'),
+        m => ({ freq: 'monthly', nth: { week: ordinals[m[1].toLowerCase()], weekday: dayIndex(m[2]) } })],
+      // "every weekday", "weekdays only"
+      [/\b(?:every\s+weekday|(?:on\s+)?weekdays(?:\s+only)?)\b/i,
+        () => ({ freq: 'weekly', weekdays: [1, 2, 3, 4, 5] })],
+      // "every 2 weeks on friday"
+      [new RegExp(`\\bevery\\s+(\\d+|other)\\s+weeks?\\s+on\\s+${DAY}\\b`, 'i'),
+        m => ({ freq: 'weekly', interval: toInterval(m[1].toLowerCase()), weekdays: [dayIndex(m[2])] })],
+      // "mon/wed/fri", "every monday and thursday"
+      [new RegExp(`\\b(every\\s+)?(${DAY}(?:\\s*(?:/|,|&|and)\\s*${DAY})+)\\b`, 'i'),
+        m => (m[1] || m[2].includes('/'))
+          ? { freq: 'weekly', weekdays: m[2].split(/\s*(?:\/|,|&|\band\b)\s*/i).map(dayIndex) }
+          : null],
+      // "every friday", "every other friday"
+      [new RegExp(`\\bevery\\s+(other\\s+)?${DAY}\\b`, 'i'),
+        m => ({ freq: 'weekly', interval: m[1] ? 2 : 1, weekdays: [dayIndex(m[2])] })],
+      // "every 3 days", "every other week"
+      [/\bevery\s+(\d+|other)\s+(day|week|month)s?\b/i,
+        m => ({ freq: unitFreq[m[2].toLowerCase()], interval: toInterval(m[1].toLowerCase()) })],
+      // "every 15th", "on the 1st of every month"
+      [/\b(?:every|on\s+the)\s+(\d{1,2})(?:st|nd|rd|th)(?:\s+of\s+(?:the|each|every)\s+month)?\b/i,
+        m => ({ freq: 'monthly', month_day: parseInt(m[1]) })],
+      [/\b(?:every\s*day|daily)\b/i, () => ({ freq: 'daily' })],
+      [/\b(?:every\s+week|weekly)\b/i, () => ({ freq: 'weekly' })],
+      [/\b(?:every\s+month|monthly)\b/i, () => ({ freq: 'monthly' })]
+    ];
+
+    for (const [regex, build] of patterns) {
+      const m = text.match(regex);
+      const spec = m && build(m);
+      if (!spec) continue;
+
+      let remaining = text.replace(m[0], ' ');
+      const until = remaining.match(/\buntil\s+(\d{4}-\d{2}-\d{2})\b/i);
+      if (until) {
+        spec.until = until[1];
+        remaining = remaining.replace(until[0], ' ');
+      }
+      const count = remaining.match(/\b(?:for\s+)?(\d+)\s+times\b/i);
+      if (count) {
+        spec.count = parseInt(count[1]);
+        remaining = remaining.replace(count[0], ' ');
+      }
+
+      const rule = recurrenceRules.normalize(spec);
+      if (rule) return { rule, text: remaining.replace(/\s+/g, ' ').trim() };
     }
     return null;
   }
@@ -2857,13 +3882,12 @@ class BattlePlanApp {
     this.invalidateHudCache(); // Data is changing
     const item = await db.getItem(id);
 
-    // Save for undo before making changes
-    await this.saveForUndo(id, `Moved to ${status}`);
-
     if (status === 'done') {
       // Complete immediately - actual time from start/done pair or uses estimate
-      await db.completeTask(id);
+      const completed = await db.completeTask(id);
       await this._refreshUI();
+      this.announceUnblocked(completed);
+      await this.announceStalledProject(completed);
       // Check if day needs rebalancing (drift-based)
       await this.checkDriftRerack(id);
       return;
@@ -2882,6 +3906,9 @@ class BattlePlanApp {
       this.pendingWaitingId = id;
       const input = document.getElementById('waiting-input');
       input.value = item.waiting_on || '';
+      // A passed follow-up date would resurface it again tomorrow, so start blank
+      const followUp = item.follow_up_date && item.follow_up_date > db.getToday() ? item.follow_up_date : '';
+      document.getElementById('waiting-follow-up').value = followUp;
       document.getElementById('waiting-modal').classList.remove('hidden');
       input.focus();
       return; // Modal will handle the rest
@@ -2917,7 +3944,7 @@ class BattlePlanApp {
 
   // ==================== TOP 3 SUGGESTION ====================
 
-  async suggestTop3() {
+  async suggestTop3(scope = db) {
     const suggestion = await db.suggestTop3();
 
     if (suggestion.suggested.length === 0) {
@@ -2930,7 +3957,7 @@ class BattlePlanApp {
       return;
     }
 
-    await db.applyTop3Suggestion(suggestion);
+    await scope.applyTop3Suggestion(suggestion);
 
     // Show message if applicable
     const msgEl = document.getElementById('suggestion-message');
@@ -2945,16 +3972,18 @@ class BattlePlanApp {
   }
 
   async rebuildTop3() {
-    // Clear current Top 3 first
-    const allItems = await db.getAllItems();
-    for (const item of allItems) {
-      if (item.isTop3) {
-        await db.updateItem(item.id, BattlePlanDB.CLEAR_TOP3);
+    await db.journalGroup('Rebuilt Top 3', async scope => {
+      // Clear current Top 3 first
+      const allItems = await scope.getAllItems();
+      for (const item of allItems) {
+        if (item.isTop3) {
+          await scope.updateItem(item.id, BattlePlanDB.CLEAR_TOP3);
+        }
       }
-    }
 
-    // Then suggest new ones
-    await this.suggestTop3();
+      // Then suggest new ones
+      await this.suggestTop3(scope);
+    });
   }
 
   async autoBalance() {
@@ -2984,26 +4013,28 @@ class BattlePlanApp {
 
     let movedCount = 0;
 
-    // Move lowest-priority non-Top 3 items to Tomorrow
-    for (const item of others) {
-      if (totalBuffered <= usableCapacity) break;
-
-      await db.setTomorrow(item.id);
-      totalBuffered -= item.bufferedMinutes;
-      movedCount++;
-    }
-
-    // If still over capacity after moving all non-Top 3, remove lowest Top 3
-    if (totalBuffered > usableCapacity) {
-      const top3Sorted = [...top3].sort((a, b) => (a.priority_score || 0) - (b.priority_score || 0));
-      for (const item of top3Sorted) {
+    await db.journalGroup('Auto-balanced Today', async scope => {
+      // Move lowest-priority non-Top 3 items to Tomorrow
+      for (const item of others) {
         if (totalBuffered <= usableCapacity) break;
 
-        await db.setTomorrow(item.id);
+        await scope.setTomorrow(item.id);
         totalBuffered -= item.bufferedMinutes;
         movedCount++;
       }
-    }
+
+      // If still over capacity after moving all non-Top 3, remove lowest Top 3
+      if (totalBuffered > usableCapacity) {
+        const top3Sorted = [...top3].sort((a, b) => (a.priority_score || 0) - (b.priority_score || 0));
+        for (const item of top3Sorted) {
+          if (totalBuffered <= usableCapacity) break;
+
+          await scope.setTomorrow(item.id);
+          totalBuffered -= item.bufferedMinutes;
+          movedCount++;
+        }
+      }
+    });
 
     this.showToast(`Moved ${movedCount} task${movedCount !== 1 ? 's' : ''} to Tomorrow`);
 
@@ -3053,10 +4084,107 @@ class BattlePlanApp {
     btn.classList.toggle('overridden', override !== null);
   }
 
+  // ==================== TIMELINE ====================
+
+  toggleTodayView() {
+    this.todayView = this.todayView === 'timeline' ? 'list' : 'timeline';
+    localStorage.setItem('battlePlanTodayView', this.todayView);
+    this.render();
+  }
+
+  toggleWaitingView() {
+    this.waitingView = this.waitingView === 'people' ? 'list' : 'people';
+    localStorage.setItem('battlePlanWaitingView', this.waitingView);
+    this.render();
+  }
+
+  /** Waiting page grouped by person, longest wait first */
+  async renderWaitingByPerson() {
+    const list = document.getElementById('waiting-list');
+    const groups = await db.getWaitingByPerson();
+    const matches = await this.getFilteredItems(groups.flatMap(group => group.items), { scoped: true });
+    const matchIds = new Set(matches.map(item => item.id));
+    let html = '';
+    for (const group of groups) {
+      const items = group.items.filter(item => matchIds.has(item.id));
+      if (items.length === 0) continue;
+      const name = group.person ? this.escapeHtml(group.person) : 'Not specified';
+      const due = group.followUpsDue > 0 ? ` &middot; <span class="waiting-followup-due">${group.followUpsDue} to chase</span>` : '';
+      html += `<li class="waiting-person-header">
+        <span class="waiting-person-name">${name}</span>
+        <span class="waiting-person-meta">${items.length} item${items.length !== 1 ? 's' : ''} &middot; longest ${group.oldestDays}d${due}</span>
+      </li>`;
+      html += items.map(item => this.renderItem(item, { showPills: true })).join('');
+    }
+    list.innerHTML = html || `<li class="empty-state"><p>${this.searchQuery ? 'No matching items' : 'No waiting items'}</p></li>`;
+    this.bindItemEvents();
+  }
+
+  /** Today laid out in clock time between the workday start and end hours */
+  async renderTimeline() {
+    const { blocks, untimed, window } = await db.getTimeline();
+    const container = document.getElementById('timeline');
+    const px = CONSTANTS.TIMELINE_PX_PER_MINUTE;
+    const totalMinutes = Math.round((window.end - window.start) / 60000);
+    const offset = date => Math.round((date - window.start) / 60000);
+
+    let html = '';
+    for (let m = 0; m <= totalMinutes; m += 60) {
+      const label = dayClock.formatTime(new Date(window.start.getTime() + m * 60000));
+      html += `<div class="timeline-hour" style="top:${m * px}px"><span>${label}</span></div>`;
+    }
+
+    const outside = [];
+    for (const block of blocks) {
+      const top = Math.max(0, offset(block.start));
+      const bottom = Math.min(totalMinutes, offset(block.end));
+      if (bottom <= top) {
+        outside.push(block.item);
+        continue;
+      }
+      const height = Math.max(CONSTANTS.TIMELINE_MIN_BLOCK_PX, (bottom - top) * px);
+      const tagColor = block.item.tag ? `;border-left-color:${db.getTagColor(block.item.tag)}` : '';
+      html += `<div class="timeline-block ${block.fixed ? 'timeline-fixed' : ''}" data-id="${block.item.id}" style="top:${top * px}px;height:${height}px${tagColor}" role="button" tabindex="0">
+        <span class="timeline-block-time">${dayClock.formatTime(block.start)}–${dayClock.formatTime(block.end)}</span>
+        <span class="timeline-block-text">${this.escapeHtml(block.item.text)}</span>
+      </div>`;
+    }
+
+    const nowOffset = offset(new Date());
+    if (nowOffset >= 0 && nowOffset <= totalMinutes) {
+      html += `<div class="timeline-now" style="top:${nowOffset * px}px"></div>`;
+    }
+
+    container.style.height = `${totalMinutes * px}px`;
+    container.innerHTML = html;
+    container.querySelectorAll('.timeline-block').forEach(el => {
+      el.addEventListener('click', () => this.openEditModal(el.dataset.id));
+      el.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.openEditModal(el.dataset.id); });
+    });
+
+    // Items without a time (or outside the workday) stay actionable below the grid
+    const rest = [...outside, ...untimed];
+    document.getElementById('timeline-untimed-section').classList.toggle('hidden', rest.length === 0);
+    const results = await Promise.allSettled(this.sortByPriority(rest).map(item =>
+      this.renderItemAsync(item, { showTop3Toggle: true })
+    ));
+    document.getElementById('timeline-untimed').innerHTML = results
+      .filter(r => r.status === 'fulfilled')
+      .map(r => r.value)
+      .join('');
+    this.bindItemEvents();
+  }
+
   // ==================== AUTO-SCHEDULE ====================
 
   async showAutoSchedule() {
-    const result = await db.autoScheduleToday();
+    const filterSelect = document.getElementById('schedule-project-filter');
+    await this.renderScheduleProjectFilter(filterSelect);
+    const [mode, projectId] = filterSelect.value ? filterSelect.value.split(':') : [];
+    const result = await db.autoScheduleToday({
+      onlyProject: mode === 'only' ? projectId : null,
+      skipProject: mode === 'skip' ? projectId : null
+    });
     this._pendingSchedule = result;
 
     const modal = document.getElementById('schedule-modal');
@@ -3066,17 +4194,21 @@ class BattlePlanApp {
     let html = '';
 
     // Capacity header
-    html += `<div class="schedule-capacity">Capacity: <strong>${result.usedMinutes}</strong> / ${result.capacity} min</div>`;
+    html += `<div class="schedule-capacity">Capacity: <strong>${result.usedMinutes}</strong> / ${result.capacity} min${this.renderBudgetSummary(result.budgets)}</div>`;
 
-    // Keep section
+    // Keep section, in clock order
     if (result.keep.length > 0) {
       html += `<div class="schedule-section-label schedule-keep-label">Keep Today (${result.keep.reduce((s, i) => s + i.bufferedMinutes, 0)} min)</div>`;
-      for (const item of result.keep) {
+      const keepById = new Map(result.keep.map(i => [i.id, i]));
+      for (const block of result.blocks) {
+        const item = keepById.get(block.id);
         const score = item.priority_score != null ? item.priority_score : '?';
         const badges = item.badges && item.badges.length > 0 ? ` <span class="schedule-badges">${item.badges.join(' ')}</span>` : '';
-        html += `<div class="schedule-item schedule-item-keep">
+        const time = `${dayClock.formatTime(block.start)}–${dayClock.formatTime(block.end)}`;
+        html += `<div class="schedule-item schedule-item-keep ${block.fixed ? 'schedule-item-fixed' : ''}">
+          <span class="schedule-item-time">${time}</span>
           <span class="schedule-item-text">${this.escapeHtml(item.text)}${badges}</span>
-          <span class="schedule-item-meta">${item.bufferedMinutes}m &middot; ${score}pts</span>
+          <span class="schedule-item-meta">${block.minutes}m &middot; ${block.fixed ? 'fixed' : `${score}pts`}</span>
         </div>`;
       }
     }
@@ -3086,16 +4218,18 @@ class BattlePlanApp {
       html += `<div class="schedule-section-label schedule-overflow-label">Push to Tomorrow (${result.overflow.reduce((s, i) => s + i.bufferedMinutes, 0)} min)</div>`;
       for (const item of result.overflow) {
         const score = item.priority_score != null ? item.priority_score : '?';
+        const reason = item.reason ? ` &middot; ${this.escapeHtml(item.reason)}` : '';
         html += `<div class="schedule-item schedule-item-overflow">
           <span class="schedule-item-text">${this.escapeHtml(item.text)}</span>
-          <span class="schedule-item-meta">${item.bufferedMinutes}m &middot; ${score}pts</span>
+          <span class="schedule-item-meta">${item.bufferedMinutes}m &middot; ${score}pts${reason}</span>
         </div>`;
       }
     }
 
     // Unrated section
     if (result.unrated.length > 0) {
-      html += `<div class="schedule-section-label schedule-unrated-label">Unrated &mdash; score these first (${result.unrated.length})</div>`;
+      html += `<div class="schedule-section-label schedule-unrated-label">Unrated &mdash; score these first (${result.unrated.length})
+        <button class="btn-sm schedule-rate-btn">Rate for me</button></div>`;
       for (const item of result.unrated) {
         html += `<div class="schedule-item schedule-item-unrated">
           <span class="schedule-item-text">${this.escapeHtml(item.text)}</span>
@@ -3103,35 +4237,74 @@ class BattlePlanApp {
       }
     }
 
+    html += this.renderBlockedScheduleSection(result.blocked);
+
+    if (result.filtered.length > 0) {
+      html += `<div class="schedule-section-label schedule-blocked-label">Filtered out &mdash; left as they are (${result.filtered.length})</div>`;
+      for (const item of result.filtered) {
+        html += `<div class="schedule-item schedule-item-blocked">
+          <span class="schedule-item-text">${this.escapeHtml(item.text)}</span>
+        </div>`;
+      }
+    }
+
+    const hasBlocks = result.blocks.some(b => !b.fixed);
+
     // No overflow message
     if (result.overflow.length === 0 && result.unrated.length === 0) {
-      html += `<div class="schedule-message">Everything fits within capacity. No changes needed.</div>`;
+      html += `<div class="schedule-message">Everything fits within capacity${hasBlocks ? ' — apply to pin these times to your timeline' : '. No changes needed'}.</div>`;
     }
 
     listEl.innerHTML = html;
+    const rateBtn = listEl.querySelector('.schedule-rate-btn');
+    if (rateBtn) rateBtn.addEventListener('click', () => this.openRatingModal(result.unrated.map(i => i.id)));
 
     // Show/hide apply button based on whether there's something to do
-    document.getElementById('schedule-apply-btn').classList.toggle('hidden', result.overflow.length === 0);
+    document.getElementById('schedule-apply-btn').classList.toggle('hidden', result.overflow.length === 0 && !hasBlocks);
 
     modal.classList.remove('hidden');
   }
 
+  /** Project choices for Auto Schedule ("only:<id>", "skip:<id>", 'none' = no project); keeps the current pick */
+  async renderScheduleProjectFilter(select) {
+    const current = select.value;
+    const projects = (await db.getAllProjects()).filter(p => p.status === 'active');
+    let html = '<option value="">All tasks</option>';
+    for (const p of projects) html += `<option value="only:${p.id}">Only ${this.escapeHtml(p.name)}</option>`;
+    if (projects.length > 0) html += '<option value="only:none">Only tasks without a project</option>';
+    for (const p of projects) html += `<option value="skip:${p.id}">Skip ${this.escapeHtml(p.name)}</option>`;
+    select.innerHTML = html;
+    select.value = [...select.options].some(o => o.value === current) ? current : '';
+    select.classList.toggle('hidden', projects.length === 0);
+  }
+
   async applyAutoSchedule() {
     const result = this._pendingSchedule;
-    if (!result || result.overflow.length === 0) {
+    const planned = result ? result.blocks.filter(b => !b.fixed) : [];
+    if (!result || (result.overflow.length === 0 && planned.length === 0)) {
       this.closeAutoScheduleModal();
       return;
     }
 
-    // Move overflow items to tomorrow (deferred, not user-scheduled)
-    for (const item of result.overflow) {
-      await db.deferToTomorrow(item.id);
-    }
+    // Pin time blocks, then move overflow items to tomorrow (deferred, not user-scheduled)
+    const today = db.getToday();
+    await db.journalGroup('Auto-scheduled Today', async scope => {
+      for (const block of planned) {
+        await scope.updateItem(block.id, { planned_start: dayClock.formatTime(block.start), planned_date: today });
+      }
+      for (const item of result.overflow) {
+        await scope.deferToTomorrow(item.id);
+      }
+    });
 
     this._pendingSchedule = null;
     this.closeAutoScheduleModal();
 
-    this.showToast(`Moved ${result.overflow.length} task${result.overflow.length !== 1 ? 's' : ''} to Tomorrow`);
+    const parts = [];
+    if (planned.length > 0) parts.push(`Planned ${planned.length} time block${planned.length !== 1 ? 's' : ''}`);
+    if (result.overflow.length > 0) parts.push(`moved ${result.overflow.length} task${result.overflow.length !== 1 ? 's' : ''} to Tomorrow`);
+    const message = parts.join(', ');
+    this.showUndoToast(message.charAt(0).toUpperCase() + message.slice(1));
     await this._refreshUI();
   }
 
@@ -3140,6 +4313,96 @@ class BattlePlanApp {
     this._pendingSchedule = null;
   }
 
+  // ==================== WEEK PLANNER ====================
+
+  async showWeekPlan() {
+    const result = await db.planWeek();
+    this._pendingWeekPlan = result;
+
+    let html = '';
+    result.days.forEach((day, index) => {
+      const label = index === 0 ? 'Today' : index === 1 ? 'Tomorrow' : dayClock.dayName(day.date).substring(0, 3);
+      html += `<div class="week-day">${this.renderDayLoad(day, label)}`;
+      for (const item of day.items) {
+        const score = item.priority_score != null ? `${item.priority_score}pts` : 'unrated';
+        const late = item.late ? ` <span class="week-late-badge">due ${item.dueDate.substring(5)}</span>` : '';
+        html += `<div class="schedule-item schedule-item-keep ${item.fixed ? 'schedule-item-fixed' : ''}">
+          <span class="schedule-item-text">${this.escapeHtml(item.text)}${late}</span>
+          <span class="schedule-item-meta">${item.bufferedMinutes}m &middot; ${item.fixed ? 'fixed' : score}</span>
+        </div>`;
+      }
+      if (day.items.length === 0) html += '<div class="week-day-empty">Nothing planned</div>';
+      html += `${this.renderBudgetSummary(day.budgets)}</div>`;
+    });
+
+    if (result.unplaced.length > 0) {
+      html += `<div class="schedule-section-label schedule-overflow-label">Doesn't fit this week (${result.unplaced.length})</div>`;
+      for (const item of result.unplaced) {
+        html += `<div class="schedule-item schedule-item-overflow">
+          <span class="schedule-item-text">${this.escapeHtml(item.text)}</span>
+          <span class="schedule-item-meta">${item.bufferedMinutes}m &middot; ${item.priority_score}pts</span>
+        </div>`;
+      }
+    }
+
+    if (result.unrated.length > 0) {
+      html += `<div class="schedule-section-label schedule-unrated-label">Unrated &mdash; score these first (${result.unrated.length})</div>`;
+      for (const item of result.unrated) {
+        html += `<div class="schedule-item schedule-item-unrated">
+          <span class="schedule-item-text">${this.escapeHtml(item.text)}</span>
+        </div>`;
+      }
+    }
+
+    html += this.renderBlockedScheduleSection(result.blocked);
+
+    document.getElementById('week-plan-list').innerHTML = html;
+    const planned = result.days.some(d => d.items.some(i => !i.fixed));
+    document.getElementById('week-plan-apply-btn').classList.toggle('hidden', !planned);
+    document.getElementById('week-plan-modal').classList.remove('hidden');
+  }
+
+  /** Day header with used/usable minutes and a load bar (week planner, weekly review) */
+  renderDayLoad(day, label) {
+    const percent = day.capacity > 0 ? Math.min(100, Math.round(day.usedMinutes / day.capacity * 100)) : (day.usedMinutes > 0 ? 100 : 0);
+    const over = day.usedMinutes > day.capacity;
+    return `<div class="week-day-header">
+        <span class="week-day-name">${label} <span class="week-day-date">${day.date.substring(5)}</span></span>
+        <span class="week-day-load ${over ? 'over' : ''}">${day.usedMinutes} / ${day.capacity} min</span>
+      </div>
+      <div class="week-load-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-label="${label} load">
+        <div class="week-load-fill ${over ? 'over' : ''}" style="width: ${percent}%"></div>
+      </div>`;
+  }
+
+  async applyWeekPlan() {
+    const result = this._pendingWeekPlan;
+    if (!result) {
+      this.closeWeekPlanModal();
+      return;
+    }
+
+    try {
+      const updated = await db.applyWeekPlan(result);
+      this.closeWeekPlanModal();
+      if (updated.length === 0) {
+        this.showToast('Plan already matches your schedule', 'success');
+      } else {
+        this.showUndoToast(`Scheduled ${updated.length} task${updated.length !== 1 ? 's' : ''} across the week`);
+      }
+      this.invalidateHudCache();
+      await this._refreshUI();
+    } catch (err) {
+      debugLog('error', 'Error applying week plan', err);
+      this.showToast('Error applying week plan');
+    }
+  }
+
+  closeWeekPlanModal() {
+    document.getElementById('week-plan-modal').classList.add('hidden');
+    this._pendingWeekPlan = null;
+  }
+
   // ==================== START WORK ====================
 
   /**
@@ -3237,7 +4500,7 @@ class BattlePlanApp {
     let html = '';
 
     // Remaining capacity bar
-    html += `<div class="schedule-capacity">Remaining: <strong>${result.remainingCapacity}</strong>m of ${result.usableCapacity}m capacity (${result.consumedMinutes}m used)</div>`;
+    html += `<div class="schedule-capacity">Remaining: <strong>${result.remainingCapacity}</strong>m of ${result.usableCapacity}m capacity (${result.consumedMinutes}m used)${this.renderBudgetSummary(result.budgets)}</div>`;
 
     // Keep today section
     if (result.keep.length > 0) {
@@ -3283,6 +4546,8 @@ class BattlePlanApp {
       }
     }
 
+    html += this.renderBlockedScheduleSection(result.blocked);
+
     listEl.innerHTML = html;
 
     // Bind lock toggle buttons
@@ -3331,12 +4596,14 @@ class BattlePlanApp {
       return;
     }
 
-    for (const item of result.overflow) {
-      await db.deferToTomorrow(item.id);
-    }
+    await db.journalGroup('Reracked Today', async scope => {
+      for (const item of result.overflow) {
+        await scope.deferToTomorrow(item.id);
+      }
+    });
 
     this.closeRerackModal();
-    this.showToast(`Moved ${result.overflow.length} task${result.overflow.length !== 1 ? 's' : ''} to Tomorrow`);
+    this.showUndoToast(`Moved ${result.overflow.length} task${result.overflow.length !== 1 ? 's' : ''} to Tomorrow`);
     await this._refreshUI();
   }
 
@@ -3352,9 +4619,9 @@ class BattlePlanApp {
   // ==================== KEYBOARD SHORTCUTS ====================
 
   handleGlobalKeydown(e) {
-    // Handle modal focus trap first
-    const openModal = document.querySelector('.overlay:not(.hidden)');
-    if (openModal) {
+    // Handle modal focus trap first (the last open overlay is on top, e.g. Break it down over Edit)
+    const openModal = [...document.querySelectorAll('.overlay:not(.hidden)')].pop();
+    if (openModal && openModal.id !== 'history-modal') {
       this.handleModalKeydown(e, openModal);
       return;
     }
@@ -3364,6 +4631,22 @@ class BattlePlanApp {
       return;
     }
 
+    // Ctrl+Z = undo, Ctrl+Shift+Z / Ctrl+Y = redo (works on every page)
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) this.redo();
+        else this.undo();
+      }
+      return;
+    }
+
+    if (openModal) {
+      this.handleModalKeydown(e, openModal);
+      return;
+    }
+
     // Only handle shortcuts on certain pages with selected item
     const pagesWithShortcuts = ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done'];
     if (!pagesWithShortcuts.includes(this.currentPage) || !this.selectedItemId) return;
@@ -3400,18 +4683,8 @@ class BattlePlanApp {
     if (!itemId) return;
     this.invalidateHudCache(); // Data is changing
 
-    // Get subtasks before deleting
-    const subtasks = await db.getSubtasks(itemId);
-
-    // Save for undo
-    await this.saveDeleteForUndo(itemId, 'Deleted', subtasks);
-
-    // Delete subtasks first
-    for (const subtask of subtasks) {
-      await db.deleteItem(subtask.id);
-    }
-    // Delete main item
-    await db.deleteItem(itemId);
+    // Nested sub-tasks and the task are removed as one undo step
+    await db.deleteItemTree(itemId);
 
     this.selectedItemId = null;
     await this._refreshUI();
@@ -3428,6 +4701,10 @@ class BattlePlanApp {
       // Reset modal states
       if (modal.id === 'edit-modal') this.editingItemId = null;
       if (modal.id === 'waiting-modal') this.pendingWaitingId = null;
+      if (modal.id === 'review-modal') this.review = null;
+      if (modal.id === 'project-modal') this.editingProjectId = null;
+      if (modal.id === 'breakdown-modal') this.breakdown = null;
+      if (modal.id === 'rating-modal') this.ratingSuggestions = null;
       return;
     }
 
@@ -3467,14 +4744,14 @@ class BattlePlanApp {
     document.getElementById('edit-notes').value = item.notes || '';
     document.getElementById('edit-scheduled').value = item.scheduled_for_date || '';
     document.getElementById('edit-due').value = item.dueDate || '';
+    document.getElementById('edit-start-time').value = item.start_time || '';
+    document.getElementById('edit-duration').value = item.duration_minutes || '';
     document.getElementById('edit-waiting-on').value = item.waiting_on || '';
+    document.getElementById('edit-follow-up').value = item.follow_up_date || '';
+    await this.renderProjectOptions(document.getElementById('edit-project'), item.project_id);
 
     // Set recurrence fields
-    const recurrenceSelect = document.getElementById('edit-recurrence');
-    const recurrenceDaySelect = document.getElementById('edit-recurrence-day');
-    recurrenceSelect.value = item.recurrence || '';
-    recurrenceDaySelect.value = item.recurrence_day || '0';
-    recurrenceDaySelect.classList.toggle('hidden', item.recurrence !== 'weekly');
+    this.setRecurrenceForm(recurrenceRules.normalize(item.recurrence), item.scheduled_for_date);
 
     // Store edit state
     this.editState = {
@@ -3484,16 +4761,17 @@ class BattlePlanApp {
       L: item.L,
       M: item.M,
       T: item.T,
-      tag: item.tag,
+      tags: [...(item.tags || [])],
       estimate_bucket: item.estimate_bucket,
       confidence: item.confidence,
       waiting_on: item.waiting_on,
-      recurrence: item.recurrence,
-      recurrence_day: item.recurrence_day
+      recurrence: item.recurrence
     };
 
     // Update all button states
+    this.renderTagPicker();
     this.updateEditModalButtons();
+    document.getElementById('rate-for-me-hint').classList.add('hidden');
 
     // Load and display subtasks (hide section if this is a subtask itself)
     const subtasksSection = document.getElementById('subtasks-section');
@@ -3503,6 +4781,7 @@ class BattlePlanApp {
       subtasksSection.classList.remove('hidden');
       await this.renderSubtasksList();
     }
+    await this.renderBlockersList();
 
     document.getElementById('edit-modal').classList.remove('hidden');
     document.getElementById('edit-text').focus();
@@ -3511,7 +4790,7 @@ class BattlePlanApp {
   updateEditModalButtons() {
     // Update tag buttons
     document.querySelectorAll('.tag-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.tag === this.editState.tag);
+      btn.classList.toggle('active', this.editState.tags.includes(btn.dataset.tag));
     });
 
     // Update score buttons
@@ -3536,7 +4815,8 @@ class BattlePlanApp {
   }
 
   selectTag(tag) {
-    this.editState.tag = this.editState.tag === tag ? null : tag;
+    const tags = this.editState.tags;
+    this.editState.tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
     this.updateEditModalButtons();
   }
 
@@ -3578,6 +4858,132 @@ class BattlePlanApp {
     this.updateEditModalButtons();
   }
 
+  // ==================== RATE FOR ME ====================
+
+  /**
+   * Suggested ratings for items: AI where it answered, the offline heuristic
+   * (similar rated tasks, keywords, due date) for the rest.
+   * Returns [{ item, rating, basis, source: 'ai' | 'heuristic' }].
+   */
+  async suggestRatings(items) {
+    const history = await db.getRatedHistory();
+    const proposals = await groqAssistant.rateTasks(items, history, db.getTags());
+    return items.map((item, i) => {
+      const rating = proposals && ratingModel.normalize(proposals[i]);
+      if (rating) return { item, rating, basis: String(proposals[i].reason || 'AI suggestion'), source: 'ai' };
+      return { item, ...db.heuristicRating(item, history), source: 'heuristic' };
+    });
+  }
+
+  /** Edit modal: fill every score from a suggestion; nothing is saved until Save */
+  async rateForMe() {
+    if (!this.editingItemId) return;
+    const btn = document.getElementById('rate-for-me-btn');
+    const hint = document.getElementById('rate-for-me-hint');
+    const draft = {
+      id: this.editingItemId,
+      text: document.getElementById('edit-text').value.trim(),
+      next_action: document.getElementById('edit-next-action').value.trim() || null,
+      notes: document.getElementById('edit-notes').value.trim() || null,
+      dueDate: document.getElementById('edit-due').value || null,
+      tags: this.editState.tags
+    };
+    if (!draft.text) return;
+
+    btn.disabled = true;
+    try {
+      const [suggestion] = await this.suggestRatings([draft]);
+      if (this.editingItemId !== draft.id) return; // modal closed while waiting
+      Object.assign(this.editState, suggestion.rating);
+      this.updateEditModalButtons();
+      hint.textContent = `${suggestion.source === 'ai' ? 'AI' : 'Estimated'}: ${suggestion.basis}. Adjust anything, then Save.`;
+      hint.classList.remove('hidden');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /** Suggest ratings for the given items (default: unrated Today items) and preview them */
+  async openRatingModal(ids = null) {
+    const items = ids
+      ? (await Promise.all(ids.map(id => db.getItem(id)))).filter(i => i && !db.isRated(i))
+      : await db.getUnratedTodayItems();
+    if (items.length === 0) {
+      this.showToast('Every Today task is rated', 'success');
+      return;
+    }
+
+    const token = {};
+    this.ratingSuggestions = token;
+    document.getElementById('rating-source').textContent = groqAssistant.shouldUseAI()
+      ? `Asking AI to rate ${items.length} task${items.length === 1 ? '' : 's'}...`
+      : '';
+    document.getElementById('rating-list').innerHTML = '';
+    document.getElementById('rating-apply-btn').disabled = true;
+    document.getElementById('rating-modal').classList.remove('hidden');
+
+    const suggestions = await this.suggestRatings(items);
+    if (this.ratingSuggestions !== token) return; // closed while waiting
+
+    // Scores the task already has are kept; suggestions only fill the gaps
+    this.ratingSuggestions = suggestions.map(s => ({ ...s, rating: ratingModel.complete(s.item, s.rating) }));
+    const fromAI = suggestions.filter(s => s.source === 'ai').length;
+    let source = 'Estimated from your similar rated tasks and keywords (AI is off).';
+    if (groqAssistant.shouldUseAI()) {
+      source = fromAI === suggestions.length
+        ? 'Suggested by AI from how you rated recent tasks.'
+        : `Suggested by AI (${fromAI}); the rest estimated from your similar rated tasks.`;
+    }
+    document.getElementById('rating-source').textContent = `${source} Untick any you'd rather rate yourself.`;
+    this.renderRatingSuggestions();
+  }
+
+  renderRatingSuggestions() {
+    const list = document.getElementById('rating-list');
+    list.innerHTML = this.ratingSuggestions.map(({ item, rating, basis }, i) => {
+      const { priority_score } = db.calculateScores(rating);
+      const estimate = rating.estimate_bucket >= 60 ? `${rating.estimate_bucket / 60}h` : `${rating.estimate_bucket}m`;
+      return `
+        <li class="rating-row">
+          <label class="rating-choice">
+            <input type="checkbox" data-index="${i}" checked>
+            <span class="rating-text">${this.escapeHtml(item.text)}</span>
+          </label>
+          <div class="rating-scores">A${rating.A} C${rating.C} E${rating.E} &middot; L${rating.L} M${rating.M} T${rating.T} &middot; ${estimate} ${rating.confidence} &middot; <strong>${priority_score} pts</strong></div>
+          <div class="rating-basis">${this.escapeHtml(basis)}</div>
+        </li>
+      `;
+    }).join('');
+    const applyBtn = document.getElementById('rating-apply-btn');
+    const updateCount = () => {
+      const count = list.querySelectorAll('input[type="checkbox"]:checked').length;
+      applyBtn.textContent = `Apply to ${count}`;
+      applyBtn.disabled = count === 0;
+    };
+    list.querySelectorAll('input[type="checkbox"]').forEach(box => box.addEventListener('change', updateCount));
+    updateCount();
+  }
+
+  closeRatingModal() {
+    this.ratingSuggestions = null;
+    document.getElementById('rating-modal').classList.add('hidden');
+  }
+
+  async applySuggestedRatings() {
+    if (!Array.isArray(this.ratingSuggestions)) return;
+    const entries = [...document.querySelectorAll('#rating-list input[type="checkbox"]:checked')]
+      .map(box => this.ratingSuggestions[parseInt(box.dataset.index)])
+      .map(s => ({ id: s.item.id, rating: s.rating }));
+    if (entries.length === 0) return;
+
+    this.invalidateHudCache();
+    const { updated } = await db.applyRatings(entries);
+    this.closeRatingModal();
+    await this._refreshUI();
+    if (!document.getElementById('schedule-modal').classList.contains('hidden')) await this.showAutoSchedule();
+    this.showUndoToast(`Rated ${updated.length} task${updated.length === 1 ? '' : 's'}`);
+  }
+
   closeEditModal() {
     this.editingItemId = null;
     document.getElementById('edit-modal').classList.add('hidden');
@@ -3589,8 +4995,8 @@ class BattlePlanApp {
     const item = await db.getItem(this.editingItemId);
     if (!item) return;
 
-    // Get subtasks for this item
-    const subtasks = await db.getSubtasks(item.id);
+    // Get subtasks for this item (nested ones flattened in outline order)
+    const subtasks = await db.getDescendants(item.id);
     const templateItem = db.itemToTemplate(item);
     if (subtasks.length > 0) {
       templateItem.subtasks = subtasks.map(s => s.text);
@@ -3619,8 +5025,8 @@ class BattlePlanApp {
     if (!this.editingItemId) return;
     this.invalidateHudCache(); // Data is changing
 
-    const recurrenceValue = document.getElementById('edit-recurrence').value;
-    const recurrenceDayValue = document.getElementById('edit-recurrence-day').value;
+    const startTime = document.getElementById('edit-start-time').value;
+    const duration = parseInt(document.getElementById('edit-duration').value);
 
     // Get and validate text length
     let text = document.getElementById('edit-text').value.trim();
@@ -3640,7 +5046,11 @@ class BattlePlanApp {
       notes: notes,
       scheduled_for_date: document.getElementById('edit-scheduled').value || null,
       dueDate: document.getElementById('edit-due').value || null,
+      start_time: dayClock.parseTime(startTime) ? startTime : null,
+      duration_minutes: (duration > 0 && duration <= 1440) ? duration : null,
       waiting_on: document.getElementById('edit-waiting-on').value.trim() || null,
+      follow_up_date: document.getElementById('edit-follow-up').value || null,
+      project_id: document.getElementById('edit-project').value || null,
       // ACE+LMT scores
       A: this.editState.A,
       C: this.editState.C,
@@ -3649,13 +5059,12 @@ class BattlePlanApp {
       M: this.editState.M,
       T: this.editState.T,
       // Tag
-      tag: this.editState.tag,
+      tags: this.editState.tags,
       // Time planning
       estimate_bucket: this.editState.estimate_bucket,
       confidence: this.editState.confidence,
       // Recurrence
-      recurrence: recurrenceValue || null,
-      recurrence_day: recurrenceValue === 'weekly' ? parseInt(recurrenceDayValue) : null
+      recurrence: this.readRecurrenceForm(this.editState.recurrence)
     };
 
     await db.updateItem(this.editingItemId, updates);
@@ -3667,18 +5076,9 @@ class BattlePlanApp {
     if (!this.editingItemId) return;
     this.invalidateHudCache(); // Data is changing
 
-    // Get subtasks before deleting (for undo)
-    const subtasks = await db.getSubtasks(this.editingItemId);
-
-    // Save for undo before deleting
-    await this.saveDeleteForUndo(this.editingItemId, 'Deleted', subtasks);
-
-    // Delete subtasks first
-    for (const subtask of subtasks) {
-      await db.deleteItem(subtask.id);
-    }
-    // Delete main item
-    await db.deleteItem(this.editingItemId);
+    const itemId = this.editingItemId;
+    // Nested sub-tasks and the task are removed as one undo step
+    await db.deleteItemTree(itemId);
 
     this.closeEditModal();
     this.selectedItemId = null;
@@ -3688,26 +5088,131 @@ class BattlePlanApp {
     this.showUndoToast('Task deleted');
   }
 
+  // ==================== RECURRENCE FORM ====================
+
+  /** Fill the Repeat controls from a rule (null = no repeat) */
+  setRecurrenceForm(rule, scheduledDate) {
+    const anchor = scheduledDate || db.getToday();
+    document.getElementById('edit-recurrence').value = rule ? rule.freq : '';
+    document.getElementById('edit-recurrence-interval').value = rule ? rule.interval : 1;
+
+    const weekdays = rule && rule.weekdays.length > 0 ? rule.weekdays : [dayClock.dayOfWeek(anchor)];
+    document.querySelectorAll('#edit-recurrence-weekdays input').forEach(cb => {
+      cb.checked = weekdays.includes(parseInt(cb.value));
+    });
+
+    const nth = rule && rule.nth;
+    document.getElementById('edit-recurrence-month-mode').value = nth ? 'nth' : 'day';
+    document.getElementById('edit-recurrence-month-day').value = (rule && rule.month_day) || dayClock.parse(anchor).getDate();
+    document.getElementById('edit-recurrence-nth-week').value = nth ? nth.week : Math.min(4, Math.ceil(dayClock.parse(anchor).getDate() / 7));
+    document.getElementById('edit-recurrence-nth-weekday').value = nth ? nth.weekday : dayClock.dayOfWeek(anchor);
+
+    document.getElementById('edit-recurrence-anchor').value = rule && rule.from_completion ? 'completion' : 'fixed';
+    document.getElementById('edit-recurrence-end').value = rule && rule.count ? 'count' : rule && rule.until ? 'until' : 'never';
+    document.getElementById('edit-recurrence-until').value = (rule && rule.until) || '';
+    document.getElementById('edit-recurrence-count').value = (rule && rule.count) || '';
+
+    this.updateRecurrenceControls();
+  }
+
+  updateRecurrenceControls() {
+    const freq = document.getElementById('edit-recurrence').value;
+    const interval = parseInt(document.getElementById('edit-recurrence-interval').value) || 1;
+    const monthMode = document.getElementById('edit-recurrence-month-mode').value;
+    const end = document.getElementById('edit-recurrence-end').value;
+    const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+    const toggle = (id, show) => document.getElementById(id).classList.toggle('hidden', !show);
+
+    toggle('edit-recurrence-every', !!freq);
+    toggle('edit-recurrence-interval', !!freq);
+    toggle('edit-recurrence-unit', !!freq);
+    if (freq) document.getElementById('edit-recurrence-unit').textContent = units[freq] + (interval !== 1 ? 's' : '');
+
+    toggle('edit-recurrence-weekdays', freq === 'weekly');
+    toggle('edit-recurrence-monthly', freq === 'monthly');
+    toggle('edit-recurrence-month-day', monthMode === 'day');
+    toggle('edit-recurrence-nth-week', monthMode === 'nth');
+    toggle('edit-recurrence-nth-weekday', monthMode === 'nth');
+
+    toggle('edit-recurrence-advanced', !!freq);
+    toggle('edit-recurrence-until', end === 'until');
+    toggle('edit-recurrence-count', end === 'count');
+  }
+
+  /**
+   * Build a rule from the Repeat controls. Series progress (occurrence) carries
+   * over from the previous rule; the fixed-schedule anchor only survives when the
+   * cadence itself is unchanged.
+   */
+  readRecurrenceForm(previous) {
+    const freq = document.getElementById('edit-recurrence').value;
+    if (!freq) return null;
+
+    const monthMode = document.getElementById('edit-recurrence-month-mode').value;
+    const end = document.getElementById('edit-recurrence-end').value;
+    const rule = recurrenceRules.normalize({
+      freq,
+      interval: document.getElementById('edit-recurrence-interval').value,
+      weekdays: [...document.querySelectorAll('#edit-recurrence-weekdays input:checked')].map(cb => cb.value),
+      month_day: monthMode === 'day' ? document.getElementById('edit-recurrence-month-day').value : null,
+      nth: monthMode === 'nth' ? {
+        week: document.getElementById('edit-recurrence-nth-week').value,
+        weekday: document.getElementById('edit-recurrence-nth-weekday').value
+      } : null,
+      until: end === 'until' ? document.getElementById('edit-recurrence-until').value : null,
+      count: end === 'count' ? document.getElementById('edit-recurrence-count').value : null,
+      from_completion: document.getElementById('edit-recurrence-anchor').value === 'completion'
+    });
+
+    const prev = recurrenceRules.normalize(previous);
+    if (prev) {
+      rule.occurrence = prev.occurrence;
+      const sameCadence = prev.freq === rule.freq && prev.interval === rule.interval && !rule.from_completion;
+      if (sameCadence) rule.start = prev.start;
+    }
+    return rule;
+  }
+
   // ==================== SUB-TASKS ====================
 
   async renderSubtasksList() {
     if (!this.editingItemId) return;
 
     try {
-      const subtasks = await db.getSubtasks(this.editingItemId);
+      const rows = await db.getSubtaskTree(this.editingItemId);
       const list = document.getElementById('subtasks-list');
 
-      if (subtasks.length === 0) {
+      if (rows.length === 0) {
         list.innerHTML = '<li class="subtask-empty">No sub-tasks yet</li>';
         return;
       }
 
-      // Build subtask list without inline handlers
+      // Build the outline without inline handlers; depth sets the indent
       list.innerHTML = '';
-      subtasks.forEach(subtask => {
+      rows.forEach(({ item: subtask, depth }) => {
         const li = document.createElement('li');
         li.className = `subtask-item ${subtask.status === 'done' ? 'done' : ''}`;
         li.dataset.id = subtask.id;
+        li.style.setProperty('--depth', depth);
+        li.draggable = true;
+        li.tabIndex = 0;
+        li.addEventListener('keydown', (e) => this.handleSubtaskKeydown(e, subtask.id));
+        li.addEventListener('dragstart', (e) => {
+          this.draggedSubtaskId = subtask.id;
+          e.dataTransfer.effectAllowed = 'move';
+          li.classList.add('dragging');
+        });
+        li.addEventListener('dragend', () => {
+          this.draggedSubtaskId = null;
+          li.classList.remove('dragging');
+        });
+        li.addEventListener('dragover', (e) => {
+          if (this.draggedSubtaskId && this.draggedSubtaskId !== subtask.id) e.preventDefault();
+        });
+        li.addEventListener('drop', (e) => {
+          e.preventDefault();
+          this.dropSubtask(subtask);
+        });
 
         const label = document.createElement('label');
         label.className = 'subtask-checkbox';
@@ -3724,6 +5229,20 @@ class BattlePlanApp {
         label.appendChild(checkbox);
         label.appendChild(textSpan);
 
+        // Touch screens have no Tab key or drag and drop: indent/outdent buttons
+        const outdentBtn = document.createElement('button');
+        outdentBtn.className = 'subtask-delete subtask-outdent';
+        outdentBtn.innerHTML = '&lsaquo;';
+        outdentBtn.setAttribute('aria-label', 'Outdent subtask');
+        outdentBtn.disabled = depth === 0;
+        outdentBtn.addEventListener('click', () => this.nestSubtask(subtask.id, false));
+
+        const indentBtn = document.createElement('button');
+        indentBtn.className = 'subtask-delete subtask-indent';
+        indentBtn.innerHTML = '&rsaquo;';
+        indentBtn.setAttribute('aria-label', 'Indent subtask');
+        indentBtn.addEventListener('click', () => this.nestSubtask(subtask.id, true));
+
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'subtask-delete';
         deleteBtn.innerHTML = '&times;';
@@ -3731,6 +5250,8 @@ class BattlePlanApp {
         deleteBtn.addEventListener('click', () => this.deleteSubtask(subtask.id));
 
         li.appendChild(label);
+        li.appendChild(outdentBtn);
+        li.appendChild(indentBtn);
         li.appendChild(deleteBtn);
         list.appendChild(li);
       });
@@ -3740,6 +5261,63 @@ class BattlePlanApp {
     }
   }
 
+  /**
+   * Outline keys on a focused sub-task: Ctrl+] / Ctrl+[ (Cmd on Mac) nest,
+   * Alt+Up/Down reorder. Tab is left alone so keyboard users can leave the list.
+   */
+  handleSubtaskKeydown(e, subtaskId) {
+    if (e.target !== e.currentTarget) return; // typing in the checkbox/buttons
+    if ((e.ctrlKey || e.metaKey) && (e.key === ']' || e.key === '[')) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.nestSubtask(subtaskId, e.key === ']');
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      this.shiftSubtask(subtaskId, e.key === 'ArrowUp' ? -1 : 1);
+    }
+  }
+
+  async nestSubtask(subtaskId, indent) {
+    const result = indent ? await db.indentSubtask(subtaskId) : await db.outdentSubtask(subtaskId);
+    if (result.error) {
+      this.showToast(result.message, 'warning');
+      return;
+    }
+    await this.afterSubtaskMove(subtaskId);
+  }
+
+  /** Move a sub-task one place up or down among its siblings */
+  async shiftSubtask(subtaskId, delta) {
+    const subtask = await db.getItem(subtaskId);
+    if (!subtask) return;
+    const siblings = await db.getSubtasks(subtask.parent_id);
+    const index = siblings.findIndex(s => s.id === subtaskId);
+    if (index + delta < 0 || index + delta >= siblings.length) return;
+    await db.moveSubtask(subtaskId, subtask.parent_id, index + delta);
+    await this.afterSubtaskMove(subtaskId);
+  }
+
+  /** Dropping a dragged sub-task on another puts it just above that one, at its level */
+  async dropSubtask(target) {
+    const draggedId = this.draggedSubtaskId;
+    this.draggedSubtaskId = null;
+    if (!draggedId || draggedId === target.id) return;
+    const siblings = (await db.getSubtasks(target.parent_id)).filter(s => s.id !== draggedId);
+    const result = await db.moveSubtask(draggedId, target.parent_id, siblings.findIndex(s => s.id === target.id));
+    if (result.error) {
+      this.showToast(result.message, 'warning');
+      return;
+    }
+    await this.afterSubtaskMove(draggedId);
+  }
+
+  async afterSubtaskMove(subtaskId) {
+    await this.renderSubtasksList();
+    const row = document.querySelector(`#subtasks-list .subtask-item[data-id="${subtaskId}"]`);
+    if (row) row.focus();
+    await this._refreshUI();
+  }
+
   async addSubtask() {
     if (!this.editingItemId) return;
 
@@ -3768,15 +5346,19 @@ class BattlePlanApp {
       const subtask = await db.getItem(subtaskId);
       if (!subtask) return;
 
-      // Get parent item to determine proper non-done status
-      const parent = await db.getItem(subtask.parent_id);
-      const parentStatus = parent ? parent.status : 'today';
-
-      // Toggle between done and parent's status (not hardcoded 'today')
-      const newStatus = subtask.status === 'done' ? parentStatus : 'done';
-      await db.updateItem(subtaskId, { status: newStatus });
+      // Ticking the last open sub-task completes the parent (and on up the outline)
+      const result = await db.setSubtaskDone(subtaskId, subtask.status !== 'done');
       await this.renderSubtasksList();
+      if (this.focusSession) await this.renderFocusSubtasks();
       await this._refreshUI();
+
+      if (result.completedRoot) {
+        this.showUndoToast(`All sub-tasks done: completed "${result.completedRoot.text}"`);
+        this.announceUnblocked(result.completedRoot);
+        await this.announceStalledProject(result.completedRoot);
+      } else if (result.completedParents.length > 0) {
+        this.showToast(`All sub-tasks done: ticked "${result.completedParents[0].text}"`, 'success');
+      }
     } catch (err) {
       debugLog('error', 'Error toggling subtask', err);
       this.showToast('Error updating subtask');
@@ -3785,7 +5367,7 @@ class BattlePlanApp {
 
   async deleteSubtask(subtaskId) {
     try {
-      await db.deleteItem(subtaskId);
+      await db.deleteItemTree(subtaskId);
       await this.renderSubtasksList();
       await this._refreshUI();
     } catch (err) {
@@ -3794,9 +5376,511 @@ class BattlePlanApp {
     }
   }
 
+  // ==================== BREAK IT DOWN ====================
+
+  /** Suggest sub-tasks for a big task (AI, or a template offline) and preview them for editing */
+  async openBreakdownModal(id) {
+    const item = await db.getItem(id);
+    if (!item) return;
+    this.breakdown = { itemId: id, steps: [] };
+
+    document.getElementById('breakdown-task').textContent = item.text;
+    document.getElementById('breakdown-source').textContent = groqAssistant.shouldUseAI() ? 'Asking AI for steps...' : '';
+    document.getElementById('breakdown-steps').innerHTML = '';
+    document.getElementById('breakdown-total').textContent = '';
+    document.getElementById('breakdown-save-btn').disabled = true;
+    document.getElementById('breakdown-modal').classList.remove('hidden');
+
+    const result = await groqAssistant.breakDownTask(item, db.getTags());
+    if (!this.breakdown || this.breakdown.itemId !== id) return; // closed while waiting
+
+    let source = 'Suggested by AI. Edit, remove or add steps, then create them.';
+    if (result.source === 'template') {
+      source = groqAssistant.shouldUseAI()
+        ? 'AI didn\'t come back with steps, so these are from a template. Edit them to fit.'
+        : 'From a template (AI is off). Edit them to fit the task.';
+    }
+    document.getElementById('breakdown-source').textContent = source;
+    this.breakdown.steps = result.steps;
+    this.renderBreakdownSteps();
+    const first = document.querySelector('#breakdown-steps .breakdown-text');
+    if (first) first.focus();
+  }
+
+  closeBreakdownModal() {
+    this.breakdown = null;
+    document.getElementById('breakdown-modal').classList.add('hidden');
+  }
+
+  renderBreakdownSteps() {
+    const list = document.getElementById('breakdown-steps');
+    const options = ESTIMATE_BUCKETS
+      .map(b => `<option value="${b}">${b >= 60 ? `${b / 60}h` : `${b}m`}</option>`).join('');
+    list.innerHTML = this.breakdown.steps.map((step, i) => `
+      <li class="breakdown-step" data-index="${i}">
+        <input type="text" class="breakdown-text" maxlength="${CONSTANTS.MAX_TASK_LENGTH}" aria-label="Step ${i + 1}">
+        <select class="breakdown-estimate" aria-label="Step ${i + 1} estimate">${options}</select>
+        <button class="subtask-delete breakdown-remove" aria-label="Remove step ${i + 1}">&times;</button>
+      </li>
+    `).join('');
+    // Values go in through the DOM: step text may contain quotes
+    list.querySelectorAll('.breakdown-step').forEach((row, i) => {
+      row.querySelector('.breakdown-text').value = this.breakdown.steps[i].text;
+      row.querySelector('.breakdown-estimate').value = this.breakdown.steps[i].estimate;
+    });
+    document.getElementById('breakdown-add-step-btn').disabled = this.breakdown.steps.length >= BREAKDOWN_MAX_STEPS;
+    document.getElementById('breakdown-save-btn').disabled = this.breakdown.steps.length === 0;
+    this.updateBreakdownTotal();
+  }
+
+  /** Pull the edited rows back into this.breakdown.steps */
+  readBreakdownSteps() {
+    this.breakdown.steps = [...document.querySelectorAll('#breakdown-steps .breakdown-step')].map(row => ({
+      text: row.querySelector('.breakdown-text').value.trim(),
+      estimate: parseInt(row.querySelector('.breakdown-estimate').value)
+    }));
+    return this.breakdown.steps;
+  }
+
+  updateBreakdownTotal() {
+    if (!this.breakdown) return;
+    const total = this.readBreakdownSteps().reduce((sum, s) => sum + s.estimate, 0);
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    document.getElementById('breakdown-total').textContent =
+      total ? `Total ${hours ? `${hours}h` : ''}${minutes ? `${minutes}m` : ''}` : '';
+  }
+
+  addBreakdownStep() {
+    if (!this.breakdown) return;
+    this.readBreakdownSteps();
+    if (this.breakdown.steps.length >= BREAKDOWN_MAX_STEPS) return;
+    this.breakdown.steps.push({ text: '', estimate: 30 });
+    this.renderBreakdownSteps();
+    const inputs = document.querySelectorAll('#breakdown-steps .breakdown-text');
+    inputs[inputs.length - 1].focus();
+  }
+
+  removeBreakdownStep(index) {
+    if (!this.breakdown) return;
+    this.readBreakdownSteps().splice(index, 1);
+    this.renderBreakdownSteps();
+  }
+
+  async saveBreakdown() {
+    if (!this.breakdown) return;
+    const { itemId } = this.breakdown;
+    const steps = this.readBreakdownSteps().filter(s => s.text);
+    if (steps.length === 0) {
+      this.showToast('Add at least one step', 'warning');
+      return;
+    }
+
+    const result = await db.addSubtasks(itemId, steps);
+    if (result.error) {
+      this.showToast(result.message, 'warning');
+      return;
+    }
+    this.closeBreakdownModal();
+    if (this.editingItemId === itemId) {
+      // The parent's estimate moved into its steps; don't let Save put it back
+      this.editState.estimate_bucket = null;
+      this.updateEditModalButtons();
+      await this.renderSubtasksList();
+    }
+    await this._refreshUI();
+    this.showUndoToast(`Added ${steps.length} sub-task${steps.length === 1 ? '' : 's'}`);
+  }
+
+  // ==================== TAGS ====================
+
+  /** Colored tag chip; unknown (deleted) tags fall back to grey */
+  renderTagChip(name) {
+    const color = db.getTagColor(name);
+    return `<span class="tag" style="--tag-color:${color};--tag-text:${tagCatalog.textColor(color)}">${this.escapeHtml(name)}</span>`;
+  }
+
+  /** Edit modal tag buttons, plus any tags on the item that are no longer in the registry */
+  renderTagPicker() {
+    const names = db.getTags().map(t => t.name);
+    for (const tag of this.editState.tags) if (!names.includes(tag)) names.push(tag);
+    const container = document.getElementById('edit-tag-buttons');
+    container.innerHTML = '';
+    for (const name of names) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'tag-btn';
+      btn.dataset.tag = name;
+      btn.textContent = name;
+      btn.style.setProperty('--tag-color', db.getTagColor(name));
+      container.appendChild(btn);
+    }
+  }
+
+  renderTagSettings() {
+    const list = document.getElementById('tag-settings-list');
+    const tags = db.getTags();
+    list.innerHTML = '';
+
+    if (tags.length === 0) {
+      list.innerHTML = '<li class="subtask-empty">No tags yet</li>';
+    }
+
+    for (const tag of tags) {
+      const li = document.createElement('li');
+      li.className = 'tag-setting-row';
+
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = tag.color;
+      color.setAttribute('aria-label', `${tag.name} color`);
+      color.addEventListener('change', () => this.updateTag(tag.name, { color: color.value }));
+
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'tag-setting-name';
+      name.value = tag.name;
+      name.maxLength = TAG_NAME_MAX;
+      name.setAttribute('aria-label', 'Tag name');
+      name.addEventListener('change', () => this.renameTag(tag.name, name.value));
+
+      const keywords = document.createElement('input');
+      keywords.type = 'text';
+      keywords.className = 'tag-setting-keywords';
+      keywords.value = tag.keywords.join(', ');
+      keywords.placeholder = 'Keywords, comma separated';
+      keywords.setAttribute('aria-label', `${tag.name} keywords`);
+      keywords.addEventListener('change', () => this.updateTag(tag.name, { keywords: keywords.value }));
+
+      const merge = document.createElement('select');
+      merge.setAttribute('aria-label', `Merge ${tag.name} into`);
+      merge.innerHTML = '<option value="">Merge into...</option>';
+      for (const other of tags.filter(t => t.name !== tag.name)) {
+        const option = document.createElement('option');
+        option.value = other.name;
+        option.textContent = other.name;
+        merge.appendChild(option);
+      }
+      merge.addEventListener('change', () => {
+        if (merge.value) this.mergeTag(tag.name, merge.value);
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'subtask-delete';
+      remove.innerHTML = '&times;';
+      remove.setAttribute('aria-label', `Delete ${tag.name}`);
+      remove.addEventListener('click', () => this.deleteTag(tag.name));
+
+      li.append(color, name, merge, remove, keywords);
+      list.appendChild(li);
+    }
+    this.renderTagBudgets();
+  }
+
+  /** Run a tag registry change, surface validation errors, and refresh everything that shows tags */
+  async _tagAction(fn, successMessage) {
+    try {
+      const result = await fn();
+      if (result && result.error) {
+        this.showToast(result.message, 'warning');
+      } else if (successMessage) {
+        this.showUndoToast(successMessage);
+      }
+    } catch (err) {
+      debugLog('error', 'Error updating tags', err);
+      this.showToast('Error updating tags');
+    }
+    this.renderTagSettings();
+    this.invalidateHudCache();
+    await this._refreshUI();
+  }
+
+  async createTag() {
+    const input = document.getElementById('new-tag-name');
+    const name = input.value.trim();
+    if (!name) return;
+    const color = document.getElementById('new-tag-color').value;
+    await this._tagAction(() => db.createTag({ name, color }), null);
+    if (db.getTag(name)) input.value = '';
+  }
+
+  async updateTag(name, changes) {
+    await this._tagAction(() => db.updateTag(name, changes), null);
+  }
+
+  async renameTag(name, newName) {
+    await this._tagAction(() => db.renameTag(name, newName), `Renamed tag to "${newName.trim()}"`);
+  }
+
+  async mergeTag(name, targetName) {
+    const confirmed = await this.showConfirm(`Merge "${name}" into "${targetName}"? Every task tagged ${name} will be tagged ${targetName}.`);
+    if (!confirmed) {
+      this.renderTagSettings();
+      return;
+    }
+    await this._tagAction(() => db.mergeTags(name, targetName), `Merged "${name}" into "${targetName}"`);
+  }
+
+  async deleteTag(name) {
+    const confirmed = await this.showConfirm(`Delete tag "${name}"? It will be removed from every task.`);
+    if (!confirmed) return;
+    await this._tagAction(() => db.deleteTag(name), `Deleted tag "${name}"`);
+  }
+
+  // ==================== DEPENDENCIES ====================
+
+  /** Toast the tasks a completion freed up */
+  announceUnblocked(completed) {
+    const unblocked = completed?.unblocked || [];
+    if (unblocked.length === 0) return;
+    const message = unblocked.length === 1
+      ? `Unblocked: "${unblocked[0].text}"`
+      : `Unblocked ${unblocked.length} tasks`;
+    this.showToast(message, 'success');
+  }
+
+  /** Per-tag budget usage for the schedule header, e.g. "Business 60/90" */
+  renderBudgetSummary(budgets = []) {
+    if (budgets.length === 0) return '';
+    const parts = budgets.map(b => `${this.escapeHtml(b.tag)} ${b.used}/${b.limit}`);
+    return `<div class="schedule-budgets">Budgets: ${parts.join(' &middot; ')}</div>`;
+  }
+
+  /** Blocked items listed in the auto-schedule and rerack previews */
+  renderBlockedScheduleSection(blocked = []) {
+    if (blocked.length === 0) return '';
+    let html = `<div class="schedule-section-label schedule-blocked-label">Blocked &mdash; waiting on other tasks (${blocked.length})</div>`;
+    for (const item of blocked) {
+      html += `<div class="schedule-item schedule-item-blocked">
+        <span class="schedule-item-text">${this.escapeHtml(item.text)}</span>
+      </div>`;
+    }
+    return html;
+  }
+
+  async renderBlockersList() {
+    if (!this.editingItemId) return;
+
+    try {
+      const item = await db.getItem(this.editingItemId);
+      const blockers = await db.getBlockers(this.editingItemId);
+      const list = document.getElementById('blockers-list');
+
+      list.innerHTML = '';
+      if (blockers.length === 0) {
+        list.innerHTML = '<li class="subtask-empty">Not blocked by anything</li>';
+      }
+      blockers.forEach(blocker => {
+        const li = document.createElement('li');
+        li.className = `subtask-item blocker-item ${blocker.status === 'done' ? 'done' : ''}`;
+
+        const textSpan = document.createElement('span');
+        textSpan.className = 'subtask-text';
+        textSpan.textContent = blocker.text;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'subtask-delete';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.setAttribute('aria-label', 'Remove dependency');
+        removeBtn.addEventListener('click', () => this.removeBlocker(blocker.id));
+
+        li.appendChild(textSpan);
+        li.appendChild(removeBtn);
+        list.appendChild(li);
+      });
+
+      // Offer open top-level tasks that aren't already linked
+      const linked = new Set(item?.blocked_by || []);
+      const options = (await db.getAllItems())
+        .filter(i => i.id !== this.editingItemId && i.status !== 'done' && !i.archived && !i.parent_id && !linked.has(i.id))
+        .sort((a, b) => a.text.localeCompare(b.text));
+      const select = document.getElementById('blocker-select');
+      select.innerHTML = '<option value="">Blocked by...</option>';
+      for (const option of options) {
+        const el = document.createElement('option');
+        el.value = option.id;
+        el.textContent = option.text.length > 60 ? `${option.text.substring(0, 57)}...` : option.text;
+        select.appendChild(el);
+      }
+    } catch (err) {
+      debugLog('error', 'Error rendering dependencies', err);
+      this.showToast('Error loading dependencies');
+    }
+  }
+
+  async addBlocker() {
+    if (!this.editingItemId) return;
+    const blockerId = document.getElementById('blocker-select').value;
+    if (!blockerId) return;
+
+    try {
+      const result = await db.addBlocker(this.editingItemId, blockerId);
+      if (result && result.error) {
+        this.showToast(result.message, 'warning');
+        return;
+      }
+      await this.renderBlockersList();
+      await this._refreshUI();
+    } catch (err) {
+      debugLog('error', 'Error adding dependency', err);
+      this.showToast('Error adding dependency');
+    }
+  }
+
+  async removeBlocker(blockerId) {
+    try {
+      await db.removeBlocker(this.editingItemId, blockerId);
+      await this.renderBlockersList();
+      await this._refreshUI();
+    } catch (err) {
+      debugLog('error', 'Error removing dependency', err);
+      this.showToast('Error removing dependency');
+    }
+  }
+
+  // ==================== PROJECTS ====================
+
+  async renderProjects() {
+    const list = document.getElementById('projects-list');
+    const order = { active: 0, someday: 1, done: 2 };
+    const summaries = (await db.getProjectSummaries())
+      .filter(s => this.showDoneProjects || s.project.status !== 'done')
+      .sort((a, b) => order[a.project.status] - order[b.project.status] || (b.stalled - a.stalled));
+
+    if (summaries.length === 0) {
+      list.innerHTML = '<li class="empty-state"><p>No projects yet.<br>A project is any outcome that takes more than one step.</p></li>';
+      return;
+    }
+
+    const today = db.getToday();
+    list.innerHTML = summaries.map(summary => {
+      const { project } = summary;
+      const meta = [];
+      if (project.tag) meta.push(this.renderTagChip(project.tag));
+      if (project.deadline) {
+        const days = dayClock.diffDays(today, project.deadline);
+        const when = days < 0 ? `${-days}d overdue` : days === 0 ? 'today' : `in ${days}d`;
+        meta.push(`<span class="due-date ${summary.overdue ? 'due-overdue' : ''}">Deadline: ${project.deadline} (${when})</span>`);
+      }
+      if (project.status !== 'active') meta.push(`<span class="project-status">${project.status === 'done' ? 'Finished' : 'Someday'}</span>`);
+      const items = this.sortByPriority(summary.items);
+
+      return `
+      <li class="routine-item project-card ${summary.stalled ? 'stalled' : ''} project-${project.status}" data-id="${project.id}">
+        <div class="routine-header">
+          <span class="routine-name">${this.escapeHtml(project.name)}</span>
+          <span class="routine-count">${summary.done}/${summary.total} done</span>
+        </div>
+        <div class="project-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${summary.progress}">
+          <div class="project-progress-fill" style="width: ${summary.progress}%"></div>
+        </div>
+        ${project.outcome ? `<p class="project-outcome">${this.escapeHtml(project.outcome)}</p>` : ''}
+        ${meta.length > 0 ? `<div class="item-meta">${meta.join('')}</div>` : ''}
+        ${summary.stalled ? '<div class="project-stalled">Stalled &mdash; nothing on Today, Tomorrow or Next. Add the next action:</div>' : ''}
+        ${items.length > 0 ? `<ul class="item-list">${items.map(item => this.renderItem(item, { showPills: true })).join('')}</ul>` : ''}
+        ${project.status !== 'done' ? `
+        <div class="input-area">
+          <input type="text" class="project-item-input" placeholder="Add a next action..." maxlength="${CONSTANTS.MAX_TASK_LENGTH}" aria-label="New task for ${this.escapeHtml(project.name)}">
+          <button class="project-item-add-btn" aria-label="Add task">+</button>
+        </div>` : ''}
+        <div class="routine-actions">
+          <button class="btn-secondary btn-sm edit-project-btn">Edit</button>
+        </div>
+      </li>`;
+    }).join('');
+    this.bindItemEvents();
+  }
+
+  async addProjectItem(card) {
+    const input = card.querySelector('.project-item-input');
+    const text = input.value.trim();
+    if (!text) return;
+    this.invalidateHudCache();
+    await db.addProjectItem(card.dataset.id, text.substring(0, CONSTANTS.MAX_TASK_LENGTH));
+    await this._refreshUI();
+    const next = document.querySelector(`.project-card[data-id="${card.dataset.id}"] .project-item-input`);
+    if (next) next.focus();
+  }
+
+  /** Open the project editor; a null id starts a new project */
+  async openProjectModal(id) {
+    const project = id ? await db.getProject(id) : null;
+    if (id && !project) return;
+    this.editingProjectId = id || 'new';
+
+    document.getElementById('project-modal-title').textContent = project ? 'Edit Project' : 'New Project';
+    document.getElementById('project-edit-name').value = project ? project.name : '';
+    document.getElementById('project-edit-outcome').value = project?.outcome || '';
+    document.getElementById('project-edit-deadline').value = project?.deadline || '';
+    document.getElementById('project-edit-status').value = project ? project.status : 'active';
+    const tagSelect = document.getElementById('project-edit-tag');
+    tagSelect.innerHTML = '<option value="">No tag</option>' + db.getTags()
+      .map(t => `<option value="${this.escapeHtml(t.name)}">${this.escapeHtml(t.name)}</option>`).join('');
+    tagSelect.value = project?.tag || '';
+    document.getElementById('project-delete-btn').classList.toggle('hidden', !project);
+
+    document.getElementById('project-modal').classList.remove('hidden');
+    document.getElementById('project-edit-name').focus();
+  }
+
+  closeProjectModal() {
+    this.editingProjectId = null;
+    document.getElementById('project-modal').classList.add('hidden');
+  }
+
+  async saveProject() {
+    if (!this.editingProjectId) return;
+    const fields = {
+      name: document.getElementById('project-edit-name').value,
+      outcome: document.getElementById('project-edit-outcome').value,
+      tag: document.getElementById('project-edit-tag').value || null,
+      deadline: document.getElementById('project-edit-deadline').value || null,
+      status: document.getElementById('project-edit-status').value
+    };
+    const result = this.editingProjectId === 'new'
+      ? await db.addProject(fields)
+      : await db.updateProject(this.editingProjectId, fields);
+    if (result.error) {
+      this.showToast(result.message, 'warning', 4000);
+      return;
+    }
+    this.closeProjectModal();
+    await this._refreshUI();
+  }
+
+  async deleteProject() {
+    if (!this.editingProjectId || this.editingProjectId === 'new') return;
+    const confirmed = await this.showConfirm('Delete this project? Its tasks are kept, just no longer grouped.');
+    if (!confirmed) return;
+    const project = await db.deleteProject(this.editingProjectId);
+    this.closeProjectModal();
+    await this._refreshUI();
+    if (project) this.showUndoToast(`Deleted project "${project.name}"`);
+  }
+
+  /** Options for the edit modal's project picker: open projects, plus the item's own */
+  async renderProjectOptions(select, currentId) {
+    const projects = (await db.getAllProjects()).filter(p => p.status !== 'done' || p.id === currentId);
+    select.innerHTML = '<option value="">No project</option>' + projects
+      .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('');
+    select.value = currentId && projects.some(p => p.id === currentId) ? currentId : '';
+  }
+
+  /** Completing a project's last lined-up action: ask for the next one */
+  async announceStalledProject(completed) {
+    if (!completed || !completed.project_id) return;
+    const summary = await db.getProjectSummary(completed.project_id);
+    if (!summary || !summary.stalled) return;
+    const message = summary.items.length === 0
+      ? `"${summary.project.name}" has no tasks left. Finished, or what's next?`
+      : `"${summary.project.name}" has no next action. Move a task to Next or add one.`;
+    this.showToast(message, 'warning', 6000);
+  }
+
   // ==================== ROUTINES ====================
 
   async renderRoutines() {
+    this.renderLastReviewHint();
     const routines = await db.getAllRoutines();
     const list = document.getElementById('routines-list');
 
@@ -3819,9 +5903,10 @@ class BattlePlanApp {
             ${routine.items.slice(0, 5).map(item => {
               if (typeof item === 'object' && item !== null) {
                 const meta = [];
-                if (item.tag) meta.push(item.tag);
+                const tags = item.tags || (item.tag ? [item.tag] : []);
+                if (tags.length > 0) meta.push(this.escapeHtml(tags.join(', ')));
                 if (item.estimate_bucket) meta.push(item.estimate_bucket + 'm');
-                if (item.recurrence) meta.push(item.recurrence);
+                if (item.recurrence) meta.push(this.escapeHtml(recurrenceRules.describe(item.recurrence)));
                 const metaStr = meta.length > 0 ? ` <span class="template-meta">${meta.join(' | ')}</span>` : '';
                 return `<li>${this.escapeHtml(item.text)}${metaStr}</li>`;
               }
@@ -3883,10 +5968,11 @@ class BattlePlanApp {
     list.innerHTML = items.map((item, index) => {
       if (typeof item === 'object' && item !== null) {
         const meta = [];
-        if (item.tag) meta.push(item.tag);
+        const tags = item.tags || (item.tag ? [item.tag] : []);
+        if (tags.length > 0) meta.push(this.escapeHtml(tags.join(', ')));
         if (item.estimate_bucket) meta.push(item.estimate_bucket + 'm');
         if (item.confidence) meta.push(item.confidence);
-        if (item.recurrence) meta.push(item.recurrence);
+        if (item.recurrence) meta.push(this.escapeHtml(recurrenceRules.describe(item.recurrence)));
         const score = (item.A != null) ? `Score: ${(item.A*2)+(item.C*2)-item.E+(item.L||0)+(item.M||0)+(item.T||0)}` : '';
         if (score) meta.push(score);
         const metaStr = meta.length > 0 ? `<span class="template-meta">${meta.join(' | ')}</span>` : '';
@@ -4036,8 +6122,8 @@ class BattlePlanApp {
     // Stats by tag - build safely without innerHTML XSS
     const tagStats = {};
     doneItems.forEach(item => {
-      const tag = item.tag || 'Untagged';
-      tagStats[tag] = (tagStats[tag] || 0) + 1;
+      const tags = item.tags && item.tags.length > 0 ? item.tags : ['Untagged'];
+      for (const tag of tags) tagStats[tag] = (tagStats[tag] || 0) + 1;
     });
 
     const tagContainer = document.getElementById('stat-by-tag');
@@ -4057,6 +6143,8 @@ class BattlePlanApp {
 
         const tagSpan = document.createElement('span');
         tagSpan.textContent = tag; // Safe - uses textContent
+        tagSpan.className = 'tag-stat-name';
+        if (db.getTag(tag)) tagSpan.style.setProperty('--tag-color', db.getTagColor(tag));
 
         const countSpan = document.createElement('span');
         countSpan.textContent = count;
@@ -4066,86 +6154,372 @@ class BattlePlanApp {
         tagContainer.appendChild(div);
       });
     }
+
+    await this.renderFocusStats();
+    await this.renderEstimateInsights();
   }
 
-  // ==================== FOCUS MODE ====================
+  async renderFocusStats() {
+    const stats = await db.getFocusStats(7);
+    document.getElementById('stat-focus-sessions').textContent = stats.sessions;
+    document.getElementById('stat-focus-time').textContent = `${(stats.minutes / 60).toFixed(1)}h`;
+    document.getElementById('stat-focus-completed').textContent =
+      stats.sessions > 0 ? `${Math.round(stats.completed / stats.sessions * 100)}%` : '-';
+    document.getElementById('stat-focus-interruptions').textContent =
+      stats.sessions > 0 ? stats.interruptionsPerSession.toFixed(1) : '-';
+  }
 
-  async startFocus(minutes) {
-    const top3Items = await db.getTop3Items();
-    if (top3Items.length === 0) {
-      const todayItems = await db.getTodayItems();
-      if (todayItems.length === 0) {
-        this.showToast('No items to focus on. Add items to Today first.', 'warning', 4000);
-        return;
-      }
+  /** "Your 60-minute Business tasks actually take 95" lines from the estimation model */
+  async renderEstimateInsights() {
+    const container = document.getElementById('stat-estimate-insights');
+    const insights = (await db.getEstimateInsights()).slice(0, 6);
+    container.innerHTML = '';
+
+    if (insights.length === 0) {
+      const hint = document.createElement('p');
+      hint.className = 'stat-hint';
+      hint.textContent = 'Your estimates are on track (or there is not enough timed history yet)';
+      container.appendChild(hint);
+      return;
     }
 
-    const item = top3Items[0] || (await db.getTodayItems())[0];
-    if (!item) return;
+    for (const insight of insights) {
+      const div = document.createElement('div');
+      div.className = 'estimate-insight';
+      if (db.getTag(insight.tag)) div.style.setProperty('--tag-color', db.getTagColor(insight.tag));
+      const verb = insight.ratio > 1 ? 'actually take' : 'usually take only';
+      div.textContent = `Your ${insight.bucket}-minute ${insight.tag} tasks ${verb} ${insight.typical}`;
+
+      const detail = document.createElement('span');
+      detail.className = 'estimate-insight-detail';
+      detail.textContent = `${insight.count} tasks \u00b7 1 in 5 take ${insight.p80}+ min`;
+      div.appendChild(detail);
+      container.appendChild(div);
+    }
+  }
+
+  // ==================== FOCUS MODE ====================
+
+  /**
+   * Start a focus cycle: work sessions on the chosen task (an item's Focus
+   * button, else the selected item, else the first Top 3 / Today item), with
+   * short breaks between them and a long break every Nth session (settings).
+   */
+  async startFocus(minutes, itemId = null) {
+    const item = await this.pickFocusItem(itemId || this.selectedItemId);
+    if (!item) {
+      this.showToast('No items to focus on. Add items to Today first.', 'warning', 4000);
+      return;
+    }
 
-    this.selectedItemId = item.id;
-    this.focusTimeRemaining = (minutes || this.timerDefault) * 60;
-    this.focusPaused = false;
+    if (this.focusSession || this.focusBreak) await this.stopFocus();
+    this.focusCycle = await db.startFocusCycle(minutes || this.timerDefault);
+    await this.startWorkSession(item);
+  }
 
-    // Record start time for accurate calibration
-    await db.startWork(item.id);
+  async pickFocusItem(itemId) {
+    const chosen = itemId ? await db.getItem(itemId) : null;
+    if (chosen && chosen.status !== 'done' && !chosen.archived) return chosen;
+    const top3Items = await db.getTop3Items();
+    return top3Items[0] || (await db.getTodayItems())[0] || null;
+  }
 
-    document.getElementById('focus-task-name').textContent = item.text;
-    this.updateFocusTimerDisplay();
-    document.getElementById('focus-overlay').classList.remove('hidden');
-    document.getElementById('focus-pause-btn').textContent = 'Pause';
+  async startWorkSession(item) {
+    this.focusBreak = null;
+    // The session records started_at on the item too, for calibration
+    const minutes = this.focusCycle ? this.focusCycle.work_minutes : this.timerDefault;
+    this.focusSession = await db.startFocusSession(item, minutes);
+    this.showFocusOverlay();
+  }
 
-    this.focusTimer = setInterval(() => {
-      if (!this.focusPaused) {
-        this.focusTimeRemaining--;
-        this.updateFocusTimerDisplay();
+  /** Reopen the overlay for a session or break that was running when the page was closed */
+  async resumeFocusSession() {
+    this.focusCycle = await db.getFocusCycle();
+    const session = await db.getActiveFocusSession();
+    if (session) {
+      this.focusSession = session;
+      this.showFocusOverlay();
+    } else if (this.focusCycle && this.focusCycle.brk) {
+      this.focusBreak = this.focusCycle.brk;
+      this.showFocusOverlay();
+    }
+  }
 
-        if (this.focusTimeRemaining <= 0) {
-          this.completeFocus();
-        }
-      }
-    }, 1000);
+  showFocusOverlay() {
+    const onBreak = !!this.focusBreak;
+    const phase = document.getElementById('focus-phase');
+    const name = document.getElementById('focus-task-name');
+    if (onBreak) {
+      phase.textContent = this.focusBreak.kind === 'long' ? 'Long break' : 'Short break';
+      name.textContent = `Up next: ${this.focusBreak.next_item_text}`;
+    } else {
+      phase.textContent = this.focusCycle ? `Focus \u00b7 session ${this.focusCycle.work_count + 1}` : 'Focus';
+      name.textContent = this.focusSession.item_text;
+      this.selectedItemId = this.focusSession.item_id;
+      document.getElementById('focus-pause-btn').textContent = db.isFocusPaused(this.focusSession) ? 'Resume' : 'Pause';
+    }
+    document.getElementById('focus-pause-btn').hidden = onBreak;
+    document.getElementById('focus-interrupt-btn').hidden = onBreak;
+    document.getElementById('focus-switch-btn').hidden = onBreak;
+    document.getElementById('focus-skip-btn').hidden = !onBreak;
+    document.getElementById('focus-switch-list').hidden = true;
+    this.renderFocusSubtasks();
+    const overlay = document.getElementById('focus-overlay');
+    overlay.classList.toggle('on-break', onBreak);
+    overlay.classList.remove('hidden');
+
+    if (this.focusTimer) clearInterval(this.focusTimer);
+    this.focusTimer = setInterval(() => this.tickFocus(), 1000);
+    this.tickFocus();
+  }
+
+  /** Redraw from wall-clock time; moves to the next phase once the current one is used up */
+  tickFocus() {
+    if (this._focusEnding) return;
+    if (this.focusBreak) {
+      const remaining = db.getBreakRemaining(this.focusBreak);
+      this.updateFocusTimerDisplay(Math.max(0, remaining));
+      if (remaining <= 0) this.finishBreak(remaining);
+      return;
+    }
+    if (!this.focusSession) return;
+    const remaining = db.getFocusRemaining(this.focusSession);
+    this.updateFocusTimerDisplay(Math.max(0, remaining));
+    if (remaining <= 0 && !db.isFocusPaused(this.focusSession)) {
+      this.completeFocus();
+    }
   }
 
-  updateFocusTimerDisplay() {
-    const minutes = Math.floor(this.focusTimeRemaining / 60);
-    const seconds = this.focusTimeRemaining % 60;
+  updateFocusTimerDisplay(secondsRemaining) {
+    const minutes = Math.floor(secondsRemaining / 60);
+    const seconds = secondsRemaining % 60;
     document.getElementById('focus-timer').textContent =
       `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   }
 
-  toggleFocusPause() {
-    this.focusPaused = !this.focusPaused;
-    document.getElementById('focus-pause-btn').textContent = this.focusPaused ? 'Resume' : 'Pause';
+  async toggleFocusPause() {
+    if (!this.focusSession) return;
+    const id = this.focusSession.id;
+    this.focusSession = db.isFocusPaused(this.focusSession)
+      ? await db.resumeFocusSession(id)
+      : await db.pauseFocusSession(id);
+    document.getElementById('focus-pause-btn').textContent = db.isFocusPaused(this.focusSession) ? 'Resume' : 'Pause';
+    this.tickFocus();
   }
 
-  stopFocus() {
+  async logFocusInterruption() {
+    if (!this.focusSession) return;
+    this.focusSession = await db.logFocusInterruption(this.focusSession.id);
+    const count = this.focusSession.interruptions.length;
+    this.showToast(`Interruption logged (${count} this session)`, 'success', 2000);
+  }
+
+  closeFocusOverlay() {
     if (this.focusTimer) {
       clearInterval(this.focusTimer);
       this.focusTimer = null;
     }
+    this.focusSession = null;
     document.getElementById('focus-overlay').classList.add('hidden');
   }
 
+  async endFocusCycle() {
+    await db.endFocusCycle();
+    this.focusCycle = null;
+    this.focusBreak = null;
+    this.closeFocusOverlay();
+  }
+
+  /** Stop button: end the session and the cycle early; minutes worked still count toward the task */
+  async stopFocus() {
+    if (this.focusSession) await db.endFocusSession(this.focusSession.id, 'stopped');
+    await this.endFocusCycle();
+  }
+
+  /**
+   * Work timer ran out: log the session, offer to complete the task, then take
+   * a break before the same task (not done) or the next Top 3 item (done).
+   */
   async completeFocus() {
-    this.stopFocus();
+    if (!this.focusSession) return;
+    this._focusEnding = true;
+    const session = this.focusSession;
+    try {
+      // If the timer ran out while the app was closed, the session ended then, not now
+      const overrun = Math.min(0, db.getFocusRemaining(session));
+      await db.endFocusSession(session.id, 'completed', new Date(Date.now() + overrun * 1000));
+      this.closeFocusOverlay();
+      this.announceFocusPhase('Focus session complete', session.item_text);
+
+      const item = await db.getItem(session.item_id);
+      let next = item && item.status !== 'done' ? item : null;
+      if (next) {
+        const markDone = await this.showConfirm('Focus session complete! Mark task as done?');
+        if (markDone) {
+          // Logged focus time becomes the task's actual time for calibration
+          const completed = await db.completeTask(item.id);
+          await this._refreshUI();
+          this.announceUnblocked(completed);
+          await this.announceStalledProject(completed);
+          await this.checkDriftRerack(item.id);
+          const { autoAdvance } = await db.getFocusCycleConfig();
+          next = autoAdvance ? await db.getNextFocusItem(item.id) : null;
+          if (autoAdvance && !next) this.showToast('Top 3 cleared. Focus cycle finished!', 'success', 4000);
+        }
+      }
 
-    if (this.selectedItemId) {
-      const markDone = await this.showConfirm('Focus session complete! Mark task as done?');
-      if (markDone) {
-        // Focus already set started_at, so completeTask will compute accurate actual
-        await db.completeTask(this.selectedItemId);
-        await this._refreshUI();
-        await this.checkDriftRerack(this.selectedItemId);
-        this.selectedItemId = null;
+      this.selectedItemId = null;
+      await this._refreshUI();
+      if (this.focusCycle && next) await this.startBreak(next);
+      else await this.endFocusCycle();
+    } finally {
+      this._focusEnding = false;
+    }
+  }
+
+  async startBreak(nextItem) {
+    this.focusCycle = await db.startFocusBreak(nextItem);
+    this.focusBreak = this.focusCycle.brk;
+    const label = this.focusBreak.kind === 'long' ? 'Long break' : 'Short break';
+    this.announceFocusPhase(`${label}: ${this.focusBreak.minutes} min`, `Up next: ${nextItem.text}`);
+    this.showFocusOverlay();
+  }
+
+  /** Break over (or skipped): start work on the queued item, or the next Top 3 item if it got done meanwhile */
+  async finishBreak(remaining) {
+    if (!this.focusBreak || this._focusEnding) return;
+    this._focusEnding = true;
+    const brk = this.focusBreak;
+    try {
+      await db.endFocusBreak();
+      this.focusBreak = null;
+
+      // A break that ran out long ago (app closed) shouldn't start a work timer out of nowhere
+      if (remaining < -brk.minutes * 60) {
+        await this.endFocusCycle();
+        this.showToast('Your break ended while you were away. Tap Start Focus to pick up again.', 'warning', 4000);
         return;
       }
+
+      const queued = await db.getItem(brk.next_item_id);
+      const next = queued && queued.status !== 'done' ? queued : await db.getNextFocusItem(brk.next_item_id);
+      if (!next) {
+        await this.endFocusCycle();
+        return;
+      }
+      this.announceFocusPhase('Back to work', next.text);
+      await this.startWorkSession(next);
+    } finally {
+      this._focusEnding = false;
+    }
+  }
+
+  /** Sub-task checklist under the task name; ticking one goes through toggleSubtask */
+  async renderFocusSubtasks() {
+    const list = document.getElementById('focus-subtasks');
+    const rows = this.focusSession ? await db.getSubtaskTree(this.focusSession.item_id) : [];
+    list.hidden = rows.length === 0;
+    list.innerHTML = '';
+    for (const { item: subtask, depth } of rows) {
+      const li = document.createElement('li');
+      li.className = `subtask-item ${subtask.status === 'done' ? 'done' : ''}`;
+      li.style.setProperty('--depth', depth);
+      const label = document.createElement('label');
+      label.className = 'subtask-checkbox';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = subtask.status === 'done';
+      checkbox.addEventListener('change', () => this.toggleSubtask(subtask.id));
+      const textSpan = document.createElement('span');
+      textSpan.className = 'subtask-text';
+      textSpan.textContent = subtask.text;
+      label.appendChild(checkbox);
+      label.appendChild(textSpan);
+      li.appendChild(label);
+      list.appendChild(li);
+    }
+  }
+
+  /** Show/hide the list of Today tasks the running session can move to */
+  async toggleFocusSwitchList() {
+    const list = document.getElementById('focus-switch-list');
+    if (!list.hidden || !this.focusSession) {
+      list.hidden = true;
+      return;
     }
+    const top3Items = await db.getTop3Items();
+    const candidates = [...top3Items];
+    for (const item of await db.getTodayItems()) {
+      if (!candidates.some(c => c.id === item.id)) candidates.push(item);
+    }
+    const others = candidates.filter(i => i.id !== this.focusSession.item_id);
 
-    this.selectedItemId = null;
+    list.innerHTML = '';
+    if (others.length === 0) {
+      list.innerHTML = '<li class="focus-switch-empty">No other tasks on Today</li>';
+    }
+    for (const item of others) {
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.className = 'focus-switch-option';
+      btn.textContent = item.text;
+      btn.addEventListener('click', () => this.switchFocusTask(item.id));
+      li.appendChild(btn);
+      list.appendChild(li);
+    }
+    list.hidden = false;
+  }
+
+  /** Keep the clock running on another task; minutes so far stay with the previous one */
+  async switchFocusTask(itemId) {
+    if (!this.focusSession) return;
+    const item = await db.getItem(itemId);
+    if (!item || item.status === 'done') return;
+    const previous = this.focusSession.item_text;
+    this.focusSession = await db.switchFocusSession(this.focusSession.id, item);
+    this.showFocusOverlay();
+    this.showToast(`Switched from "${previous}"`, 'success', 2000);
     await this._refreshUI();
   }
 
+  /** Work/break transitions: chime, plus a notification when enabled (a toast otherwise) */
+  announceFocusPhase(title, body) {
+    this.playFocusChime();
+    if (this.notificationsEnabled && 'Notification' in window && Notification.permission === 'granted') {
+      new Notification(`Battle Plan - ${title}`, {
+        body,
+        icon: '/reaperslawnservice/icons/icon.svg',
+        tag: 'focus-cycle'
+      });
+    } else {
+      this.showToast(`${title} \u2014 ${body}`, 'success', 3000);
+    }
+  }
+
+  /** Short two-tone chime via Web Audio (no sound files to cache) */
+  playFocusChime() {
+    if (!this.focusSound) return;
+    try {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return;
+      this.audioContext = this.audioContext || new AudioCtx();
+      const ctx = this.audioContext;
+      [660, 880].forEach((frequency, i) => {
+        const start = ctx.currentTime + i * 0.18;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.35);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(start);
+        osc.stop(start + 0.35);
+      });
+    } catch (err) {
+      debugLog('warn', 'Chime failed', err);
+    }
+  }
+
   // ==================== SETTINGS ====================
 
   setTimerPreset(btn) {
@@ -4181,7 +6555,7 @@ class BattlePlanApp {
 
     const a = document.createElement('a');
     a.href = url;
-    a.download = `battle-plan-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = `battle-plan-backup-${db.getToday()}.json`;
     a.click();
 
     URL.revokeObjectURL(url);
@@ -4249,6 +6623,8 @@ class BattlePlanApp {
       this.pendingImportData = null;
       document.getElementById('import-confirm-modal').classList.add('hidden');
       this.showToast('Data imported successfully!', 'warning', 4000);
+      this.renderTagSettings();
+      await this.renderSavedSearchNav();
       await this._refreshUI();
     } catch (err) {
       debugLog('error', 'Import error', err);
@@ -4261,13 +6637,56 @@ class BattlePlanApp {
     document.getElementById('import-confirm-modal').classList.add('hidden');
   }
 
+  async exportIcs() {
+    const kind = document.getElementById('ics-export-kind').value;
+    const ics = await db.exportIcs(kind);
+    const blob = new Blob([ics], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `battle-plan-${db.getToday()}.ics`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  async importIcs(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const { added, skipped } = await db.importIcs(text, {
+        maxItems: CONSTANTS.MAX_IMPORT_ITEMS,
+        maxTextLength: CONSTANTS.MAX_TASK_LENGTH
+      });
+      this.invalidateHudCache();
+      await this._refreshUI();
+
+      const skippedNote = skipped > 0 ? ` (${skipped} skipped: done, past or already imported)` : '';
+      if (added.length > 0) {
+        this.showUndoToast(`Added ${added.length} calendar task${added.length !== 1 ? 's' : ''} to Inbox${skippedNote}`);
+      } else {
+        this.showToast(`Nothing new to import${skippedNote}`, 'warning', 4000);
+      }
+    } catch (err) {
+      debugLog('error', 'ICS import error', err);
+      this.showToast('Unable to read calendar file. Please check it is a valid .ics file.', 'warning', 4000);
+    }
+
+    e.target.value = '';
+  }
+
   async confirmWaiting() {
     if (!this.pendingWaitingId) return;
 
     const waitingOn = document.getElementById('waiting-input').value.trim();
+    const followUp = document.getElementById('waiting-follow-up').value;
     const updates = {
       status: 'waiting',
       waiting_on: waitingOn || null,
+      follow_up_date: dayClock.isDateStr(followUp) ? followUp : null,
       scheduled_for_date: null,
       isTop3: false,
       top3Order: null
@@ -4286,6 +6705,162 @@ class BattlePlanApp {
     document.getElementById('waiting-modal').classList.add('hidden');
   }
 
+  // ==================== WEEKLY REVIEW ====================
+
+  async startWeeklyReview() {
+    const queues = await db.getWeeklyReview();
+    const start = {};
+    for (const step of REVIEW_STEPS) if (step.actions) start[step.key] = queues[step.key].length;
+    this.review = { index: 0, start, handled: {} };
+    document.getElementById('review-modal').classList.remove('hidden');
+    await this.renderReviewStep(queues);
+  }
+
+  /** Draw the current step; queues are re-read so edits made elsewhere show up */
+  async renderReviewStep(queues = null) {
+    if (!this.review) return;
+    queues = queues || await db.getWeeklyReview();
+    const step = REVIEW_STEPS[this.review.index];
+    const list = document.getElementById('review-list');
+
+    document.getElementById('review-progress').textContent = `Step ${this.review.index + 1} of ${REVIEW_STEPS.length}`;
+    document.getElementById('review-title').textContent = step.title;
+    document.getElementById('review-hint').textContent = step.hint;
+    document.getElementById('review-back-btn').disabled = this.review.index === 0;
+    document.getElementById('review-next-btn').textContent = step.key === 'summary' ? 'Finish' : 'Next';
+
+    if (step.key === 'week') {
+      list.innerHTML = `<li class="review-week">${queues.week.map(day =>
+        `<div class="week-day">${this.renderDayLoad(day, dayClock.dayName(day.date).substring(0, 3))}</div>`
+      ).join('')}<button id="review-plan-week-btn" class="btn-secondary btn-sm">Plan Week</button></li>`;
+      document.getElementById('review-plan-week-btn').addEventListener('click', () => this.showWeekPlan());
+      return;
+    }
+
+    if (step.key === 'summary') {
+      const { handled, left } = this.getReviewCounts(queues);
+      list.innerHTML = REVIEW_STEPS.filter(s => s.actions).map(s => `
+        <li>
+          <span class="task-text">${s.title}</span>
+          <span class="task-date">${handled[s.key]} handled &middot; ${left[s.key]} left</span>
+        </li>
+      `).join('');
+      return;
+    }
+
+    const items = queues[step.key];
+    if (items.length === 0) {
+      list.innerHTML = `<li class="review-empty">${step.empty}</li>`;
+      return;
+    }
+    list.innerHTML = items.map(item => {
+      let detail = '';
+      if (step.key === 'waiting') {
+        const days = db.getWaitingDays(item);
+        detail = item.waiting_on ? `Waiting on ${this.escapeHtml(item.waiting_on)}` : 'Waiting on: not set';
+        if (days !== null) detail += ` &middot; ${days}d`;
+      }
+      else if (step.key === 'overdue') detail = `Scheduled: ${item.scheduled_for_date}`;
+      else if (item.dueDate) detail = `Due: ${item.dueDate}`;
+      return `
+        <li data-id="${item.id}">
+          <div class="task-info">
+            <span class="task-text">${this.escapeHtml(item.text)}</span>
+            ${detail ? `<span class="task-date">${detail}</span>` : ''}
+          </div>
+          <div class="task-actions">
+            ${step.actions.map(([action, label]) => `<button data-action="${action}">${label}</button>`).join('')}
+          </div>
+        </li>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.task-actions button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.handleReviewAction(step.key, btn.closest('li').dataset.id, btn.dataset.action);
+      });
+    });
+  }
+
+  async handleReviewAction(key, itemId, action) {
+    if (action === 'rate') {
+      // Rating happens in the edit modal; the list refreshes when it saves
+      this.openEditModal(itemId);
+      return;
+    }
+
+    const li = document.querySelector(`#review-list li[data-id="${itemId}"]`);
+    if (li && li.classList.contains('review-kept')) return;
+    this.review.handled[key] = (this.review.handled[key] || 0) + 1;
+    if (action === 'keep') {
+      // Kept Someday items count as reviewed and won't come up again for a month
+      if (key === 'someday') await db.markReviewed(itemId);
+      if (li) {
+        li.classList.add('review-kept');
+        li.querySelectorAll('.task-actions button').forEach(btn => { btn.disabled = true; });
+      }
+      return;
+    }
+    if (action === 'delete') {
+      await db.deleteItem(itemId);
+      await this._refreshUI();
+      this.showUndoToast('Deleted task');
+      return;
+    }
+    await this.setItemStatus(itemId, action);
+  }
+
+  /** Handled/left per queue; unrated counts whatever got rated since the review began */
+  getReviewCounts(queues) {
+    const handled = {};
+    const left = {};
+    for (const step of REVIEW_STEPS) {
+      if (!step.actions) continue;
+      left[step.key] = queues[step.key].length;
+      handled[step.key] = this.review.handled[step.key] || 0;
+    }
+    handled.unrated = Math.max(handled.unrated, this.review.start.unrated - left.unrated);
+    return { handled, left };
+  }
+
+  async moveReviewStep(delta) {
+    if (!this.review) return;
+    const index = this.review.index + delta;
+    if (index >= REVIEW_STEPS.length) {
+      await this.finishWeeklyReview();
+      return;
+    }
+    this.review.index = Math.max(0, index);
+    await this.renderReviewStep();
+  }
+
+  async finishWeeklyReview() {
+    const counts = this.getReviewCounts(await db.getWeeklyReview());
+    await db.saveWeeklyReview(counts);
+    this.closeWeeklyReview();
+    const total = Object.values(counts.handled).reduce((sum, n) => sum + n, 0);
+    this.showToast(`Weekly review done: ${total} item${total !== 1 ? 's' : ''} handled`, 'success', 4000);
+    this.renderLastReviewHint();
+  }
+
+  closeWeeklyReview() {
+    this.review = null;
+    document.getElementById('review-modal').classList.add('hidden');
+  }
+
+  async renderLastReviewHint() {
+    const last = await db.getLastWeeklyReviewDate();
+    const hint = document.getElementById('last-review-hint');
+    if (!last) {
+      hint.textContent = 'No weekly review yet.';
+      return;
+    }
+    const days = dayClock.diffDays(last, db.getToday());
+    const ago = days === 0 ? 'today' : days === 1 ? 'yesterday' : `${days} days ago`;
+    hint.textContent = `Last review: ${last} (${ago})`;
+    hint.classList.toggle('review-due', days >= 7);
+  }
+
   // ==================== OVERDUE MANAGEMENT ====================
 
   async showOverdueModal() {
@@ -4345,12 +6920,14 @@ class BattlePlanApp {
 
     this.invalidateHudCache();
 
-    for (const item of overdueItems) {
-      await db.setToday(item.id);
-    }
+    await db.journalGroup('Rescheduled overdue to Today', async scope => {
+      for (const item of overdueItems) {
+        await scope.setToday(item.id);
+      }
+    });
 
     this.closeOverdueModal();
-    this.showToast(`Moved ${overdueItems.length} task${overdueItems.length !== 1 ? 's' : ''} to Today`);
+    this.showUndoToast(`Moved ${overdueItems.length} task${overdueItems.length !== 1 ? 's' : ''} to Today`);
     await this._refreshUI();
   }
 
@@ -4371,18 +6948,9 @@ class BattlePlanApp {
    * Within each tier: sort by priority_score descending, then by newest first.
    */
   sortByPriority(items) {
-    const today = new Date().toISOString().split('T')[0];
-    const todayDate = new Date(today);
-
-    // Get tomorrow's date string
-    const tomorrowDate = new Date(todayDate);
-    tomorrowDate.setDate(tomorrowDate.getDate() + 1);
-    const tomorrow = tomorrowDate.toISOString().split('T')[0];
-
-    // Get 3 days from now
-    const threeDaysDate = new Date(todayDate);
-    threeDaysDate.setDate(threeDaysDate.getDate() + 3);
-    const threeDays = threeDaysDate.toISOString().split('T')[0];
+    const today = db.getToday();
+    const tomorrow = dayClock.addDays(today, 1);
+    const threeDays = dayClock.addDays(today, 3);
 
     return items.sort((a, b) => {
       // Determine tier for each item
@@ -4547,11 +7115,13 @@ class BattlePlanApp {
     }
 
     const escaped = this.escapeHtml(text);
-    const query = this.searchQuery.trim();
-    const escapedQuery = this.escapeHtml(query);
+    // Only the plain-text words of a query; filters like tag:Home aren't in the text
+    const words = taskQuery.parse(this.searchQuery).words;
+    if (words.length === 0) return escaped;
 
     // Case-insensitive replace with mark tag
-    const regex = new RegExp(`(${escapedQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    const alternatives = words.map(w => this.escapeHtml(w).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const regex = new RegExp(`(${alternatives.join('|')})`, 'gi');
     return escaped.replace(regex, '<mark>$1</mark>');
   }
 }
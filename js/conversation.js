@@ -0,0 +1,110 @@
+/**
+ * Battle Plan - Voice Conversation
+ * The state that turns one-shot voice commands into a conversation: the
+ * task last talked about (so "and make it high priority" or "move it to
+ * tomorrow" know what "it" is), and the open question when a command
+ * matched several tasks ("Which one: Mow front lawn or Edge lawn?") so the
+ * next utterance can answer it ("the second one", "edge", "never mind").
+ * Pure state and matching; App does the listening, speaking and writing.
+ */
+
+const VOICE_QUESTION_TTL_MS = 30000;     // an unanswered question lapses after this
+const VOICE_CONTEXT_TTL_MS = 5 * 60000;  // "it" stops meaning the last task after this
+const VOICE_MAX_CHOICES = 4;             // matches offered in one question
+const VOICE_ORDINALS = {
+  first: 1, '1st': 1, '1': 1,
+  second: 2, '2nd': 2, two: 2, '2': 2,
+  third: 3, '3rd': 3, three: 3, '3': 3,
+  fourth: 4, '4th': 4, four: 4, '4': 4
+};
+const VOICE_CANCEL = /^(?:cancel|never ?mind|neither|none|no|stop|forget it)\b/;
+const VOICE_BACK_REFERENCE = /^(?:it|that|this|that one|this one|the last one|the same one|same one)$/;
+const VOICE_FILLER_WORDS = new Set(['the', 'a', 'an', 'one', 'that', 'this', 'please', 'task', 'thing', 'about', 'with']);
+// "high priority" / "low priority": the consequences and time-reality scores that drive the priority score
+const VOICE_PRIORITY_RATINGS = { high: { C: 5, T: 2 }, low: { C: 1, T: 0 } };
+
+class VoiceConversation {
+  constructor() {
+    this.question = null;  // { intent, data, choices: [{ id, text }], at }
+    this.lastItem = null;  // { id, text, at }
+  }
+
+  /** Remember the task a command acted on, for "it" in the next command */
+  remember(item, now = Date.now()) {
+    this.lastItem = item ? { id: item.id, text: item.text, at: now } : null;
+  }
+
+  /** The task "it" refers to ({ id, text }), or null once the context has lapsed */
+  recentItem(now = Date.now()) {
+    if (this.lastItem && now - this.lastItem.at > VOICE_CONTEXT_TTL_MS) this.lastItem = null;
+    return this.lastItem;
+  }
+
+  /** Does a command's keyword point back at the last task ("it", "that one", or no keyword at all)? */
+  isBackReference(keyword) {
+    return !keyword || VOICE_BACK_REFERENCE.test(String(keyword).trim().toLowerCase());
+  }
+
+  /** Open a question about which of candidates (items) a command meant; returns its text */
+  ask(intent, data, candidates, now = Date.now()) {
+    const choices = candidates.slice(0, VOICE_MAX_CHOICES).map(item => ({ id: item.id, text: item.text }));
+    this.question = { intent, data, choices, at: now };
+    return this.questionText();
+  }
+
+  questionText() {
+    const names = this.question.choices.map(c => c.text);
+    return `Which one: ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}?`;
+  }
+
+  /** The open question, or null if there is none or it has lapsed */
+  pendingQuestion(now = Date.now()) {
+    if (this.question && now - this.question.at > VOICE_QUESTION_TTL_MS) this.question = null;
+    return this.question;
+  }
+
+  /**
+   * Read text as the answer to the open question: by position ("the second
+   * one", "last", "3"), by words only one choice contains ("the front one"),
+   * or a cancel. Returns { cancel: true }, { choice, intent, data } to re-run
+   * the command on the chosen task, or null when it isn't an answer (the
+   * question stays open; the caller decides whether to drop it).
+   */
+  answer(text, now = Date.now()) {
+    const question = this.pendingQuestion(now);
+    if (!question) return null;
+    const reply = String(text || '').toLowerCase().replace(/[.,!?]/g, '').trim();
+    if (!reply) return null;
+    if (VOICE_CANCEL.test(reply)) {
+      this.question = null;
+      return { cancel: true };
+    }
+
+    const { choices } = question;
+    const words = reply.split(/\s+/);
+    let index = -1;
+    if (/^(?:the\s+)?(?:last|bottom)(?:\s+one)?$/.test(reply)) {
+      index = choices.length - 1;
+    } else if (/^(?:the\s+)?(?:number\s+)?one$/.test(reply)) {
+      index = 0;
+    } else {
+      const position = words.map(w => VOICE_ORDINALS[w]).find(n => n !== undefined);
+      if (position !== undefined && position <= choices.length && words.length <= 4) index = position - 1;
+    }
+    if (index === -1) {
+      const content = words.filter(w => !VOICE_FILLER_WORDS.has(w));
+      const hits = content.length === 0 ? [] : choices.filter(c => content.every(w => c.text.toLowerCase().includes(w)));
+      if (hits.length === 1) index = choices.indexOf(hits[0]);
+    }
+    if (index === -1) return null;
+
+    this.question = null;
+    return { choice: choices[index], intent: question.intent, data: question.data };
+  }
+
+  clearQuestion() {
+    this.question = null;
+  }
+}
+
+const voiceConversation = new VoiceConversation();
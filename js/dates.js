@@ -0,0 +1,128 @@
+/**
+ * Battle Plan - Local Day Model
+ * All calendar math runs on local days (never UTC), with a configurable
+ * "day starts at" hour so a night-shift duty day can run past midnight.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class DayClock {
+  constructor() {
+    this.dayStartHour = 0;
+  }
+
+  setDayStartHour(hour) {
+    const h = parseInt(hour);
+    this.dayStartHour = (isNaN(h) || h < 0 || h > 23) ? 0 : h;
+  }
+
+  /** Format a Date as local YYYY-MM-DD (no UTC conversion) */
+  toDateStr(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+
+  /** Parse YYYY-MM-DD into a Date at local midnight */
+  parse(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  isDateStr(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(this.parse(value).getTime());
+  }
+
+  /** The duty day a given instant belongs to, honoring dayStartHour */
+  dateOf(instant = new Date()) {
+    const t = instant instanceof Date ? instant.getTime() : Date.parse(instant);
+    if (isNaN(t)) return null;
+    const shifted = new Date(t);
+    shifted.setHours(shifted.getHours() - this.dayStartHour);
+    return this.toDateStr(shifted);
+  }
+
+  today(now = new Date()) {
+    return this.dateOf(now);
+  }
+
+  tomorrow(now = new Date()) {
+    return this.addDays(this.today(now), 1);
+  }
+
+  addDays(dateStr, days) {
+    const d = this.parse(dateStr);
+    d.setDate(d.getDate() + days);
+    return this.toDateStr(d);
+  }
+
+  /** Whole calendar days from one date string to another (DST-safe) */
+  diffDays(fromStr, toStr) {
+    return Math.round((this.parse(toStr) - this.parse(fromStr)) / MS_PER_DAY);
+  }
+
+  dayOfWeek(dateStr) {
+    return this.parse(dateStr).getDay();
+  }
+
+  /** Monday of the week containing the date */
+  weekStart(dateStr) {
+    return this.addDays(dateStr, -((this.dayOfWeek(dateStr) + 6) % 7));
+  }
+
+  dayName(dateStr) {
+    return DAY_NAMES[this.dayOfWeek(dateStr)];
+  }
+
+  isWeekend(dateStr = this.today()) {
+    const day = this.dayOfWeek(dateStr);
+    return day === 0 || day === 6;
+  }
+
+  /** Wall-clock instant at which a duty day begins */
+  startOf(dateStr) {
+    const d = this.parse(dateStr);
+    d.setHours(this.dayStartHour, 0, 0, 0);
+    return d;
+  }
+
+  /**
+   * Wall-clock instant for an hour of a duty day. Hours earlier than the
+   * day start fall on the next calendar date (e.g. 06:00 on a 18:00 shift).
+   */
+  atHour(dateStr, hour, minute = 0) {
+    const d = this.parse(dateStr);
+    if (hour < this.dayStartHour) d.setDate(d.getDate() + 1);
+    d.setHours(hour, minute, 0, 0);
+    return d;
+  }
+
+  /** Parse a 24h "HH:MM" time into { hour, minute }, or null */
+  parseTime(value) {
+    const m = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return null;
+    const hour = parseInt(m[1]);
+    const minute = parseInt(m[2]);
+    return (hour > 23 || minute > 59) ? null : { hour, minute };
+  }
+
+  /** Local 24h "HH:MM" for a Date */
+  formatTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  /** Wall-clock instant for an "HH:MM" time on a duty day, or null */
+  atTime(dateStr, timeStr) {
+    const t = this.parseTime(timeStr);
+    return t ? this.atHour(dateStr, t.hour, t.minute) : null;
+  }
+
+  /** Did this ISO timestamp happen during the given duty day? */
+  isOnDay(timestamp, dateStr) {
+    return !!timestamp && this.dateOf(timestamp) === dateStr;
+  }
+}
+
+const dayClock = new DayClock();
@@ -5,11 +5,30 @@
  */
 
 const DB_NAME = 'BattlePlanDB';
-const DB_VERSION = 4;
+const DB_VERSION = 9;
 
 const ESTIMATE_BUCKETS = [15, 30, 60, 90, 120, 180];
-const CONFIDENCE_MULTIPLIERS = { high: 1.1, medium: 1.3, low: 1.6 };
 const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const UNDO_JOURNAL_LIMIT = 100;
+const FOCUS_MAX_PAUSES = 100;
+const FOCUS_MAX_INTERRUPTIONS = 100;
+const DEFAULT_BLOCK_MINUTES = 30;  // timeline length for a timed item with no duration or estimate
+const BLOCK_GRID_MINUTES = 5;
+const WEEK_PLAN_DAYS = 7;
+const WEEK_PLAN_STATUSES = ['today', 'tomorrow', 'next'];
+const REVIEW_QUEUES = ['inbox', 'waiting', 'someday', 'overdue', 'unrated'];
+const REVIEW_STALE_SOMEDAY_DAYS = 30;  // Someday items untouched this long come up in the review
+const REVIEW_LOG_MAX = 52;
+const SAVED_SEARCH_MAX = 20;
+const SAVED_SEARCH_NAME_MAX = 40;
+const SAVED_SEARCH_QUERY_MAX = 200;
+const PERSPECTIVE_SORTS = ['priority', 'due', 'created', 'estimate'];
+const PERSPECTIVE_GROUPS = ['none', 'tag', 'due_week'];
+const PROJECT_STATUSES = ['active', 'someday', 'done'];
+const PROJECT_ACTION_STATUSES = ['today', 'tomorrow', 'next']; // an open item here is a project's next action
+const PROJECT_NAME_MAX = 80;
+const PROJECT_OUTCOME_MAX = 500;
+const AI_QUEUE_MAX = 100;  // captures waiting for an AI parse; oldest dropped beyond this
 
 const DEFAULT_SETTINGS = {
   timerDefault: 25,
@@ -19,8 +38,20 @@ const DEFAULT_SETTINGS = {
   auto_roll_tomorrow_to_today: true,
   top3_auto_clear_daily: true,
   workday_start_hour: 8,
-  workday_end_hour: 18
+  workday_end_hour: 18,
+  day_start_hour: 0,
+  capacity_by_weekday: [null, null, null, null, null, null, null], // Sun..Sat; null = weekday/weekend default
+  capacity_exceptions: {},  // { 'YYYY-MM-DD': minutes } for one-off days (drill weekend, half day)
+  tag_budgets: {},          // { tagName: usable minutes per day }
+  focus_short_break_minutes: 5,
+  focus_long_break_minutes: 15,
+  focus_long_break_every: 4, // long break after every Nth work session
+  focus_auto_advance: true,  // move on to the next Top 3 item when a task is done
+  focus_sound: false,
+  weekly_reviews: [],        // review summaries, newest first (see saveWeeklyReview)
+  saved_searches: []         // perspectives: [{ id, name, query, sort, group }] shown as pages in the nav
 };
+const CAPACITY_MAX_MINUTES = 1440;
 
 class BattlePlanDB {
   /** Default reset values for Top 3 fields — spread into updates to clear top3 state */
@@ -29,6 +60,9 @@ class BattlePlanDB {
   constructor() {
     this.db = null;
     this._renderCache = null;
+    this._journalGroup = null;
+    this.tags = tagCatalog.normalizeList(null);
+    this._estimateSamples = null; // cached promise of weighted calibration samples
     this.ready = this.init();
   }
 
@@ -49,6 +83,13 @@ class BattlePlanDB {
   }
 
   async init() {
+    await this._open();
+    await this._loadDayStart();
+    await this._loadTags();
+    return this.db;
+  }
+
+  _open() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
       request.onerror = () => reject(request.error);
@@ -84,10 +125,89 @@ class BattlePlanDB {
           calStore.createIndex('tag', 'tag', { unique: false });
           calStore.createIndex('completed_at', 'completed_at', { unique: false });
         }
+        if (!db.objectStoreNames.contains('undo_journal')) {
+          const journalStore = db.createObjectStore('undo_journal', { keyPath: 'id' });
+          journalStore.createIndex('seq', 'seq', { unique: true });
+        }
+        if (!db.objectStoreNames.contains('focus_sessions')) {
+          const focusStore = db.createObjectStore('focus_sessions', { keyPath: 'id' });
+          focusStore.createIndex('item_id', 'item_id', { unique: false });
+          focusStore.createIndex('started_at', 'started_at', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('projects'))
+          db.createObjectStore('projects', { keyPath: 'id' });
+        const itemStore = event.target.transaction.objectStore('items');
+        if (!itemStore.indexNames.contains('project_id'))
+          itemStore.createIndex('project_id', 'project_id', { unique: false });
+
+        if (oldVersion > 0 && oldVersion < 6) this._migrateRecurrence(event.target.transaction);
+        if (oldVersion < 7) this._migrateTags(event.target.transaction, oldVersion);
       };
     });
   }
 
+  /** v6: convert 'daily'/'weekly'/'monthly' + recurrence_day into recurrence rule objects */
+  _migrateRecurrence(tx) {
+    tx.objectStore('items').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const item = cursor.value;
+      if (typeof item.recurrence === 'string' || 'recurrence_day' in item) {
+        item.recurrence = recurrenceRules.normalize(item.recurrence, item.recurrence_day);
+        delete item.recurrence_day;
+        cursor.update(item);
+      }
+      cursor.continue();
+    };
+    tx.objectStore('routines').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const routine = cursor.value;
+      if (Array.isArray(routine.items)) {
+        routine.items = routine.items.map(entry => this._migrateTemplateRecurrence(entry));
+        cursor.update(routine);
+      }
+      cursor.continue();
+    };
+  }
+
+  /** v7: single `tag` becomes a `tags` list (tag stays as the primary) with a multi-entry index */
+  _migrateTags(tx, oldVersion) {
+    const itemStore = tx.objectStore('items');
+    if (!itemStore.indexNames.contains('tags')) itemStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    if (oldVersion === 0) return;
+    itemStore.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const item = cursor.value;
+      if (!Array.isArray(item.tags)) {
+        item.tags = item.tag ? [item.tag] : [];
+        cursor.update(item);
+      }
+      cursor.continue();
+    };
+  }
+
+  _migrateTemplateRecurrence(entry) {
+    if (typeof entry !== 'object' || entry === null || !('recurrence' in entry || 'recurrence_day' in entry)) return entry;
+    const { recurrence_day, ...rest } = entry;
+    const rule = recurrenceRules.normalize(entry.recurrence, recurrence_day);
+    if (rule) rest.recurrence = rule;
+    else delete rest.recurrence;
+    return rest;
+  }
+
+  /** Push the stored "day starts at" hour into the shared day model */
+  async _loadDayStart() {
+    const record = await this._req('settings', 'readonly', s => s.get('day_start_hour'));
+    dayClock.setDayStartHour(record?.value ?? DEFAULT_SETTINGS.day_start_hour);
+  }
+
+  async _loadTags() {
+    const record = await this._req('settings', 'readonly', s => s.get('tags'));
+    this.tags = tagCatalog.normalizeList(record?.value ?? null);
+  }
+
   generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
@@ -106,29 +226,42 @@ class BattlePlanDB {
   _getDoneTodayConsumed(allItems, today) {
     let consumed = 0;
     for (const i of allItems) {
-      if (i.status === 'done' &&
-        (i.completed_at ? i.completed_at.startsWith(today) : (i.updated_at && i.updated_at.startsWith(today)))) {
+      if (i.status === 'done' && dayClock.isOnDay(i.completed_at || i.updated_at, today)) {
         consumed += i.actual_bucket || i.estimate_bucket || 0;
       }
     }
     return consumed;
   }
 
+  // Same, split per tag (an item counts toward each of its tags)
+  _getDoneTodayConsumedByTag(allItems, today) {
+    const consumed = {};
+    for (const i of allItems) {
+      if (i.status === 'done' && dayClock.isOnDay(i.completed_at || i.updated_at, today)) {
+        for (const tag of i.tags || []) consumed[tag] = (consumed[tag] || 0) + (i.actual_bucket || i.estimate_bucket || 0);
+      }
+    }
+    return consumed;
+  }
+
   // ==================== DATE HELPERS ====================
+  // Thin wrappers over dayClock (dates.js) — local duty days, never UTC
 
   getToday() {
-    return new Date().toISOString().split('T')[0];
+    return dayClock.today();
   }
 
   getTomorrow() {
-    const d = new Date();
-    d.setDate(d.getDate() + 1);
-    return d.toISOString().split('T')[0];
+    return dayClock.tomorrow();
   }
 
   isWeekend() {
-    const day = new Date().getDay();
-    return day === 0 || day === 6;
+    return dayClock.isWeekend(this.getToday());
+  }
+
+  async setDayStartHour(hour) {
+    dayClock.setDayStartHour(hour);
+    return this.setSetting('day_start_hour', dayClock.dayStartHour);
   }
 
   // ==================== ITEMS ====================
@@ -144,13 +277,17 @@ class BattlePlanDB {
       A: null, C: null, E: null,
       L: null, M: null, T: null,
       estimate_bucket: null, confidence: null, actual_bucket: null,
+      tags: [],
       ...BattlePlanDB.CLEAR_TOP3,
       scheduled_for_date: null, dueDate: null,
-      recurrence: null, recurrence_day: null,
-      waiting_on: null, notes: null, parent_id: null,
+      start_time: null, duration_minutes: null,
+      recurrence: null,
+      waiting_on: null, follow_up_date: null, waiting_since: null, blocked_by: [], notes: null, parent_id: null,
+      project_id: null,
       created_at: now, updated_at: now
     };
     await this._req('items', 'readwrite', s => s.add(item));
+    await this._recordOps([{ id: item.id, before: null, after: item }], `Added "${this._clip(item.text)}"`);
     this.scheduleAutoBackup();
     return item;
   }
@@ -164,8 +301,11 @@ class BattlePlanDB {
     await this.ready;
     const item = await this.getItem(id);
     if (!item) return null;
-    const updated = { ...item, ...updates, updated_at: new Date().toISOString() };
+    const updated = this._syncWaitingFields(
+      this._syncTagFields({ ...item, ...updates, updated_at: new Date().toISOString() }, updates, item), item
+    );
     await this._req('items', 'readwrite', s => s.put(updated));
+    await this._recordOps([{ id, before: item, after: updated }], this._describeChange(item, updates));
     this.scheduleAutoBackup();
     return updated;
   }
@@ -206,30 +346,197 @@ class BattlePlanDB {
       for (const { id, changes } of updates) {
         const existing = itemMap.get(id);
         if (!existing) continue;
-        const updated = { ...existing, ...changes, updated_at: now };
+        const updated = this._syncWaitingFields(
+          this._syncTagFields({ ...existing, ...changes, updated_at: now }, changes, existing), existing
+        );
         store.put(updated);
         updatedItems.push(updated);
       }
     });
 
-    if (updatedItems.length > 0) this.scheduleAutoBackup();
+    if (updatedItems.length > 0) {
+      await this._recordOps(
+        updatedItems.map(u => ({ id: u.id, before: itemMap.get(u.id), after: u })),
+        `Updated ${updatedItems.length} task${updatedItems.length !== 1 ? 's' : ''}`
+      );
+      this.scheduleAutoBackup();
+    }
     return updatedItems;
   }
 
   async deleteItem(id) {
     await this.ready;
+    const item = await this.getItem(id);
     await this._req('items', 'readwrite', s => s.delete(id));
+    if (item) await this._recordOps([{ id, before: item, after: null }], `Deleted "${this._clip(item.text)}"`);
     this.scheduleAutoBackup();
     return true;
   }
 
   async restoreItem(item) {
     await this.ready;
+    const existing = await this.getItem(item.id);
     await this._req('items', 'readwrite', s => s.put(item));
+    await this._recordOps([{ id: item.id, before: existing || null, after: item }], `Restored "${this._clip(item.text)}"`);
     this.scheduleAutoBackup();
     return item;
   }
 
+  // ==================== UNDO JOURNAL ====================
+  // Every item mutation is journaled as { id, before, after } snapshots
+  // (null = item did not exist). Undo restores "before", redo re-applies "after".
+  // Ops on other stores (tag registry, calibration) carry `store`; default is 'items'.
+
+  /** Truncate task text for journal descriptions */
+  _clip(text, max = 30) {
+    const t = text || '';
+    return t.length > max ? t.substring(0, max) + '...' : t;
+  }
+
+  _describeChange(item, updates) {
+    const name = this._clip(item.text);
+    if (updates.status && updates.status !== item.status) {
+      return updates.status === 'done'
+        ? `Completed "${name}"`
+        : `Moved "${name}" to ${updates.status.charAt(0).toUpperCase() + updates.status.slice(1)}`;
+    }
+    if ('isTop3' in updates && updates.isTop3 !== item.isTop3) {
+      return updates.isTop3 ? `Added "${name}" to Top 3` : `Removed "${name}" from Top 3`;
+    }
+    return `Edited "${name}"`;
+  }
+
+  /**
+   * Run fn(scope) with every mutation made through `scope` recorded as ONE
+   * undo step. `scope` is this db with the group attached: only writes that
+   * go through it join the step, so anything else that runs meanwhile (a
+   * timer-driven rollover, a background AI parse) still journals on its own.
+   * journalGroup called on a scope folds into that outer group.
+   */
+  async journalGroup(description, fn) {
+    if (this._journalGroup) return fn(this);
+    const group = { description, ops: [] };
+    try {
+      return await fn(this._journalScope(group));
+    } finally {
+      await this._commitJournalEntry(group.description, group.ops);
+    }
+  }
+
+  /**
+   * Run fn(scope) with the writes made through `scope` kept out of the undo
+   * journal: system maintenance the user didn't ask for and shouldn't undo.
+   */
+  async withoutJournal(fn) {
+    return fn(this._journalScope({ description: null, ops: [] }));
+  }
+
+  /** This db with `group` collecting the ops of every write made through it */
+  _journalScope(group) {
+    return new Proxy(this, {
+      get: (target, prop, receiver) => (prop === '_journalGroup' ? group : Reflect.get(target, prop, receiver))
+    });
+  }
+
+  async _recordOps(ops, description) {
+    if (this._journalGroup) {
+      this._journalGroup.ops.push(...ops);
+      return;
+    }
+    await this._commitJournalEntry(description, ops);
+  }
+
+  /** Collapse repeated ops on the same record to its first "before" and last "after" */
+  _collapseOps(ops) {
+    const byKey = new Map();
+    for (const op of ops) {
+      const key = `${op.store || 'items'}:${op.id}`;
+      const existing = byKey.get(key);
+      if (existing) existing.after = op.after;
+      else byKey.set(key, { ...op, before: op.before, after: op.after });
+    }
+    return [...byKey.values()].filter(op => op.before || op.after);
+  }
+
+  async _commitJournalEntry(description, rawOps) {
+    const ops = this._collapseOps(rawOps);
+    if (ops.length === 0) return null;
+
+    const entries = await this._req('undo_journal', 'readonly', s => s.getAll()) || [];
+    const seq = entries.reduce((max, e) => Math.max(max, e.seq), 0) + 1;
+
+    // A new action discards the redo branch, then the oldest entries beyond the limit
+    const stale = entries.filter(e => e.undone);
+    const active = entries.filter(e => !e.undone).sort((a, b) => a.seq - b.seq);
+    const overflow = active.slice(0, Math.max(0, active.length + 1 - UNDO_JOURNAL_LIMIT));
+
+    const entry = {
+      id: this.generateId(), seq, description, ops,
+      created_at: new Date().toISOString(), undone: false
+    };
+
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction('undo_journal', 'readwrite');
+      const store = tx.objectStore('undo_journal');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      for (const e of [...stale, ...overflow]) store.delete(e.id);
+      store.add(entry);
+    });
+    return entry;
+  }
+
+  /** Journal entries, newest first */
+  async getJournal() {
+    await this.ready;
+    const entries = await this._req('undo_journal', 'readonly', s => s.getAll()) || [];
+    return entries.sort((a, b) => b.seq - a.seq);
+  }
+
+  async _applyJournalOps(ops, side) {
+    const ordered = side === 'before' ? [...ops].reverse() : ops;
+    const stores = [...new Set(ops.map(op => op.store || 'items'))];
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(stores, 'readwrite');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      for (const op of ordered) {
+        const store = tx.objectStore(op.store || 'items');
+        if (op[side]) store.put(op[side]);
+        else store.delete(op.id);
+      }
+    });
+    if (stores.includes('settings')) await this._loadTags();
+    if (stores.includes('calibration_history')) this._invalidateEstimates();
+    this.scheduleAutoBackup();
+  }
+
+  /** Revert the most recent step. Returns the entry, or null when there is nothing to undo. */
+  async undo() {
+    const entries = await this.getJournal();
+    const entry = entries.find(e => !e.undone);
+    if (!entry) return null;
+    await this._applyJournalOps(entry.ops, 'before');
+    await this._req('undo_journal', 'readwrite', s => s.put({ ...entry, undone: true }));
+    return entry;
+  }
+
+  /** Re-apply the most recently undone step. Returns the entry, or null when there is nothing to redo. */
+  async redo() {
+    const entries = await this.getJournal();
+    const undone = entries.filter(e => e.undone);
+    const entry = undone[undone.length - 1];
+    if (!entry) return null;
+    await this._applyJournalOps(entry.ops, 'after');
+    await this._req('undo_journal', 'readwrite', s => s.put({ ...entry, undone: false }));
+    return entry;
+  }
+
+  async canUndoRedo() {
+    const entries = await this.getJournal();
+    return { canUndo: entries.some(e => !e.undone), canRedo: entries.some(e => e.undone) };
+  }
+
   async beginRenderCache() {
     await this.ready;
     this._renderCache = await this._req('items', 'readonly', s => s.getAll());
@@ -246,43 +553,526 @@ class BattlePlanDB {
   }
 
   // ==================== SUB-TASKS ====================
+  // Sub-tasks nest to any depth through `parent_id`; siblings are ordered by
+  // `sort_order` (then creation). The top-level task is the outline's root.
 
+  /** Direct children, in outline order */
   async getSubtasks(parentId) {
     const allItems = await this.getAllItems();
-    return allItems.filter(item => item.parent_id === parentId);
+    return this._sortSiblings(allItems.filter(item => item.parent_id === parentId));
+  }
+
+  _sortSiblings(items) {
+    const order = i => (typeof i.sort_order === 'number' ? i.sort_order : Infinity);
+    return items.sort((a, b) => order(a) - order(b) || String(a.created_at).localeCompare(String(b.created_at)));
+  }
+
+  /** parent id -> ordered children, for walking outlines without re-reading items */
+  _childrenMap(allItems) {
+    const map = new Map();
+    for (const item of allItems) {
+      if (!item.parent_id) continue;
+      if (!map.has(item.parent_id)) map.set(item.parent_id, []);
+      map.get(item.parent_id).push(item);
+    }
+    for (const children of map.values()) this._sortSiblings(children);
+    return map;
+  }
+
+  /** Depth-first [{ item, depth }] below rootId (depth 0 = direct child) */
+  _walkOutline(rootId, children, depth = 0, seen = new Set([rootId])) {
+    const rows = [];
+    for (const child of children.get(rootId) || []) {
+      if (seen.has(child.id)) continue; // a parent_id cycle from a bad import
+      seen.add(child.id);
+      rows.push({ item: child, depth });
+      rows.push(...this._walkOutline(child.id, children, depth + 1, seen));
+    }
+    return rows;
   }
 
-  async addSubtask(parentId, text) {
+  async getSubtaskTree(rootId) {
+    return this._walkOutline(rootId, this._childrenMap(await this.getAllItems()));
+  }
+
+  async getDescendants(id) {
+    return (await this.getSubtaskTree(id)).map(row => row.item);
+  }
+
+  /** Delete a task and everything nested under it (one undo step) */
+  async deleteItemTree(id) {
+    const item = await this.getItem(id);
+    if (!item) return false;
+    const descendants = await this.getDescendants(id);
+    await this.journalGroup(`Deleted "${this._clip(item.text)}"`, async scope => {
+      for (const child of descendants.reverse()) await scope.deleteItem(child.id);
+      await scope.deleteItem(id);
+    });
+    return true;
+  }
+
+  async addSubtask(parentId, text, { estimate_bucket = null } = {}) {
     await this.ready;
     const parent = await this.getItem(parentId);
     if (!parent) return null;
+    const siblings = await this.getSubtasks(parentId);
 
     const now = new Date().toISOString();
     const subtask = {
       id: this.generateId(),
       text: text.trim(),
-      status: parent.status, tag: parent.tag, next_action: null,
+      status: parent.status, tag: parent.tag, tags: [...(parent.tags || [])], next_action: null,
       A: null, C: null, E: null,
       L: null, M: null, T: null,
-      estimate_bucket: null, confidence: null, actual_bucket: null,
+      estimate_bucket: ESTIMATE_BUCKETS.includes(estimate_bucket) ? estimate_bucket : null,
+      confidence: null, actual_bucket: null,
       ...BattlePlanDB.CLEAR_TOP3,
       scheduled_for_date: parent.scheduled_for_date, dueDate: parent.dueDate,
-      recurrence: null, recurrence_day: null,
-      waiting_on: null, notes: null, parent_id: parentId,
+      recurrence: null,
+      waiting_on: null, follow_up_date: null, waiting_since: null, notes: null, parent_id: parentId,
+      project_id: parent.project_id || null, sort_order: siblings.length,
       created_at: now, updated_at: now
     };
     await this._req('items', 'readwrite', s => s.add(subtask));
+    await this._recordOps([{ id: subtask.id, before: null, after: subtask }], `Added sub-task "${this._clip(subtask.text)}"`);
     this.scheduleAutoBackup();
     return subtask;
   }
 
+  /**
+   * Add a list of { text, estimate } steps under a parent as one undo step
+   * (Break it down). The steps now carry the work, so the parent's own
+   * estimate is cleared; its size is the steps' roll-up from then on.
+   */
+  async addSubtasks(parentId, steps) {
+    const parent = await this.getItem(parentId);
+    if (!parent) return { error: 'NOT_FOUND', message: 'Task not found' };
+    return this.journalGroup(`Broke down "${this._clip(parent.text)}"`, async scope => {
+      const added = [];
+      for (const step of steps) {
+        added.push(await scope.addSubtask(parentId, step.text, { estimate_bucket: step.estimate }));
+      }
+      if (parent.estimate_bucket) await scope.updateItem(parentId, { estimate_bucket: null });
+      return { added };
+    });
+  }
+
+  /** Done / total over every nested sub-task */
   async getSubtaskProgress(parentId) {
-    const subtasks = await this.getSubtasks(parentId);
+    const subtasks = await this.getDescendants(parentId);
     if (subtasks.length === 0) return null;
     const completed = subtasks.filter(t => t.status === 'done').length;
     return { completed, total: subtasks.length };
   }
 
+  /**
+   * Put a sub-task under `parentId` at `index` among its children (end when
+   * null), renumbering sort_order. Refuses to move a task under itself or its
+   * own sub-tasks.
+   */
+  async moveSubtask(id, parentId, index = null) {
+    const item = await this.getItem(id);
+    if (!item || !item.parent_id) return { error: 'NOT_FOUND', message: 'Sub-task not found' };
+    if (parentId === id || (await this.getDescendants(id)).some(d => d.id === parentId)) {
+      return { error: 'CYCLE', message: "A sub-task can't go inside itself" };
+    }
+    const siblings = (await this.getSubtasks(parentId)).filter(s => s.id !== id);
+    const at = index === null ? siblings.length : Math.max(0, Math.min(index, siblings.length));
+    siblings.splice(at, 0, item);
+
+    const changes = siblings
+      .map((s, i) => ({ id: s.id, changes: s.id === id ? { parent_id: parentId, sort_order: i } : { sort_order: i } }))
+      .filter(u => u.id === id || siblings.find(s => s.id === u.id).sort_order !== u.changes.sort_order);
+    await this.journalGroup(`Moved sub-task "${this._clip(item.text)}"`, scope => scope.batchUpdateItems(changes));
+    return { moved: true };
+  }
+
+  /** Nest a sub-task under the sibling above it (outline indent) */
+  async indentSubtask(id) {
+    const item = await this.getItem(id);
+    if (!item || !item.parent_id) return { error: 'NOT_FOUND', message: 'Sub-task not found' };
+    const siblings = await this.getSubtasks(item.parent_id);
+    const index = siblings.findIndex(s => s.id === id);
+    if (index <= 0) return { error: 'NO_SIBLING', message: 'Nothing above to nest it under' };
+    return this.moveSubtask(id, siblings[index - 1].id);
+  }
+
+  /** Move a sub-task out one level, just after its old parent (outline outdent) */
+  async outdentSubtask(id) {
+    const item = await this.getItem(id);
+    const parent = item && item.parent_id ? await this.getItem(item.parent_id) : null;
+    if (!parent) return { error: 'NOT_FOUND', message: 'Sub-task not found' };
+    if (!parent.parent_id) return { error: 'TOP_LEVEL', message: 'Already at the top level' };
+    const siblings = await this.getSubtasks(parent.parent_id);
+    return this.moveSubtask(id, parent.parent_id, siblings.findIndex(s => s.id === parent.id) + 1);
+  }
+
+  /**
+   * Tick or untick a sub-task (one undo step). Ticking the last open child
+   * completes its parent, up the chain; the top-level task is completed
+   * through completeTask (so recurrence, calibration and unblocking apply).
+   * Unticking reopens done sub-task ancestors with the nearest open
+   * ancestor's status. Returns { item, completedParents, completedRoot }.
+   */
+  async setSubtaskDone(id, done) {
+    const item = await this.getItem(id);
+    if (!item) return null;
+    const all = await this.getAllItems();
+    const byId = new Map(all.map(i => [i.id, i]));
+    const children = this._childrenMap(all);
+    const ancestors = [];
+    for (let p = byId.get(item.parent_id); p && !ancestors.includes(p); p = byId.get(p.parent_id)) ancestors.push(p);
+
+    return this.journalGroup(`${done ? 'Ticked' : 'Unticked'} "${this._clip(item.text)}"`, async scope => {
+      const completedParents = [];
+      let completedRoot = null;
+      if (!done) {
+        const open = ancestors.find(a => a.status !== 'done');
+        const status = open ? open.status : 'today';
+        const updated = await scope.updateItem(id, { status });
+        for (const ancestor of ancestors) {
+          if (ancestor.status !== 'done' || !ancestor.parent_id) break;
+          await scope.updateItem(ancestor.id, { status });
+        }
+        return { item: updated, completedParents, completedRoot };
+      }
+
+      const updated = await scope.updateItem(id, { status: 'done' });
+      byId.set(id, updated);
+      for (const ancestor of ancestors) {
+        if (ancestor.status === 'done') break;
+        const siblings = (children.get(ancestor.id) || []).map(c => byId.get(c.id));
+        if (siblings.some(s => s.status !== 'done')) break;
+        if (ancestor.parent_id) {
+          byId.set(ancestor.id, await scope.updateItem(ancestor.id, { status: 'done' }));
+          completedParents.push(ancestor);
+        } else {
+          completedRoot = await scope._completeTask(ancestor, null, false);
+        }
+      }
+      return { item: updated, completedParents, completedRoot };
+    });
+  }
+
+  // ==================== TAGS ====================
+
+  /** The tag registry (copies; change it through the methods below) */
+  getTags() {
+    return this.tags.map(t => ({ ...t, keywords: [...t.keywords] }));
+  }
+
+  getTag(name) {
+    return tagCatalog.find(this.tags, name);
+  }
+
+  getTagColor(name) {
+    return this.getTag(name)?.color || TAG_FALLBACK_COLOR;
+  }
+
+  /** Canonical names of known tags, dropping anything not in the registry */
+  resolveTags(names) {
+    return tagCatalog.resolve(this.tags, names || []);
+  }
+
+  inferTags(text) {
+    return tagCatalog.infer(this.tags, text);
+  }
+
+  /**
+   * Keep `tag` (primary) and `tags` in step, whichever one an update touched.
+   * Setting `tag` alone replaces the previous primary tag.
+   */
+  _syncTagFields(item, changes = {}, previous = null) {
+    if ('tags' in changes) {
+      item.tags = Array.isArray(item.tags) ? [...new Set(item.tags.filter(Boolean))] : [];
+    } else if ('tag' in changes) {
+      // Clearing the primary tag promotes the next one rather than dropping them all
+      const rest = (item.tags || []).filter(t => t !== item.tag && t !== previous?.tag);
+      item.tags = item.tag ? [item.tag, ...rest] : rest;
+    } else {
+      return item;
+    }
+    item.tag = item.tags[0] || null;
+    return item;
+  }
+
+  /**
+   * Start the waiting clock when an item goes to Waiting, unless it is still
+   * waiting on the same person (e.g. a follow-up that went back to Waiting).
+   * Leaving Waiting for anything but a Today follow-up clears the tracking.
+   */
+  _syncWaitingFields(item, previous = null) {
+    if (item.status === 'waiting') {
+      const stillWaiting = previous && previous.waiting_since &&
+        (previous.status === 'waiting' || previous.follow_up_date) &&
+        (previous.waiting_on || null) === (item.waiting_on || null);
+      if (!stillWaiting) item.waiting_since = item.updated_at;
+    } else if (item.status !== 'today' && (item.follow_up_date || item.waiting_since)) {
+      item.follow_up_date = null;
+      item.waiting_since = null;
+    }
+    return item;
+  }
+
+  /** Whole days an item has been waiting (0 on the day it started) */
+  getWaitingDays(item) {
+    if (!item.waiting_since) return null;
+    const since = dayClock.dateOf(item.waiting_since);
+    return since ? Math.max(0, dayClock.diffDays(since, this.getToday())) : null;
+  }
+
+  /**
+   * Waiting items grouped by who they're on (case-insensitive), longest
+   * wait first: [{ person, items, oldestDays, followUpsDue }]
+   */
+  async getWaitingByPerson() {
+    const today = this.getToday();
+    const groups = new Map();
+    for (const item of await this.getItemsByStatus('waiting')) {
+      const person = (item.waiting_on || '').trim();
+      const key = person.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { person: person || null, items: [], oldestDays: 0, followUpsDue: 0 });
+      const group = groups.get(key);
+      group.items.push(item);
+      group.oldestDays = Math.max(group.oldestDays, this.getWaitingDays(item) || 0);
+      if (item.follow_up_date && item.follow_up_date <= today) group.followUpsDue++;
+    }
+    for (const group of groups.values()) {
+      group.items.sort((a, b) => (this.getWaitingDays(b) || 0) - (this.getWaitingDays(a) || 0));
+    }
+    return [...groups.values()].sort((a, b) => b.oldestDays - a.oldestDays);
+  }
+
+  /** Persist the registry as one journaled settings op */
+  async _saveTags(tags, description) {
+    const before = await this._req('settings', 'readonly', s => s.get('tags'));
+    const after = { key: 'tags', value: tagCatalog.normalizeList(tags) };
+    await this._req('settings', 'readwrite', s => s.put(after));
+    this.tags = after.value;
+    await this._recordOps([{ store: 'settings', id: 'tags', before: before || null, after }], description);
+    this.scheduleAutoBackup();
+  }
+
+  async createTag({ name, color = null, keywords = [] }) {
+    await this.ready;
+    const clean = tagCatalog.normalizeName(name);
+    if (!clean) return { error: 'TAG_INVALID', message: 'Tag name can\'t be empty.' };
+    if (this.getTag(clean)) return { error: 'TAG_EXISTS', message: `"${clean}" already exists.` };
+    if (this.tags.length >= TAG_MAX_COUNT) return { error: 'TAG_LIMIT', message: `Up to ${TAG_MAX_COUNT} tags.` };
+    const tag = { name: clean, color: tagCatalog.normalizeColor(color, tagCatalog.nextColor(this.tags)), keywords };
+    await this._saveTags([...this.tags, tag], `Created tag "${this._clip(clean)}"`);
+    return this.getTag(clean);
+  }
+
+  /** Change a tag's color and/or inference keywords */
+  async updateTag(name, { color, keywords }) {
+    await this.ready;
+    const tag = this.getTag(name);
+    if (!tag) return null;
+    const tags = this.tags.map(t => t.name !== tag.name ? t : {
+      ...t,
+      color: color !== undefined ? tagCatalog.normalizeColor(color, t.color) : t.color,
+      keywords: keywords !== undefined ? tagCatalog.normalizeKeywords(keywords) : t.keywords
+    });
+    await this._saveTags(tags, `Edited tag "${this._clip(tag.name)}"`);
+    return this.getTag(tag.name);
+  }
+
+  async renameTag(name, newName) {
+    await this.ready;
+    const tag = this.getTag(name);
+    const clean = tagCatalog.normalizeName(newName);
+    if (!tag) return null;
+    if (!clean) return { error: 'TAG_INVALID', message: 'Tag name can\'t be empty.' };
+    const existing = this.getTag(clean);
+    if (existing && existing.name !== tag.name) {
+      return { error: 'TAG_EXISTS', message: `"${existing.name}" already exists. Merge instead?` };
+    }
+    if (clean === tag.name) return tag;
+
+    return this.journalGroup(`Renamed tag "${this._clip(tag.name)}" to "${this._clip(clean)}"`, async scope => {
+      await scope._saveTags(scope.tags.map(t => t.name === tag.name ? { ...t, name: clean } : t));
+      await scope._retag(tag.name, clean);
+      return scope.getTag(clean);
+    });
+  }
+
+  /** Fold `name` into `targetName`: items, keywords and estimate history move over */
+  async mergeTags(name, targetName) {
+    await this.ready;
+    const source = this.getTag(name);
+    const target = this.getTag(targetName);
+    if (!source || !target || source.name === target.name) return null;
+
+    return this.journalGroup(`Merged tag "${this._clip(source.name)}" into "${this._clip(target.name)}"`, async scope => {
+      const tags = scope.tags
+        .filter(t => t.name !== source.name)
+        .map(t => t.name === target.name ? { ...t, keywords: [...t.keywords, ...source.keywords] } : t);
+      await scope._saveTags(tags);
+      await scope._retag(source.name, target.name);
+      return scope.getTag(target.name);
+    });
+  }
+
+  /** Remove a tag from the registry and from every item (estimate history is kept) */
+  async deleteTag(name) {
+    await this.ready;
+    const tag = this.getTag(name);
+    if (!tag) return false;
+    await this.journalGroup(`Deleted tag "${this._clip(tag.name)}"`, async scope => {
+      await scope._saveTags(scope.tags.filter(t => t.name !== tag.name));
+      await scope._retag(tag.name, null);
+    });
+    return true;
+  }
+
+  /**
+   * Replace (or with to = null, drop) a tag name on items, routine templates and
+   * tag budgets. On rename/merge, calibration history follows so estimates stay per-tag.
+   */
+  async _retag(from, to) {
+    const swap = tags => [...new Set(tags.map(t => (t === from ? to : t)).filter(Boolean))];
+
+    const items = (await this.getAllItems()).filter(i => (i.tags || []).includes(from) || i.tag === from);
+    await this.batchUpdateItems(items.map(i => ({
+      id: i.id,
+      changes: { tags: swap(i.tags || [i.tag]) }
+    })));
+
+    // Routine templates and (on rename/merge) calibration history, journaled with the items
+    const ops = [];
+    for (const routine of await this.getAllRoutines()) {
+      if (!Array.isArray(routine.items)) continue;
+      const entries = routine.items.map(entry => {
+        const tags = this._templateTags(entry);
+        if (!tags.includes(from)) return entry;
+        const { tag, ...rest } = entry;
+        return { ...rest, tags: swap(tags) };
+      });
+      if (entries.some((entry, i) => entry !== routine.items[i])) {
+        ops.push({ store: 'routines', id: routine.id, before: routine, after: { ...routine, items: entries } });
+      }
+    }
+    for (const project of await this.getAllProjects()) {
+      if (project.tag === from) ops.push({ store: 'projects', id: project.id, before: project, after: { ...project, tag: to || null } });
+    }
+    const budgetRecord = await this._req('settings', 'readonly', s => s.get('tag_budgets'));
+    const budgets = this._normalizeTagBudgets(budgetRecord?.value);
+    if (from in budgets) {
+      if (to && !(to in budgets)) budgets[to] = budgets[from];
+      delete budgets[from];
+      ops.push({ store: 'settings', id: 'tag_budgets', before: budgetRecord, after: { key: 'tag_budgets', value: budgets } });
+    }
+    if (to) {
+      const history = await this._req('calibration_history', 'readonly', s => s.index('tag').getAll(from)) || [];
+      for (const entry of history) {
+        ops.push({ store: 'calibration_history', id: entry.id, before: entry, after: { ...entry, tag: to } });
+      }
+    }
+    if (ops.length === 0) return;
+
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(['routines', 'projects', 'settings', 'calibration_history'], 'readwrite');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      for (const op of ops) tx.objectStore(op.store).put(op.after);
+    });
+    this._invalidateEstimates();
+    await this._recordOps(ops);
+  }
+
+  /** Tag names on a routine template entry (older templates have a single `tag`) */
+  _templateTags(entry) {
+    if (typeof entry !== 'object' || entry === null) return [];
+    if (Array.isArray(entry.tags)) return entry.tags;
+    return entry.tag ? [entry.tag] : [];
+  }
+
+  // ==================== DEPENDENCIES ====================
+
+  /** Blockers that still hold an item up (done, archived or deleted blockers no longer count) */
+  _openBlockers(item, byId) {
+    return (item.blocked_by || [])
+      .map(id => byId.get(id))
+      .filter(b => b && b.status !== 'done' && !b.archived);
+  }
+
+  /** Map of item id -> open blocker items, for every item that is currently blocked */
+  async getOpenBlockerMap() {
+    const items = await this.getAllItems();
+    const byId = new Map(items.map(i => [i.id, i]));
+    const map = new Map();
+    for (const item of items) {
+      const blockers = this._openBlockers(item, byId);
+      if (blockers.length > 0) map.set(item.id, blockers);
+    }
+    return map;
+  }
+
+  async getBlockedIds() {
+    return new Set((await this.getOpenBlockerMap()).keys());
+  }
+
+  async getBlockers(id) {
+    const item = await this.getItem(id);
+    if (!item) return [];
+    const items = await this.getAllItems();
+    const byId = new Map(items.map(i => [i.id, i]));
+    return (item.blocked_by || []).map(bid => byId.get(bid)).filter(Boolean);
+  }
+
+  /** Does blockerId already wait (directly or through a chain) on id? */
+  _dependsOn(blockerId, id, byId) {
+    const seen = new Set();
+    const stack = [blockerId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === id) return true;
+      if (seen.has(current)) continue;
+      seen.add(current);
+      const node = byId.get(current);
+      if (node) stack.push(...(node.blocked_by || []));
+    }
+    return false;
+  }
+
+  async addBlocker(id, blockerId) {
+    const items = await this.getAllItems();
+    const byId = new Map(items.map(i => [i.id, i]));
+    const item = byId.get(id);
+    if (!item || !byId.has(blockerId)) return null;
+    if (id === blockerId || this._dependsOn(blockerId, id, byId)) {
+      return { error: 'DEPENDENCY_CYCLE', message: 'That task already waits on this one. Dependencies can\'t loop.' };
+    }
+    const blockedBy = item.blocked_by || [];
+    if (blockedBy.includes(blockerId)) return item;
+    return this.updateItem(id, { blocked_by: [...blockedBy, blockerId] });
+  }
+
+  async removeBlocker(id, blockerId) {
+    const item = await this.getItem(id);
+    if (!item) return null;
+    return this.updateItem(id, { blocked_by: (item.blocked_by || []).filter(b => b !== blockerId) });
+  }
+
+  /**
+   * Drop a finished blocker from its dependents. Returns the dependents that
+   * have nothing left blocking them.
+   */
+  async _releaseDependents(blockerId) {
+    const items = await this.getAllItems();
+    const dependents = items.filter(i => i.status !== 'done' && (i.blocked_by || []).includes(blockerId));
+    if (dependents.length === 0) return [];
+
+    const released = await this.batchUpdateItems(dependents.map(i => ({
+      id: i.id,
+      changes: { blocked_by: i.blocked_by.filter(b => b !== blockerId) }
+    })));
+    const byId = new Map(items.map(i => [i.id, i]));
+    byId.set(blockerId, { ...byId.get(blockerId), status: 'done' });
+    return released.filter(i => this._openBlockers(i, byId).length === 0);
+  }
+
   // ==================== FULLY RATED PREDICATE ====================
 
   isRated(item) {
@@ -302,10 +1092,18 @@ class BattlePlanDB {
     return item.estimate_bucket >= 90 || item.confidence === 'low';
   }
 
+  /**
+   * The item's size: its own estimate when it has no sub-tasks, otherwise the
+   * sum of the innermost sub-tasks' (a parent's estimate and its steps'
+   * would count the same work twice).
+   */
   async getEffectiveEstimate(item) {
-    const baseEstimate = item.estimate_bucket || 0;
-    const subtasks = await this.getSubtasks(item.id);
-    return baseEstimate + subtasks.reduce((sum, s) => sum + (s.estimate_bucket || 0), 0);
+    const subtasks = await this.getDescendants(item.id);
+    if (subtasks.length === 0) return item.estimate_bucket || 0;
+    const parentIds = new Set(subtasks.map(s => s.parent_id));
+    return subtasks
+      .filter(s => !parentIds.has(s.id))
+      .reduce((sum, s) => sum + (s.estimate_bucket || 0), 0);
   }
 
   async isMonsterAsync(item) {
@@ -336,13 +1134,28 @@ class BattlePlanDB {
 
   // ==================== TIME PLANNING ====================
 
-  async getCalibrationFactor(tag) {
+  /**
+   * Weighted calibration samples for the estimation model (estimates.js).
+   * Cached for an hour (decay moves slowly) or until the history changes.
+   */
+  async _getEstimateSamples() {
     await this.ready;
-    const history = await this.getCalibrationHistory(tag || 'Other');
-    const validHistory = history.filter(h => h.estimate_bucket > 0 && h.actual_bucket > 0);
-    if (validHistory.length === 0) return 1.0;
-    const avg = validHistory.reduce((sum, h) => sum + h.actual_bucket / h.estimate_bucket, 0) / validHistory.length;
-    return Math.max(1.0, Math.min(2.0, avg));
+    if (!this._estimateSamples || Date.now() - this._estimateSamples.at > 60 * 60 * 1000) {
+      const samples = this._req('calibration_history', 'readonly', s => s.getAll())
+        .then(history => estimationModel.samples(history || []));
+      this._estimateSamples = { at: Date.now(), samples };
+      samples.catch(() => { this._estimateSamples = null; });
+    }
+    return this._estimateSamples.samples;
+  }
+
+  _invalidateEstimates() {
+    this._estimateSamples = null;
+  }
+
+  /** "Your 60-minute Business tasks actually take 95" findings for analytics */
+  async getEstimateInsights() {
+    return estimationModel.insights(await this._getEstimateSamples());
   }
 
   async getCalibrationHistory(tag) {
@@ -370,47 +1183,375 @@ class BattlePlanDB {
       completed_at: new Date().toISOString()
     };
     await this._req('calibration_history', 'readwrite', s => s.add(entry));
+    this._invalidateEstimates();
+    await this._recordOps([{ store: 'calibration_history', id: entry.id, before: null, after: entry }], 'Logged actual time');
     return entry;
   }
 
+  /** Minutes to plan for an item: its estimate buffered by confidence and calibration history */
   async getBufferedMinutes(item) {
     if (!item.estimate_bucket || !item.confidence) return null;
-    const multiplier = CONFIDENCE_MULTIPLIERS[item.confidence] || 1.3;
-    const calibrationFactor = await this.getCalibrationFactor(item.tag);
-    return Math.ceil(item.estimate_bucket * multiplier * calibrationFactor / 5) * 5;
+    return estimationModel.bufferedMinutes(await this._getEstimateSamples(), item);
   }
 
   // ==================== AUTO-SCHEDULE ====================
 
-  async autoScheduleToday() {
-    const todayItems = await this.getTodayItems();
+  /**
+   * Fit Today into capacity. `onlyProject` / `skipProject` (project ids, or
+   * 'none' for tasks without a project) narrow what gets planned; tasks the
+   * filter leaves out come back as `filtered` and stay where they are.
+   */
+  async autoScheduleToday({ onlyProject = null, skipProject = null } = {}) {
     const usableCapacity = await this.getUsableCapacity();
+    const today = this.getToday();
 
-    const { rated, unrated } = this._partitionByRating(todayItems);
-
-    const scored = await Promise.all(rated.map(async item => {
-      const scores = this.calculateScores(item);
+    // Blocked tasks can't be worked yet: left where they are, never planned or deferred
+    const blockedIds = await this.getBlockedIds();
+    const allToday = await this.getTodayItems();
+    const blocked = allToday.filter(i => blockedIds.has(i.id));
+    const todayItems = allToday.filter(i => !blockedIds.has(i.id));
+
+    // Timed items are fixed appointments: always kept, never moved
+    const fixedItems = todayItems.filter(i => this.getFixedStart(i, today));
+    const fixedIds = new Set(fixedItems.map(i => i.id));
+    const projectOf = i => i.project_id || 'none';
+    const inFilter = i => (!onlyProject || projectOf(i) === onlyProject) && (!skipProject || projectOf(i) !== skipProject);
+    const flexible = todayItems.filter(i => !fixedIds.has(i.id));
+    const filtered = flexible.filter(i => !inFilter(i));
+    const { rated, unrated } = this._partitionByRating(flexible.filter(inFilter));
+
+    const score = async item => {
+      const scores = this.isRated(item) ? this.calculateScores(item) : { priority_score: null };
       const bufferedMinutes = await this.getBufferedMinutes(item);
       const isUrgent = item.C === 5;
       const isMonster = await this.isMonsterAsync(item);
       const badges = this.calculateBadges(item);
       return { ...item, ...scores, bufferedMinutes: bufferedMinutes || 0, isUrgent, isMonster, badges };
+    };
+    const scored = await Promise.all(rated.map(score));
+    const fixed = await Promise.all(fixedItems.map(async item => {
+      const s = await score(item);
+      return { ...s, bufferedMinutes: this._blockMinutes(item, s.bufferedMinutes) };
     }));
 
     this._sortByUrgencyAndScore(scored);
 
-    const keep = [], overflow = [];
-    let usedMinutes = 0;
+    const budgets = this._budgetTracker(
+      await this.getTagBudgets(),
+      this._getDoneTodayConsumedByTag(await this.getAllItems(), today)
+    );
+    for (const item of fixed) budgets.add(item, item.bufferedMinutes);
+
+    const keep = [...fixed], overflow = [];
+    let usedMinutes = fixed.reduce((sum, i) => sum + i.bufferedMinutes, 0);
     for (const item of scored) {
-      if (usedMinutes + item.bufferedMinutes <= usableCapacity) {
+      const overBudget = budgets.overBy(item, item.bufferedMinutes);
+      if (usedMinutes + item.bufferedMinutes <= usableCapacity && !overBudget) {
         keep.push(item);
         usedMinutes += item.bufferedMinutes;
+        budgets.add(item, item.bufferedMinutes);
       } else {
-        overflow.push(item);
+        overflow.push(overBudget ? { ...item, reason: `over ${overBudget} budget` } : item);
+      }
+    }
+
+    // Lay the kept tasks into clock time around the appointments
+    const plan = await this.planTimeBlocks(fixed, keep.filter(i => !fixedIds.has(i.id)));
+    for (const item of plan.unplaced) {
+      keep.splice(keep.indexOf(item), 1);
+      overflow.push(item);
+      usedMinutes -= item.bufferedMinutes;
+    }
+
+    return {
+      keep, overflow, unrated, blocked, filtered, usedMinutes, capacity: usableCapacity,
+      budgets: budgets.summary(), blocks: plan.blocks, window: plan.window
+    };
+  }
+
+  // ==================== WEEK PLANNER ====================
+
+  /**
+   * Spread rated tasks across the next `days` days. Each task goes on the
+   * earliest day with room in that day's capacity and tag budgets, never
+   * later than its due date. Tasks due inside the horizon are placed first
+   * (earliest due first), the rest by urgency and score. Timed and recurring
+   * items stay on their date as fixed load. A due task with no room before its
+   * deadline lands on the due date anyway (`late`); anything else that doesn't
+   * fit comes back as `unplaced` and is left alone.
+   */
+  async planWeek(days = WEEK_PLAN_DAYS) {
+    const today = this.getToday();
+    const lastDay = dayClock.addDays(today, days - 1);
+    const allItems = await this.getAllItems();
+    const blockedIds = await this.getBlockedIds();
+    const limits = await this.getTagBudgets();
+
+    const plan = [];
+    for (let i = 0; i < days; i++) {
+      const date = dayClock.addDays(today, i);
+      let capacity = await this.getUsableCapacity(true, date);
+      let doneByTag = {};
+      if (i === 0) {
+        capacity = Math.max(0, capacity - this._getDoneTodayConsumed(allItems, today));
+        doneByTag = this._getDoneTodayConsumedByTag(allItems, today);
+      }
+      plan.push({ date, capacity, usedMinutes: 0, items: [], budgets: this._budgetTracker(limits, doneByTag) });
+    }
+    const place = (day, item) => {
+      day.items.push(item);
+      day.usedMinutes += item.bufferedMinutes;
+      day.budgets.add(item, item.bufferedMinutes);
+    };
+
+    const open = allItems.filter(i => !i.parent_id && WEEK_PLAN_STATUSES.includes(i.status) &&
+      (!i.scheduled_for_date || i.scheduled_for_date <= lastDay));
+    const blocked = open.filter(i => blockedIds.has(i.id));
+    const ready = open.filter(i => !blockedIds.has(i.id));
+    const isFixed = i => i.scheduled_for_date && (i.start_time || i.recurrence);
+    const { rated, unrated } = this._partitionByRating(ready.filter(i => !isFixed(i)));
+
+    const score = async item => {
+      const scores = this.isRated(item) ? this.calculateScores(item) : { priority_score: null };
+      const buffered = (await this.getBufferedMinutes(item)) || 0;
+      return {
+        ...item, ...scores, isUrgent: item.C === 5,
+        bufferedMinutes: item.start_time ? this._blockMinutes(item, buffered) : buffered
+      };
+    };
+
+    for (const item of await Promise.all(ready.filter(isFixed).map(score))) {
+      const offset = Math.max(0, dayClock.diffDays(today, item.scheduled_for_date));
+      place(plan[offset], { ...item, fixed: true });
+    }
+
+    const scored = await Promise.all(rated.map(score));
+    this._sortByUrgencyAndScore(scored);
+    const deadline = item => (item.dueDate && item.dueDate <= lastDay ? item.dueDate : null);
+    const dueFirst = scored.filter(deadline).sort((a, b) => deadline(a).localeCompare(deadline(b)));
+
+    const unplaced = [];
+    for (const item of [...dueFirst, ...scored.filter(i => !deadline(i))]) {
+      const due = deadline(item);
+      const window = due ? plan.slice(0, Math.max(1, dayClock.diffDays(today, due) + 1)) : plan;
+      const day = window.find(d =>
+        d.usedMinutes + item.bufferedMinutes <= d.capacity && !d.budgets.overBy(item, item.bufferedMinutes));
+      if (day) place(day, item);
+      else if (due) place(window[window.length - 1], { ...item, late: true });
+      else unplaced.push(item);
+    }
+
+    return {
+      days: plan.map(({ budgets, ...day }) => ({ ...day, budgets: budgets.summary() })),
+      unplaced, unrated, blocked
+    };
+  }
+
+  /** Status that goes with a scheduled date: Today, Tomorrow, or a later next action */
+  _statusForDate(dateStr) {
+    if (dateStr <= this.getToday()) return 'today';
+    return dateStr === this.getTomorrow() ? 'tomorrow' : 'next';
+  }
+
+  /** Commit a planWeek() result: every movable task gets its planned day (one undo step) */
+  async applyWeekPlan(plan) {
+    const updates = [];
+    for (const day of plan.days) {
+      const status = this._statusForDate(day.date);
+      for (const item of day.items) {
+        if (item.fixed || (item.scheduled_for_date === day.date && item.status === status)) continue;
+        const changes = { status, scheduled_for_date: day.date };
+        if (status !== 'today') Object.assign(changes, BattlePlanDB.CLEAR_TOP3);
+        updates.push({ id: item.id, changes });
       }
     }
+    if (updates.length === 0) return [];
+    return this.journalGroup('Planned the week', scope => scope.batchUpdateItems(updates));
+  }
+
+  // ==================== WEEKLY REVIEW ====================
 
-    return { keep, overflow, unrated, usedMinutes, capacity: usableCapacity };
+  /**
+   * Everything the weekly review walks through, one list per step, plus the
+   * coming week's capacity against what is already scheduled for each day.
+   */
+  async getWeeklyReview() {
+    const items = (await this.getAllItems()).filter(i => !i.parent_id && !i.archived);
+    const staleBefore = Date.now() - REVIEW_STALE_SOMEDAY_DAYS * MS_PER_DAY;
+    const byPerson = (a, b) => (a.waiting_on || '').localeCompare(b.waiting_on || '');
+    const todayItems = await this.getTodayItems();
+
+    return {
+      inbox: items.filter(i => i.status === 'inbox'),
+      waiting: items.filter(i => i.status === 'waiting').sort(byPerson),
+      someday: items.filter(i => i.status === 'someday' && Date.parse(i.updated_at || i.created_at) < staleBefore),
+      overdue: items.filter(i => this.isOverdue(i) && i.status !== 'done'),
+      unrated: todayItems.filter(i => !this.isRated(i)),
+      week: await this.getWeekLoad(dayClock.addDays(this.getToday(), 1))
+    };
+  }
+
+  /** Usable capacity and already-scheduled minutes for each of the `days` days from startDate */
+  async getWeekLoad(startDate, days = WEEK_PLAN_DAYS) {
+    const open = (await this.getAllItems()).filter(i => !i.parent_id && i.status !== 'done' && i.scheduled_for_date);
+    const week = [];
+    for (let i = 0; i < days; i++) {
+      const date = dayClock.addDays(startDate, i);
+      let usedMinutes = 0;
+      for (const item of open.filter(o => o.scheduled_for_date === date)) {
+        const buffered = (await this.getBufferedMinutes(item)) || 0;
+        usedMinutes += item.start_time ? this._blockMinutes(item, buffered) : buffered;
+      }
+      week.push({ date, capacity: await this.getUsableCapacity(false, date), usedMinutes });
+    }
+    return week;
+  }
+
+  /**
+   * Mark a kept Someday item as reviewed: updated_at moves on so it leaves the
+   * queue for a month. Not journaled; there is nothing here worth undoing.
+   */
+  async markReviewed(id) {
+    await this.ready;
+    const item = await this.getItem(id);
+    if (!item) return null;
+    const updated = { ...item, updated_at: new Date().toISOString() };
+    await this._req('items', 'readwrite', s => s.put(updated));
+    this.scheduleAutoBackup();
+    return updated;
+  }
+
+  async getWeeklyReviews() {
+    return this._normalizeWeeklyReviews(await this.getSetting('weekly_reviews', []));
+  }
+
+  /** Date of the last finished review, or null if there has never been one */
+  async getLastWeeklyReviewDate() {
+    const [last] = await this.getWeeklyReviews();
+    return last ? last.date : null;
+  }
+
+  /**
+   * Record a finished review. `handled` and `left` count items per queue
+   * (inbox, waiting, someday, overdue, unrated) that were dealt with / remain.
+   */
+  async saveWeeklyReview({ handled = {}, left = {} } = {}) {
+    const review = {
+      date: this.getToday(),
+      completed_at: new Date().toISOString(),
+      handled,
+      left
+    };
+    const reviews = [review, ...(await this.getWeeklyReviews())];
+    await this.setSetting('weekly_reviews', this._normalizeWeeklyReviews(reviews));
+    return review;
+  }
+
+  _normalizeWeeklyReviews(value) {
+    if (!Array.isArray(value)) return [];
+    const counts = obj => {
+      const result = {};
+      for (const key of REVIEW_QUEUES) {
+        const n = parseInt(obj && obj[key]);
+        result[key] = isNaN(n) || n < 0 ? 0 : n;
+      }
+      return result;
+    };
+    return value
+      .filter(r => r && dayClock.isDateStr(r.date) && !isNaN(Date.parse(r.completed_at)))
+      .slice(0, REVIEW_LOG_MAX)
+      .map(r => ({ date: r.date, completed_at: r.completed_at, handled: counts(r.handled), left: counts(r.left) }));
+  }
+
+  // ==================== TIMELINE ====================
+
+  /** Workday window of a duty day as instants; an end hour before the start hour runs past midnight */
+  async getWorkdayWindow(dateStr = this.getToday()) {
+    const startHour = await this.getSetting('workday_start_hour', DEFAULT_SETTINGS.workday_start_hour);
+    const endHour = await this.getSetting('workday_end_hour', DEFAULT_SETTINGS.workday_end_hour);
+    const start = dayClock.atHour(dateStr, startHour);
+    const end = dayClock.atHour(endHour > startHour ? dateStr : dayClock.addDays(dateStr, 1), endHour);
+    return { start, end };
+  }
+
+  /** Start instant of a timed item on the given day, or null when it isn't a fixed appointment that day */
+  getFixedStart(item, dateStr = this.getToday()) {
+    if (!item.start_time) return null;
+    if (item.scheduled_for_date ? item.scheduled_for_date !== dateStr : item.status !== 'today') return null;
+    return dayClock.atTime(dateStr, item.start_time);
+  }
+
+  /** Minutes an item occupies on the timeline: explicit duration, else buffered estimate */
+  _blockMinutes(item, bufferedMinutes) {
+    return item.duration_minutes || bufferedMinutes || item.estimate_bucket || DEFAULT_BLOCK_MINUTES;
+  }
+
+  /**
+   * Place flexible items (in priority order) into the free gaps between fixed
+   * appointments, from now (or the workday start) to the workday end.
+   * Items are never split; ones that fit no gap come back in `unplaced`.
+   */
+  async planTimeBlocks(fixed, flexible, now = new Date()) {
+    const today = this.getToday();
+    const window = await this.getWorkdayWindow(today);
+    const grid = BLOCK_GRID_MINUTES * 60000;
+    const toBlock = (item, start, minutes, isFixed) => ({
+      id: item.id, text: item.text, fixed: isFixed, minutes,
+      start, end: new Date(start.getTime() + minutes * 60000)
+    });
+
+    const busy = fixed
+      .map(item => toBlock(item, this.getFixedStart(item, today), item.bufferedMinutes, true))
+      .sort((a, b) => a.start - b.start);
+    const blocks = [...busy];
+    const unplaced = [];
+
+    let earliest = Math.max(window.start.getTime(), Math.ceil(now.getTime() / grid) * grid);
+    for (const item of flexible) {
+      const minutes = this._blockMinutes(item, item.bufferedMinutes);
+      let start = earliest;
+      for (const b of busy) {
+        if (start + minutes * 60000 <= b.start.getTime()) break;
+        start = Math.max(start, b.end.getTime());
+      }
+      if (start + minutes * 60000 > window.end.getTime()) {
+        unplaced.push(item);
+        continue;
+      }
+      const block = toBlock(item, new Date(start), minutes, false);
+      blocks.push(block);
+      busy.push(block);
+      busy.sort((a, b) => a.start - b.start);
+    }
+
+    blocks.sort((a, b) => a.start - b.start);
+    return { blocks, unplaced, window };
+  }
+
+  /**
+   * Saved layout of a duty day: fixed appointments plus blocks applied from
+   * Auto Schedule (planned_start). Items without a time come back in `untimed`.
+   */
+  async getTimeline(dateStr = this.getToday()) {
+    const items = dateStr === this.getToday() ? await this.getTodayItems() : [];
+    const window = await this.getWorkdayWindow(dateStr);
+    const blocks = [], untimed = [];
+
+    for (const item of items) {
+      const buffered = await this.getBufferedMinutes(item);
+      const minutes = this._blockMinutes(item, buffered);
+      let start = this.getFixedStart(item, dateStr);
+      const fixed = !!start;
+      if (!start && item.planned_date === dateStr) start = dayClock.atTime(dateStr, item.planned_start);
+      if (!start) {
+        untimed.push(item);
+        continue;
+      }
+      blocks.push({ item, fixed, minutes, start, end: new Date(start.getTime() + minutes * 60000) });
+    }
+
+    blocks.sort((a, b) => a.start - b.start);
+    return { blocks, untimed, window };
   }
 
   // ==================== RERACK (shared core) ====================
@@ -422,10 +1563,16 @@ class BattlePlanDB {
   async _rerackCore({ excludeId = null, lockedIds = [], capacity, defaultReason = 'doesn\'t fit remaining time' }) {
     const todayItems = await this.getTodayItems();
     const today = this.getToday();
+    const budgets = this._budgetTracker(
+      await this.getTagBudgets(),
+      this._getDoneTodayConsumedByTag(await this.getAllItems(), today)
+    );
+    const blockedIds = await this.getBlockedIds();
 
     const remaining = todayItems.filter(i => i.id !== excludeId && i.status !== 'done');
+    const blocked = remaining.filter(i => blockedIds.has(i.id));
 
-    const { rated, unrated } = this._partitionByRating(remaining);
+    const { rated, unrated } = this._partitionByRating(remaining.filter(i => !blockedIds.has(i.id)));
 
     const scored = await Promise.all(rated.map(async item => {
       const scores = this.calculateScores(item);
@@ -452,22 +1599,26 @@ class BattlePlanDB {
     for (const item of protectedTasks) {
       keep.push({ ...item, reason: null });
       usedMinutes += item.bufferedMinutes;
+      budgets.add(item, item.bufferedMinutes);
     }
 
     for (const item of flexible) {
-      if (usedMinutes + item.bufferedMinutes <= capacity) {
+      const overBudget = budgets.overBy(item, item.bufferedMinutes);
+      if (usedMinutes + item.bufferedMinutes <= capacity && !overBudget) {
         keep.push({ ...item, reason: null });
         usedMinutes += item.bufferedMinutes;
+        budgets.add(item, item.bufferedMinutes);
       } else {
         let reason = defaultReason;
-        if (item.density < 0.15) reason = 'low impact per minute';
+        if (overBudget) reason = `over ${overBudget} budget`;
+        else if (item.density < 0.15) reason = 'low impact per minute';
         else if (item.bufferedMinutes > capacity * 0.7) reason = 'too long for remaining time';
         overflow.push({ ...item, reason });
       }
     }
 
     const protectedMinutes = protectedTasks.reduce((s, i) => s + i.bufferedMinutes, 0);
-    return { keep, overflow, unrated, protectedOverflow: protectedMinutes > capacity };
+    return { keep, overflow, unrated, blocked, budgets: budgets.summary(), protectedOverflow: protectedMinutes > capacity };
   }
 
   async rerackAfterCompletion(completedItemId, lockedIds = []) {
@@ -541,16 +1692,123 @@ class BattlePlanDB {
     }
   }
 
-  /** Get today's usable minutes. Pass false to ignore daily override (returns base capacity). */
-  async getUsableCapacity(includeOverride = true) {
-    if (includeOverride) {
+  /**
+   * Usable minutes for a day (today by default). Pass false to ignore today's
+   * one-off override (returns the profile capacity).
+   */
+  async getUsableCapacity(includeOverride = true, dateStr = this.getToday()) {
+    if (includeOverride && dateStr === this.getToday()) {
       const override = await this.getDailyCapacityOverride();
       if (override !== null) return override;
     }
-    const capacityKey = this.isWeekend() ? 'weekend_capacity_minutes' : 'weekday_capacity_minutes';
-    const capacity = await this.getSetting(capacityKey, DEFAULT_SETTINGS[capacityKey]);
+    const { minutes } = await this.getBaseCapacity(dateStr);
     const slackPercent = await this.getSetting('always_plan_slack_percent', DEFAULT_SETTINGS.always_plan_slack_percent);
-    return Math.round(capacity * (1 - slackPercent / 100));
+    return Math.round(minutes * (1 - slackPercent / 100));
+  }
+
+  /**
+   * Raw (pre-slack) capacity for a date and where it came from:
+   * a date exception, the weekday profile, or the weekday/weekend default.
+   */
+  async getBaseCapacity(dateStr = this.getToday()) {
+    const exceptions = await this.getCapacityExceptions();
+    if (exceptions[dateStr] != null) return { minutes: exceptions[dateStr], source: 'date' };
+
+    const byWeekday = await this.getWeekdayCapacities();
+    const profile = byWeekday[dayClock.dayOfWeek(dateStr)];
+    if (profile != null) return { minutes: profile, source: 'weekday' };
+
+    const capacityKey = dayClock.isWeekend(dateStr) ? 'weekend_capacity_minutes' : 'weekday_capacity_minutes';
+    return { minutes: await this.getSetting(capacityKey, DEFAULT_SETTINGS[capacityKey]), source: 'default' };
+  }
+
+  _capacityMinutes(value) {
+    const minutes = parseInt(value);
+    return isNaN(minutes) || minutes < 0 ? null : Math.min(minutes, CAPACITY_MAX_MINUTES);
+  }
+
+  /** Sun..Sat capacity list; null entries use the weekday/weekend default */
+  _normalizeWeekdayCapacities(value) {
+    const list = Array.isArray(value) ? value : [];
+    return Array.from({ length: 7 }, (_, day) => this._capacityMinutes(list[day]));
+  }
+
+  _normalizeCapacityExceptions(value) {
+    const exceptions = {};
+    if (!value || typeof value !== 'object') return exceptions;
+    for (const [date, minutes] of Object.entries(value)) {
+      const clean = this._capacityMinutes(minutes);
+      if (dayClock.isDateStr(date) && clean !== null) exceptions[date] = clean;
+    }
+    return exceptions;
+  }
+
+  _normalizeTagBudgets(value) {
+    const budgets = {};
+    if (!value || typeof value !== 'object') return budgets;
+    for (const [tag, minutes] of Object.entries(value)) {
+      const name = tagCatalog.normalizeName(tag);
+      const clean = this._capacityMinutes(minutes);
+      if (name && clean !== null) budgets[name] = clean;
+    }
+    return budgets;
+  }
+
+  async getWeekdayCapacities() {
+    return this._normalizeWeekdayCapacities(await this.getSetting('capacity_by_weekday', null));
+  }
+
+  async setWeekdayCapacity(day, minutes) {
+    const list = await this.getWeekdayCapacities();
+    list[day] = this._capacityMinutes(minutes);
+    return this.setSetting('capacity_by_weekday', list);
+  }
+
+  async getCapacityExceptions() {
+    return this._normalizeCapacityExceptions(await this.getSetting('capacity_exceptions', null));
+  }
+
+  /** Set (or with null, clear) the capacity for one date. Past dates are pruned on save. */
+  async setCapacityException(dateStr, minutes) {
+    if (!dayClock.isDateStr(dateStr)) return null;
+    const today = this.getToday();
+    const exceptions = await this.getCapacityExceptions();
+    const clean = this._capacityMinutes(minutes);
+    if (clean === null) delete exceptions[dateStr];
+    else exceptions[dateStr] = clean;
+    for (const date of Object.keys(exceptions)) if (date < today) delete exceptions[date];
+    return this.setSetting('capacity_exceptions', exceptions);
+  }
+
+  /** Per-tag daily budgets (usable minutes) for tags that still exist */
+  async getTagBudgets() {
+    const budgets = this._normalizeTagBudgets(await this.getSetting('tag_budgets', null));
+    for (const tag of Object.keys(budgets)) if (!this.getTag(tag)) delete budgets[tag];
+    return budgets;
+  }
+
+  async setTagBudget(tag, minutes) {
+    const budgets = this._normalizeTagBudgets(await this.getSetting('tag_budgets', null));
+    const clean = this._capacityMinutes(minutes);
+    if (clean === null) delete budgets[tag];
+    else budgets[tag] = clean;
+    return this.setSetting('tag_budgets', budgets);
+  }
+
+  /**
+   * Per-tag budget bookkeeping for one planning pass. An item counts against
+   * every budgeted tag it carries; `used` seeds minutes already spent today.
+   */
+  _budgetTracker(limits, used = {}) {
+    const spent = {};
+    for (const tag of Object.keys(limits)) spent[tag] = used[tag] || 0;
+    const budgeted = item => (item.tags || []).filter(t => t in limits);
+    return {
+      /** First budgeted tag this item would push over its limit, or null */
+      overBy: (item, minutes) => budgeted(item).find(t => spent[t] + minutes > limits[t]) || null,
+      add: (item, minutes) => { for (const t of budgeted(item)) spent[t] += minutes; },
+      summary: () => Object.keys(limits).map(tag => ({ tag, used: spent[tag], limit: limits[tag] }))
+    };
   }
 
   async getDefaultUsableCapacity() {
@@ -559,10 +1817,8 @@ class BattlePlanDB {
 
   async getRemainingDayMinutes() {
     const endHour = await this.getSetting('workday_end_hour', DEFAULT_SETTINGS.workday_end_hour);
-    const now = new Date();
-    const endOfDay = new Date(now);
-    endOfDay.setHours(endHour, 0, 0, 0);
-    return Math.max(0, Math.round((endOfDay - now) / 60000));
+    const endOfDay = dayClock.atHour(this.getToday(), endHour);
+    return Math.max(0, Math.round((endOfDay - new Date()) / 60000));
   }
 
   async checkTimePressure() {
@@ -642,6 +1898,7 @@ class BattlePlanDB {
     const today = this.getToday();
     const todayItems = await this.getTodayItems();
     const usableCapacity = await this.getUsableCapacity();
+    const blockedIds = await this.getBlockedIds();
 
     const lockedTop3 = todayItems.filter(i =>
       i.isTop3 && i.top3Date === today && i.top3Locked && this.isRated(i)
@@ -649,6 +1906,7 @@ class BattlePlanDB {
 
     const candidates = todayItems.filter(i =>
       this.isRated(i) &&
+      !blockedIds.has(i.id) &&
       !(i.isTop3 && i.top3Date === today && i.top3Locked)
     );
 
@@ -664,10 +1922,15 @@ class BattlePlanDB {
 
     let usedMinutes = 0, monsterCount = 0;
     const selected = [];
+    const budgets = this._budgetTracker(
+      await this.getTagBudgets(),
+      this._getDoneTodayConsumedByTag(await this.getAllItems(), today)
+    );
 
     for (const item of lockedTop3) {
       const buffered = await this.getBufferedMinutes(item);
       usedMinutes += buffered || 0;
+      budgets.add(item, buffered || 0);
       if (await this.isMonsterAsync(item)) monsterCount++;
       selected.push({ ...item, bufferedMinutes: buffered });
     }
@@ -676,9 +1939,11 @@ class BattlePlanDB {
       if (selected.length >= 3) break;
       if (selected.find(s => s.id === item.id)) continue;
       if (item.isMonster && monsterCount >= 1) continue;
+      if (budgets.overBy(item, item.bufferedMinutes)) continue;
       if (usedMinutes + item.bufferedMinutes <= usableCapacity) {
         selected.push(item);
         usedMinutes += item.bufferedMinutes;
+        budgets.add(item, item.bufferedMinutes);
         if (item.isMonster) monsterCount++;
       }
     }
@@ -699,16 +1964,18 @@ class BattlePlanDB {
     const today = this.getToday();
     const allItems = await this.getAllItems();
 
-    for (const item of allItems) {
-      if (item.isTop3 && item.top3Date === today && !item.top3Locked) {
-        await this.updateItem(item.id, BattlePlanDB.CLEAR_TOP3);
+    await this.journalGroup('Suggested Top 3', async scope => {
+      for (const item of allItems) {
+        if (item.isTop3 && item.top3Date === today && !item.top3Locked) {
+          await scope.updateItem(item.id, BattlePlanDB.CLEAR_TOP3);
+        }
       }
-    }
 
-    let order = 0;
-    for (const item of suggestion.suggested) {
-      await this.updateItem(item.id, { isTop3: true, top3Order: order++, top3Date: today });
-    }
+      let order = 0;
+      for (const item of suggestion.suggested) {
+        await scope.updateItem(item.id, { isTop3: true, top3Order: order++, top3Date: today });
+      }
+    });
     return suggestion;
   }
 
@@ -820,12 +2087,17 @@ class BattlePlanDB {
 
   async runDailyMaintenance() {
     await this.ready;
+    // Automatic, so not an undo step: the first Ctrl+Z of the day shouldn't revert it
+    return this.withoutJournal(scope => scope._runDailyMaintenance());
+  }
+
+  async _runDailyMaintenance() {
     const today = this.getToday();
     const items = await this.getAllItems();
     const usableCapacity = await this.getUsableCapacity();
     const autoClearTop3 = await this.getSetting('top3_auto_clear_daily', true);
 
-    let overdueCount = 0, rolledCount = 0, deferredCount = 0, clearedTop3Count = 0;
+    let overdueCount = 0, rolledCount = 0, deferredCount = 0, clearedTop3Count = 0, followUpCount = 0;
     const protectedMoves = [];
     const candidates = [];
     const protectedIds = new Set();
@@ -835,11 +2107,17 @@ class BattlePlanDB {
 
       if (this.isOverdue(item)) overdueCount++;
 
+      // Waiting item whose follow-up date has come: back on Today to chase it
+      if (item.status === 'waiting' && item.follow_up_date && item.follow_up_date <= today) {
+        protectedMoves.push(item);
+        protectedIds.add(item.id);
+        followUpCount++;
+        continue;
+      }
+
       // Due within 7 days - ALWAYS move to today
       if (item.dueDate && item.status !== 'today') {
-        const now = new Date(); now.setHours(0, 0, 0, 0);
-        const due = new Date(item.dueDate + 'T00:00:00');
-        if (Math.ceil((due - now) / (1000 * 60 * 60 * 24)) <= 7) {
+        if (dayClock.diffDays(today, item.dueDate) <= 7) {
           protectedMoves.push(item);
           protectedIds.add(item.id);
           continue;
@@ -890,58 +2168,349 @@ class BattlePlanDB {
     }));
     scored.sort((a, b) => b.priority_score - a.priority_score);
 
-    for (const item of scored) {
-      if (item.bufferedMinutes === 0 || item.bufferedMinutes <= remainingCapacity) {
-        await this.updateItem(item.id, { status: 'today', scheduled_for_date: today });
-        remainingCapacity -= item.bufferedMinutes;
-        rolledCount++;
-      } else {
-        deferredCount++;
+    for (const item of scored) {
+      if (item.bufferedMinutes === 0 || item.bufferedMinutes <= remainingCapacity) {
+        await this.updateItem(item.id, { status: 'today', scheduled_for_date: today });
+        remainingCapacity -= item.bufferedMinutes;
+        rolledCount++;
+      } else {
+        deferredCount++;
+      }
+    }
+
+    return { overdueCount, rolledCount, deferredCount, clearedTop3Count, followUpCount };
+  }
+
+  async runRollover() { return this.runDailyMaintenance(); }
+
+  // ==================== TASK COMPLETION ====================
+
+  /**
+   * Mark an item done (one undo step). Returns the updated item; `unblocked`
+   * on the result lists dependents this completion freed up.
+   */
+  async completeTask(id, actual_bucket = null, skipRecurrence = false) {
+    const item = await this.getItem(id);
+    if (!item) return null;
+    return this.journalGroup(`Completed "${this._clip(item.text)}"`, scope =>
+      scope._completeTask(item, actual_bucket, skipRecurrence)
+    );
+  }
+
+  async _completeTask(item, actual_bucket, skipRecurrence) {
+    const id = item.id;
+    const now = new Date();
+    let finalActual = actual_bucket;
+    let calibrate = !!actual_bucket;
+
+    // Focus time is the most accurate measure: it leaves out pauses and breaks
+    await this._endActiveFocusFor(id, 'completed');
+    if (!finalActual) {
+      const focused = await this.getFocusMinutes(id);
+      if (focused > 0) {
+        finalActual = focused;
+        calibrate = true;
+      }
+    }
+
+    if (!finalActual && item.started_at) {
+      const rawMinutes = Math.round((now - new Date(item.started_at)) / 60000);
+      if (rawMinutes > 0 && rawMinutes <= 480) {
+        finalActual = rawMinutes;
+        calibrate = true;
+      }
+    }
+
+    finalActual = finalActual || item.estimate_bucket || 0;
+
+    if (calibrate && item.estimate_bucket && finalActual > 0) {
+      await this.addCalibrationEntry(item.tag, item.estimate_bucket, finalActual);
+    }
+
+    if (item.recurrence && !skipRecurrence) {
+      await this.createNextRecurringTask(item);
+    }
+
+    const updated = await this.updateItem(id, {
+      status: 'done', actual_bucket: finalActual,
+      completed_at: now.toISOString(), started_at: null,
+      ...BattlePlanDB.CLEAR_TOP3
+    });
+    const unblocked = await this._releaseDependents(id);
+    return updated ? { ...updated, unblocked } : updated;
+  }
+
+  async startWork(id) {
+    return this.updateItem(id, { started_at: new Date().toISOString() });
+  }
+
+  // ==================== FOCUS SESSIONS ====================
+  // Sessions live in their own store and are not journaled, nor is the
+  // started_at they stamp on their task. Timer state is derived from timestamps, never counted in memory,
+  // so a reload, a backgrounded tab or a locked phone resumes where it was.
+  //
+  // Session shape:
+  // { id, item_id, item_text, planned_minutes, started_at, ended_at,
+  //   pauses: [{ start, end }], interruptions: [{ at }], actual_minutes,
+  //   outcome: 'active' | 'completed' | 'stopped' | 'switched', switched_from? }
+  // Switching tasks mid-session closes the segment as 'switched' and carries
+  // the remaining time over to a new segment (switched_from = previous id),
+  // so each task gets its own minutes.
+
+  /** Milliseconds of focused time (pauses excluded) up to `now` or the session end */
+  getFocusElapsed(session, now = Date.now()) {
+    const end = session.ended_at ? Date.parse(session.ended_at) : now;
+    let paused = 0;
+    for (const pause of session.pauses || []) {
+      const pauseEnd = pause.end ? Date.parse(pause.end) : end;
+      paused += Math.max(0, Math.min(pauseEnd, end) - Date.parse(pause.start));
+    }
+    return Math.max(0, end - Date.parse(session.started_at) - paused);
+  }
+
+  /** Seconds left on the session's planned length (negative once overrun) */
+  getFocusRemaining(session, now = Date.now()) {
+    return Math.ceil((session.planned_minutes * 60000 - this.getFocusElapsed(session, now)) / 1000);
+  }
+
+  isFocusPaused(session) {
+    const pauses = session.pauses || [];
+    return pauses.length > 0 && !pauses[pauses.length - 1].end;
+  }
+
+  async getAllFocusSessions() {
+    await this.ready;
+    return await this._req('focus_sessions', 'readonly', s => s.getAll()) || [];
+  }
+
+  /** The session still running (or paused), if any */
+  async getActiveFocusSession() {
+    const sessions = await this.getAllFocusSessions();
+    return sessions.find(s => s.outcome === 'active') || null;
+  }
+
+  /** Start a session on an item; any session left running is closed as stopped */
+  async startFocusSession(item, plannedMinutes) {
+    const active = await this.getActiveFocusSession();
+    if (active) await this.endFocusSession(active.id, 'stopped');
+
+    const session = {
+      id: this.generateId(),
+      item_id: item.id,
+      item_text: item.text,
+      planned_minutes: plannedMinutes,
+      started_at: new Date().toISOString(),
+      ended_at: null,
+      pauses: [],
+      interruptions: [],
+      actual_minutes: null,
+      outcome: 'active'
+    };
+    await this._req('focus_sessions', 'readwrite', s => s.add(session));
+    await this._markStarted(item.id);
+    return session;
+  }
+
+  /**
+   * Give a focused task its started_at the first time it's worked on. A direct
+   * put, not updateItem: starting focus isn't an edit to undo, and an earlier
+   * start is kept.
+   */
+  async _markStarted(id) {
+    const item = await this.getItem(id);
+    if (!item || item.started_at) return;
+    await this._req('items', 'readwrite', s => s.put({ ...item, started_at: new Date().toISOString() }));
+  }
+
+  async _updateFocusSession(id, fn) {
+    const session = await this._req('focus_sessions', 'readonly', s => s.get(id));
+    if (!session || session.outcome !== 'active') return session || null;
+    const updated = fn({ ...session, pauses: [...session.pauses], interruptions: [...session.interruptions] });
+    await this._req('focus_sessions', 'readwrite', s => s.put(updated));
+    return updated;
+  }
+
+  async pauseFocusSession(id) {
+    return this._updateFocusSession(id, session => {
+      if (!this.isFocusPaused(session) && session.pauses.length < FOCUS_MAX_PAUSES) {
+        session.pauses.push({ start: new Date().toISOString(), end: null });
+      }
+      return session;
+    });
+  }
+
+  async resumeFocusSession(id) {
+    return this._updateFocusSession(id, session => {
+      if (this.isFocusPaused(session)) {
+        const last = session.pauses.length - 1;
+        session.pauses[last] = { ...session.pauses[last], end: new Date().toISOString() };
       }
-    }
+      return session;
+    });
+  }
 
-    return { overdueCount, rolledCount, deferredCount, clearedTop3Count };
+  async logFocusInterruption(id) {
+    return this._updateFocusSession(id, session => {
+      if (session.interruptions.length < FOCUS_MAX_INTERRUPTIONS) {
+        session.interruptions.push({ at: new Date().toISOString() });
+      }
+      return session;
+    });
   }
 
-  async runRollover() { return this.runDailyMaintenance(); }
+  /**
+   * Close a session ('completed' or 'stopped'), recording the focused minutes.
+   * `endedAt` lets a timer that ran out while the app was closed end on time.
+   */
+  async endFocusSession(id, outcome = 'stopped', endedAt = new Date()) {
+    return this._updateFocusSession(id, session => {
+      const now = endedAt.toISOString();
+      session.pauses = session.pauses.map(p => (p.end ? p : { ...p, end: now }));
+      session.ended_at = now;
+      session.outcome = outcome;
+      session.actual_minutes = Math.round(this.getFocusElapsed(session) / 60000);
+      return session;
+    });
+  }
 
-  // ==================== TASK COMPLETION ====================
+  /**
+   * Move the running session to another task without resetting the clock:
+   * time so far stays with the old task, the rest continues on the new one.
+   */
+  async switchFocusSession(id, item) {
+    const now = new Date();
+    const previous = await this._req('focus_sessions', 'readonly', s => s.get(id));
+    if (!previous || previous.outcome !== 'active' || previous.item_id === item.id) return previous || null;
+    const remaining = Math.max(0, this.getFocusRemaining(previous, now.getTime()));
+    const wasPaused = this.isFocusPaused(previous);
+    await this.endFocusSession(id, 'switched', now);
 
-  async completeTask(id, actual_bucket = null, skipRecurrence = false) {
-    const item = await this.getItem(id);
-    if (!item) return null;
+    const session = {
+      id: this.generateId(),
+      item_id: item.id,
+      item_text: item.text,
+      planned_minutes: Math.round(remaining / 60 * 100) / 100,
+      started_at: now.toISOString(),
+      ended_at: null,
+      pauses: wasPaused ? [{ start: now.toISOString(), end: null }] : [],
+      interruptions: [],
+      actual_minutes: null,
+      outcome: 'active',
+      switched_from: previous.id
+    };
+    await this._req('focus_sessions', 'readwrite', s => s.add(session));
+    await this._markStarted(item.id);
+    return session;
+  }
 
-    const now = new Date();
-    let finalActual = actual_bucket;
-    let calibrate = !!actual_bucket;
+  async _endActiveFocusFor(itemId, outcome) {
+    const active = await this.getActiveFocusSession();
+    if (active && active.item_id === itemId) await this.endFocusSession(active.id, outcome);
+  }
 
-    if (!finalActual && item.started_at) {
-      const rawMinutes = Math.round((now - new Date(item.started_at)) / 60000);
-      if (rawMinutes > 0 && rawMinutes <= 480) {
-        finalActual = rawMinutes;
-        calibrate = true;
-      }
+  /** Total focused minutes logged against an item across finished sessions */
+  async getFocusMinutes(itemId) {
+    await this.ready;
+    const sessions = await this._req('focus_sessions', 'readonly', s => s.index('item_id').getAll(itemId)) || [];
+    return sessions
+      .filter(s => s.outcome !== 'active')
+      .reduce((sum, s) => sum + (s.actual_minutes || 0), 0);
+  }
+
+  /** Completed work sessions per item id, for the session count on task cards */
+  async getFocusCounts() {
+    const counts = new Map();
+    for (const s of await this.getAllFocusSessions()) {
+      if (s.outcome === 'completed') counts.set(s.item_id, (counts.get(s.item_id) || 0) + 1);
     }
+    return counts;
+  }
+
+  /** Focus totals for the analytics page, over the last `days` days */
+  async getFocusStats(days = 7) {
+    const since = Date.now() - days * MS_PER_DAY;
+    const sessions = (await this.getAllFocusSessions())
+      .filter(s => s.outcome !== 'active' && Date.parse(s.started_at) >= since);
+    const minutes = sessions.reduce((sum, s) => sum + (s.actual_minutes || 0), 0);
+    const interruptions = sessions.reduce((sum, s) => sum + s.interruptions.length, 0);
+    const completed = sessions.filter(s => s.outcome === 'completed').length;
+    // Segments continued after a task switch belong to the session they came from
+    const whole = sessions.filter(s => !s.switched_from);
+    const planned = whole.reduce((sum, s) => sum + (s.planned_minutes || 0), 0);
+    return {
+      sessions: whole.length,
+      minutes,
+      planned,
+      completed,
+      interruptionsPerSession: whole.length > 0 ? interruptions / whole.length : 0
+    };
+  }
 
-    finalActual = finalActual || item.estimate_bucket || 0;
+  // ==================== POMODORO CYCLE ====================
+  // The running cycle is kept in the (non-exported) 'focus_cycle' setting so a
+  // break survives a reload the same way a work session does:
+  // { work_minutes, work_count,
+  //   brk: null | { kind: 'short' | 'long', started_at, minutes, next_item_id, next_item_text } }
 
-    if (calibrate && item.estimate_bucket && finalActual > 0) {
-      await this.addCalibrationEntry(item.tag, item.estimate_bucket, finalActual);
-    }
+  async getFocusCycleConfig() {
+    const get = key => this.getSetting(key, DEFAULT_SETTINGS[key]);
+    return {
+      shortBreak: await get('focus_short_break_minutes'),
+      longBreak: await get('focus_long_break_minutes'),
+      longEvery: Math.max(1, await get('focus_long_break_every')),
+      autoAdvance: await get('focus_auto_advance'),
+      sound: await get('focus_sound')
+    };
+  }
 
-    if (item.recurrence && !skipRecurrence) {
-      await this.createNextRecurringTask(item);
-    }
+  async getFocusCycle() {
+    return this.getSetting('focus_cycle', null);
+  }
 
-    return this.updateItem(id, {
-      status: 'done', actual_bucket: finalActual,
-      completed_at: now.toISOString(), started_at: null,
-      ...BattlePlanDB.CLEAR_TOP3
+  async startFocusCycle(workMinutes) {
+    return this.setSetting('focus_cycle', { work_minutes: workMinutes, work_count: 0, brk: null });
+  }
+
+  async endFocusCycle() {
+    return this.setSetting('focus_cycle', null);
+  }
+
+  /** Count a finished work session and start the break it earns (long every Nth session) */
+  async startFocusBreak(nextItem) {
+    const cycle = await this.getFocusCycle();
+    if (!cycle) return null;
+    const config = await this.getFocusCycleConfig();
+    const workCount = cycle.work_count + 1;
+    const kind = workCount % config.longEvery === 0 ? 'long' : 'short';
+    return this.setSetting('focus_cycle', {
+      ...cycle,
+      work_count: workCount,
+      brk: {
+        kind,
+        started_at: new Date().toISOString(),
+        minutes: kind === 'long' ? config.longBreak : config.shortBreak,
+        next_item_id: nextItem.id,
+        next_item_text: nextItem.text
+      }
     });
   }
 
-  async startWork(id) {
-    return this.updateItem(id, { started_at: new Date().toISOString() });
+  async endFocusBreak() {
+    const cycle = await this.getFocusCycle();
+    if (!cycle) return null;
+    return this.setSetting('focus_cycle', { ...cycle, brk: null });
+  }
+
+  /** Seconds left on a break (negative once it has run over) */
+  getBreakRemaining(brk, now = Date.now()) {
+    return Math.ceil((brk.minutes * 60000 - (now - Date.parse(brk.started_at))) / 1000);
+  }
+
+  /** Next open Top 3 item after the one just worked on, or null when Top 3 is finished */
+  async getNextFocusItem(afterId) {
+    const blockedIds = await this.getBlockedIds();
+    const top3 = await this.getTop3Items();
+    return top3.find(i => i.id !== afterId && !blockedIds.has(i.id)) || null;
   }
 
   // ==================== SCHEDULE DRIFT ====================
@@ -951,7 +2520,7 @@ class BattlePlanDB {
     const allItems = await this.getAllItems();
 
     const doneToday = allItems.filter(i =>
-      i.status === 'done' && i.completed_at && i.completed_at.startsWith(today)
+      i.status === 'done' && dayClock.isOnDay(i.completed_at, today)
     );
     if (doneToday.length === 0) return null;
 
@@ -977,10 +2546,12 @@ class BattlePlanDB {
       item.status === 'done' && !item.archived && new Date(item.updated_at) < cutoffDate
     );
     let archived = 0;
-    for (const item of toArchive) {
-      await this.updateItem(item.id, { archived: true });
-      archived++;
-    }
+    await this.journalGroup(`Archived ${toArchive.length} done tasks`, async scope => {
+      for (const item of toArchive) {
+        await scope.updateItem(item.id, { archived: true });
+        archived++;
+      }
+    });
     return archived;
   }
 
@@ -989,57 +2560,36 @@ class BattlePlanDB {
     return items.filter(item => item.status === 'done' && (includeArchived || !item.archived));
   }
 
+  /** Create the next instance of a recurring item; null when the series has ended */
   async createNextRecurringTask(originalItem) {
-    const nextDate = this.getNextRecurrenceDate(originalItem);
+    const next = this.getNextRecurrence(originalItem);
+    if (!next) return null;
     const now = new Date().toISOString();
     const newItem = {
       id: this.generateId(),
       text: originalItem.text, status: 'next',
-      tag: originalItem.tag, next_action: originalItem.next_action,
+      tag: originalItem.tag, tags: [...(originalItem.tags || [])], next_action: originalItem.next_action,
       A: originalItem.A, C: originalItem.C, E: originalItem.E,
       L: originalItem.L, M: originalItem.M, T: originalItem.T,
       estimate_bucket: originalItem.estimate_bucket, confidence: originalItem.confidence,
       actual_bucket: null,
       ...BattlePlanDB.CLEAR_TOP3,
-      scheduled_for_date: nextDate, dueDate: null,
-      recurrence: originalItem.recurrence, recurrence_day: originalItem.recurrence_day,
-      waiting_on: null, notes: null, parent_id: null,
+      scheduled_for_date: next.date, dueDate: null,
+      start_time: originalItem.start_time || null, duration_minutes: originalItem.duration_minutes || null,
+      recurrence: next.rule,
+      waiting_on: null, follow_up_date: null, waiting_since: null, notes: null, parent_id: null,
+      project_id: originalItem.project_id || null,
       created_at: now, updated_at: now
     };
     await this._req('items', 'readwrite', s => s.add(newItem));
+    await this._recordOps([{ id: newItem.id, before: null, after: newItem }], `Scheduled next "${this._clip(newItem.text)}"`);
     this.scheduleAutoBackup();
     return newItem;
   }
 
-  getNextRecurrenceDate(item) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    let nextDate = new Date(today);
-
-    switch (item.recurrence) {
-      case 'daily':
-        nextDate.setDate(nextDate.getDate() + 1);
-        break;
-      case 'weekly': {
-        const targetDay = item.recurrence_day || 0;
-        let daysUntilNext = targetDay - today.getDay();
-        if (daysUntilNext <= 0) daysUntilNext += 7;
-        nextDate.setDate(nextDate.getDate() + daysUntilNext);
-        break;
-      }
-      case 'monthly': {
-        const targetDate = item.recurrence_day || today.getDate();
-        nextDate.setDate(1);
-        nextDate.setMonth(nextDate.getMonth() + 1);
-        const daysInMonth = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate();
-        nextDate.setDate(Math.min(targetDate, daysInMonth));
-        break;
-      }
-      default:
-        nextDate.setDate(nextDate.getDate() + 1);
-    }
-
-    return nextDate.toISOString().split('T')[0];
+  /** Next date and rule for a recurring item, or null when the series has ended */
+  getNextRecurrence(item) {
+    return recurrenceRules.nextOccurrence(item, this.getToday());
   }
 
   // ==================== PRESETS ====================
@@ -1062,18 +2612,378 @@ class BattlePlanDB {
     return this.updateItem(id, updates);
   }
 
+  // ==================== AUTO-RATING ====================
+
+  /** Every rated item, most recently updated first: few-shot examples and heuristic history */
+  async getRatedHistory() {
+    const items = (await this.getAllItems()).filter(i => this.isRated(i));
+    return items.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+  }
+
+  /** Unrated open Today items: what "Rate all unrated" works through */
+  async getUnratedTodayItems() {
+    return (await this.getTodayItems()).filter(i => !this.isRated(i));
+  }
+
+  /** Offline suggestion from similar rated tasks and keywords (ratings.js): { rating, basis } */
+  heuristicRating(item, history) {
+    return ratingModel.suggest(item, history, this.getToday());
+  }
+
+  /** Apply reviewed ratings [{ id, rating }] as one undo step */
+  async applyRatings(entries) {
+    const count = entries.length;
+    return this.journalGroup(`Rated ${count} task${count === 1 ? '' : 's'}`, async scope => {
+      const updated = [];
+      for (const { id, rating } of entries) {
+        const item = await scope.updateItem(id, rating);
+        if (item) updated.push(item);
+      }
+      return { updated };
+    });
+  }
+
+  // ==================== AI PARSE QUEUE ====================
+  // Captures that missed the AI parse (offline, rate-limited, server down)
+  // wait here with the text as typed or spoken: [{ id, input, queued_at,
+  // suggestion }]. Once AI answers again they are re-parsed and whatever the
+  // parse adds becomes a suggestion on the item; nothing is written to the
+  // item unless the user applies it. Kept in settings, out of the undo journal.
+
+  async getAIQueue() {
+    return await this.getSetting('ai_parse_queue', []);
+  }
+
+  async queueForAI(id, input) {
+    const queue = (await this.getAIQueue()).filter(e => e.id !== id);
+    queue.push({ id, input, queued_at: new Date().toISOString(), suggestion: null });
+    return this.setSetting('ai_parse_queue', queue.slice(-AI_QUEUE_MAX));
+  }
+
+  async setAISuggestion(id, suggestion) {
+    const queue = await this.getAIQueue();
+    return this.setSetting('ai_parse_queue', queue.map(e => e.id === id ? { ...e, suggestion } : e));
+  }
+
+  async removeFromAIQueue(id) {
+    const queue = await this.getAIQueue();
+    return this.setSetting('ai_parse_queue', queue.filter(e => e.id !== id));
+  }
+
+  /** id -> queue entry, for rendering pending parses and suggestions */
+  async getAIQueueMap() {
+    return new Map((await this.getAIQueue()).map(e => [e.id, e]));
+  }
+
+  /**
+   * What a parse (GroqAssistant.parseTaskInput result) would add to item:
+   * a cleaner text, and dates, time, estimate, recurrence and tags the item
+   * doesn't have yet. null when the parse adds nothing.
+   */
+  aiSuggestionFor(item, parsed) {
+    const suggestion = {};
+    if (parsed.text && parsed.text !== item.text) suggestion.text = parsed.text;
+    if (parsed.scheduled_date && parsed.scheduled_date !== item.scheduled_for_date) suggestion.scheduled_date = parsed.scheduled_date;
+    if (parsed.due_date && !item.dueDate) suggestion.due_date = parsed.due_date;
+    if (parsed.start_time && !item.start_time) suggestion.start_time = parsed.start_time;
+    if (parsed.duration_minutes && !item.duration_minutes) suggestion.duration_minutes = parsed.duration_minutes;
+    if (parsed.estimate_minutes && !item.estimate_bucket) suggestion.estimate_minutes = parsed.estimate_minutes;
+    if (parsed.recurrence && !item.recurrence) {
+      suggestion.recurrence = parsed.recurrence;
+      if (parsed.recurrence_day !== undefined) suggestion.recurrence_day = parsed.recurrence_day;
+    }
+    const tags = (parsed.tags || []).filter(t => !(item.tags || []).some(n => n.toLowerCase() === t.toLowerCase()));
+    if (tags.length > 0) suggestion.tags = tags;
+    return Object.keys(suggestion).length > 0 ? suggestion : null;
+  }
+
   // ==================== SEARCH ====================
 
   async searchItems(query, status = null) {
-    const items = await this.getAllItems();
-    const q = query.toLowerCase().trim();
-    return items.filter(item => {
-      const matchesText = item.text.toLowerCase().includes(q) ||
-        (item.next_action && item.next_action.toLowerCase().includes(q));
-      return matchesText && (status === null || item.status === status);
+    const items = await this.queryItems(query);
+    return status === null ? items : items.filter(item => item.status === status);
+  }
+
+  /**
+   * Items matching a query (see query.js). Candidates come from the most
+   * selective IndexedDB index the query allows; done items are left out
+   * unless the query asks for status:done.
+   */
+  async queryItems(text, parsed = null) {
+    const query = parsed || taskQuery.parse(text);
+    const today = this.getToday();
+    let candidates;
+    let plan = taskQuery.indexPlan(query, today);
+    if (plan && plan.index === 'tags') {
+      // The index holds canonical names; the query is case-insensitive. A tag
+      // no longer in the registry may still be on items: scan for those.
+      const tag = tagCatalog.find(this.tags, plan.only);
+      if (tag) plan.only = tag.name;
+      else plan = null;
+    }
+    if (plan) {
+      await this.ready;
+      candidates = await this._req('items', 'readonly', s => s.index(plan.index).getAll(this._keyRange(plan))) || [];
+    } else {
+      candidates = await this.getAllItems();
+    }
+
+    const blockedIds = await this.getBlockedIds();
+    const ctx = {
+      today,
+      blockedIds,
+      projectNames: await this.getProjectNames(),
+      isRated: item => this.isRated(item),
+      score: item => this.calculateScores(item).priority_score,
+      isMonster: item => this.isMonster(item),
+      isOverdue: item => this.isOverdue(item)
+    };
+    const withDone = taskQuery.includesDone(query);
+    return candidates.filter(item =>
+      (withDone || item.status !== 'done') && taskQuery.matches(item, query, ctx)
+    );
+  }
+
+  _keyRange(plan) {
+    if (plan.only !== undefined) return IDBKeyRange.only(plan.only);
+    if (plan.lower !== undefined && plan.upper !== undefined) {
+      return IDBKeyRange.bound(plan.lower, plan.upper, plan.lowerOpen, plan.upperOpen);
+    }
+    if (plan.lower !== undefined) return IDBKeyRange.lowerBound(plan.lower, plan.lowerOpen);
+    return IDBKeyRange.upperBound(plan.upper, plan.upperOpen);
+  }
+
+  // ==================== SAVED SEARCHES / PERSPECTIVES ====================
+  // A perspective is a saved search with its own sort order and grouping.
+  // An empty query lists every open item.
+
+  async getSavedSearches() {
+    return this._normalizeSavedSearches(await this.getSetting('saved_searches', []));
+  }
+
+  async getSavedSearch(id) {
+    return (await this.getSavedSearches()).find(s => s.id === id) || null;
+  }
+
+  async addSavedSearch(name, query, { sort = 'priority', group = 'none' } = {}) {
+    const searches = await this.getSavedSearches();
+    if (searches.length >= SAVED_SEARCH_MAX) {
+      return { error: 'TOO_MANY', message: `Up to ${SAVED_SEARCH_MAX} saved searches` };
+    }
+    const [search] = this._normalizeSavedSearches([{ id: this.generateId(), name, query, sort, group }]);
+    if (!search) return { error: 'INVALID', message: 'A saved search needs a name' };
+    if (searches.some(s => s.name.toLowerCase() === search.name.toLowerCase())) {
+      return { error: 'DUPLICATE', message: `"${search.name}" already exists` };
+    }
+    await this.setSetting('saved_searches', [...searches, search]);
+    return search;
+  }
+
+  /** Change a perspective's name, query, sort or group */
+  async updateSavedSearch(id, updates) {
+    const searches = await this.getSavedSearches();
+    const index = searches.findIndex(s => s.id === id);
+    if (index === -1) return { error: 'NOT_FOUND', message: 'Saved search not found' };
+    const [search] = this._normalizeSavedSearches([{ ...searches[index], ...updates, id }]);
+    if (!search) return { error: 'INVALID', message: 'A saved search needs a name' };
+    if (searches.some(s => s.id !== id && s.name.toLowerCase() === search.name.toLowerCase())) {
+      return { error: 'DUPLICATE', message: `"${search.name}" already exists` };
+    }
+    searches[index] = search;
+    await this.setSetting('saved_searches', searches);
+    return search;
+  }
+
+  /** Look up a perspective by name (voice commands): exact match first, then prefix */
+  findSavedSearch(searches, name) {
+    const wanted = String(name || '').toLowerCase().trim();
+    if (!wanted) return null;
+    return searches.find(s => s.name.toLowerCase() === wanted) ||
+      searches.find(s => s.name.toLowerCase().startsWith(wanted)) || null;
+  }
+
+  async deleteSavedSearch(id) {
+    const searches = await this.getSavedSearches();
+    await this.setSetting('saved_searches', searches.filter(s => s.id !== id));
+  }
+
+  _normalizeSavedSearches(value) {
+    if (!Array.isArray(value)) return [];
+    const searches = [];
+    for (const entry of value) {
+      if (!entry || typeof entry !== 'object') continue;
+      const id = String(entry.id || '').replace(/[^a-zA-Z0-9_-]/g, '');
+      const name = typeof entry.name === 'string' ? entry.name.replace(/<[^>]*>/g, '').trim().substring(0, SAVED_SEARCH_NAME_MAX) : '';
+      const query = typeof entry.query === 'string' ? entry.query.trim().substring(0, SAVED_SEARCH_QUERY_MAX) : '';
+      const sort = PERSPECTIVE_SORTS.includes(entry.sort) ? entry.sort : 'priority';
+      const group = PERSPECTIVE_GROUPS.includes(entry.group) ? entry.group : 'none';
+      if (!id || !name || searches.some(s => s.id === id)) continue;
+      searches.push({ id, name, query, sort, group });
+      if (searches.length >= SAVED_SEARCH_MAX) break;
+    }
+    return searches;
+  }
+
+  /**
+   * Split a perspective's items into [{ key, label, items }] groups, in display
+   * order: tags follow the tag list (untagged last); due weeks run from
+   * overdue through later weeks (no due date last). Items keep their order.
+   */
+  groupPerspectiveItems(items, group) {
+    if (group === 'tag') {
+      const order = this.getTags().map(t => t.name);
+      const groups = new Map();
+      for (const item of items) {
+        const key = (item.tags && item.tags[0]) || '';
+        if (!groups.has(key)) groups.set(key, { key, label: key || 'Untagged', items: [] });
+        groups.get(key).items.push(item);
+      }
+      const rank = key => key ? (order.includes(key) ? order.indexOf(key) : order.length) : order.length + 1;
+      return [...groups.values()].sort((a, b) => rank(a.key) - rank(b.key));
+    }
+
+    if (group === 'due_week') {
+      const today = this.getToday();
+      const thisWeek = dayClock.weekStart(today);
+      const groups = new Map();
+      for (const item of items) {
+        let key;
+        let label;
+        if (!item.dueDate) {
+          key = '~none';
+          label = 'No due date';
+        } else if (item.dueDate < today) {
+          key = '0overdue';
+          label = 'Overdue';
+        } else {
+          const week = dayClock.weekStart(item.dueDate);
+          const weeksAway = Math.round(dayClock.diffDays(thisWeek, week) / 7);
+          key = `1${week}`;
+          label = weeksAway === 0 ? 'This week' : weeksAway === 1 ? 'Next week' : `Week of ${week}`;
+        }
+        if (!groups.has(key)) groups.set(key, { key, label, items: [] });
+        groups.get(key).items.push(item);
+      }
+      return [...groups.values()].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    }
+
+    return [{ key: '', label: '', items }];
+  }
+
+  // ==================== PROJECTS ====================
+  // A project is a multi-step outcome { id, name, outcome, tag, deadline, status }.
+  // Items join one through `project_id`; progress counts top-level items.
+
+  async getAllProjects() {
+    await this.ready;
+    const projects = await this._req('projects', 'readonly', s => s.getAll()) || [];
+    return projects.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async getProject(id) {
+    await this.ready;
+    return this._req('projects', 'readonly', s => s.get(id));
+  }
+
+  /** Project fields from user input; an unknown tag is dropped */
+  _projectFields(fields) {
+    const tag = fields.tag ? tagCatalog.find(this.tags, fields.tag) : null;
+    return this.sanitizeProject({ ...fields, tag: tag ? tag.name : null });
+  }
+
+  async addProject(fields) {
+    await this.ready;
+    const now = new Date().toISOString();
+    const project = this._projectFields({ ...fields, id: this.generateId(), created_at: now, updated_at: now });
+    if (!project) return { error: 'INVALID', message: 'A project needs a name' };
+    await this._req('projects', 'readwrite', s => s.add(project));
+    await this._recordOps([{ store: 'projects', id: project.id, before: null, after: project }], `Added project "${this._clip(project.name)}"`);
+    this.scheduleAutoBackup();
+    return project;
+  }
+
+  async updateProject(id, updates) {
+    const project = await this.getProject(id);
+    if (!project) return { error: 'NOT_FOUND', message: 'Project not found' };
+    const updated = this._projectFields({
+      ...project, ...updates, id, created_at: project.created_at, updated_at: new Date().toISOString()
+    });
+    if (!updated) return { error: 'INVALID', message: 'A project needs a name' };
+    await this._req('projects', 'readwrite', s => s.put(updated));
+    await this._recordOps([{ store: 'projects', id, before: project, after: updated }], `Updated project "${this._clip(updated.name)}"`);
+    this.scheduleAutoBackup();
+    return updated;
+  }
+
+  /** Delete a project; its tasks stay, without a project (one undo step) */
+  async deleteProject(id) {
+    const project = await this.getProject(id);
+    if (!project) return null;
+    const items = await this.getProjectItems(id);
+    await this.journalGroup(`Deleted project "${this._clip(project.name)}"`, async scope => {
+      await scope.batchUpdateItems(items.map(i => ({ id: i.id, changes: { project_id: null } })));
+      await scope._req('projects', 'readwrite', s => s.delete(id));
+      await scope._recordOps([{ store: 'projects', id, before: project, after: null }]);
+    });
+    this.scheduleAutoBackup();
+    return project;
+  }
+
+  async getProjectItems(id) {
+    if (this._renderCache) return this._renderCache.filter(i => i.project_id === id).map(i => ({ ...i }));
+    await this.ready;
+    return await this._req('items', 'readonly', s => s.index('project_id').getAll(id)) || [];
+  }
+
+  /** Add a task straight into a project as a Next action, tagged with the project's tag */
+  async addProjectItem(projectId, text) {
+    const project = await this.getProject(projectId);
+    if (!project || !text.trim()) return null;
+    return this.journalGroup(`Added "${this._clip(text.trim())}" to ${this._clip(project.name)}`, async scope => {
+      const item = await scope.addItem(text);
+      return scope.updateItem(item.id, {
+        status: 'next', project_id: projectId, tags: project.tag ? [project.tag] : []
+      });
     });
   }
 
+  /** id -> name, for labelling task cards */
+  async getProjectNames() {
+    return new Map((await this.getAllProjects()).map(p => [p.id, p.name]));
+  }
+
+  /**
+   * Every project with its progress: { project, items (open, top-level),
+   * done, total, progress (0-100), actions, stalled, overdue }. `actions` are
+   * open Today/Tomorrow/Next items that aren't blocked; an active project
+   * with none is stalled.
+   */
+  async getProjectSummaries() {
+    const projects = await this.getAllProjects();
+    const items = (await this.getAllItems()).filter(i => i.project_id && !i.parent_id);
+    const blockedIds = await this.getBlockedIds();
+    const today = this.getToday();
+    return projects.map(project =>
+      this._summarizeProject(project, items.filter(i => i.project_id === project.id), blockedIds, today));
+  }
+
+  async getProjectSummary(id) {
+    return (await this.getProjectSummaries()).find(s => s.project.id === id) || null;
+  }
+
+  _summarizeProject(project, items, blockedIds, today) {
+    const open = items.filter(i => i.status !== 'done');
+    const done = items.length - open.length;
+    const actions = open.filter(i => PROJECT_ACTION_STATUSES.includes(i.status) && !blockedIds.has(i.id));
+    return {
+      project, items: open, done, total: items.length,
+      progress: items.length > 0 ? Math.round((done / items.length) * 100) : 0,
+      actions,
+      stalled: project.status === 'active' && actions.length === 0,
+      overdue: project.status !== 'done' && !!project.deadline && project.deadline < today
+    };
+  }
+
   // ==================== ROUTINES ====================
 
   async addRoutine(name) {
@@ -1116,7 +3026,10 @@ class BattlePlanDB {
     await this.ready;
     const routine = await this.getRoutine(id);
     if (!routine) return [];
+    return this.journalGroup(`Ran "${this._clip(routine.name)}"`, scope => scope._runRoutine(routine));
+  }
 
+  async _runRoutine(routine) {
     const today = this.getToday();
     const targetStatus = routine.target_status || 'today';
     const createdItems = [];
@@ -1132,16 +3045,15 @@ class BattlePlanDB {
       };
 
       if (isTemplate) {
-        if (entry.tag) updates.tag = entry.tag;
+        const tags = this.resolveTags(this._templateTags(entry));
+        if (tags.length > 0) updates.tags = tags;
         for (const f of ['A', 'C', 'E', 'L', 'M', 'T']) {
           if (entry[f] != null) updates[f] = entry[f];
         }
         if (entry.estimate_bucket) updates.estimate_bucket = entry.estimate_bucket;
         if (entry.confidence) updates.confidence = entry.confidence;
-        if (entry.recurrence) {
-          updates.recurrence = entry.recurrence;
-          if (entry.recurrence_day != null) updates.recurrence_day = entry.recurrence_day;
-        }
+        const rule = recurrenceRules.normalize(entry.recurrence, entry.recurrence_day);
+        if (rule) updates.recurrence = { ...rule, start: null, occurrence: 1 };
       }
 
       await this.updateItem(item.id, updates);
@@ -1161,16 +3073,14 @@ class BattlePlanDB {
 
   itemToTemplate(item) {
     const template = { text: item.text };
-    if (item.tag) template.tag = item.tag;
+    if (item.tags && item.tags.length > 0) template.tags = [...item.tags];
     for (const f of ['A', 'C', 'E', 'L', 'M', 'T']) {
       if (item[f] != null) template[f] = item[f];
     }
     if (item.estimate_bucket) template.estimate_bucket = item.estimate_bucket;
     if (item.confidence) template.confidence = item.confidence;
-    if (item.recurrence) {
-      template.recurrence = item.recurrence;
-      if (item.recurrence_day != null) template.recurrence_day = item.recurrence_day;
-    }
+    const rule = recurrenceRules.normalize(item.recurrence, item.recurrence_day);
+    if (rule) template.recurrence = { ...rule, start: null, occurrence: 1 };
     return template;
   }
 
@@ -1201,34 +3111,47 @@ class BattlePlanDB {
     }
 
     const calibrationHistory = await this._req('calibration_history', 'readonly', s => s.getAll()) || [];
+    const focusSessions = await this.getAllFocusSessions();
+    const projects = await this.getAllProjects();
 
-    return { version: 4, exported: new Date().toISOString(), items, routines, settings, calibrationHistory };
+    return {
+      version: 8, exported: new Date().toISOString(),
+      items, routines, projects, settings, tags: this.getTags(), calibrationHistory, focusSessions
+    };
   }
 
   // Whitelisted fields for import sanitization — prevents prototype pollution & XSS via imported JSON
   static ALLOWED_ITEM_FIELDS = new Set([
-    'id', 'text', 'status', 'tag', 'next_action', 'notes',
+    'id', 'text', 'status', 'tag', 'tags', 'next_action', 'notes',
     'A', 'C', 'E', 'L', 'M', 'T',
     'estimate_bucket', 'confidence', 'actual_bucket',
     'isTop3', 'top3Order', 'top3Date', 'top3Locked',
     'scheduled_for_date', 'dueDate',
-    'recurrence', 'recurrence_day',
-    'waiting_on', 'parent_id', 'archived',
+    'start_time', 'duration_minutes', 'planned_start', 'planned_date',
+    'recurrence', 'recurrence_day', // recurrence_day: pre-v5 backups, folded into the rule on import
+    'waiting_on', 'follow_up_date', 'waiting_since', 'blocked_by', 'parent_id', 'sort_order', 'project_id', 'archived', 'ics_uid',
     'created_at', 'updated_at', 'created'
   ]);
 
   static ALLOWED_ROUTINE_FIELDS = new Set(['id', 'name', 'items', 'created', 'created_at', 'updated_at']);
+  static ALLOWED_PROJECT_FIELDS = new Set(['id', 'name', 'outcome', 'tag', 'deadline', 'status', 'created_at', 'updated_at']);
   static ALLOWED_CALIBRATION_FIELDS = new Set(['id', 'tag', 'estimate_bucket', 'actual_bucket', 'completed_at']);
+  static ALLOWED_FOCUS_FIELDS = new Set([
+    'id', 'item_id', 'item_text', 'planned_minutes', 'started_at', 'ended_at',
+    'pauses', 'interruptions', 'actual_minutes', 'outcome', 'switched_from'
+  ]);
   static ALLOWED_SETTINGS_KEYS = new Set([
     'timerDefault', 'weekday_capacity_minutes', 'weekend_capacity_minutes',
     'always_plan_slack_percent', 'auto_roll_tomorrow_to_today', 'top3_auto_clear_daily',
-    'workday_start_hour', 'workday_end_hour', 'wake_word_enabled'
+    'workday_start_hour', 'workday_end_hour', 'day_start_hour', 'wake_word_enabled', 'voice_replies',
+    'capacity_by_weekday', 'capacity_exceptions', 'tag_budgets',
+    'focus_short_break_minutes', 'focus_long_break_minutes', 'focus_long_break_every',
+    'focus_auto_advance', 'focus_sound', 'weekly_reviews', 'saved_searches'
   ]);
 
   static VALID_STATUSES = ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done'];
   static VALID_CONFIDENCES = ['high', 'medium', 'low', null];
-  static VALID_RECURRENCES = ['', 'daily', 'weekly', 'monthly', null];
-  static VALID_TAGS = ['Home', 'Army', 'Business', 'Other'];
+  static MAX_BLOCKERS = 20;
 
   /** Strip unknown keys from an object — only keeps properties in the allowed Set */
   _filterFields(obj, allowedSet) {
@@ -1243,11 +3166,37 @@ class BattlePlanDB {
     const sanitized = this._filterFields(item, BattlePlanDB.ALLOWED_ITEM_FIELDS);
     if (sanitized.id) sanitized.id = String(sanitized.id).replace(/[^a-zA-Z0-9_-]/g, '');
     if (!sanitized.id) sanitized.id = this.generateId();
-    if (sanitized.tag && !BattlePlanDB.VALID_TAGS.includes(sanitized.tag)) sanitized.tag = null;
+    // Tags stay as names here; importData maps them onto the registry
+    const tagNames = Array.isArray(sanitized.tags) ? sanitized.tags : (sanitized.tag ? [sanitized.tag] : []);
+    sanitized.tags = [...new Set(tagNames.map(t => tagCatalog.normalizeName(t)).filter(Boolean))].slice(0, TAG_MAX_COUNT);
+    delete sanitized.tag;
     if (sanitized.text) sanitized.text = String(sanitized.text).replace(/<[^>]*>/g, '');
+    if (sanitized.ics_uid) sanitized.ics_uid = String(sanitized.ics_uid).substring(0, 255);
+    if (sanitized.sort_order !== undefined && !Number.isFinite(sanitized.sort_order)) sanitized.sort_order = null;
+    if (sanitized.project_id != null) sanitized.project_id = String(sanitized.project_id).replace(/[^a-zA-Z0-9_-]/g, '') || null;
+    if (sanitized.follow_up_date !== undefined && !dayClock.isDateStr(sanitized.follow_up_date)) sanitized.follow_up_date = null;
+    if (sanitized.waiting_since !== undefined && isNaN(Date.parse(sanitized.waiting_since))) sanitized.waiting_since = null;
+    if (sanitized.blocked_by !== undefined) {
+      const ids = Array.isArray(sanitized.blocked_by) ? sanitized.blocked_by : [];
+      sanitized.blocked_by = [...new Set(ids.map(id => String(id).replace(/[^a-zA-Z0-9_-]/g, '')))]
+        .filter(id => id && id !== sanitized.id)
+        .slice(0, BattlePlanDB.MAX_BLOCKERS);
+    }
     return sanitized;
   }
 
+  /** Structured settings are rebuilt from scratch; scalar settings pass through */
+  sanitizeSettingValue(key, value) {
+    switch (key) {
+      case 'capacity_by_weekday': return this._normalizeWeekdayCapacities(value);
+      case 'capacity_exceptions': return this._normalizeCapacityExceptions(value);
+      case 'tag_budgets': return this._normalizeTagBudgets(value);
+      case 'weekly_reviews': return this._normalizeWeeklyReviews(value);
+      case 'saved_searches': return this._normalizeSavedSearches(value);
+      default: return value;
+    }
+  }
+
   sanitizeRoutine(routine) {
     const sanitized = this._filterFields(routine, BattlePlanDB.ALLOWED_ROUTINE_FIELDS);
     if (sanitized.id) sanitized.id = String(sanitized.id).replace(/[^a-zA-Z0-9_-]/g, '');
@@ -1271,16 +3220,63 @@ class BattlePlanDB {
     if (isNaN(actual) || actual <= 0) return null;
     sanitized.actual_bucket = actual;
 
-    if (!sanitized.tag || !BattlePlanDB.VALID_TAGS.includes(sanitized.tag)) sanitized.tag = 'Other';
+    sanitized.tag = tagCatalog.normalizeName(sanitized.tag) || 'Other';
     if (!sanitized.completed_at || isNaN(Date.parse(sanitized.completed_at))) sanitized.completed_at = new Date().toISOString();
 
     return sanitized;
   }
 
+  /** Whitelisted project record, or null without a usable name. Tags stay as names (see importData). */
+  sanitizeProject(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const sanitized = this._filterFields(entry, BattlePlanDB.ALLOWED_PROJECT_FIELDS);
+    sanitized.id = String(sanitized.id || '').replace(/[^a-zA-Z0-9_-]/g, '') || this.generateId();
+    sanitized.name = typeof sanitized.name === 'string'
+      ? sanitized.name.replace(/<[^>]*>/g, '').trim().substring(0, PROJECT_NAME_MAX) : '';
+    if (!sanitized.name) return null;
+    sanitized.outcome = typeof sanitized.outcome === 'string'
+      ? sanitized.outcome.replace(/<[^>]*>/g, '').trim().substring(0, PROJECT_OUTCOME_MAX) || null : null;
+    sanitized.tag = tagCatalog.normalizeName(sanitized.tag) || null;
+    sanitized.deadline = dayClock.isDateStr(sanitized.deadline) ? sanitized.deadline : null;
+    sanitized.status = PROJECT_STATUSES.includes(sanitized.status) ? sanitized.status : 'active';
+    const now = new Date().toISOString();
+    if (isNaN(Date.parse(sanitized.created_at))) sanitized.created_at = now;
+    if (isNaN(Date.parse(sanitized.updated_at))) sanitized.updated_at = sanitized.created_at;
+    return sanitized;
+  }
+
+  /** Imported sessions are always finished; an 'active' one would hijack the timer */
+  sanitizeFocusSession(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const sanitized = this._filterFields(entry, BattlePlanDB.ALLOWED_FOCUS_FIELDS);
+    if (!sanitized.id || typeof sanitized.id !== 'string') sanitized.id = this.generateId();
+    if (typeof sanitized.item_id !== 'string' || isNaN(Date.parse(sanitized.started_at))) return null;
+
+    const isInstant = v => typeof v === 'string' && !isNaN(Date.parse(v));
+    sanitized.item_text = typeof sanitized.item_text === 'string' ? sanitized.item_text.substring(0, 500) : '';
+    const planned = parseFloat(sanitized.planned_minutes);
+    sanitized.planned_minutes = isNaN(planned) || planned <= 0 ? 0 : Math.min(Math.round(planned * 100) / 100, 480);
+    sanitized.ended_at = isInstant(sanitized.ended_at) ? sanitized.ended_at : sanitized.started_at;
+    sanitized.pauses = (Array.isArray(sanitized.pauses) ? sanitized.pauses : [])
+      .filter(p => p && isInstant(p.start) && isInstant(p.end))
+      .slice(0, FOCUS_MAX_PAUSES)
+      .map(p => ({ start: p.start, end: p.end }));
+    sanitized.interruptions = (Array.isArray(sanitized.interruptions) ? sanitized.interruptions : [])
+      .filter(i => i && isInstant(i.at))
+      .slice(0, FOCUS_MAX_INTERRUPTIONS)
+      .map(i => ({ at: i.at }));
+    sanitized.outcome = ['completed', 'switched'].includes(sanitized.outcome) ? sanitized.outcome : 'stopped';
+    if (typeof sanitized.switched_from !== 'string') delete sanitized.switched_from;
+    sanitized.actual_minutes = Math.round(this.getFocusElapsed(sanitized) / 60000);
+    return sanitized;
+  }
+
   validateItemTypes(item) {
     if (item.status && !BattlePlanDB.VALID_STATUSES.includes(item.status)) item.status = 'inbox';
     if (item.confidence && !BattlePlanDB.VALID_CONFIDENCES.includes(item.confidence)) item.confidence = null;
-    if (item.recurrence && !BattlePlanDB.VALID_RECURRENCES.includes(item.recurrence)) item.recurrence = null;
+    item.recurrence = recurrenceRules.normalize(item.recurrence, item.recurrence_day);
+    delete item.recurrence_day;
+    this._syncTagFields(item, { tags: item.tags });
 
     for (const field of ['A', 'C', 'E']) {
       if (item[field] !== null && item[field] !== undefined) {
@@ -1298,10 +3294,14 @@ class BattlePlanDB {
       const val = parseInt(item.estimate_bucket);
       item.estimate_bucket = (isNaN(val) || val < 0) ? null : val;
     }
-    if (item.recurrence_day !== null && item.recurrence_day !== undefined) {
-      const val = parseInt(item.recurrence_day);
-      item.recurrence_day = (isNaN(val) || val < 0 || val > 31) ? null : val;
+    if (item.duration_minutes !== null && item.duration_minutes !== undefined) {
+      const val = parseInt(item.duration_minutes);
+      item.duration_minutes = (isNaN(val) || val <= 0 || val > 1440) ? null : val;
+    }
+    for (const field of ['start_time', 'planned_start']) {
+      if (item[field] != null && !dayClock.parseTime(item[field])) item[field] = null;
     }
+    if (item.planned_date != null && !dayClock.isDateStr(item.planned_date)) item.planned_date = null;
     item.isTop3 = !!item.isTop3;
     item.top3Locked = !!item.top3Locked;
     item.archived = !!item.archived;
@@ -1311,10 +3311,21 @@ class BattlePlanDB {
   async importData(data, skipConfirm = false) {
     await this.ready;
     if (!data || !data.version) throw new Error('Invalid backup file format');
-    if (data.version > 4) throw new Error(`Backup version ${data.version} is newer than supported. Please update the app.`);
-
-    // Clear all stores
-    for (const store of ['items', 'routines', 'settings', 'calibration_history']) {
+    if (data.version > 8) throw new Error(`Backup version ${data.version} is newer than supported. Please update the app.`);
+
+    // Tag registry first (pre-v6 backups get the defaults), so item tags can be mapped onto it
+    const tags = tagCatalog.normalizeList(Array.isArray(data.tags) ? data.tags : null);
+    const mapTags = names => names.map(name => {
+      const known = tagCatalog.find(tags, name);
+      if (known) return known.name;
+      if (tags.length >= TAG_MAX_COUNT) return null;
+      // Tags used by items but missing from the registry are registered, not dropped
+      tags.push({ name, color: tagCatalog.nextColor(tags), keywords: [] });
+      return name;
+    }).filter(Boolean);
+
+    // Clear all stores (journal snapshots would point at replaced data)
+    for (const store of ['items', 'routines', 'projects', 'settings', 'calibration_history', 'focus_sessions', 'undo_journal']) {
       await new Promise((resolve, reject) => {
         const tx = this.db.transaction(store, 'readwrite');
         const r = tx.objectStore(store).clear();
@@ -1346,6 +3357,7 @@ class BattlePlanDB {
             updated_at: new Date().toISOString(),
             ...sanitized
           };
+          itemWithDefaults.tags = mapTags(itemWithDefaults.tags);
           this.validateItemTypes(itemWithDefaults);
           store.put(itemWithDefaults);
         }
@@ -1379,10 +3391,30 @@ class BattlePlanDB {
       });
     }
 
+    // Import projects (items point at them by id)
+    if (Array.isArray(data.projects) && data.projects.length > 0) {
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction('projects', 'readwrite');
+        const store = tx.objectStore('projects');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+
+        const seenIds = new Set();
+        for (const entry of data.projects) {
+          const sanitized = this.sanitizeProject(entry);
+          if (!sanitized || seenIds.has(sanitized.id)) continue;
+          seenIds.add(sanitized.id);
+          if (sanitized.tag) sanitized.tag = mapTags([sanitized.tag])[0] || null;
+          store.put(sanitized);
+        }
+      });
+    }
+
     // Import settings
     if (data.settings) {
       const settingsEntries = Object.entries(data.settings)
-        .filter(([key]) => BattlePlanDB.ALLOWED_SETTINGS_KEYS.has(key));
+        .filter(([key]) => BattlePlanDB.ALLOWED_SETTINGS_KEYS.has(key))
+        .map(([key, value]) => [key, this.sanitizeSettingValue(key, value)]);
 
       if (settingsEntries.length > 0) {
         await new Promise((resolve, reject) => {
@@ -1416,9 +3448,127 @@ class BattlePlanDB {
       });
     }
 
+    // Import focus sessions
+    if (Array.isArray(data.focusSessions) && data.focusSessions.length > 0) {
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction('focus_sessions', 'readwrite');
+        const store = tx.objectStore('focus_sessions');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+
+        const seenIds = new Set();
+        for (const entry of data.focusSessions) {
+          const sanitized = this.sanitizeFocusSession(entry);
+          if (!sanitized) continue;
+          if (seenIds.has(sanitized.id)) sanitized.id = this.generateId();
+          seenIds.add(sanitized.id);
+          store.put(sanitized);
+        }
+      });
+    }
+
+    await this._req('settings', 'readwrite', s => s.put({ key: 'tags', value: tagCatalog.normalizeList(tags) }));
+
+    await this._loadDayStart();
+    await this._loadTags();
+    this._invalidateEstimates();
     return true;
   }
 
+  // ==================== CALENDAR (ICS) ====================
+
+  /** Open items that have a date or repeat rule, as an .ics string */
+  async exportIcs(kind = 'VEVENT') {
+    await this.ready;
+    const items = (await this.getAllItems()).filter(item =>
+      item.status !== 'done' && !item.archived && !item.parent_id &&
+      (item.scheduled_for_date || item.dueDate || item.recurrence)
+    );
+    return icsCalendar.build(items, kind === 'VTODO' ? 'VTODO' : 'VEVENT');
+  }
+
+  /**
+   * Add the VEVENT/VTODO entries of an .ics file as Inbox items. Entries go
+   * through sanitizeItem/validateItemTypes like a JSON import; finished, past
+   * one-off and already-imported (same UID) entries are skipped.
+   * Returns { added, skipped }.
+   */
+  async importIcs(text, { maxItems = Infinity, maxTextLength = Infinity } = {}) {
+    await this.ready;
+    const today = this.getToday();
+    const existing = await this.getAllItems();
+    const knownUids = new Set(existing.flatMap(i => [i.ics_uid, `${i.id}@${ICS_UID_DOMAIN}`]).filter(Boolean));
+
+    const entries = icsCalendar.parse(text);
+    const now = new Date().toISOString();
+    const added = [];
+    let skipped = 0;
+
+    for (const entry of entries) {
+      if (added.length >= maxItems) { skipped++; continue; }
+      const summary = (entry.summary || '').trim().substring(0, maxTextLength);
+      if (!summary || entry.completed || (entry.uid && knownUids.has(entry.uid))) { skipped++; continue; }
+
+      let recurrence = recurrenceRules.fromRRule(entry.rrule);
+      let scheduled = entry.start || null;
+      if (recurrence) {
+        recurrence = { ...recurrence, from_completion: !!entry.fromCompletion };
+        if (!recurrence.from_completion) recurrence.start = scheduled;
+        // A series that started in the past lands on its next upcoming date
+        if (scheduled && scheduled < today) scheduled = recurrenceRules.firstOnOrAfter(recurrence, today);
+        if (!scheduled) { skipped++; continue; }
+      } else if (scheduled && scheduled < today && !entry.due) {
+        skipped++;
+        continue;
+      }
+
+      // Only categories that match an existing tag carry over
+      const sanitized = this.sanitizeItem({
+        text: summary,
+        notes: entry.description || null,
+        tags: this.resolveTags(entry.categories),
+        scheduled_for_date: scheduled,
+        dueDate: entry.due || null,
+        recurrence,
+        start_time: entry.startTime,
+        duration_minutes: entry.durationMinutes,
+        ics_uid: entry.uid || null
+      });
+      const item = {
+        status: 'inbox',
+        tag: null, next_action: null,
+        A: null, C: null, E: null, L: null, M: null, T: null,
+        estimate_bucket: null, confidence: null, actual_bucket: null,
+        ...BattlePlanDB.CLEAR_TOP3,
+        scheduled_for_date: null, dueDate: null, recurrence: null,
+        waiting_on: null, follow_up_date: null, waiting_since: null, notes: null, parent_id: null, project_id: null, archived: false,
+        start_time: null, duration_minutes: null,
+        created_at: now, updated_at: now,
+        ...sanitized
+      };
+      this.validateItemTypes(item);
+
+      added.push(item);
+      if (entry.uid) knownUids.add(entry.uid);
+    }
+
+    if (added.length > 0) {
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction('items', 'readwrite');
+        const store = tx.objectStore('items');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        for (const item of added) store.put(item);
+      });
+      await this._recordOps(
+        added.map(item => ({ id: item.id, before: null, after: item })),
+        `Imported ${added.length} calendar task${added.length !== 1 ? 's' : ''}`
+      );
+      this.scheduleAutoBackup();
+    }
+    return { added, skipped };
+  }
+
   // ==================== DIAGNOSTICS ====================
 
   async runDiagnostics() {
@@ -0,0 +1,136 @@
+/**
+ * Battle Plan - Estimation Model
+ * Learns how long tasks really take from calibration_history
+ * ({ tag, estimate_bucket, actual_bucket, completed_at }) and turns an
+ * estimate into planning minutes. The history itself is stored by db.js.
+ *
+ * Ratios (actual / estimate) are pooled at three levels - all history, the
+ * tag, and the tag x estimate bucket - and each level is shrunk toward the
+ * broader one by its sample weight, so a single odd task can't swing a
+ * bucket and sparse tags borrow from the rest. Old entries decay with a
+ * half-life, and factors may go below 1.0 when you overestimate.
+ */
+
+const ESTIMATE_HALF_LIFE_DAYS = 60;
+const ESTIMATE_MIN_WEIGHT = 0.05;    // entries decayed below this (~8.5 months) are ignored
+const ESTIMATE_PRIOR_WEIGHT = 3;     // pseudo-samples a broader level contributes to a narrower one
+const ESTIMATE_FACTOR_MIN = 0.5;
+const ESTIMATE_FACTOR_MAX = 3.0;
+const ESTIMATE_INSIGHT_MIN_SAMPLES = 3;
+const ESTIMATE_INSIGHT_MIN_DRIFT = 0.15; // median off by 15%+ before it's worth mentioning
+
+// Rule-of-thumb buffers used until there is history to learn from
+const CONFIDENCE_MULTIPLIERS = { high: 1.1, medium: 1.3, low: 1.6 };
+
+// Percentile of past ratios used as the buffer for each confidence level:
+// high confidence plans for a typical run, low confidence for a bad one
+const CONFIDENCE_PERCENTILES = { high: 0.5, medium: 0.75, low: 0.9 };
+
+class EstimationModel {
+  /** Nearest of ESTIMATE_BUCKETS to a number of minutes (ties go to the smaller bucket) */
+  snapBucket(minutes) {
+    return ESTIMATE_BUCKETS.reduce((best, b) =>
+      Math.abs(b - minutes) < Math.abs(best - minutes) ? b : best, ESTIMATE_BUCKETS[0]);
+  }
+
+  /** Decay weight of one history entry: 1 today, 0.5 after one half-life */
+  weight(entry, now = Date.now()) {
+    const age = (now - Date.parse(entry.completed_at)) / MS_PER_DAY;
+    if (isNaN(age)) return 0;
+    return Math.pow(0.5, Math.max(0, age) / ESTIMATE_HALF_LIFE_DAYS);
+  }
+
+  /** Weighted ratio samples from raw history, dropping unusable and fully decayed entries */
+  samples(history, now = Date.now()) {
+    const samples = [];
+    for (const entry of history || []) {
+      if (!(entry.estimate_bucket > 0) || !(entry.actual_bucket > 0)) continue;
+      const weight = this.weight(entry, now);
+      if (weight < ESTIMATE_MIN_WEIGHT) continue;
+      samples.push({
+        tag: entry.tag,
+        bucket: entry.estimate_bucket,
+        ratio: entry.actual_bucket / entry.estimate_bucket,
+        weight
+      });
+    }
+    return samples;
+  }
+
+  /** Weighted quantile (0..1) of sample ratios, or null for no samples */
+  quantile(samples, q) {
+    if (samples.length === 0) return null;
+    const sorted = [...samples].sort((a, b) => a.ratio - b.ratio);
+    const total = sorted.reduce((sum, s) => sum + s.weight, 0);
+    let running = 0;
+    for (const s of sorted) {
+      running += s.weight;
+      if (running >= total * q) return s.ratio;
+    }
+    return sorted[sorted.length - 1].ratio;
+  }
+
+  /**
+   * Ratio at quantile q for a tag and bucket, starting from `prior` and
+   * refining through all -> tag -> tag x bucket. Returns { factor, weight }
+   * where weight is the evidence behind the narrowest level used.
+   */
+  ratio(samples, { tag = null, bucket = null, q = 0.5, prior = 1.0 } = {}) {
+    const levels = [samples];
+    if (tag) levels.push(samples.filter(s => s.tag === tag));
+    if (tag && bucket) levels.push(levels[1].filter(s => s.bucket === bucket));
+
+    let factor = prior;
+    let weight = 0;
+    for (const level of levels) {
+      weight = level.reduce((sum, s) => sum + s.weight, 0);
+      if (weight === 0) break;
+      factor = (weight * this.quantile(level, q) + ESTIMATE_PRIOR_WEIGHT * factor) / (weight + ESTIMATE_PRIOR_WEIGHT);
+    }
+    return { factor: Math.max(ESTIMATE_FACTOR_MIN, Math.min(ESTIMATE_FACTOR_MAX, factor)), weight };
+  }
+
+  /**
+   * Planning minutes for an item. With no history this is the old rule of
+   * thumb (estimate x confidence multiplier); as history builds up the
+   * buffer moves to the matching percentile of what really happened.
+   */
+  bufferedMinutes(samples, item) {
+    if (!item.estimate_bucket || !item.confidence) return null;
+    const prior = CONFIDENCE_MULTIPLIERS[item.confidence] || CONFIDENCE_MULTIPLIERS.medium;
+    const q = CONFIDENCE_PERCENTILES[item.confidence] || CONFIDENCE_PERCENTILES.medium;
+    const { factor } = this.ratio(samples, { tag: item.tag || 'Other', bucket: item.estimate_bucket, q, prior });
+    return Math.ceil(item.estimate_bucket * factor / 5) * 5;
+  }
+
+  /**
+   * Tag x bucket cells whose typical actual time is clearly off the estimate,
+   * biggest surprise first: { tag, bucket, typical, p80, count, ratio }.
+   */
+  insights(samples) {
+    const cells = new Map();
+    for (const s of samples) {
+      const key = `${s.tag}\u0000${s.bucket}`;
+      if (!cells.has(key)) cells.set(key, { tag: s.tag, bucket: s.bucket, samples: [] });
+      cells.get(key).samples.push(s);
+    }
+
+    const insights = [];
+    for (const cell of cells.values()) {
+      if (cell.samples.length < ESTIMATE_INSIGHT_MIN_SAMPLES) continue;
+      const median = this.quantile(cell.samples, 0.5);
+      if (Math.abs(median - 1) < ESTIMATE_INSIGHT_MIN_DRIFT) continue;
+      insights.push({
+        tag: cell.tag,
+        bucket: cell.bucket,
+        typical: Math.round(cell.bucket * median / 5) * 5,
+        p80: Math.round(cell.bucket * this.quantile(cell.samples, 0.8) / 5) * 5,
+        count: cell.samples.length,
+        ratio: median
+      });
+    }
+    return insights.sort((a, b) => Math.abs(Math.log(b.ratio)) - Math.abs(Math.log(a.ratio)));
+  }
+}
+
+const estimationModel = new EstimationModel();
@@ -1,18 +1,132 @@
 /**
- * Groq AI Integration for Battle Plan
- * Uses llama-3.1-8b-instant for minimal latency
+ * AI Integration for Battle Plan
+ * Talks to any OpenAI-compatible chat completions server: Groq by default
+ * (llama-3.1-8b-instant for minimal latency), OpenAI, or a local model
+ * (Ollama, llama.cpp) on this machine or the LAN. The provider, base URL,
+ * model and auth header are configurable; keys stay in localStorage.
  */
 
-const GROQ_MODEL = 'llama-3.1-8b-instant';
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-const GROQ_STORAGE_KEY = 'battlePlanGroqApiKey';
+const GROQ_STORAGE_KEY = 'battlePlanGroqApiKey'; // pre-provider Groq key, migrated on load
 const GROQ_ENABLED_KEY = 'battlePlanGroqEnabled';
+const LLM_CONFIG_KEY = 'battlePlanLlmProviders';
+
+// Built-in providers. authHeader 'Authorization' sends "Bearer <key>";
+// any other header name (e.g. api-key, x-api-key) sends the bare key.
+const LLM_PROVIDERS = {
+  groq: {
+    name: 'Groq', baseUrl: 'https://api.groq.com/openai/v1', model: 'llama-3.1-8b-instant',
+    authHeader: 'Authorization', needsKey: true, keyPrefix: 'gsk_'
+  },
+  openai: {
+    name: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini',
+    authHeader: 'Authorization', needsKey: true, keyPrefix: 'sk-'
+  },
+  ollama: {
+    name: 'Ollama (local)', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1:8b',
+    authHeader: 'Authorization', needsKey: false
+  },
+  llamacpp: {
+    name: 'llama.cpp server (local)', baseUrl: 'http://localhost:8080/v1', model: 'local-model',
+    authHeader: 'Authorization', needsKey: false
+  },
+  custom: {
+    name: 'Custom (OpenAI-compatible)', baseUrl: '', model: '',
+    authHeader: 'Authorization', needsKey: false
+  }
+};
+const LLM_CONFIG_FIELDS = ['baseUrl', 'model', 'authHeader', 'apiKey'];
+const LLM_TEST_TIMEOUT_MS = 15000;
+const AI_VALIDATION_LOG_KEY = 'battlePlanAiValidationLog';
+const AI_VALIDATION_LOG_MAX = 50;  // recent failed/repaired replies kept for inspection
+const AI_VALIDATION_CLIP = 300;    // characters of input/reply stored per entry
+
+// Shared by parseIntent and parseTaskInput — mirrors the rule shape in recurrence.js
+const RECURRENCE_PROMPT = `Recurrence object (omit fields that don't apply):
+{"freq": "daily"|"weekly"|"monthly", "interval": N (every N days/weeks/months, default 1),
+ "weekdays": [0-6] (weekly only, 0=Sunday), "month_day": 1-31 (monthly by date),
+ "nth": {"week": 1-4 or -1 for last, "weekday": 0-6} (monthly by weekday),
+ "until": "YYYY-MM-DD", "count": total times, "from_completion": true if it repeats N after it was last done}
+Recurrence examples:
+- "every day"/"daily" = {"freq":"daily"}
+- "every friday" = {"freq":"weekly","weekdays":[5]}
+- "every other friday" = {"freq":"weekly","interval":2,"weekdays":[5]}
+- "mon/wed/fri" = {"freq":"weekly","weekdays":[1,3,5]}
+- "weekdays" = {"freq":"weekly","weekdays":[1,2,3,4,5]}
+- "every 15th" = {"freq":"monthly","month_day":15}
+- "first saturday of the month" = {"freq":"monthly","nth":{"week":1,"weekday":6}}
+- "3 days after I last mowed" = {"freq":"daily","interval":3,"from_completion":true}
+- "every week until Dec 31" = {"freq":"weekly","until":"YYYY-12-31"}; "10 times" = "count":10`;
+
+const RATING_BATCH_SIZE = 10;    // tasks rated per request
+const RATING_EXAMPLE_COUNT = 8;  // rated tasks shown as few-shot examples
+
+const BREAKDOWN_MIN_STEPS = 3;
+const BREAKDOWN_MAX_STEPS = 7;
+
+// Offline breakdown: the first template whose pattern matches the task text wins.
+// weights split the task's estimate across the steps.
+const BREAKDOWN_TEMPLATES = [
+  {
+    pattern: /\b(write|draft|report|essay|article|post|proposal|presentation|slides|letter|newsletter)\b/i,
+    steps: ['Collect notes and sources', 'Outline the main points', 'Write the first draft', 'Revise the draft', 'Proofread and send it off'],
+    weights: [0.15, 0.15, 0.4, 0.2, 0.1]
+  },
+  {
+    pattern: /\b(fix|repair|debug|install|build|set ?up|configure|implement|upgrade|migrate)\b/i,
+    steps: ['Check the current state and what is wrong', 'Look up what the change needs', 'Make the change', 'Test that it works', 'Clean up and note what changed'],
+    weights: [0.15, 0.15, 0.4, 0.2, 0.1]
+  },
+  {
+    pattern: /\b(clean|tidy|declutter|organi[sz]e|sort|pack|unpack|move)\b/i,
+    steps: ['Gather bags, boxes and supplies', 'Do the first area', 'Do the next area', 'Finish the last area', 'Take out what is leaving'],
+    weights: [0.1, 0.3, 0.3, 0.2, 0.1]
+  },
+  {
+    pattern: /\b(plan|prepare|event|party|trip|meeting|workshop|launch)\b/i,
+    steps: ['Write down the goal, date and budget', 'List what has to happen', 'Book or order what is needed', 'Send the invites or updates', 'Confirm the details'],
+    weights: [0.15, 0.2, 0.3, 0.2, 0.15]
+  },
+  {
+    pattern: /\b(learn|study|research|read|review|investigate|compare)\b/i,
+    steps: ['Pick the questions to answer', 'Find the sources', 'Work through the first half', 'Work through the rest', 'Write a short summary'],
+    weights: [0.1, 0.15, 0.3, 0.3, 0.15]
+  },
+  {
+    pattern: null,
+    steps: ['Write down what done looks like', 'Gather what you need', 'Do the first part', 'Do the rest', 'Check the result and wrap up'],
+    weights: [0.1, 0.15, 0.35, 0.3, 0.1]
+  }
+];
 
 class GroqAssistant {
   constructor() {
-    this.apiKey = localStorage.getItem(GROQ_STORAGE_KEY) || '';
     const storedEnabled = localStorage.getItem(GROQ_ENABLED_KEY);
     this.enabled = storedEnabled === null ? true : storedEnabled === 'true';
+    this.settings = this._loadSettings();
+    this.validationLog = this._loadValidationLog();
+    // Last request failed for lack of a server (network, rate limit, 5xx) rather than a bad key or reply
+    this.unavailable = false;
+  }
+
+  /** { active, providers: { id: overrides } }; a saved Groq key from before providers is carried over */
+  _loadSettings() {
+    let settings = null;
+    try { settings = JSON.parse(localStorage.getItem(LLM_CONFIG_KEY)); } catch (e) { /* corrupt: start over */ }
+    if (!settings || typeof settings !== 'object') settings = {};
+    if (!LLM_PROVIDERS[settings.active]) settings.active = 'groq';
+    if (!settings.providers || typeof settings.providers !== 'object') settings.providers = {};
+
+    const legacyKey = localStorage.getItem(GROQ_STORAGE_KEY);
+    if (legacyKey && !settings.providers.groq?.apiKey) {
+      settings.providers.groq = { ...settings.providers.groq, apiKey: legacyKey };
+      localStorage.setItem(LLM_CONFIG_KEY, JSON.stringify(settings));
+      localStorage.removeItem(GROQ_STORAGE_KEY);
+    }
+    return settings;
+  }
+
+  _saveSettings() {
+    localStorage.setItem(LLM_CONFIG_KEY, JSON.stringify(this.settings));
   }
 
   setEnabled(enabled) {
@@ -22,51 +136,277 @@ class GroqAssistant {
 
   isEnabled() { return this.enabled; }
 
+  getProviderId() { return this.settings.active; }
+
+  setProvider(id) {
+    if (!LLM_PROVIDERS[id]) return;
+    this.settings.active = id;
+    this._saveSettings();
+  }
+
+  /** Effective settings for a provider: its defaults with the user's overrides */
+  getProviderConfig(id = this.settings.active) {
+    const defaults = LLM_PROVIDERS[id];
+    const overrides = this.settings.providers[id] || {};
+    return {
+      id,
+      name: defaults.name,
+      needsKey: defaults.needsKey,
+      keyPrefix: defaults.keyPrefix || null,
+      baseUrl: overrides.baseUrl || defaults.baseUrl,
+      model: overrides.model || defaults.model,
+      authHeader: overrides.authHeader || defaults.authHeader,
+      apiKey: overrides.apiKey || ''
+    };
+  }
+
+  /**
+   * Save base URL / model / auth header / key for a provider (blank fields go
+   * back to the provider's default). Returns { error, message } when the
+   * URL or header name can't be used.
+   */
+  updateProviderConfig(id, updates) {
+    if (!LLM_PROVIDERS[id]) return { error: 'UNKNOWN_PROVIDER', message: 'Unknown AI provider' };
+    const next = { ...this.settings.providers[id] };
+    for (const field of LLM_CONFIG_FIELDS) {
+      if (updates[field] === undefined) continue;
+      const value = String(updates[field] || '').trim();
+      if (value) next[field] = value;
+      else delete next[field];
+    }
+    if (next.baseUrl) {
+      let url = null;
+      try { url = new URL(next.baseUrl); } catch (e) { /* reported below */ }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'INVALID_URL', message: 'Base URL must start with http:// or https://' };
+      }
+      // Matches the CSP's connect-src: plain http only to this machine
+      if (url.protocol === 'http:' && !['localhost', '127.0.0.1'].includes(url.hostname)) {
+        return { error: 'INVALID_URL', message: 'Plain http is only allowed to localhost or 127.0.0.1; use https for other servers' };
+      }
+      next.baseUrl = next.baseUrl.replace(/\/+$/, '');
+    }
+    if (next.authHeader && !/^[A-Za-z0-9-]+$/.test(next.authHeader)) {
+      return { error: 'INVALID_HEADER', message: 'Auth header must be a plain header name, e.g. Authorization or api-key' };
+    }
+    this.settings.providers[id] = next;
+    this._saveSettings();
+    return { config: this.getProviderConfig(id) };
+  }
+
   setApiKey(key) {
-    this.apiKey = key;
-    localStorage.setItem(GROQ_STORAGE_KEY, key);
+    this.updateProviderConfig(this.settings.active, { apiKey: key });
+  }
+
+  getApiKey() { return this.getProviderConfig().apiKey; }
+  hasApiKey() { return !!this.getApiKey(); }
+
+  /** Enough to send a request: a URL, a model, and a key if the provider needs one */
+  isConfigured(id = this.settings.active) {
+    const config = this.getProviderConfig(id);
+    return !!config.baseUrl && !!config.model && (!config.needsKey || !!config.apiKey);
   }
 
-  getApiKey() { return this.apiKey; }
-  hasApiKey() { return this.apiKey && this.apiKey.startsWith('gsk_'); }
-  shouldUseAI() { return this.enabled && this.hasApiKey(); }
+  shouldUseAI() { return this.enabled && this.isConfigured(); }
 
-  /** Returns { today: 'YYYY-MM-DD', dayOfWeek: 'Monday' } for AI prompt context */
+  _endpoint(config) {
+    return `${config.baseUrl}/chat/completions`;
+  }
+
+  _headers(config) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers[config.authHeader] = config.authHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${config.apiKey}`
+        : config.apiKey;
+    }
+    return headers;
+  }
+
+  /** Returns { today: 'YYYY-MM-DD', dayOfWeek: 'Monday' } for AI prompt context (local duty day) */
   _todayInfo() {
-    const d = new Date();
-    return {
-      today: d.toISOString().split('T')[0],
-      dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][d.getDay()]
-    };
+    const today = dayClock.today();
+    return { today, dayOfWeek: dayClock.dayName(today) };
   }
 
   /**
-   * Core Groq API call — shared by parseIntent, parseTaskInput, generateStatsResponse.
+   * Core chat completions call to the active provider — shared by parseIntent,
+   * parseTaskInput, rateTasks, breakDownTask, generateStatsResponse.
    * Throws on non-OK response so each caller can handle errors differently.
    * Set json: true to request JSON output format from the model.
+   * Keeps `unavailable` up to date for callers that queue work for later.
    */
-  async _callGroq(messages, { temperature = 0.1, max_tokens = 200, json = false } = {}) {
-    const body = { model: GROQ_MODEL, messages, temperature, max_tokens };
+  async _callLLM(messages, { temperature = 0.1, max_tokens = 200, json = false, config = this.getProviderConfig(), signal } = {}) {
+    const body = { model: config.model, messages, temperature, max_tokens };
     if (json) body.response_format = { type: 'json_object' };
 
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
+    let response;
+    try {
+      response = await fetch(this._endpoint(config), {
+        method: 'POST',
+        headers: this._headers(config),
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') this.unavailable = true;
+      throw error;
+    }
 
-    if (!response.ok) throw new Error(await response.text());
+    if (!response.ok) {
+      this.unavailable = response.status === 429 || response.status >= 500;
+      const error = new Error(await response.text());
+      error.status = response.status;
+      throw error;
+    }
     // Successful API response confirms we're online
+    this.unavailable = false;
     window.dispatchEvent(new Event('ai-online'));
     const result = await response.json();
-    return result.choices[0]?.message?.content || null;
+    return result.choices?.[0]?.message?.content || null;
+  }
+
+  /**
+   * Check a provider end to end with a tiny completion. Returns
+   * { ok: true, message, ms } or { ok: false, message } with a reason the
+   * user can act on (bad key, wrong model/URL, unreachable server).
+   */
+  async testConnection(id = this.settings.active) {
+    const config = this.getProviderConfig(id);
+    if (!config.baseUrl || !config.model) return { ok: false, message: 'Set a base URL and model first' };
+    if (config.needsKey && !config.apiKey) return { ok: false, message: 'No API key configured' };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LLM_TEST_TIMEOUT_MS);
+    const started = Date.now();
+    try {
+      const content = await this._callLLM([{ role: 'user', content: 'Reply with the word OK.' }],
+        { max_tokens: 5, config, signal: controller.signal });
+      const ms = Date.now() - started;
+      if (content === null) return { ok: false, message: 'Connected, but the reply had no text' };
+      return { ok: true, message: `${config.model} answered in ${ms} ms`, ms };
+    } catch (error) {
+      if (error.name === 'AbortError') return { ok: false, message: `No answer after ${LLM_TEST_TIMEOUT_MS / 1000}s` };
+      if (error.status === 401 || error.status === 403) return { ok: false, message: 'Key rejected' };
+      if (error.status === 404) return { ok: false, message: 'Not found: check the base URL and model name' };
+      if (error.status) return { ok: false, message: `Server error ${error.status}` };
+      // fetch rejects with a TypeError for DNS, refused connections, CORS and mixed content
+      return { ok: false, message: `Can't reach ${new URL(config.baseUrl).host} (server down, CORS, or http from an https page)` };
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Parse user's voice input and determine intent + extract data
+   * JSON completion checked against a schema from schemas.js. validate(raw)
+   * returns { value, errors }; when the reply has errors the model is shown
+   * them and asked once for a corrected reply. Every outcome goes into the
+   * validation log under `kind`. Returns { value, errors } from the repair
+   * if it fixed anything, else from the first reply (value null when neither
+   * was usable JSON); request errors throw.
+   */
+  async _completeJSON(kind, messages, validate, options = {}) {
+    const first = await this._callLLM(messages, { ...options, json: true });
+    const checked = this._checkReply(first, validate);
+    if (checked.errors.length === 0) {
+      this._recordValidation(kind, 'valid');
+      return checked;
+    }
+
+    let result = checked;
+    let reply = first;
+    try {
+      reply = await this._callLLM([
+        ...messages,
+        { role: 'assistant', content: String(first ?? '') },
+        { role: 'user', content: `Your reply has problems:\n${checked.errors.map(e => `- ${e}`).join('\n')}\nRespond ONLY with the corrected JSON.` }
+      ], { ...options, json: true });
+      const repaired = this._checkReply(reply, validate);
+      if (repaired.errors.length === 0) {
+        this._recordValidation(kind, 'repaired', { errors: checked.errors, input: messages, reply: first });
+        return repaired;
+      }
+      if (repaired.value && (!checked.value || repaired.errors.length < checked.errors.length)) result = repaired;
+    } catch (error) {
+      console.error('AI repair request failed:', error);
+    }
+    this._recordValidation(kind, 'failed', { errors: result.errors, input: messages, reply });
+    return result;
+  }
+
+  _checkReply(content, validate) {
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch (e) {
+      return { value: null, errors: ['reply was not valid JSON'] };
+    }
+    return validate(raw);
+  }
+
+  /** { counts: { kind: { valid, repaired, failed } }, recent: [{ at, kind, outcome, errors, input, reply }] } */
+  _loadValidationLog() {
+    let log = null;
+    try { log = JSON.parse(localStorage.getItem(AI_VALIDATION_LOG_KEY)); } catch (e) { /* corrupt: start over */ }
+    if (!log || typeof log !== 'object') log = {};
+    if (!log.counts || typeof log.counts !== 'object') log.counts = {};
+    if (!Array.isArray(log.recent)) log.recent = [];
+    return log;
+  }
+
+  _recordValidation(kind, outcome, details = null) {
+    const counts = this.validationLog.counts[kind] || { valid: 0, repaired: 0, failed: 0 };
+    counts[outcome]++;
+    this.validationLog.counts[kind] = counts;
+    if (details) {
+      const clip = value => String(value ?? '').slice(0, AI_VALIDATION_CLIP);
+      const userMessage = details.input.filter(m => m.role === 'user').pop();
+      this.validationLog.recent.unshift({
+        at: new Date().toISOString(),
+        kind,
+        outcome,
+        errors: details.errors.slice(0, 10),
+        input: clip(userMessage?.content),
+        reply: clip(details.reply)
+      });
+      this.validationLog.recent.length = Math.min(this.validationLog.recent.length, AI_VALIDATION_LOG_MAX);
+    }
+    try {
+      localStorage.setItem(AI_VALIDATION_LOG_KEY, JSON.stringify(this.validationLog));
+    } catch (e) {
+      console.error('Could not save AI validation log:', e);
+    }
+  }
+
+  /**
+   * How often replies passed their schema: per-kind counts, totals and the
+   * share that were usable (valid first time or after repair), plus recent
+   * failures newest first.
+   */
+  getValidationStats() {
+    const totals = { valid: 0, repaired: 0, failed: 0 };
+    for (const counts of Object.values(this.validationLog.counts)) {
+      for (const outcome of Object.keys(totals)) totals[outcome] += counts[outcome] || 0;
+    }
+    const checked = totals.valid + totals.repaired + totals.failed;
+    return {
+      counts: this.validationLog.counts,
+      totals,
+      checked,
+      usableRate: checked > 0 ? (totals.valid + totals.repaired) / checked : null,
+      recent: this.validationLog.recent
+    };
+  }
+
+  clearValidationLog() {
+    this.validationLog = { counts: {}, recent: [] };
+    localStorage.removeItem(AI_VALIDATION_LOG_KEY);
+  }
+
+  /**
+   * Parse user's voice input and determine intent + extract data.
+   * The reply is checked by responseSchemas.validateIntent; fields that still
+   * fail after the repair attempt are dropped and listed in `invalid`.
    */
   async parseIntent(userInput, context = {}) {
     const { today, dayOfWeek } = this._todayInfo();
@@ -76,11 +416,13 @@ class GroqAssistant {
 Parse the user's voice input and return a JSON object with the intent and extracted data.
 
 Available intents:
-- "add_task": Add a new task. Extract: text (the task description WITHOUT date/time/recurrence words), scheduled_date (YYYY-MM-DD or null), due_date (YYYY-MM-DD or null), estimate_minutes (15/30/60/90/120/180 or null), recurrence (null/"daily"/"weekly"/"monthly"), recurrence_day (0-6 for weekly where 0=Sunday, 1-31 for monthly, null otherwise), tag ("Home"/"Army"/"Business"/"Other" or null - infer from context if obvious)
+- "add_task": Add a new task. Extract: text (the task description WITHOUT date/time/recurrence words), scheduled_date (YYYY-MM-DD or null), due_date (YYYY-MM-DD or null), estimate_minutes (15/30/60/90/120/180 or null), start_time ("HH:MM" 24-hour or null, for "at 3pm"), duration_minutes (number or null, for "for 45 minutes"), recurrence (null or a recurrence object - see below), tags (array of tag names from the list below, [] if none are obvious)
 - "complete_task": Mark a task done. Extract: keyword (search term to find the task)
 - "move_task": Move task to another day. Extract: keyword, target_date (YYYY-MM-DD), target_name ("today"/"tomorrow"/date)
+- "update_task": Change a task ("make it high priority", "it's due Friday", "tag it Home", "put it in my top 3"). Extract: keyword, priority ("high"/"low" or null), due_date (YYYY-MM-DD or null), estimate_minutes (15/30/60/90/120/180 or null), tags (tag names to add, [] if none), top3 (true or false)
+- For complete_task, move_task and update_task, keyword is null when the user means the last task discussed ("it", "that", "and make it...")
 - "find_task": Search for a task. Extract: keyword
-- "navigate": Go to a page. Extract: page (inbox/today/tomorrow/done/routines/settings)
+- "navigate": Go to a page. Extract: page (inbox/today/tomorrow/next/waiting/someday/done/projects/routines/analytics/settings, or one of the user's perspectives listed below, by name)
 - "run_routine": Execute a routine. Extract: routine_name
 - "get_stats": Get statistics/reports. Extract: stat_type (today_summary/capacity/free_time/overdue/inbox_count/task_count)
 - "start_focus": Start focus timer. Extract: minutes (optional, default 25)
@@ -94,19 +436,10 @@ Date parsing rules:
 - "next monday", "this friday", etc = calculate the actual date
 - "in 3 days" = calculate date
 
-Recurrence parsing rules:
-- "every day"/"daily" = recurrence: "daily"
-- "every monday" = recurrence: "weekly", recurrence_day: 1
-- "every friday" = recurrence: "weekly", recurrence_day: 5
-- "every month"/"monthly" = recurrence: "monthly"
-- "every 15th" = recurrence: "monthly", recurrence_day: 15
-- When recurrence is set, scheduled_date should be the NEXT occurrence
+${RECURRENCE_PROMPT}
+- When recurrence is set, scheduled_date should be the NEXT occurrence (null for from_completion)
 
-Tag inference rules:
-- Lawn, house, cleaning, cooking, repair = "Home"
-- PT, drill, formation, army = "Army"
-- Client, invoice, business, money, marketing = "Business"
-- If unsure, use null (not "Other")
+${tagCatalog.describeForPrompt(context.tags)}
 
 Time estimate mapping:
 - "quick"/"small"/"5 min"/"10 min"/"15 min" = 15
@@ -122,36 +455,39 @@ Current context:
 - Tasks in inbox: ${context.inboxCount || 0}
 - Top 3 selected: ${context.top3Count || 0}
 - Available routines: ${context.routines?.join(', ') || 'none'}
+- Perspectives: ${context.perspectives?.join(', ') || 'none'}
+- Last task discussed: ${context.lastTask ? `"${context.lastTask}"` : 'none'}
 
 Respond ONLY with valid JSON, no explanation. Example:
-{"intent": "add_task", "data": {"text": "Mow lawn", "scheduled_date": "2026-02-13", "due_date": null, "estimate_minutes": 60, "recurrence": "weekly", "recurrence_day": 5, "tag": "Home"}}`;
+{"intent": "add_task", "data": {"text": "Mow lawn", "scheduled_date": "2026-02-13", "due_date": null, "estimate_minutes": 60, "recurrence": {"freq": "weekly", "interval": 1, "weekdays": [5]}, "tags": ["Home"]}}`;
 
     if (!this.shouldUseAI()) {
       return { intent: 'disabled', data: { text: userInput }, error: this.enabled ? 'No API key configured' : 'AI disabled' };
     }
 
     try {
-      const content = await this._callGroq([
+      const { value, errors } = await this._completeJSON('intent', [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userInput }
-      ], { json: true });
+      ], raw => responseSchemas.validateIntent(raw, context.tags));
 
-      try {
-        return JSON.parse(content);
-      } catch (e) {
-        console.error('Failed to parse Groq response:', content);
+      if (!value) {
+        console.error('Unusable AI response:', errors);
         return { intent: 'unknown', data: {}, error: 'Parse error' };
       }
+      return errors.length > 0 ? { ...value, invalid: errors } : value;
     } catch (error) {
-      console.error('Groq request failed:', error);
+      console.error('AI request failed:', error);
       return { intent: 'unknown', data: {}, error: error.message };
     }
   }
 
   /**
    * Parse a typed task input into structured data (NLP for inbox).
+   * tags is the user's tag registry, used for tag inference. Only fields
+   * that pass responseSchemas.validateTask are returned; null on failure.
    */
-  async parseTaskInput(text) {
+  async parseTaskInput(text, tags = []) {
     if (!this.shouldUseAI()) return null;
 
     const { today, dayOfWeek } = this._todayInfo();
@@ -163,32 +499,169 @@ Return JSON with these fields:
 - scheduled_date: YYYY-MM-DD or null
 - due_date: YYYY-MM-DD or null (use for deadlines: "by Friday", "due March 1")
 - estimate_minutes: 15/30/60/90/120/180 or null
-- recurrence: null/"daily"/"weekly"/"monthly"
-- recurrence_day: 0-6 for weekly (0=Sun), 1-31 for monthly, null otherwise
-- tag: "Home"/"Army"/"Business" or null (infer from context: lawn/house=Home, PT/drill=Army, client/invoice=Business)
+- start_time: "HH:MM" 24-hour or null (fixed time of day: "at 3pm" = "15:00")
+- duration_minutes: number or null (explicit length: "for 45 minutes" = 45, "for 2 hours" = 120)
+- recurrence: null or a recurrence object (see below)
+- tags: array of tag names (see below), [] if none fit
+
+${tagCatalog.describeForPrompt(tags)}
+
+${RECURRENCE_PROMPT}
 
 Rules:
-- "every friday" = recurrence:"weekly", recurrence_day:5, scheduled_date=next friday
-- "every day"/"daily" = recurrence:"daily"
+- "every friday" = scheduled_date=next friday (the first occurrence)
 - "tomorrow" = scheduled_date = tomorrow's date
-- "at 3pm" = strip from text (time-of-day not stored yet)
+- "at 3pm" = start_time:"15:00" (strip from text); a time with no date means today
 - Keep the text clean: "Mow lawn every Friday at 3pm" -> text:"Mow lawn"
 
 Respond ONLY with valid JSON.`;
 
     try {
-      const content = await this._callGroq([
+      const { value } = await this._completeJSON('task', [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: text }
-      ], { json: true });
-
-      try { return JSON.parse(content); }
-      catch (e) { return null; }
+      ], raw => responseSchemas.validateTask(raw, tags));
+      return value;
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Propose A/C/E/L/M/T, estimate and confidence for items, with recently
+   * rated tasks as few-shot examples. Returns an array parallel to items of
+   * the raw proposals ({ A, C, ..., estimate_minutes, confidence, reason };
+   * undefined where a batch failed), or null when AI is off. Callers run
+   * each through ratingModel.normalize().
+   */
+  async rateTasks(items, examples = [], tags = []) {
+    if (!this.shouldUseAI()) return null;
+
+    const { today } = this._todayInfo();
+    const exampleLines = examples.slice(0, RATING_EXAMPLE_COUNT).map(e => {
+      const { A, C, E, L, M, T, estimate_bucket, confidence } = e;
+      return `- "${e.text}" -> ${JSON.stringify({ A, C, E, L, M, T, estimate_minutes: estimate_bucket, confidence })}`;
+    }).join('\n');
+
+    const systemPrompt = `Rate each task for a prioritization system. Today is ${today}.
+
+Scores:
+- A (impact) 1-5: value created by finishing it. 1=trivial, 5=life-changing
+- C (consequences) 1-5: what happens if it is NOT done. 1=nothing, 5=disaster
+- E (friction) 1-5: effort and resistance. 1=easy, 5=exhausting
+- L (leverage) 0-2: does it unlock other work
+- M (mental match) 0-2: 1 unless the task is clearly light (2) or heavy (0)
+- T (time reality) 0-2: must it be now. 0=anytime, 2=must be today
+- estimate_minutes: one of ${ESTIMATE_BUCKETS.join('/')}
+- confidence: "high", "medium" or "low" (how sure the estimate is)
+- reason: a few words on why
+
+${tagCatalog.describeForPrompt(tags)}
+${exampleLines ? `\nHow this user rated recent tasks (match their scale):\n${exampleLines}\n` : ''}
+Return JSON: {"ratings": [{"n": task number, "A": N, "C": N, "E": N, "L": N, "M": N, "T": N, "estimate_minutes": N, "confidence": "...", "reason": "..."}]}
+Rate every task. Respond ONLY with valid JSON.`;
+
+    const results = new Array(items.length);
+    for (let start = 0; start < items.length; start += RATING_BATCH_SIZE) {
+      const batch = items.slice(start, start + RATING_BATCH_SIZE);
+      const list = batch.map((item, i) => {
+        const details = [
+          (item.tags || []).length > 0 ? `tags: ${item.tags.join(', ')}` : null,
+          item.dueDate ? `due ${item.dueDate}` : null,
+          item.next_action ? `next: ${item.next_action}` : null,
+          item.notes ? `notes: ${item.notes.slice(0, 200)}` : null
+        ].filter(Boolean).join('; ');
+        return `${i + 1}. ${item.text}${details ? ` (${details})` : ''}`;
+      }).join('\n');
+
+      try {
+        const { value } = await this._completeJSON('ratings', [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: list }
+        ], raw => responseSchemas.validateRatings(raw, batch.length),
+        { temperature: 0.2, max_tokens: 100 + batch.length * 80 });
+
+        for (const rating of value?.ratings || []) results[start + Number(rating.n) - 1] = rating;
+      } catch (error) {
+        console.error('AI rating failed:', error);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Break a large task into 3-7 concrete sub-tasks with estimates from
+   * ESTIMATE_BUCKETS. Returns { source: 'ai' | 'template', steps: [{ text, estimate }] };
+   * falls back to the offline templates when AI is off or the reply is unusable.
+   */
+  async breakDownTask(item, tags = []) {
+    if (!this.shouldUseAI()) {
+      return { source: 'template', steps: this.getFallbackBreakdown(item) };
+    }
+
+    const details = [
+      item.next_action ? `Next action: ${item.next_action}` : null,
+      item.notes ? `Notes: ${item.notes.slice(0, 500)}` : null,
+      item.estimate_bucket ? `Current estimate: ${item.estimate_bucket} minutes` : null,
+      (item.tags || []).length > 0 ? `Tags: ${item.tags.join(', ')}` : null
+    ].filter(Boolean).join('\n');
+
+    const systemPrompt = `Break this task into ${BREAKDOWN_MIN_STEPS}-${BREAKDOWN_MAX_STEPS} concrete sub-tasks, in the order they should be done.
+
+Return JSON: {"subtasks": [{"text": "...", "estimate_minutes": N}]}
+
+Rules:
+- Each sub-task is one physical, visible action starting with a verb ("Email Sam the draft", not "Communication")
+- Keep each text under 80 characters and don't repeat the task name
+- estimate_minutes must be one of ${ESTIMATE_BUCKETS.join('/')}; prefer 15-60
+- Together the sub-tasks should finish the whole task
+
+${tagCatalog.describeForPrompt(tags)}
+
+Respond ONLY with valid JSON.`;
+
+    try {
+      const { value } = await this._completeJSON('breakdown', [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Task: ${item.text}${details ? `\n${details}` : ''}` }
+      ], raw => responseSchemas.validateBreakdown(raw), { temperature: 0.3, max_tokens: 500 });
+
+      const steps = this._normalizeBreakdown(value?.subtasks);
+      if (steps.length >= BREAKDOWN_MIN_STEPS) return { source: 'ai', steps };
+    } catch (error) {
+      console.error('AI breakdown failed:', error);
+    }
+    return { source: 'template', steps: this.getFallbackBreakdown(item) };
+  }
+
+  /** Deterministic breakdown from BREAKDOWN_TEMPLATES, spreading the task's estimate over the steps */
+  getFallbackBreakdown(item) {
+    const text = item.text || '';
+    const template = BREAKDOWN_TEMPLATES.find(t => !t.pattern || t.pattern.test(text));
+    const total = item.estimate_bucket || 120;
+    return template.steps.map((step, i) => ({
+      text: step,
+      estimate: estimationModel.snapBucket(total * template.weights[i])
+    }));
+  }
+
+  /** Clean the model's list: trimmed unique texts, bucketed estimates, at most BREAKDOWN_MAX_STEPS */
+  _normalizeBreakdown(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const steps = [];
+    for (const entry of list) {
+      const raw = typeof entry === 'string' ? entry : entry?.text;
+      if (typeof raw !== 'string') continue;
+      const text = raw.trim().replace(/\s+/g, ' ').slice(0, 200);
+      if (!text || seen.has(text.toLowerCase())) continue;
+      seen.add(text.toLowerCase());
+      steps.push({ text, estimate: estimationModel.snapBucket(Number(entry?.estimate_minutes) || 30) });
+      if (steps.length === BREAKDOWN_MAX_STEPS) break;
+    }
+    return steps;
+  }
+
   /**
    * Generate a natural language response for stats/queries
    */
@@ -214,7 +687,7 @@ Respond conversationally and briefly.`;
     }
 
     try {
-      const content = await this._callGroq([
+      const content = await this._callLLM([
         { role: 'system', content: systemPrompt },
         { role: 'user', content: query }
       ], { temperature: 0.7, max_tokens: 100 });
@@ -237,9 +710,7 @@ Respond conversationally and briefly.`;
   }
 
   calculateDate(offset) {
-    const d = new Date();
-    d.setDate(d.getDate() + offset);
-    return d.toISOString().split('T')[0];
+    return dayClock.addDays(dayClock.today(), offset);
   }
 }
 
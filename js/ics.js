@@ -0,0 +1,236 @@
+/**
+ * Battle Plan - iCalendar (RFC 5545)
+ * Serializes scheduled items to VEVENT/VTODO and parses .ics files back
+ * into plain entries. Item building and sanitization live in db.js.
+ */
+
+const ICS_PRODID = '-//Battle Plan//Task Export//EN';
+const ICS_UID_DOMAIN = 'battle-plan';
+const ICS_LINE_LIMIT = 75;
+
+class IcsCalendar {
+  // ==================== EXPORT ====================
+
+  /**
+   * Build a VCALENDAR from items. kind 'VEVENT' shows as all-day events in phone
+   * calendars; 'VTODO' keeps DUE and STATUS for task apps.
+   */
+  build(items, kind = 'VEVENT') {
+    const stamp = this._formatUtc(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${ICS_PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:Battle Plan'
+    ];
+
+    for (const item of items) {
+      const start = item.scheduled_for_date || item.dueDate;
+      if (kind === 'VEVENT' && !start) continue;
+
+      lines.push(`BEGIN:${kind}`);
+      lines.push(`UID:${item.ics_uid || `${item.id}@${ICS_UID_DOMAIN}`}`);
+      lines.push(`DTSTAMP:${stamp}`);
+      lines.push(`SUMMARY:${this._escape(item.text)}`);
+
+      const startAt = start ? dayClock.atTime(start, item.start_time) : null;
+      if (kind === 'VEVENT' && startAt) {
+        // Timed block: floating local time so it shows at the same clock time everywhere
+        const minutes = item.duration_minutes || DEFAULT_BLOCK_MINUTES;
+        lines.push(`DTSTART:${this._formatLocal(startAt)}`);
+        lines.push(`DTEND:${this._formatLocal(new Date(startAt.getTime() + minutes * 60000))}`);
+      } else if (kind === 'VEVENT') {
+        lines.push(`DTSTART;VALUE=DATE:${this._formatDate(start)}`);
+        lines.push(`DTEND;VALUE=DATE:${this._formatDate(dayClock.addDays(start, 1))}`);
+        lines.push('TRANSP:TRANSPARENT');
+      } else {
+        if (start) lines.push(`DTSTART;VALUE=DATE:${this._formatDate(start)}`);
+        if (item.dueDate) lines.push(`DUE;VALUE=DATE:${this._formatDate(item.dueDate)}`);
+        lines.push(`STATUS:${item.status === 'done' ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      }
+
+      const description = this._describe(item, kind);
+      if (description) lines.push(`DESCRIPTION:${this._escape(description)}`);
+      const tags = item.tags || (item.tag ? [item.tag] : []);
+      if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(t => this._escape(t)).join(',')}`);
+
+      // RRULE needs a DTSTART to hang off
+      const timed = kind === 'VEVENT' && startAt;
+      const rrule = start ? recurrenceRules.toRRule(item.recurrence, timed ? dayClock.formatTime(startAt) : null) : null;
+      if (rrule) {
+        lines.push(`RRULE:${rrule}`);
+        if (item.recurrence.from_completion) lines.push('X-BATTLE-PLAN-FROM-COMPLETION:TRUE');
+      }
+
+      lines.push(`END:${kind}`);
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this._fold(line)).join('\r\n') + '\r\n';
+  }
+
+  _describe(item, kind) {
+    const parts = [];
+    if (item.next_action) parts.push(`Next action: ${item.next_action}`);
+    if (kind === 'VEVENT' && item.dueDate) parts.push(`Due: ${item.dueDate}`);
+    if (item.notes) parts.push(item.notes);
+    return parts.join('\n');
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Parse .ics text into entries:
+   * { uid, summary, description, start, startTime, durationMinutes, due, rrule,
+   *   categories, completed, fromCompletion }
+   * Dates come back as local YYYY-MM-DD strings, times as local "HH:MM".
+   */
+  parse(text) {
+    if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+      throw new Error('Not an iCalendar file');
+    }
+
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const entries = [];
+    const stack = [];
+    let current = null;
+
+    for (const line of lines) {
+      const prop = this._parseLine(line);
+      if (!prop) continue;
+
+      if (prop.name === 'BEGIN') {
+        stack.push(prop.value.toUpperCase());
+        if (stack.length === 2 && ['VEVENT', 'VTODO'].includes(stack[1])) {
+          current = { kind: stack[1], categories: [] };
+        }
+        continue;
+      }
+      if (prop.name === 'END') {
+        if (stack.length === 2 && current) {
+          entries.push(this._finishEntry(current));
+          current = null;
+        }
+        stack.pop();
+        continue;
+      }
+      // Only top-level properties of the event/todo (skip VALARM etc.)
+      if (!current || stack.length !== 2) continue;
+
+      switch (prop.name) {
+        case 'UID': current.uid = prop.value; break;
+        case 'SUMMARY': current.summary = this._unescape(prop.value); break;
+        case 'DESCRIPTION': current.description = this._unescape(prop.value); break;
+        case 'DTSTART':
+          current.start = this._parseDate(prop.value);
+          current.startAt = this._parseInstant(prop.value);
+          break;
+        case 'DTEND': current.endAt = this._parseInstant(prop.value); break;
+        case 'DUE': current.due = this._parseDate(prop.value); break;
+        case 'RRULE': current.rrule = prop.value; break;
+        case 'CATEGORIES':
+          current.categories.push(...this._unescape(prop.value).split(',').map(c => c.trim()).filter(Boolean));
+          break;
+        case 'STATUS':
+          if (['COMPLETED', 'CANCELLED'].includes(prop.value.toUpperCase())) current.completed = true;
+          break;
+        case 'COMPLETED': current.completed = true; break;
+        case 'X-BATTLE-PLAN-FROM-COMPLETION': current.fromCompletion = prop.value.toUpperCase() === 'TRUE'; break;
+      }
+    }
+    return entries;
+  }
+
+  /** Turn raw DTSTART/DTEND instants into a start time and block length */
+  _finishEntry(entry) {
+    const { startAt, endAt, ...rest } = entry;
+    rest.startTime = startAt ? dayClock.formatTime(startAt) : null;
+    rest.durationMinutes = null;
+    if (startAt && endAt && endAt > startAt) {
+      rest.durationMinutes = Math.round((endAt - startAt) / 60000);
+    }
+    return rest;
+  }
+
+  /** Split "NAME;PARAM=x;PARAM="a:b":value" (quoted params may contain colons) */
+  _parseLine(line) {
+    const m = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+    if (!m) return null;
+    return { name: m[1].toUpperCase(), params: m[2], value: m[3] };
+  }
+
+  /**
+   * DATE or DATE-TIME to a local date. UTC times ("Z") convert to the local
+   * duty day; floating and TZID times keep their written calendar date.
+   */
+  _parseDate(value) {
+    const m = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return null;
+    if (m[7]) {
+      return dayClock.dateOf(new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])));
+    }
+    const dateStr = `${m[1]}-${m[2]}-${m[3]}`;
+    return dayClock.isDateStr(dateStr) ? dateStr : null;
+  }
+
+  /** DATE-TIME to a Date (local wall clock for floating/TZID times); DATE values return null */
+  _parseInstant(value) {
+    const m = (value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/);
+    if (!m) return null;
+    const parts = [+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]];
+    return m[7] ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  }
+
+  // ==================== FORMATTING ====================
+
+  _formatDate(dateStr) {
+    return dateStr.replace(/-/g, '');
+  }
+
+  /** Floating local DATE-TIME, e.g. 20240315T143000 */
+  _formatLocal(date) {
+    return `${dayClock.toDateStr(date).replace(/-/g, '')}T${dayClock.formatTime(date).replace(':', '')}00`;
+  }
+
+  _formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  _escape(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  _unescape(text) {
+    return String(text || '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+  }
+
+  /** Fold to 75-octet lines; continuation lines start with a space */
+  _fold(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= ICS_LINE_LIMIT) return line;
+
+    const parts = [];
+    let chunk = '';
+    let size = 0;
+    for (const ch of line) {
+      const len = new TextEncoder().encode(ch).length;
+      const limit = parts.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1;
+      if (size + len > limit) {
+        parts.push(chunk);
+        chunk = '';
+        size = 0;
+      }
+      chunk += ch;
+      size += len;
+    }
+    parts.push(chunk);
+    return parts.join('\r\n ');
+  }
+}
+
+const icsCalendar = new IcsCalendar();
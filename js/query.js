@@ -0,0 +1,248 @@
+/**
+ * Battle Plan - Query Language
+ * Parses search-box queries such as
+ *   tag:Business due:<7d score:>10 status:next is:monster -is:rated est:>=60
+ * into filter terms, matches items against them, and picks the IndexedDB
+ * index that narrows the candidates first. Running a query lives in db.js.
+ *
+ * Terms (prefix any term with "-" to negate it; quote values with spaces):
+ *   tag:NAME                 has the tag (case-insensitive)
+ *   status:STATUS            inbox, today, tomorrow, next, waiting, someday, done
+ *   due:DATE  scheduled:DATE today, tomorrow, overdue, none, any, YYYY-MM-DD or
+ *                            Nd / Nw from today, with an optional < <= > >= in front
+ *   score:N  est:N           priority score / estimate minutes (est also takes 1h, 90m),
+ *                            with an optional < <= > >= in front
+ *   is:FLAG                  monster, rated, top3, overdue, blocked, recurring, started, locked
+ *   has:FIELD                notes, due, time, scheduled, next, tags, project
+ *   waiting:TEXT             waiting on someone matching TEXT
+ *   project:TEXT             in a project whose name contains TEXT
+ *   anything else            words matched against text, next action, notes and waiting on
+ */
+
+const QUERY_FIELDS = ['tag', 'status', 'due', 'scheduled', 'score', 'est', 'is', 'has', 'waiting', 'project'];
+const QUERY_ALIASES = { tags: 'tag', sched: 'scheduled', estimate: 'est', waiting_on: 'waiting' };
+const QUERY_STATUSES = ['inbox', 'today', 'tomorrow', 'next', 'waiting', 'someday', 'done'];
+const QUERY_FLAGS = ['monster', 'rated', 'top3', 'overdue', 'blocked', 'recurring', 'started', 'locked'];
+const QUERY_HAS = ['notes', 'due', 'time', 'scheduled', 'next', 'tags', 'project'];
+const QUERY_DATE_FIELDS = { due: 'dueDate', scheduled: 'scheduled_for_date' };
+
+class TaskQuery {
+  /**
+   * Parse query text into { terms, words, errors }. Terms are
+   * { field, negate, ... } with a parsed value per field; `words` are the
+   * plain-text terms (for highlighting) and `errors` name terms that were
+   * dropped because their value couldn't be read.
+   */
+  parse(text) {
+    const terms = [];
+    const words = [];
+    const errors = [];
+    const pattern = /(-)?(?:([a-z_]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    const input = String(text || '');
+    let m;
+    while ((m = pattern.exec(input)) !== null) {
+      if (m[0] === '') { pattern.lastIndex++; continue; }
+      const negate = !!m[1];
+      const rawField = m[2] ? m[2].toLowerCase() : null;
+      const field = rawField ? (QUERY_ALIASES[rawField] || rawField) : null;
+      const value = (m[3] !== undefined ? m[3] : m[4] || '').trim();
+
+      if (!field || !QUERY_FIELDS.includes(field)) {
+        // Unknown "word:thing" is just text (e.g. "re:invoice")
+        const word = (rawField ? `${m[2]}:${value}` : value).toLowerCase();
+        if (!word) continue;
+        terms.push({ field: 'text', negate, value: word });
+        if (!negate) words.push(word);
+        continue;
+      }
+      if (!value) {
+        errors.push(m[0]);
+        continue;
+      }
+
+      const term = this._parseTerm(field, value);
+      if (!term) {
+        errors.push(m[0]);
+        continue;
+      }
+      terms.push({ field, negate, ...term });
+    }
+    return { terms, words, errors };
+  }
+
+  /** Does the query use any field:value terms (beyond plain words)? */
+  isStructured(query) {
+    return query.terms.some(t => t.field !== 'text');
+  }
+
+  /** Does the query ask for done items (status:done)? Searches skip them otherwise. */
+  includesDone(query) {
+    return query.terms.some(t => t.field === 'status' && t.value === 'done' && !t.negate);
+  }
+
+  _parseTerm(field, value) {
+    const lower = value.toLowerCase();
+    switch (field) {
+      case 'tag':
+      case 'waiting':
+      case 'project':
+        return { value: lower };
+      case 'status':
+        return QUERY_STATUSES.includes(lower) ? { value: lower } : null;
+      case 'is':
+        return QUERY_FLAGS.includes(lower) ? { value: lower } : null;
+      case 'has':
+        return QUERY_HAS.includes(lower) ? { value: lower } : null;
+      case 'due':
+      case 'scheduled':
+        return this._parseDateCondition(lower);
+      case 'score':
+        return this._parseNumber(lower, false);
+      case 'est':
+        return this._parseNumber(lower, true);
+      default:
+        return null;
+    }
+  }
+
+  /** "<7d" -> { op: '<', offset: 7 }; "2026-03-01" -> { op: '=', date }; also none/any/overdue */
+  _parseDateCondition(value) {
+    if (value === 'none' || value === 'any') return { op: value };
+    if (value === 'overdue') return { op: '<', offset: 0 };
+    const m = value.match(/^(<=|>=|<|>|=)?(.+)$/);
+    const op = m[1] || '=';
+    const target = m[2];
+    if (target === 'today') return { op, offset: 0 };
+    if (target === 'tomorrow') return { op, offset: 1 };
+    const rel = target.match(/^(-?\d{1,4})([dw])$/);
+    if (rel) return { op, offset: parseInt(rel[1]) * (rel[2] === 'w' ? 7 : 1) };
+    if (dayClock.isDateStr(target)) return { op, date: target };
+    return null;
+  }
+
+  /** ">=60" -> { op: '>=', number: 60 }; with `durations`, "1h" / "90m" are minutes */
+  _parseNumber(value, durations) {
+    const m = value.match(/^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(h|m)?$/);
+    if (!m || (m[3] && !durations)) return null;
+    const number = parseFloat(m[2]) * (m[3] === 'h' ? 60 : 1);
+    return { op: m[1] || '=', number };
+  }
+
+  _compare(a, op, b) {
+    switch (op) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      default: return a === b;
+    }
+  }
+
+  _resolveDate(term, today) {
+    return term.date || dayClock.addDays(today, term.offset);
+  }
+
+  /**
+   * Does an item satisfy every term? `ctx` supplies what needs the database:
+   * { today, isRated(item), score(item), isMonster(item), isOverdue(item), blockedIds, projectNames }
+   */
+  matches(item, query, ctx) {
+    return query.terms.every(term => this._matchTerm(item, term, ctx) !== term.negate);
+  }
+
+  _matchTerm(item, term, ctx) {
+    switch (term.field) {
+      case 'text':
+        return [item.text, item.next_action, item.notes, item.waiting_on]
+          .some(v => v && v.toLowerCase().includes(term.value));
+      case 'tag':
+        return (item.tags || []).some(t => t.toLowerCase() === term.value);
+      case 'status':
+        return item.status === term.value;
+      case 'waiting':
+        return !!item.waiting_on && item.waiting_on.toLowerCase().includes(term.value);
+      case 'project': {
+        const name = item.project_id && ctx.projectNames.get(item.project_id);
+        return !!name && name.toLowerCase().includes(term.value);
+      }
+      case 'due':
+      case 'scheduled': {
+        const date = item[QUERY_DATE_FIELDS[term.field]];
+        if (term.op === 'none') return !date;
+        if (term.op === 'any') return !!date;
+        return !!date && this._compare(date, term.op, this._resolveDate(term, ctx.today));
+      }
+      case 'score': {
+        if (!ctx.isRated(item)) return false;
+        return this._compare(ctx.score(item), term.op, term.number);
+      }
+      case 'est':
+        return !!item.estimate_bucket && this._compare(item.estimate_bucket, term.op, term.number);
+      case 'is':
+        return this._matchFlag(item, term.value, ctx);
+      case 'has':
+        return this._matchHas(item, term.value);
+      default:
+        return true;
+    }
+  }
+
+  _matchFlag(item, flag, ctx) {
+    switch (flag) {
+      case 'monster': return ctx.isMonster(item);
+      case 'rated': return ctx.isRated(item);
+      case 'top3': return !!item.isTop3 && item.top3Date === ctx.today;
+      case 'overdue': return ctx.isOverdue(item);
+      case 'blocked': return ctx.blockedIds.has(item.id);
+      case 'recurring': return !!item.recurrence;
+      case 'started': return !!item.started_at && item.status !== 'done';
+      case 'locked': return !!item.top3Locked;
+      default: return false;
+    }
+  }
+
+  _matchHas(item, field) {
+    switch (field) {
+      case 'notes': return !!item.notes;
+      case 'due': return !!item.dueDate;
+      case 'time': return !!item.start_time;
+      case 'scheduled': return !!item.scheduled_for_date;
+      case 'next': return !!item.next_action;
+      case 'tags': return (item.tags || []).length > 0;
+      case 'project': return !!item.project_id;
+      default: return false;
+    }
+  }
+
+  /**
+   * Index to fetch candidates from, or null to scan everything. Date ranges
+   * narrow best, then a tag, then a status. Returns
+   * { index, only } or { index, lower, upper, lowerOpen, upperOpen }
+   * (bounds may be undefined); matches() still runs on every candidate.
+   */
+  indexPlan(query, today) {
+    const positive = query.terms.filter(t => !t.negate);
+
+    for (const field of ['due', 'scheduled']) {
+      const term = positive.find(t => t.field === field && t.op !== 'none' && t.op !== 'any');
+      if (!term) continue;
+      const date = this._resolveDate(term, today);
+      const index = QUERY_DATE_FIELDS[field];
+      switch (term.op) {
+        case '<': return { index, upper: date, upperOpen: true };
+        case '<=': return { index, upper: date, upperOpen: false };
+        case '>': return { index, lower: date, lowerOpen: true };
+        case '>=': return { index, lower: date, lowerOpen: false };
+        default: return { index, only: date };
+      }
+    }
+
+    const tag = positive.find(t => t.field === 'tag');
+    if (tag) return { index: 'tags', only: tag.value };
+    const status = positive.find(t => t.field === 'status');
+    if (status) return { index: 'status', only: status.value };
+    return null;
+  }
+}
+
+const taskQuery = new TaskQuery();
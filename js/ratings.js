@@ -0,0 +1,146 @@
+/**
+ * Battle Plan - Rating Suggestions
+ * Proposes A/C/E/L/M/T scores, an estimate bucket and a confidence for a
+ * task without AI: the scores of similar tasks you have already rated
+ * (shared words and tags), or keyword rules when nothing similar exists,
+ * then nudged by the due date. The AI path is GroqAssistant.rateTasks;
+ * both go through normalize() so a suggestion always passes db.isRated.
+ */
+
+const RATING_FIELDS = { A: [1, 5], C: [1, 5], E: [1, 5], L: [0, 2], M: [0, 2], T: [0, 2] };
+const RATING_DEFAULTS = { A: 3, C: 3, E: 3, L: 0, M: 1, T: 0, estimate_bucket: 30, confidence: 'medium' };
+const RATING_SIMILAR_MIN = 0.25;  // overlap before a rated task counts as similar
+const RATING_SIMILAR_MAX = 5;     // similar tasks averaged into a suggestion
+const RATING_STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'to', 'for', 'of', 'on', 'in', 'at', 'with', 'my', 'our', 'about', 'from', 'up', 'it', 'this', 'that'
+]);
+
+// Used when there is no similar history; later rules win on the same field
+const RATING_KEYWORDS = [
+  { pattern: /\b(write|draft|build|design|research|plan|prepare|refactor|migrate|organi[sz]e|clean)\b/i, set: { E: 4, estimate_bucket: 90, confidence: 'low' }, note: 'deep work' },
+  { pattern: /\b(call|email|text|reply|message|book|order|buy|remind|send|check|confirm)\b/i, set: { E: 1, estimate_bucket: 15, confidence: 'high' }, note: 'quick action' },
+  { pattern: /\b(client|customer|revenue|sales|pitch|proposal|contract|launch|hire)\b/i, set: { A: 4, L: 1 }, note: 'business impact' },
+  { pattern: /\b(pay|bill|tax(es)?|invoice|rent|fine|renew|deadline|submit|file)\b/i, set: { C: 4 }, note: 'has consequences' },
+  { pattern: /\b(unblock|set ?up|onboard|template|automate)\b/i, set: { L: 2 }, note: 'unlocks other work' },
+  { pattern: /\b(urgent|asap|immediately|emergency|overdue|final notice)\b/i, set: { C: 5, T: 2 }, note: 'urgent wording' }
+];
+
+class RatingModel {
+  /** Lower-cased content words of a task's text */
+  words(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [])
+      .filter(w => w.length > 1 && !RATING_STOPWORDS.has(w));
+  }
+
+  /** Overlap (0..1) of two tasks' words and tags (Jaccard) */
+  similarity(a, b) {
+    const tokens = item => new Set([...this.words(item.text), ...(item.tags || []).map(t => `#${t.toLowerCase()}`)]);
+    const left = tokens(a);
+    const right = tokens(b);
+    if (left.size === 0 || right.size === 0) return 0;
+    let shared = 0;
+    for (const token of left) if (right.has(token)) shared++;
+    return shared / (left.size + right.size - shared);
+  }
+
+  /** Rated tasks most like item, best first: [{ item, score }] */
+  similar(item, history) {
+    return history
+      .filter(h => h.id !== item.id)
+      .map(h => ({ item: h, score: this.similarity(item, h) }))
+      .filter(s => s.score >= RATING_SIMILAR_MIN)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RATING_SIMILAR_MAX);
+  }
+
+  /**
+   * Suggest a rating for item from history (rated items) on `today`.
+   * Returns { rating, basis } where basis says what it was based on.
+   */
+  suggest(item, history, today) {
+    const rating = { ...RATING_DEFAULTS };
+    const basis = [];
+
+    const similar = this.similar(item, history);
+    if (similar.length > 0) {
+      // Score-weighted average of the similar tasks; most common estimate and confidence
+      const total = similar.reduce((sum, s) => sum + s.score, 0);
+      for (const field of Object.keys(RATING_FIELDS)) {
+        rating[field] = Math.round(similar.reduce((sum, s) => sum + s.item[field] * s.score, 0) / total);
+      }
+      rating.estimate_bucket = this._mode(similar.map(s => s.item.estimate_bucket));
+      rating.confidence = this._mode(similar.map(s => s.item.confidence));
+      basis.push(`like "${similar[0].item.text}"${similar.length > 1 ? ` and ${similar.length - 1} more` : ''}`);
+    } else {
+      for (const rule of RATING_KEYWORDS) {
+        if (!rule.pattern.test(item.text || '')) continue;
+        Object.assign(rating, rule.set);
+        basis.push(rule.note);
+      }
+    }
+
+    if (item.dueDate) {
+      const daysLeft = dayClock.diffDays(today, item.dueDate);
+      if (daysLeft <= 0) {
+        rating.C = 5;
+        rating.T = 2;
+        basis.push(daysLeft < 0 ? 'overdue' : 'due today');
+      } else if (daysLeft <= 2) {
+        rating.C = Math.max(rating.C, 4);
+        rating.T = 2;
+        basis.push('due soon');
+      } else if (daysLeft <= 7) {
+        rating.T = Math.max(rating.T, 1);
+        basis.push('due this week');
+      }
+    }
+
+    return { rating: this.normalize(rating), basis: basis.join(', ') || 'typical task' };
+  }
+
+  /**
+   * Clamp a proposed rating into the ranges isRated accepts. Takes
+   * estimate_bucket or estimate_minutes; null if any field is unreadable.
+   */
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const rating = {};
+    for (const [field, [min, max]] of Object.entries(RATING_FIELDS)) {
+      const value = Math.round(Number(raw[field]));
+      if (raw[field] === null || raw[field] === '' || !Number.isFinite(value)) return null;
+      rating[field] = Math.max(min, Math.min(max, value));
+    }
+    const minutes = Number(raw.estimate_bucket ?? raw.estimate_minutes);
+    if (!(minutes > 0)) return null;
+    rating.estimate_bucket = estimationModel.snapBucket(minutes);
+    const confidence = String(raw.confidence || '').toLowerCase();
+    if (!CONFIDENCE_LEVELS.includes(confidence)) return null;
+    rating.confidence = confidence;
+    return rating;
+  }
+
+  /** Is value a usable score for field (the per-field half of isRated)? */
+  isValidField(field, value) {
+    if (field === 'estimate_bucket') return typeof value === 'number' && value > 0;
+    if (field === 'confidence') return CONFIDENCE_LEVELS.includes(value);
+    const range = RATING_FIELDS[field];
+    return !!range && typeof value === 'number' && value >= range[0] && value <= range[1];
+  }
+
+  /** rating with the item's own valid scores kept: only the gaps are filled */
+  complete(item, rating) {
+    const merged = { ...rating };
+    for (const field of Object.keys(rating)) {
+      if (this.isValidField(field, item[field])) merged[field] = item[field];
+    }
+    return merged;
+  }
+
+  _mode(values) {
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+}
+
+const ratingModel = new RatingModel();
@@ -0,0 +1,275 @@
+/**
+ * Battle Plan - Recurrence Rules
+ * RRULE-like repeat model: interval, multiple weekdays, nth weekday of the
+ * month, end date / occurrence count, and fixed vs. after-completion anchoring.
+ *
+ * Rule shape (stored on items as `recurrence`):
+ * {
+ *   freq: 'daily' | 'weekly' | 'monthly',
+ *   interval: 1-99,                 // every N days/weeks/months
+ *   weekdays: [0-6],                // weekly only (0 = Sunday)
+ *   month_day: 1-31 | null,         // monthly "on the 15th" (clamped to month end)
+ *   nth: { week: 1-4 | -1, weekday: 0-6 } | null,  // monthly "first Saturday" / "last Friday"
+ *   until: 'YYYY-MM-DD' | null,     // no occurrences after this date
+ *   count: number | null,           // total occurrences in the series
+ *   from_completion: boolean,       // next date counts from the day it was done
+ *   start: 'YYYY-MM-DD' | null,     // series anchor for fixed schedules
+ *   occurrence: number              // 1-based position of this item in the series
+ * }
+ */
+
+const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly'];
+const RECURRENCE_MAX_INTERVAL = 99;
+const RECURRENCE_SEARCH_DAYS = 3700; // ~10 years; covers "every 99 months"
+const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+class RecurrenceRules {
+  /**
+   * Coerce any stored/parsed/imported value into a valid rule, or null.
+   * Accepts legacy 'daily'/'weekly'/'monthly' strings with a separate recurrence_day.
+   */
+  normalize(value, legacyDay = null) {
+    if (!value) return null;
+    if (typeof value === 'string') return this.fromLegacy(value, legacyDay);
+    if (typeof value !== 'object' || !RECURRENCE_FREQS.includes(value.freq)) return null;
+
+    const interval = parseInt(value.interval);
+    const rule = {
+      freq: value.freq,
+      interval: (isNaN(interval) || interval < 1) ? 1 : Math.min(interval, RECURRENCE_MAX_INTERVAL),
+      weekdays: [],
+      month_day: null,
+      nth: null,
+      until: dayClock.isDateStr(value.until) ? value.until : null,
+      count: null,
+      from_completion: !!value.from_completion,
+      start: dayClock.isDateStr(value.start) ? value.start : null,
+      occurrence: 1
+    };
+
+    if (rule.freq === 'weekly' && Array.isArray(value.weekdays)) {
+      const days = value.weekdays.map(d => parseInt(d)).filter(d => d >= 0 && d <= 6);
+      rule.weekdays = [...new Set(days)].sort((a, b) => a - b);
+    }
+    if (rule.freq === 'monthly') {
+      const nth = value.nth;
+      const week = nth ? parseInt(nth.week) : NaN;
+      const weekday = nth ? parseInt(nth.weekday) : NaN;
+      if ((week === -1 || (week >= 1 && week <= 4)) && weekday >= 0 && weekday <= 6) {
+        rule.nth = { week, weekday };
+      } else {
+        const day = parseInt(value.month_day);
+        if (day >= 1 && day <= 31) rule.month_day = day;
+      }
+    }
+
+    const count = parseInt(value.count);
+    if (count >= 1) rule.count = count;
+    const occurrence = parseInt(value.occurrence);
+    if (occurrence >= 1) rule.occurrence = occurrence;
+
+    return rule;
+  }
+
+  /** Convert the pre-v6 string model (recurrence + recurrence_day) */
+  fromLegacy(freq, day = null) {
+    if (!RECURRENCE_FREQS.includes(freq)) return null;
+    const d = parseInt(day);
+    return this.normalize({
+      freq,
+      weekdays: freq === 'weekly' ? [isNaN(d) || d > 6 ? 0 : d] : [],
+      month_day: freq === 'monthly' && d >= 1 ? d : null
+    });
+  }
+
+  /** Does dateStr fall on the rule's pattern, counting intervals from anchorStr? */
+  matches(rule, dateStr, anchorStr) {
+    switch (rule.freq) {
+      case 'daily':
+        return dayClock.diffDays(anchorStr, dateStr) % rule.interval === 0;
+      case 'weekly': {
+        const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [dayClock.dayOfWeek(anchorStr)];
+        if (!weekdays.includes(dayClock.dayOfWeek(dateStr))) return false;
+        const weekOf = s => dayClock.addDays(s, -dayClock.dayOfWeek(s));
+        const weeks = Math.round(dayClock.diffDays(weekOf(anchorStr), weekOf(dateStr)) / 7);
+        return weeks % rule.interval === 0;
+      }
+      case 'monthly': {
+        const a = dayClock.parse(anchorStr);
+        const d = dayClock.parse(dateStr);
+        const months = (d.getFullYear() - a.getFullYear()) * 12 + (d.getMonth() - a.getMonth());
+        if (months % rule.interval !== 0) return false;
+        if (rule.nth) return this._isNthWeekday(d, rule.nth);
+        const daysInMonth = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+        const target = rule.month_day || a.getDate();
+        return d.getDate() === Math.min(target, daysInMonth);
+      }
+      default:
+        return false;
+    }
+  }
+
+  _isNthWeekday(date, nth) {
+    if (date.getDay() !== nth.weekday) return false;
+    if (nth.week === -1) {
+      const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      return date.getDate() + 7 > daysInMonth;
+    }
+    return Math.ceil(date.getDate() / 7) === nth.week;
+  }
+
+  /** First date strictly after afterStr that matches the rule, or null past until */
+  nextAfter(rule, afterStr, anchorStr = afterStr) {
+    let candidate = afterStr;
+    for (let i = 0; i < RECURRENCE_SEARCH_DAYS; i++) {
+      candidate = dayClock.addDays(candidate, 1);
+      if (rule.until && candidate > rule.until) return null;
+      if (candidate >= anchorStr && this.matches(rule, candidate, anchorStr)) return candidate;
+    }
+    return null;
+  }
+
+  /** First occurrence on or after a date (used when a rule is first set) */
+  firstOnOrAfter(rule, dateStr) {
+    return this.nextAfter(rule, dayClock.addDays(dateStr, -1), rule.start || dateStr);
+  }
+
+  /**
+   * Work out the next instance of a recurring item.
+   * Fixed schedules keep their cadence from the series start and skip any
+   * dates already missed; from-completion schedules count from today.
+   * Returns { date, rule } for the new item, or null when the series has ended.
+   */
+  nextOccurrence(item, today) {
+    const rule = this.normalize(item.recurrence, item.recurrence_day);
+    if (!rule) return null;
+    if (rule.count && rule.occurrence >= rule.count) return null;
+
+    let date;
+    let anchor;
+    if (rule.from_completion) {
+      anchor = today;
+      date = this.nextAfter(rule, today, today);
+    } else {
+      anchor = rule.start || item.scheduled_for_date || today;
+      const scheduled = item.scheduled_for_date || today;
+      const after = scheduled > today ? scheduled : today;
+      date = this.nextAfter(rule, after, anchor);
+    }
+    if (!date) return null;
+
+    return {
+      date,
+      rule: { ...rule, start: rule.from_completion ? null : anchor, occurrence: rule.occurrence + 1 }
+    };
+  }
+
+  // ==================== RRULE (RFC 5545) ====================
+
+  /**
+   * Serialize to an iCalendar RRULE value. COUNT is what is left of the series
+   * from this item on. from_completion has no RRULE equivalent and is exported
+   * as a fixed schedule (ics.js carries it in an X- property). UNTIL has to
+   * match DTSTART's value type: pass the series' "HH:MM" start time when
+   * DTSTART is a (floating) date-time, and UNTIL is that time on its last day.
+   */
+  toRRule(value, untilTime = null) {
+    const rule = this.normalize(value);
+    if (!rule) return null;
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.weekdays.length > 0) parts.push(`BYDAY=${rule.weekdays.map(d => RRULE_DAYS[d]).join(',')}`);
+    if (rule.nth) parts.push(`BYDAY=${rule.nth.week}${RRULE_DAYS[rule.nth.weekday]}`);
+    if (rule.month_day) parts.push(`BYMONTHDAY=${rule.month_day}`);
+    if (rule.count) parts.push(`COUNT=${Math.max(1, rule.count - rule.occurrence + 1)}`);
+    else if (rule.until) {
+      const time = untilTime ? `T${untilTime.replace(':', '')}00` : '';
+      parts.push(`UNTIL=${rule.until.replace(/-/g, '')}${time}`);
+    }
+    return parts.join(';');
+  }
+
+  /** Parse an RRULE value; parts this model can't express (BYHOUR, YEARLY...) return null */
+  fromRRule(text) {
+    if (typeof text !== 'string') return null;
+    const props = {};
+    for (const part of text.replace(/^RRULE:/i, '').split(';')) {
+      const [key, val] = part.split('=');
+      if (key && val) props[key.trim().toUpperCase()] = val.trim().toUpperCase();
+    }
+    const freq = (props.FREQ || '').toLowerCase();
+    if (!RECURRENCE_FREQS.includes(freq)) return null;
+
+    const spec = { freq, interval: props.INTERVAL, count: props.COUNT };
+    if (props.UNTIL) {
+      const m = props.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+      if (m) spec.until = `${m[1]}-${m[2]}-${m[3]}`;
+    }
+
+    const byDay = (props.BYDAY || '').split(',').filter(Boolean).map(d => {
+      const m = d.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      return m ? { n: m[1] ? parseInt(m[1]) : null, day: RRULE_DAYS.indexOf(m[2]) } : null;
+    });
+    if (byDay.includes(null)) return null;
+
+    if (freq === 'weekly' || (freq === 'daily' && byDay.length > 0 && !(parseInt(props.INTERVAL) > 1))) {
+      // FREQ=DAILY;BYDAY=MO,TU,... is the same series as a weekly rule on those days
+      spec.freq = 'weekly';
+      spec.weekdays = byDay.map(d => d.day);
+    } else if (freq === 'monthly' && byDay.length === 1) {
+      const n = byDay[0].n ?? parseInt(props.BYSETPOS);
+      if (!(n === -1 || (n >= 1 && n <= 4))) return null;
+      spec.nth = { week: n, weekday: byDay[0].day };
+    } else if (freq === 'monthly' && props.BYMONTHDAY) {
+      spec.month_day = props.BYMONTHDAY;
+    } else if (byDay.length > 0) {
+      return null;
+    }
+    return this.normalize(spec);
+  }
+
+  /** Short human label, e.g. "Every 2 weeks on Fri", "1st Sat monthly", "3 days after done" */
+  describe(value) {
+    const rule = this.normalize(value);
+    if (!rule) return '';
+    const n = rule.interval;
+    let label;
+
+    switch (rule.freq) {
+      case 'daily':
+        label = n === 1 ? 'Daily' : `Every ${n} days`;
+        break;
+      case 'weekly': {
+        const days = rule.weekdays.join(',');
+        const dayList = days === '1,2,3,4,5' ? 'weekdays' : rule.weekdays.map(d => WEEKDAY_SHORT[d]).join('/');
+        if (dayList === 'weekdays' && n === 1) label = 'Weekdays';
+        else {
+          label = n === 1 ? 'Weekly' : `Every ${n} weeks`;
+          if (dayList) label += ` on ${dayList}`;
+        }
+        break;
+      }
+      case 'monthly': {
+        const every = n === 1 ? 'monthly' : `every ${n} months`;
+        if (rule.nth) label = `${ORDINALS[rule.nth.week]} ${WEEKDAY_SHORT[rule.nth.weekday]} ${every}`;
+        else if (rule.month_day) label = `Day ${rule.month_day} ${every}`;
+        else label = every.charAt(0).toUpperCase() + every.slice(1);
+        break;
+      }
+    }
+
+    if (rule.from_completion) {
+      const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.freq];
+      label = rule.freq === 'weekly' && rule.weekdays.length > 0
+        ? `${label} (after done)`
+        : `${n} ${unit}${n !== 1 ? 's' : ''} after done`;
+    }
+    if (rule.count) label += ` (${rule.occurrence}/${rule.count})`;
+    else if (rule.until) label += ` until ${rule.until}`;
+    return label;
+  }
+}
+
+const recurrenceRules = new RecurrenceRules();
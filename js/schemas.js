@@ -0,0 +1,330 @@
+/**
+ * Battle Plan - AI Response Schemas
+ * Checks what the model sent back before anything is written: known
+ * intents, real YYYY-MM-DD dates, estimates from ESTIMATE_BUCKETS, tags from
+ * the user's registry, recurrence rules in range. Each validator returns
+ * { value, errors }: value keeps only the fields that passed (null when the
+ * reply is unusable) and errors says what was wrong, in words the model can
+ * act on when GroqAssistant asks it to repair the reply.
+ *
+ * Safe, unambiguous fixes are applied silently (numeric strings, tag
+ * capitalization); anything else is an error.
+ */
+
+const AI_INTENTS = [
+  'add_task', 'complete_task', 'move_task', 'update_task', 'find_task', 'navigate', 'run_routine',
+  'get_stats', 'start_focus', 'stop_focus', 'help', 'unknown'
+];
+const AI_PRIORITIES = ['high', 'low'];
+const AI_STAT_TYPES = ['today_summary', 'capacity', 'free_time', 'overdue', 'inbox_count', 'task_count'];
+const AI_TEXT_MAX = 500;
+const AI_FOCUS_MAX_MINUTES = 180;
+
+class ResponseSchemas {
+  /**
+   * A parsed task (parseTaskInput, or add_task data): text, scheduled_date,
+   * due_date, estimate_minutes, start_time, duration_minutes, recurrence,
+   * recurrence_day (legacy), tags.
+   */
+  validateTask(raw, tags = []) {
+    if (!this._isObject(raw)) return { value: null, errors: ['reply must be a JSON object'] };
+    const errors = [];
+    const value = {};
+
+    if (raw.text !== undefined && raw.text !== null) {
+      const text = typeof raw.text === 'string' ? raw.text.trim() : '';
+      if (!text) errors.push('text: must be a non-empty string');
+      else value.text = text.slice(0, AI_TEXT_MAX);
+    }
+
+    for (const field of ['scheduled_date', 'due_date']) {
+      const date = this._date(raw[field], field, errors);
+      if (date !== undefined) value[field] = date;
+    }
+
+    const estimate = this._estimate(raw.estimate_minutes, errors);
+    if (estimate !== undefined) value.estimate_minutes = estimate;
+
+    if (raw.start_time !== undefined && raw.start_time !== null) {
+      if (dayClock.parseTime(raw.start_time)) value.start_time = raw.start_time;
+      else errors.push(`start_time: ${JSON.stringify(raw.start_time)} is not a 24-hour "HH:MM" time`);
+    }
+
+    if (raw.duration_minutes !== undefined && raw.duration_minutes !== null) {
+      const duration = this._int(raw.duration_minutes);
+      if (duration >= 1 && duration <= 1440) value.duration_minutes = duration;
+      else errors.push(`duration_minutes: ${JSON.stringify(raw.duration_minutes)} must be 1-1440`);
+    }
+
+    const rule = this._recurrence(raw.recurrence, raw.recurrence_day, errors);
+    if (rule !== undefined) {
+      value.recurrence = rule;
+      if (typeof raw.recurrence === 'string' && rule) value.recurrence_day = raw.recurrence_day ?? null;
+    }
+
+    const taskTags = this._tags(raw.tags !== undefined ? raw.tags : (raw.tag ? [raw.tag] : undefined), tags, errors);
+    if (taskTags !== undefined) value.tags = taskTags;
+
+    return { value, errors };
+  }
+
+  /**
+   * A voice command: { intent, data } with data checked per intent. The
+   * keyword of complete/move/update may be null: the task last talked about.
+   */
+  validateIntent(raw, tags = []) {
+    if (!this._isObject(raw)) return { value: null, errors: ['reply must be a JSON object'] };
+    if (!AI_INTENTS.includes(raw.intent)) {
+      return {
+        value: { intent: 'unknown', data: {} },
+        errors: [`intent: ${JSON.stringify(raw.intent)} is not one of ${AI_INTENTS.join(', ')}`]
+      };
+    }
+    const data = this._isObject(raw.data) ? raw.data : {};
+    const errors = [];
+    const value = { intent: raw.intent, data: {} };
+
+    switch (raw.intent) {
+      case 'add_task': {
+        const task = this.validateTask(data, tags);
+        errors.push(...task.errors);
+        value.data = task.value || {};
+        if (!value.data.text) errors.push('text: add_task needs the task text');
+        break;
+      }
+      case 'complete_task':
+        value.data.keyword = this._optionalString(data.keyword, 'keyword', errors);
+        break;
+      case 'find_task':
+        value.data.keyword = this._requiredString(data.keyword, 'keyword', errors);
+        break;
+      case 'move_task': {
+        value.data.keyword = this._optionalString(data.keyword, 'keyword', errors);
+        const target = this._date(data.target_date, 'target_date', errors);
+        if (target) value.data.target_date = target;
+        if (typeof data.target_name === 'string') value.data.target_name = data.target_name.trim().toLowerCase();
+        if (!value.data.target_date && !['today', 'tomorrow'].includes(value.data.target_name)) {
+          errors.push('target_date: move_task needs a YYYY-MM-DD target_date');
+        }
+        break;
+      }
+      case 'update_task': {
+        value.data.keyword = this._optionalString(data.keyword, 'keyword', errors);
+        if (data.priority !== undefined && data.priority !== null) {
+          if (AI_PRIORITIES.includes(data.priority)) value.data.priority = data.priority;
+          else errors.push(`priority: ${JSON.stringify(data.priority)} must be "high", "low" or null`);
+        }
+        const due = this._date(data.due_date, 'due_date', errors);
+        if (due) value.data.due_date = due;
+        const estimate = this._estimate(data.estimate_minutes, errors);
+        if (estimate) value.data.estimate_minutes = estimate;
+        const addTags = this._tags(data.tags, tags, errors);
+        if (addTags && addTags.length > 0) value.data.tags = addTags;
+        if (data.top3 === true || data.top3 === 'true') value.data.top3 = true;
+        const changes = ['priority', 'due_date', 'estimate_minutes', 'tags', 'top3'].filter(f => f in value.data);
+        if (changes.length === 0 && errors.length === 0) errors.push('update_task: nothing to change (priority, due_date, estimate_minutes, tags or top3)');
+        break;
+      }
+      case 'navigate':
+        value.data.page = this._requiredString(data.page, 'page', errors);
+        break;
+      case 'run_routine':
+        value.data.routine_name = this._requiredString(data.routine_name, 'routine_name', errors);
+        break;
+      case 'get_stats':
+        if (AI_STAT_TYPES.includes(data.stat_type)) value.data.stat_type = data.stat_type;
+        else errors.push(`stat_type: ${JSON.stringify(data.stat_type)} is not one of ${AI_STAT_TYPES.join(', ')}`);
+        break;
+      case 'start_focus':
+        if (data.minutes !== undefined && data.minutes !== null) {
+          const minutes = this._int(data.minutes);
+          if (minutes >= 1 && minutes <= AI_FOCUS_MAX_MINUTES) value.data.minutes = minutes;
+          else errors.push(`minutes: ${JSON.stringify(data.minutes)} must be 1-${AI_FOCUS_MAX_MINUTES}`);
+        }
+        break;
+      default:
+        break;
+    }
+    return { value, errors };
+  }
+
+  /** breakDownTask reply: { subtasks: [{ text, estimate_minutes }] } with BREAKDOWN_MIN..MAX steps */
+  validateBreakdown(raw) {
+    if (!this._isObject(raw) || !Array.isArray(raw.subtasks)) {
+      return { value: null, errors: ['reply must be {"subtasks": [...]}'] };
+    }
+    const errors = [];
+    const subtasks = [];
+    raw.subtasks.forEach((entry, i) => {
+      const text = typeof entry?.text === 'string' ? entry.text.trim() : '';
+      if (!text) {
+        errors.push(`subtasks[${i}].text: must be a non-empty string`);
+        return;
+      }
+      const stepErrors = [];
+      const estimate = this._estimate(entry.estimate_minutes, stepErrors);
+      errors.push(...stepErrors.map(e => `subtasks[${i}].${e}`));
+      subtasks.push({ text, estimate_minutes: estimate ?? null });
+    });
+    if (subtasks.length < BREAKDOWN_MIN_STEPS || subtasks.length > BREAKDOWN_MAX_STEPS) {
+      errors.push(`subtasks: need ${BREAKDOWN_MIN_STEPS}-${BREAKDOWN_MAX_STEPS} steps, got ${subtasks.length}`);
+    }
+    return { value: { subtasks }, errors };
+  }
+
+  /** rateTasks reply for a batch of `count` tasks: { ratings: [{ n, A, C, E, L, M, T, estimate_minutes, confidence }] } */
+  validateRatings(raw, count) {
+    if (!this._isObject(raw) || !Array.isArray(raw.ratings)) {
+      return { value: null, errors: ['reply must be {"ratings": [...]}'] };
+    }
+    const errors = [];
+    const ratings = [];
+    for (const entry of raw.ratings) {
+      const n = this._int(entry?.n);
+      if (!(n >= 1 && n <= count)) {
+        errors.push(`ratings: n ${JSON.stringify(entry?.n)} is not a task number 1-${count}`);
+        continue;
+      }
+      const problems = Object.entries(RATING_FIELDS)
+        .filter(([field, [min, max]]) => !(this._int(entry[field]) >= min && this._int(entry[field]) <= max))
+        .map(([field, [min, max]]) => `${field} must be ${min}-${max}`);
+      if (!ESTIMATE_BUCKETS.includes(this._int(entry.estimate_minutes))) problems.push(`estimate_minutes must be one of ${ESTIMATE_BUCKETS.join('/')}`);
+      if (!CONFIDENCE_LEVELS.includes(entry.confidence)) problems.push('confidence must be "high", "medium" or "low"');
+      if (problems.length > 0) {
+        errors.push(`ratings[n=${n}]: ${problems.join('; ')}`);
+        continue;
+      }
+      ratings.push(entry);
+    }
+    const missing = count - new Set(ratings.map(r => this._int(r.n))).size;
+    if (missing > 0) errors.push(`ratings: ${missing} of ${count} tasks not rated`);
+    return { value: { ratings }, errors };
+  }
+
+  // ==================== FIELD CHECKS ====================
+
+  _isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /** Integer from a number or numeric string, else NaN */
+  _int(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+    return typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? parseInt(value) : NaN;
+  }
+
+  _requiredString(value, field, errors) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) errors.push(`${field}: must be a non-empty string`);
+    return text || null;
+  }
+
+  /** Trimmed string, or null when absent or empty */
+  _optionalString(value, field, errors) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') {
+      errors.push(`${field}: must be a string or null`);
+      return null;
+    }
+    return value.trim() || null;
+  }
+
+  /** undefined when absent, null when explicitly null, else a real YYYY-MM-DD date */
+  _date(value, field, errors) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    // isDateStr accepts rollovers like 02-30; require the date to round-trip
+    if (dayClock.isDateStr(value) && dayClock.toDateStr(dayClock.parse(value)) === value) return value;
+    errors.push(`${field}: ${JSON.stringify(value)} is not a YYYY-MM-DD date`);
+    return undefined;
+  }
+
+  _estimate(value, errors) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    const minutes = this._int(value);
+    if (ESTIMATE_BUCKETS.includes(minutes)) return minutes;
+    errors.push(`estimate_minutes: ${JSON.stringify(value)} must be one of ${ESTIMATE_BUCKETS.join('/')}`);
+    return undefined;
+  }
+
+  /** A rule object (checked field by field) or a legacy frequency string with recurrence_day */
+  _recurrence(value, legacyDay, errors) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+
+    if (typeof value === 'string') {
+      if (!RECURRENCE_FREQS.includes(value)) {
+        errors.push(`recurrence: ${JSON.stringify(value)} is not daily/weekly/monthly`);
+        return undefined;
+      }
+      if (legacyDay !== undefined && legacyDay !== null) {
+        const day = this._int(legacyDay);
+        const [min, max] = value === 'monthly' ? [1, 31] : [0, 6];
+        if (!(day >= min && day <= max)) {
+          errors.push(`recurrence_day: ${JSON.stringify(legacyDay)} must be ${min}-${max} for ${value}`);
+          return undefined;
+        }
+      }
+      return value;
+    }
+
+    if (!this._isObject(value) || !RECURRENCE_FREQS.includes(value.freq)) {
+      errors.push('recurrence: needs "freq": "daily", "weekly" or "monthly"');
+      return undefined;
+    }
+    const problems = [];
+    if (value.interval !== undefined && value.interval !== null) {
+      const interval = this._int(value.interval);
+      if (!(interval >= 1 && interval <= RECURRENCE_MAX_INTERVAL)) problems.push(`interval must be 1-${RECURRENCE_MAX_INTERVAL}`);
+    }
+    if (value.weekdays !== undefined && value.weekdays !== null) {
+      if (!Array.isArray(value.weekdays) || value.weekdays.some(d => !(this._int(d) >= 0 && this._int(d) <= 6))) {
+        problems.push('weekdays must be numbers 0-6 (0 = Sunday)');
+      }
+    }
+    if (value.month_day !== undefined && value.month_day !== null) {
+      const day = this._int(value.month_day);
+      if (!(day >= 1 && day <= 31)) problems.push('month_day must be 1-31');
+    }
+    if (value.nth !== undefined && value.nth !== null) {
+      const week = this._int(value.nth?.week);
+      const weekday = this._int(value.nth?.weekday);
+      if (!((week === -1 || (week >= 1 && week <= 4)) && weekday >= 0 && weekday <= 6)) {
+        problems.push('nth must be {"week": 1-4 or -1, "weekday": 0-6}');
+      }
+    }
+    if (value.until !== undefined && value.until !== null && this._date(value.until, 'until', []) === undefined) {
+      problems.push('until must be a YYYY-MM-DD date');
+    }
+    if (value.count !== undefined && value.count !== null && !(this._int(value.count) >= 1)) {
+      problems.push('count must be a whole number of times');
+    }
+    if (problems.length > 0) {
+      errors.push(`recurrence: ${problems.join('; ')}`);
+      return undefined;
+    }
+    return recurrenceRules.normalize(value);
+  }
+
+  /** Tag names resolved to the registry's spelling; unknown names are errors */
+  _tags(value, registry, errors) {
+    if (value === undefined || value === null) return undefined;
+    if (!Array.isArray(value)) {
+      errors.push('tags: must be an array of tag names');
+      return undefined;
+    }
+    const names = [];
+    for (const name of value) {
+      const tag = typeof name === 'string' ? tagCatalog.find(registry, name.trim()) : null;
+      if (tag) {
+        if (!names.includes(tag.name)) names.push(tag.name);
+      } else {
+        errors.push(`tags: ${JSON.stringify(name)} is not one of the user's tags`);
+      }
+    }
+    return names;
+  }
+}
+
+const responseSchemas = new ResponseSchemas();
@@ -0,0 +1,115 @@
+/**
+ * Battle Plan - Tags
+ * User-defined tag registry: name/color/keyword normalization, keyword
+ * inference for the offline parser, and the tag list for AI prompts.
+ * The registry is persisted by db.js (settings key 'tags').
+ *
+ * Tag shape: { name: 'Home', color: '#3498db', keywords: ['lawn', 'mow'] }
+ * Items carry `tags: ['Home', ...]`; `tag` mirrors tags[0] (the primary tag)
+ * for calibration and the IndexedDB 'tag' index.
+ */
+
+const TAG_NAME_MAX = 50;
+const TAG_KEYWORD_MAX = 40;
+const TAG_MAX_KEYWORDS = 50;
+const TAG_MAX_COUNT = 50;
+const TAG_FALLBACK_COLOR = '#95a5a6';
+const TAG_PALETTE = ['#3498db', '#27ae60', '#e67e22', '#9b59b6', '#e74c3c', '#16a085', '#f1c40f', '#95a5a6'];
+
+const DEFAULT_TAGS = [
+  { name: 'Home', color: '#3498db', keywords: ['lawn', 'mow', 'house', 'clean', 'cook', 'repair', 'garage', 'laundry', 'dishes'] },
+  { name: 'Army', color: '#27ae60', keywords: ['pt', 'drill', 'formation', 'army', 'ruck', 'range'] },
+  { name: 'Business', color: '#e67e22', keywords: ['client', 'invoice', 'business', 'money', 'marketing', 'website', 'sales'] },
+  { name: 'Other', color: '#95a5a6', keywords: [] }
+];
+
+class TagCatalog {
+  /** Trimmed, single-spaced, markup-free tag name ('' when unusable) */
+  normalizeName(value) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/<[^>]*>/g, '').replace(/[,\s]+/g, ' ').trim().substring(0, TAG_NAME_MAX);
+  }
+
+  normalizeColor(value, fallback = TAG_FALLBACK_COLOR) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+  }
+
+  /** Keywords from an array or a comma-separated string: lowercase words/phrases, deduped */
+  normalizeKeywords(value) {
+    const raw = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+    const keywords = raw
+      .map(k => String(k).toLowerCase().replace(/[^\p{L}\p{N}\s'-]/gu, '').replace(/\s+/g, ' ').trim())
+      .filter(k => k && k.length <= TAG_KEYWORD_MAX);
+    return [...new Set(keywords)].slice(0, TAG_MAX_KEYWORDS);
+  }
+
+  /** Coerce a stored/imported registry into valid, uniquely named tags */
+  normalizeList(list) {
+    if (!Array.isArray(list)) return DEFAULT_TAGS.map(t => ({ ...t, keywords: [...t.keywords] }));
+    const tags = [];
+    for (const entry of list) {
+      if (!entry || typeof entry !== 'object') continue;
+      const name = this.normalizeName(entry.name);
+      if (!name || this.find(tags, name)) continue;
+      tags.push({
+        name,
+        color: this.normalizeColor(entry.color, this.nextColor(tags)),
+        keywords: this.normalizeKeywords(entry.keywords)
+      });
+      if (tags.length >= TAG_MAX_COUNT) break;
+    }
+    return tags;
+  }
+
+  /** Registry entry by name, case-insensitive */
+  find(tags, name) {
+    const key = this.normalizeName(name).toLowerCase();
+    return key ? tags.find(t => t.name.toLowerCase() === key) || null : null;
+  }
+
+  /** Canonical names for the known tags among `names` (unknown names dropped) */
+  resolve(tags, names) {
+    const list = Array.isArray(names) ? names : [names];
+    const resolved = list.map(n => this.find(tags, n)).filter(Boolean).map(t => t.name);
+    return [...new Set(resolved)];
+  }
+
+  /** Tags whose keywords appear as whole words in the text, registry order */
+  infer(tags, text) {
+    const lower = String(text || '').toLowerCase();
+    return tags
+      .filter(t => t.keywords.some(k => this._keywordPattern(k).test(lower)))
+      .map(t => t.name);
+  }
+
+  _keywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u');
+  }
+
+  /** First palette color not already in use */
+  nextColor(tags) {
+    const used = new Set(tags.map(t => t.color));
+    return TAG_PALETTE.find(c => !used.has(c)) || TAG_PALETTE[tags.length % TAG_PALETTE.length];
+  }
+
+  /** Black or white text, whichever reads better on the tag color */
+  textColor(hex) {
+    const color = this.normalizeColor(hex);
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.substring(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000000' : '#ffffff';
+  }
+
+  /** Tag names and inference hints for the AI parsing prompts */
+  describeForPrompt(tags) {
+    if (!tags || tags.length === 0) return 'No tags are defined; always use [].';
+    const lines = tags.map(t => t.keywords.length > 0
+      ? `- "${t.name}": ${t.keywords.slice(0, 15).join(', ')}`
+      : `- "${t.name}"`);
+    return `Available tags (use these exact names; an item may have several):
+${lines.join('\n')}
+- If unsure, use [] (do not guess a catch-all tag)`;
+  }
+}
+
+const tagCatalog = new TagCatalog();
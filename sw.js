@@ -3,14 +3,23 @@
  * Network-first strategy: always fetch fresh when online, cache for offline
  */
 
-const CACHE_NAME = 'battle-plan-v22';
+const CACHE_NAME = 'battle-plan-v31';
 const BASE_PATH = '/reaperslawnservice';
 const ASSETS_TO_CACHE = [
   `${BASE_PATH}/`,
   `${BASE_PATH}/index.html`,
   `${BASE_PATH}/manifest.json`,
   `${BASE_PATH}/css/styles.css`,
+  `${BASE_PATH}/js/dates.js`,
+  `${BASE_PATH}/js/tags.js`,
+  `${BASE_PATH}/js/recurrence.js`,
+  `${BASE_PATH}/js/ics.js`,
   `${BASE_PATH}/js/groq.js`,
+  `${BASE_PATH}/js/estimates.js`,
+  `${BASE_PATH}/js/ratings.js`,
+  `${BASE_PATH}/js/schemas.js`,
+  `${BASE_PATH}/js/conversation.js`,
+  `${BASE_PATH}/js/query.js`,
   `${BASE_PATH}/js/db.js`,
   `${BASE_PATH}/js/app.js`,
   `${BASE_PATH}/js/sw-register.js`,